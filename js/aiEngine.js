@@ -1,10 +1,23 @@
 // AI Engine - Analyzes player behavior and adapts game parameters
+import { SeededRandom } from './random.js';
+import { SystemClock } from './clock.js';
+import { BOARD_MODES, boardDistance, wrapPosition } from './board.js';
+import { getSpawnWeights } from './foodTypes.js';
+import { POWER_UP_TYPES, POWER_UP_IDS, getPowerUpSpawnChance } from './powerUps.js';
+
 export class AIEngine {
-    constructor(gridSize, canvasWidth, canvasHeight) {
+    constructor(gridSize, canvasWidth, canvasHeight, random = null, clock = null) {
         this.gridSize = gridSize;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         
+        // Shared simulation sources (injected by GameEngine for reproducible games)
+        this.random = random || new SeededRandom();
+        this.clock = clock || new SystemClock();
+        
+        // Board topology ('walls' or 'wrap') used for distances and heatmap cells
+        this.boardMode = 'walls';
+        
         // Movement tracking
         this.movementHistory = [];
         this.maxHistorySize = 1000;
@@ -48,7 +61,7 @@ export class AIEngine {
     recordMovement(position, direction, gameContext = {}) {
         // Create movement record with timestamp and context
         const movementRecord = {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             position: { ...position },
             direction: direction,
             gameContext: {
@@ -249,9 +262,9 @@ export class AIEngine {
         return this.adaptationSettings.currentDifficulty;
     }
 
-    suggestFoodPlacement(excludePositions = []) {
+    suggestFoodPlacement(excludePositions = [], strategy = null) {
         // Determine placement strategy based on movement patterns and difficulty
-        const strategy = this.determinePlacementStrategy();
+        strategy = strategy || this.determinePlacementStrategy();
         
         switch (strategy) {
             case 'challenging':
@@ -263,6 +276,64 @@ export class AIEngine {
         }
     }
     
+    // Placement strategy for each of several food items on the board. The first
+    // item follows the usual strategy and the second complements it, so there is
+    // a real choice between an easy and a hard route; any others are random.
+    getFoodPlacementMix(count) {
+        const primary = this.determinePlacementStrategy();
+        const mix = [primary];
+        
+        if (count > 1) {
+            if (primary === 'challenging') {
+                mix.push('accessible');
+            } else {
+                // Beginners are never handed a deliberately hard item
+                mix.push(this.adaptationSettings.currentDifficulty <= 2 ? 'random' : 'challenging');
+            }
+        }
+        
+        while (mix.length < count) {
+            mix.push('random');
+        }
+        return mix;
+    }
+    
+    // Pick the type of the next food. The spawn weights follow the current
+    // difficulty: stronger players see more golden, poison and speed-up food,
+    // weaker players more bonus and slow-down food.
+    suggestFoodType() {
+        const weights = getSpawnWeights(this.adaptationSettings.currentDifficulty);
+        const totalWeight = weights.reduce((sum, entry) => sum + entry.weight, 0);
+        
+        let roll = this.random.next() * totalWeight;
+        for (const entry of weights) {
+            roll -= entry.weight;
+            if (roll < 0) {
+                return entry.id;
+            }
+        }
+        return 'normal';
+    }
+    
+    // Power-up hooks: roll whether one appears this move (rarer as difficulty
+    // rises, see powerUps.js) and which type it is.
+    shouldSpawnPowerUp() {
+        return this.random.next() < getPowerUpSpawnChance(this.adaptationSettings.currentDifficulty);
+    }
+    
+    suggestPowerUpType() {
+        const totalWeight = POWER_UP_IDS.reduce((sum, id) => sum + POWER_UP_TYPES[id].spawnWeight, 0);
+        
+        let roll = this.random.next() * totalWeight;
+        for (const id of POWER_UP_IDS) {
+            roll -= POWER_UP_TYPES[id].spawnWeight;
+            if (roll < 0) {
+                return id;
+            }
+        }
+        return POWER_UP_IDS[0];
+    }
+    
     determinePlacementStrategy() {
         const movementAnalysis = this.analyzeMovementPatterns();
         const currentDifficulty = this.adaptationSettings.currentDifficulty;
@@ -325,7 +396,7 @@ export class AIEngine {
         if (validColdspots.length > 0) {
             // Choose from the coldest spots (first 30% of sorted list)
             const topColdspots = validColdspots.slice(0, Math.max(1, Math.floor(validColdspots.length * 0.3)));
-            const randomIndex = Math.floor(Math.random() * topColdspots.length);
+            const randomIndex = this.random.nextInt(topColdspots.length);
             return {
                 x: topColdspots[randomIndex].x,
                 y: topColdspots[randomIndex].y
@@ -361,7 +432,7 @@ export class AIEngine {
         }
         
         if (accessibleSpots.length > 0) {
-            const randomIndex = Math.floor(Math.random() * accessibleSpots.length);
+            const randomIndex = this.random.nextInt(accessibleSpots.length);
             return accessibleSpots[randomIndex];
         }
         
@@ -375,8 +446,8 @@ export class AIEngine {
         const maxAttempts = 100;
         
         while (attempts < maxAttempts) {
-            const x = Math.floor(Math.random() * this.gridWidth) * this.gridSize;
-            const y = Math.floor(Math.random() * this.gridHeight) * this.gridSize;
+            const x = this.random.nextInt(this.gridWidth) * this.gridSize;
+            const y = this.random.nextInt(this.gridHeight) * this.gridSize;
             
             const position = { x, y };
             
@@ -459,6 +530,11 @@ export class AIEngine {
     }
     
     updateHeatmapCell(position) {
+        // On wrap-around boards every position maps onto the torus
+        if (this.boardMode === 'wrap') {
+            position = wrapPosition(position, this.gridWidth * this.gridSize, this.gridHeight * this.gridSize);
+        }
+        
         // Convert pixel position to grid coordinates
         const gridX = Math.floor(position.x / this.gridSize);
         const gridY = Math.floor(position.y / this.gridSize);
@@ -510,8 +586,9 @@ export class AIEngine {
     }
 
     loadBehaviorData(data) {
-        if (data.movementHeatmap) {
-            this.movementHeatmap = data.movementHeatmap;
+        if (Array.isArray(data.movementHeatmap)) {
+            // Saved on another board size, the heatmap is fitted to this one
+            this.movementHeatmap = this.fitHeatmap(data.movementHeatmap);
         }
         if (data.performanceMetrics) {
             this.performanceMetrics = { ...this.performanceMetrics, ...data.performanceMetrics };
@@ -521,14 +598,57 @@ export class AIEngine {
         }
     }
 
+    // Deep copy of everything that influences AI decisions during a game.
+    // Used to start replays from the exact state the original game saw.
+    getSessionSnapshot() {
+        return {
+            movementHeatmap: this.getRawHeatmap(),
+            movementHistory: this.movementHistory.map(record => ({
+                ...record,
+                position: { ...record.position },
+                gameContext: { ...record.gameContext }
+            })),
+            performanceMetrics: {
+                ...this.performanceMetrics,
+                recentScores: [...this.performanceMetrics.recentScores],
+                difficultyProgression: [...this.performanceMetrics.difficultyProgression]
+            },
+            adaptationSettings: { ...this.adaptationSettings }
+        };
+    }
+    
+    restoreSessionSnapshot(snapshot) {
+        if (!snapshot) {
+            return;
+        }
+        
+        this.loadBehaviorData({
+            movementHeatmap: snapshot.movementHeatmap ? snapshot.movementHeatmap.map(row => [...row]) : null,
+            performanceMetrics: snapshot.performanceMetrics ? {
+                ...snapshot.performanceMetrics,
+                recentScores: [...(snapshot.performanceMetrics.recentScores || [])],
+                difficultyProgression: [...(snapshot.performanceMetrics.difficultyProgression || [1])]
+            } : null,
+            adaptationSettings: snapshot.adaptationSettings ? { ...snapshot.adaptationSettings } : null
+        });
+        
+        if (Array.isArray(snapshot.movementHistory)) {
+            this.movementHistory = snapshot.movementHistory.map(record => ({
+                ...record,
+                position: { ...record.position },
+                gameContext: { ...record.gameContext }
+            }));
+        }
+    }
+
     startGameSession() {
         // Record the start time of a new game session
-        this.performanceMetrics.gameStartTime = Date.now();
+        this.performanceMetrics.gameStartTime = this.clock.now();
     }
     
     endGameSession(finalScore) {
         // Calculate game duration
-        const gameEndTime = Date.now();
+        const gameEndTime = this.clock.now();
         const gameDuration = this.performanceMetrics.gameStartTime ? 
             gameEndTime - this.performanceMetrics.gameStartTime : 0;
         
@@ -578,6 +698,56 @@ export class AIEngine {
         }
     }
 
+    setBoardMode(mode) {
+        if (BOARD_MODES.includes(mode)) {
+            this.boardMode = mode;
+        }
+    }
+    
+    getBoardMode() {
+        return this.boardMode;
+    }
+    
+    // Adopt new board dimensions (a level or an arena size of its own)
+    resizeBoard(canvasWidth, canvasHeight) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.gridWidth = Math.floor(canvasWidth / this.gridSize);
+        this.gridHeight = Math.floor(canvasHeight / this.gridSize);
+        this.movementHeatmap = this.fitHeatmap(this.movementHeatmap);
+    }
+    
+    // Copy of a heatmap with the current grid's dimensions. Cells that exist
+    // on both grids keep their counts; the rest start at zero.
+    fitHeatmap(heatmap) {
+        const fitted = this.initializeHeatmap();
+        
+        for (let y = 0; y < Math.min(this.gridHeight, heatmap.length); y++) {
+            const row = Array.isArray(heatmap[y]) ? heatmap[y] : [];
+            for (let x = 0; x < Math.min(this.gridWidth, row.length); x++) {
+                fitted[y][x] = row[x];
+            }
+        }
+        return fitted;
+    }
+    
+    // Manhattan distance in pixels, measured around the edges on wrap-around boards
+    getDistance(a, b) {
+        return boardDistance(a, b, {
+            wrap: this.boardMode === 'wrap',
+            width: this.gridWidth * this.gridSize,
+            height: this.gridHeight * this.gridSize
+        });
+    }
+    
+    setRandom(random) {
+        this.random = random;
+    }
+    
+    setClock(clock) {
+        this.clock = clock;
+    }
+
     getBehaviorData() {
         return {
             movementHeatmap: this.movementHeatmap,
@@ -0,0 +1,127 @@
+// Board geometry - Shared rules for how positions relate on the playing field
+// 'walls' boards have solid edges; 'wrap' boards are toroidal, so leaving one
+// edge re-enters from the opposite edge and distances are measured around it.
+// The open arena comes in preset sizes or a custom one; levels bring their own.
+
+export const BOARD_MODES = ['walls', 'wrap'];
+
+// Arena sizes in grid cells. Medium is the original 600x600 board.
+export const BOARD_SIZES = {
+    small: { label: 'Small', columns: 20, rows: 20 },
+    medium: { label: 'Medium', columns: 30, rows: 30 },
+    large: { label: 'Large', columns: 40, rows: 40 }
+};
+
+export const DEFAULT_BOARD_SIZE = 'medium';
+
+// Room on each side a custom arena may have, in cells
+export const CUSTOM_BOARD_LIMITS = { min: 10, max: 60 };
+
+/**
+ * Check an arena size choice
+ * @param {string|{preset: string, columns?: number, rows?: number}} size - A preset id,
+ *   or { preset: 'custom', columns, rows }
+ * @returns {{preset: string, columns: number, rows: number}|null} - null if unusable
+ */
+export function resolveBoardSize(size) {
+    const preset = typeof size === 'string' ? size : size && size.preset;
+
+    if (BOARD_SIZES[preset]) {
+        return { preset, columns: BOARD_SIZES[preset].columns, rows: BOARD_SIZES[preset].rows };
+    }
+
+    const fits = (value) => Number.isInteger(value) &&
+        value >= CUSTOM_BOARD_LIMITS.min && value <= CUSTOM_BOARD_LIMITS.max;
+    if (preset === 'custom' && fits(size.columns) && fits(size.rows)) {
+        return { preset, columns: size.columns, rows: size.rows };
+    }
+
+    return null;
+}
+
+/**
+ * Wrap a pixel position back onto a toroidal board
+ * @param {{x: number, y: number}} position
+ * @param {number} width - Board width in pixels
+ * @param {number} height - Board height in pixels
+ * @returns {{x: number, y: number}}
+ */
+export function wrapPosition(position, width, height) {
+    return {
+        x: ((position.x % width) + width) % width,
+        y: ((position.y % height) + height) % height
+    };
+}
+
+/**
+ * Manhattan distance in pixels between two positions
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @param {Object} board
+ * @param {boolean} board.wrap - Measure around the edges of a toroidal board
+ * @param {number} board.width - Board width in pixels
+ * @param {number} board.height - Board height in pixels
+ * @returns {number}
+ */
+export function boardDistance(a, b, { wrap = false, width = 0, height = 0 } = {}) {
+    let dx = Math.abs(a.x - b.x);
+    let dy = Math.abs(a.y - b.y);
+
+    if (wrap) {
+        dx = Math.min(dx, width - dx);
+        dy = Math.min(dy, height - dy);
+    }
+
+    return dx + dy;
+}
+
+// Short, stable hash of a string (FNV-1a), in base 36
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+/**
+ * Id of a board setup: size, edges, number of food items and level. Games
+ * are only comparable (high scores, best runs to race) on the same setup.
+ * The original setup, the medium walled arena with one food item, has the
+ * empty id, so records saved before the other settings existed stay its own.
+ * @param {{gridSize: number, canvasWidth: number, canvasHeight: number,
+ *   boardMode?: string, foodCount?: number, level?: Object|null}} setup - e.g. a replay's config
+ * @returns {string}
+ */
+export function getBoardSetupId(setup) {
+    const columns = setup.canvasWidth / setup.gridSize;
+    const rows = setup.canvasHeight / setup.gridSize;
+    const medium = BOARD_SIZES[DEFAULT_BOARD_SIZE];
+
+    const parts = [];
+    if (columns !== medium.columns || rows !== medium.rows) {
+        parts.push(`${columns}x${rows}`);
+    }
+    if ((setup.boardMode || 'walls') !== 'walls') {
+        parts.push(setup.boardMode);
+    }
+    if ((setup.foodCount || 1) > 1) {
+        parts.push(`food${setup.foodCount}`);
+    }
+    if (setup.level) {
+        parts.push(`level${hashString(JSON.stringify(setup.level))}`);
+    }
+    return parts.join('_');
+}
+
+/**
+ * Describe a board of the given size: its preset if it has the size of one
+ * @param {number} columns
+ * @param {number} rows
+ * @returns {{preset: string, columns: number, rows: number}}
+ */
+export function getBoardSizeFor(columns, rows) {
+    const preset = Object.keys(BOARD_SIZES).find(id => BOARD_SIZES[id].columns === columns && BOARD_SIZES[id].rows === rows);
+    return { preset: preset || 'custom', columns, rows };
+}
@@ -0,0 +1,32 @@
+// Clock - Injectable time sources for the simulation
+// The engine and AI never read performance.now()/Date.now() directly; they ask
+// a clock, so tests and replays can drive time explicitly.
+
+export class SystemClock {
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+}
+
+export class ManualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Move the clock forward
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+
+    set(time) {
+        this.time = time;
+    }
+}
@@ -0,0 +1,103 @@
+// Controllers - Pluggable steering for the player's snake
+// A controller is any object with a nextDirection(observation) method. Before
+// every move the engine hands it a read-only Observation of the board and
+// steers the snake the way it answers; without a controller the keyboard
+// steers. Controllers turn through the same input path as a player, so games
+// they play are recorded and replay without them.
+//
+//   const bot = { nextDirection: (observation) => 'up' };
+//   engine.setController(bot);
+//
+// Optional: reset() is called whenever a new game starts.
+import { solve } from './solver.js';
+import { cellDistance, cellKey, stepCell, DIRECTIONS } from './pathfinding.js';
+import { getFoodType } from './foodTypes.js';
+
+/**
+ * @typedef {Object} Observation
+ * @property {number} tick - Moves made so far in this game
+ * @property {string} mode - Game mode id
+ * @property {{columns: number, rows: number, wrap: boolean, obstacles: Array<{x: number, y: number}>}} grid
+ * @property {{segments: Array<{x: number, y: number}>, direction: string, length: number}} snake - Head first
+ * @property {{segments: Array<{x: number, y: number}>, direction: string}|null} opponent - The other snake, if on the board
+ * @property {Array<{x: number, y: number, type: string}>} foods
+ * @property {{x: number, y: number, type: string}|null} powerUp
+ * @property {number} score
+ * @property {number} difficulty
+ * @property {number|null} timeLeft - Ms left in a timed mode
+ * All positions are grid cells. The whole object is frozen.
+ */
+
+/**
+ * @typedef {Object} Controller
+ * @property {function(Observation): (string|null)} nextDirection - 'up', 'down', 'left', 'right', or null to keep going
+ * @property {function(): void} [reset] - A new game is starting
+ */
+
+/**
+ * Whether an object can be used as a controller
+ * @param {*} controller
+ * @returns {boolean}
+ */
+export function isController(controller) {
+    return Boolean(controller) && typeof controller.nextDirection === 'function';
+}
+
+/**
+ * Freeze an observation and everything in it, so controllers cannot change the game
+ * @param {Object} value
+ * @returns {Object} - The same object, frozen
+ */
+export function freezeObservation(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(freezeObservation);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+/**
+ * The solver's view of an observation (see RivalView in rival.js); poison is left out
+ * @param {Observation} observation
+ */
+export function observationToView(observation) {
+    const { columns, rows, wrap, obstacles } = observation.grid;
+    return {
+        board: { columns, rows, wrap },
+        snake: observation.snake.segments,
+        direction: observation.snake.direction,
+        opponent: observation.opponent ? observation.opponent.segments : [],
+        foods: observation.foods.filter(food => getFoodType(food.type).scoreMultiplier > 0),
+        obstacles,
+        difficulty: observation.difficulty
+    };
+}
+
+// Plays safely with the solver; the engine's autopilot
+export class SolverController {
+    nextDirection(observation) {
+        return solve(observationToView(observation)).direction;
+    }
+}
+
+// Takes the neighbouring cell closest to the nearest food, as long as it is free.
+// Quick and short-sighted: a baseline to beat.
+export class GreedyController {
+    nextDirection(observation) {
+        const view = observationToView(observation);
+        const head = view.snake[0];
+        const blocked = new Set(view.snake.slice(0, -1).concat(view.opponent, view.obstacles).map(cellKey));
+
+        const moves = DIRECTIONS
+            .map(direction => ({ direction, cell: stepCell(head, direction, view.board) }))
+            .filter(move => move.cell && !blocked.has(cellKey(move.cell)));
+        if (moves.length === 0) {
+            return null;
+        }
+
+        const distance = (cell) => view.foods.length > 0
+            ? Math.min(...view.foods.map(food => cellDistance(cell, food, view.board)))
+            : 0;
+        return moves.reduce((best, move) => (distance(move.cell) < distance(best.cell) ? move : best)).direction;
+    }
+}
@@ -0,0 +1,247 @@
+// Entry point for the level editor page
+import { LevelEditor } from './levelEditor.js';
+import { parseLevel } from './level.js';
+
+class EditorPage {
+    constructor() {
+        this.canvas = document.getElementById('editorCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.editor = new LevelEditor(this.ctx);
+        this.painting = false;
+
+        this.setupEventListeners();
+        this.syncForm();
+        this.updateStatus();
+    }
+
+    setupEventListeners() {
+        // Paint by clicking or dragging across the grid
+        this.canvas.addEventListener('mousedown', (event) => {
+            this.painting = true;
+            this.paint(event);
+        });
+
+        this.canvas.addEventListener('mousemove', (event) => {
+            if (this.painting && this.editor.getTool() !== 'spawn') {
+                this.paint(event);
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.painting = false;
+        });
+
+        document.querySelectorAll('input[name="editorTool"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.editor.setTool(input.value);
+            });
+        });
+
+        document.getElementById('snakeDirection').addEventListener('change', (event) => {
+            this.editor.setSnakeDirection(event.target.value);
+        });
+
+        document.getElementById('snakeLength').addEventListener('change', (event) => {
+            this.editor.setSnakeLength(parseInt(event.target.value, 10));
+        });
+
+        ['boardWidth', 'boardHeight'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const width = parseInt(document.getElementById('boardWidth').value, 10);
+                const height = parseInt(document.getElementById('boardHeight').value, 10);
+                if (this.editor.setBoardSize(width, height)) {
+                    this.resizeCanvas();
+                }
+                this.syncForm();
+            });
+        });
+
+        document.getElementById('boardMode').addEventListener('change', (event) => {
+            this.editor.setBoardMode(event.target.value);
+        });
+
+        document.getElementById('foodCount').addEventListener('change', (event) => {
+            this.editor.setFoodCount(parseInt(event.target.value, 10));
+        });
+
+        ['levelName', 'levelAuthor', 'levelDescription'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.editor.setMetadata({
+                    name: document.getElementById('levelName').value,
+                    author: document.getElementById('levelAuthor').value,
+                    description: document.getElementById('levelDescription').value
+                });
+            });
+        });
+
+        [['goalFood', 'food'], ['goalScore', 'score'], ['goalLength', 'length']].forEach(([id, goal]) => {
+            document.getElementById(id).addEventListener('change', (event) => {
+                this.editor.setGoal(goal, parseInt(event.target.value, 10));
+            });
+        });
+
+        document.getElementById('testPlayButton').addEventListener('click', () => {
+            this.toggleTestPlay();
+        });
+
+        document.getElementById('exportLevelButton').addEventListener('click', () => {
+            this.exportLevel();
+        });
+
+        document.getElementById('importLevelButton').addEventListener('click', () => {
+            document.getElementById('editorFileInput').click();
+        });
+
+        document.getElementById('editorFileInput').addEventListener('change', (event) => {
+            const file = event.target.files && event.target.files[0];
+            if (file) {
+                this.importLevel(file);
+            }
+            event.target.value = '';
+        });
+
+        document.getElementById('newLevelButton').addEventListener('click', () => {
+            this.stopTestPlay();
+            this.editor.reset();
+            this.resizeCanvas();
+            this.syncForm();
+        });
+
+        // Keyboard drives the snake during test play; Escape goes back to editing
+        document.addEventListener('keydown', (event) => {
+            if (!this.editor.isTestPlaying()) {
+                return;
+            }
+
+            if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' '].includes(event.key)) {
+                event.preventDefault();
+            }
+
+            if (event.key === 'Escape' || this.editor.getTestEngine().isGameOver()) {
+                this.stopTestPlay();
+                return;
+            }
+            this.editor.handleInput(event.key);
+        });
+
+        this.editor.onChange = () => {
+            this.updateStatus();
+        };
+
+        this.editor.onTestPlayEnd = (result) => {
+            this.setStatus(
+                `${result.levelComplete ? 'Level complete' : 'Game over'} with ${result.finalScore} points - press any key to keep editing`,
+                'valid'
+            );
+        };
+    }
+
+    paint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width;
+        const scaleY = this.canvas.height / rect.height;
+        this.editor.applyToolAt((event.clientX - rect.left) * scaleX, (event.clientY - rect.top) * scaleY);
+    }
+
+    toggleTestPlay() {
+        if (this.editor.isTestPlaying()) {
+            this.stopTestPlay();
+            return;
+        }
+
+        if (this.editor.startTestPlay()) {
+            document.getElementById('testPlayButton').textContent = 'Stop Test';
+            this.setStatus('Test playing - arrow keys/WASD to move, Escape to stop', 'valid');
+        }
+    }
+
+    stopTestPlay() {
+        this.editor.stopTestPlay();
+        document.getElementById('testPlayButton').textContent = 'Test Play';
+        this.updateStatus();
+    }
+
+    exportLevel() {
+        const problem = this.editor.validate();
+        if (problem) {
+            this.setStatus(problem, 'invalid');
+            return;
+        }
+
+        const contents = this.editor.exportLevel();
+        const blob = new Blob([contents], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const fileName = this.editor.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level';
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    importLevel(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.stopTestPlay();
+                this.editor.load(parseLevel(reader.result));
+                this.resizeCanvas();
+                this.syncForm();
+            } catch (error) {
+                console.warn('Failed to open level:', error);
+                this.setStatus(error.message, 'invalid');
+            }
+        };
+        reader.onerror = () => {
+            this.setStatus('Could not read the level file', 'invalid');
+        };
+        reader.readAsText(file);
+    }
+
+    resizeCanvas() {
+        this.canvas.width = this.editor.getCanvasWidth();
+        this.canvas.height = this.editor.getCanvasHeight();
+        this.editor.render();
+    }
+
+    // Copy the editor's draft into the form fields
+    syncForm() {
+        const { board, snake, goals } = this.editor;
+        document.getElementById('snakeDirection').value = snake.direction;
+        document.getElementById('snakeLength').value = snake.length;
+        document.getElementById('boardWidth').value = board.width;
+        document.getElementById('boardHeight').value = board.height;
+        document.getElementById('boardMode').value = board.mode;
+        document.getElementById('foodCount').value = this.editor.foodCount || '';
+        document.getElementById('levelName').value = this.editor.name;
+        document.getElementById('levelAuthor').value = this.editor.author;
+        document.getElementById('levelDescription').value = this.editor.description;
+        document.getElementById('goalFood').value = goals.food || '';
+        document.getElementById('goalScore').value = goals.score || '';
+        document.getElementById('goalLength').value = goals.length || '';
+    }
+
+    updateStatus() {
+        if (this.editor.isTestPlaying()) {
+            return;
+        }
+
+        const problem = this.editor.validate();
+        this.setStatus(problem || 'Level is valid', problem ? 'invalid' : 'valid');
+        document.getElementById('exportLevelButton').disabled = problem !== null;
+    }
+
+    setStatus(message, kind) {
+        const status = document.getElementById('editorStatus');
+        status.textContent = message;
+        status.className = `editor-status ${kind}`;
+    }
+}
+
+// Initialize the editor when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new EditorPage();
+});
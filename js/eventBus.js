@@ -0,0 +1,123 @@
+// Event Bus - Named events that any number of listeners can subscribe to
+// The engine announces what happens in a game here (see ENGINE_EVENTS), so
+// audio, statistics, achievements and the UI can each react on their own
+// without the engine knowing about them.
+//
+//   const unsubscribe = engine.on('foodEaten', (event) => playSound(event.type));
+//   unsubscribe();
+
+/**
+ * Events the game engine emits, with what their payload holds
+ * @type {Object<string, string>}
+ */
+export const ENGINE_EVENTS = {
+    stateChange: '{state, previous} - menu, playing, paused or gameOver',
+    tick: '{tick, state} - after every move of the snakes',
+    scoreChange: '{score, player}',
+    highScoreChange: '{highScore}',
+    difficultyChange: '{difficulty}',
+    foodEaten: '{type, position, player, score} - position in pixels, score of the eater afterwards',
+    foodSpawned: '{index, type, position}',
+    collision: '{player, cause, position} - cause as in GameEngine.getCrashCause',
+    aiStrategyChange: '{strategy, previous} - the AI engine\'s food placement strategy',
+    gameOver: 'the same data as the onGameOver callback',
+    boardResize: '{canvasWidth, canvasHeight}'
+};
+
+export const ENGINE_EVENT_TYPES = Object.keys(ENGINE_EVENTS);
+
+export class EventBus {
+    /**
+     * @param {string[]|null} types - Event names that may be used; null allows any
+     */
+    constructor(types = null) {
+        this.types = types ? new Set(types) : null;
+        this.listeners = new Map();
+    }
+
+    isKnownType(type) {
+        return this.types ? this.types.has(type) : typeof type === 'string';
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type
+     * @param {function(Object): void} listener - Receives the event payload
+     * @returns {function(): void} - Unsubscribes the listener
+     */
+    on(type, listener) {
+        if (!this.isKnownType(type) || typeof listener !== 'function') {
+            console.warn(`Cannot subscribe to unknown event "${type}"`);
+            return () => {};
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    // Subscribe for the next event of a type only
+    once(type, listener) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Remove a listener
+     * @returns {boolean} - false if it was not subscribed
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        const index = listeners ? listeners.indexOf(listener) : -1;
+        if (index === -1) {
+            return false;
+        }
+        listeners.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Call every listener of an event in subscription order. A listener that
+     * throws is reported and skipped; the others still run.
+     * @param {string} type
+     * @param {Object} payload
+     */
+    emit(type, payload) {
+        if (!this.isKnownType(type)) {
+            console.warn(`Cannot emit unknown event "${type}"`);
+            return;
+        }
+
+        const listeners = this.listeners.get(type);
+        if (!listeners || listeners.length === 0) {
+            return;
+        }
+
+        // Listeners may unsubscribe while the event is being delivered
+        [...listeners].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.warn(`A "${type}" listener failed:`, error.message);
+            }
+        });
+    }
+
+    hasListeners(type) {
+        return this.listeners.has(type) && this.listeners.get(type).length > 0;
+    }
+
+    // Remove all listeners of one event, or of every event
+    clear(type = null) {
+        if (type) {
+            this.listeners.delete(type);
+        } else {
+            this.listeners.clear();
+        }
+    }
+}
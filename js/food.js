@@ -1,15 +1,21 @@
 // Food class - Manages food entity placement and consumption
+import { SeededRandom } from './random.js';
+import { getFoodType } from './foodTypes.js';
+
 export class Food {
-    constructor(gridSize, canvasWidth, canvasHeight, aiEngine = null) {
+    constructor(gridSize, canvasWidth, canvasHeight, aiEngine = null, random = null) {
         this.gridSize = gridSize;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         this.position = null;
         this.type = 'normal';
+        this.ticksLeft = null; // Moves until timed food disappears (null = stays until eaten)
         this.aiEngine = aiEngine;
+        this.random = random || new SeededRandom();
     }
 
-    spawn(position, excludePositions = []) {
+    // Place food; without an explicit type the AI engine picks one (see foodTypes.js)
+    spawn(position, excludePositions = [], type = null) {
         // Set food position - either provided position or generate adaptive one
         if (position) {
             this.position = { ...position };
@@ -22,7 +28,32 @@ export class Food {
                 this.position = this.generateRandomPosition(excludePositions);
             }
         }
-        this.type = 'normal';
+        this.type = type || (this.aiEngine ? this.aiEngine.suggestFoodType() : 'normal');
+        this.ticksLeft = getFoodType(this.type).lifetime;
+    }
+
+    // Count down the lifetime of timed food by one move. Returns true once it has expired.
+    tick() {
+        if (this.ticksLeft === null || !this.position) {
+            return false;
+        }
+        this.ticksLeft--;
+        return this.ticksLeft <= 0;
+    }
+
+    // Shift food that is already on the board (e.g. pulled by the food magnet)
+    moveTo(position) {
+        if (this.position) {
+            this.position = { x: position.x, y: position.y };
+        }
+    }
+
+    getTicksLeft() {
+        return this.ticksLeft;
+    }
+
+    getType() {
+        return this.type;
     }
 
     consume() {
@@ -34,6 +65,7 @@ export class Food {
         
         this.position = null;
         this.type = 'normal';
+        this.ticksLeft = null;
         
         return consumedFood;
     }
@@ -42,6 +74,21 @@ export class Food {
         return this.position ? { ...this.position } : null;
     }
 
+    // Serializable state for save/resume snapshots
+    getState() {
+        return {
+            position: this.getPosition(),
+            type: this.type,
+            ticksLeft: this.ticksLeft
+        };
+    }
+
+    restoreState(state) {
+        this.position = state.position ? { x: state.position.x, y: state.position.y } : null;
+        this.type = getFoodType(state.type).id;
+        this.ticksLeft = typeof state.ticksLeft === 'number' ? state.ticksLeft : null;
+    }
+
     generateRandomPosition(excludePositions = []) {
         // Generate random position that doesn't overlap with excluded positions
         const gridWidth = Math.floor(this.canvasWidth / this.gridSize);
@@ -51,8 +98,8 @@ export class Food {
         const maxAttempts = 100;
         
         while (attempts < maxAttempts) {
-            const x = Math.floor(Math.random() * gridWidth) * this.gridSize;
-            const y = Math.floor(Math.random() * gridHeight) * this.gridSize;
+            const x = this.random.nextInt(gridWidth) * this.gridSize;
+            const y = this.random.nextInt(gridHeight) * this.gridSize;
             
             const position = { x, y };
             
@@ -72,7 +119,16 @@ export class Food {
         return { x: 0, y: 0 };
     }
     
+    resize(canvasWidth, canvasHeight) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+    }
+
     setAIEngine(aiEngine) {
         this.aiEngine = aiEngine;
     }
+
+    setRandom(random) {
+        this.random = random;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Food Types - Registry of food kinds and their effects
+// Every type declares how likely it is to spawn, what eating it does and how it
+// looks. Spawn weights are given for the lowest and highest difficulty and
+// interpolated in between, so the mix shifts as the player improves.
+
+/**
+ * @typedef {Object} FoodTypeDefinition
+ * @property {string} id - Registry key, stored in FoodState.type
+ * @property {string} label - Human readable name
+ * @property {{low: number, high: number}} spawnWeight - Relative weight at difficulty 1 and 10
+ * @property {number} scoreMultiplier - Applied to the base points for eating it
+ * @property {number} growth - Segments gained (negative values shrink the snake)
+ * @property {number|null} lifetime - Moves before it disappears, null to stay until eaten
+ * @property {{factor: number, duration: number}|null} speedEffect - Move interval factor for a number of moves
+ * @property {{body: number[], highlight: number[]}} colors - RGB colors used by the Renderer
+ */
+
+/** @type {Object<string, FoodTypeDefinition>} */
+export const FOOD_TYPES = {
+    normal: {
+        id: 'normal',
+        label: 'Food',
+        spawnWeight: { low: 70, high: 45 },
+        scoreMultiplier: 1,
+        growth: 1,
+        lifetime: null,
+        speedEffect: null,
+        colors: { body: [255, 0, 0], highlight: [255, 100, 100] }
+    },
+    bonus: {
+        id: 'bonus',
+        label: 'Bonus',
+        spawnWeight: { low: 15, high: 8 },
+        scoreMultiplier: 2,
+        growth: 1,
+        lifetime: null,
+        speedEffect: null,
+        colors: { body: [0, 150, 255], highlight: [120, 200, 255] }
+    },
+    golden: {
+        id: 'golden',
+        label: 'Golden',
+        spawnWeight: { low: 2, high: 10 },
+        scoreMultiplier: 5,
+        growth: 1,
+        lifetime: 40,
+        speedEffect: null,
+        colors: { body: [255, 200, 0], highlight: [255, 240, 150] }
+    },
+    poison: {
+        id: 'poison',
+        label: 'Poison',
+        spawnWeight: { low: 0, high: 15 },
+        scoreMultiplier: 0,
+        growth: -2,
+        lifetime: 60,
+        speedEffect: null,
+        colors: { body: [150, 0, 200], highlight: [200, 120, 230] }
+    },
+    speedUp: {
+        id: 'speedUp',
+        label: 'Speed Up',
+        spawnWeight: { low: 3, high: 12 },
+        scoreMultiplier: 2,
+        growth: 1,
+        lifetime: null,
+        speedEffect: { factor: 0.7, duration: 40 },
+        colors: { body: [255, 120, 0], highlight: [255, 180, 100] }
+    },
+    slowDown: {
+        id: 'slowDown',
+        label: 'Slow Down',
+        spawnWeight: { low: 10, high: 3 },
+        scoreMultiplier: 1,
+        growth: 1,
+        lifetime: null,
+        speedEffect: { factor: 1.4, duration: 40 },
+        colors: { body: [0, 220, 200], highlight: [150, 255, 240] }
+    }
+};
+
+export const FOOD_TYPE_IDS = Object.keys(FOOD_TYPES);
+
+// Most food items the board holds at once
+export const MAX_FOOD_ITEMS = 5;
+
+/**
+ * @param {string} id
+ * @returns {FoodTypeDefinition} - The type, or 'normal' for unknown ids
+ */
+export function getFoodType(id) {
+    return FOOD_TYPES[id] || FOOD_TYPES.normal;
+}
+
+/**
+ * Spawn weight of every food type at a difficulty level
+ * @param {number} difficulty - 1 to 10
+ * @returns {Array<{id: string, weight: number}>}
+ */
+export function getSpawnWeights(difficulty) {
+    const t = (Math.max(1, Math.min(10, difficulty)) - 1) / 9;
+    return FOOD_TYPE_IDS.map(id => {
+        const { low, high } = FOOD_TYPES[id].spawnWeight;
+        return { id, weight: low + (high - low) * t };
+    });
+}
@@ -3,59 +3,205 @@ import { Snake } from './snake.js';
 import { Food } from './food.js';
 import { AIEngine } from './aiEngine.js';
 import { Renderer } from './renderer.js';
+import { SeededRandom, createSeed } from './random.js';
+import { SystemClock } from './clock.js';
+import { BOARD_MODES, boardDistance, wrapPosition, resolveBoardSize, getBoardSizeFor, getBoardSetupId } from './board.js';
+import { getSnakeStartCells, formatGoalProgress } from './level.js';
+import { getFoodType, MAX_FOOD_ITEMS } from './foodTypes.js';
+import { GAME_MODE_IDS, DEFAULT_MODE_RULES, getGameMode, getModeRules } from './gameModes.js';
+import { PowerUpEffects, getPowerUpType, POWER_UP_LIFETIME, POWER_UP_GRACE_TICKS, MAGNET_RANGE } from './powerUps.js';
+import { RivalController, RIVAL_RESPAWN_TICKS } from './rival.js';
+import { planMoves } from './solver.js';
+import { SolverController, isController, freezeObservation } from './controllers.js';
+import { InputQueue } from './inputQueue.js';
+import { KeyBindings, KEY_ACTIONS } from './keyBindings.js';
+import { EventBus, ENGINE_EVENT_TYPES } from './eventBus.js';
+
+// Version of the simulation rules. Bump whenever a change would make an existing
+// seed + input sequence play out differently, so old replays are rejected.
+export const ENGINE_VERSION = 7;
+
+const OPPOSITE_DIRECTIONS = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+// The single-slot callbacks that came before the event bus, and the arguments
+// each gets from its event's payload (null: this event is not for it)
+const LEGACY_CALLBACKS = {
+    scoreChange: { name: 'onScoreChange', args: (event) => (event.player === 1 ? [event.score] : null) },
+    highScoreChange: { name: 'onHighScoreChange', args: (event) => [event.highScore] },
+    difficultyChange: { name: 'onDifficultyChange', args: (event) => [event.difficulty] },
+    gameOver: { name: 'onGameOver', args: (event) => [event] },
+    boardResize: { name: 'onBoardResize', args: (event) => [event.canvasWidth, event.canvasHeight] }
+};
 
 export class GameEngine {
-    constructor(ctx, canvasWidth, canvasHeight, gridSize = 20) {
+    constructor(ctx, canvasWidth, canvasHeight, gridSize = 20, options = {}) {
         this.ctx = ctx;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         this.gridSize = gridSize;
         
+        // Headless engines have no canvas: no renderer, no requestAnimationFrame.
+        // The simulation is advanced explicitly through step()/tick().
+        this.headless = options.headless === true || !ctx;
+        
+        // Listeners for the events in ENGINE_EVENTS (see eventBus.js); subscribe with on()
+        this.events = new EventBus(ENGINE_EVENT_TYPES);
+        
         // Game state
         this.gameState = 'menu'; // 'menu', 'playing', 'paused', 'gameOver'
         this.score = 0;
         this.highScore = 0;
+        this.previousHighScore = 0; // High score when the current game started; beating it makes a new one
         this.difficulty = 1;
         
+        // Rule set (see gameModes.js): 'endless', 'timeAttack', 'versus', 'rival'
+        // or a registered mode
+        this.mode = GAME_MODE_IDS.includes(options.mode) ? options.mode : 'endless';
+        this.timeLeft = null; // Ms left on the clock in a timed mode
+        this.timeUp = false;
+        this.outcome = null; // Why the game ended, if not by a crash (see ModeRules.checkOutcome)
+        this.modeState = null; // What the mode's hooks keep during a game (plain JSON data)
+        this.crashCause = null; // What ended the player's game (see getCrashCause)
+        
+        // Versus and rival: the second snake ({ snake, score, foodEaten, inputQueue,
+        // aiEngine, controller, alive, respawnTicks }) and, once the game is decided,
+        // the winning player (null for a draw)
+        this.opponent = null;
+        this.winner = null;
+        
         // Game entities
         this.snake = null;
-        this.food = null;
+        this.foods = [];
         this.aiEngine = null;
+        this.playerTwoAiEngine = null; // Versus player 2's learning, kept across games like player 1's
         this.renderer = null;
         
+        // Board topology: 'walls' (solid edges) or 'wrap' (toroidal)
+        this.boardMode = BOARD_MODES.includes(options.boardMode) ? options.boardMode : 'walls';
+        
+        // Designed stage (see level.js): board size, obstacles, snake start and goals.
+        // Without a level the open arena uses the dimensions passed in here, or
+        // the arena size chosen in options.boardSize (see setBoardSize).
+        this.defaultBoard = { canvasWidth, canvasHeight };
+        this.boardSize = getBoardSizeFor(canvasWidth / gridSize, canvasHeight / gridSize);
+        if (options.boardSize) {
+            this.setBoardSize(options.boardSize);
+        }
+        this.level = null;
+        this.obstacles = []; // Pixel positions of obstacle tiles
+        this.obstacleKeys = new Set();
+        this.foodEaten = 0;
+        this.levelComplete = false;
+        if (options.level) {
+            this.applyLevel(options.level);
+        }
+        
+        // Deterministic simulation sources, shared with Food and AIEngine.
+        // A fixed seed makes every game reproducible; otherwise each game gets a fresh one.
+        this.clock = options.clock || new SystemClock();
+        this.random = options.random || new SeededRandom();
+        this.fixedSeed = typeof options.seed === 'number' ? options.seed : null;
+        this.seed = null;
+        
+        // Number of food items on the board at once (a level may override it)
+        this.foodCount = 1;
+        this.setFoodCount(options.foodCount);
+        
         // Game loop
         this.gameLoopId = null;
         this.lastFrameTime = 0;
         this.lastMoveTime = 0;
+        this.tickCount = 0; // Snake moves performed in the current game
         this.targetFPS = 60;
         this.frameInterval = 1000 / this.targetFPS;
         this.baseMoveInterval = 200; // Base snake movement speed in milliseconds
         this.moveInterval = this.baseMoveInterval;
+        this.speedEffect = null; // { factor, ticksLeft } from speed-up/slow-down food
+        
+        // Timed power-ups: the one waiting on the grid and the effects running
+        this.powerUp = null; // { type, position, ticksLeft }
+        this.powerUpEffects = new PowerUpEffects();
         
-        // Input handling
-        this.pendingDirection = null;
+        // Input handling: turns waiting for the next moves, one used per move,
+        // and the keys that trigger each action
+        this.inputQueue = new InputQueue();
+        this.keyBindings = new KeyBindings(options.keyBindings);
         
-        // Event callbacks
+        // Replay recording: seed + initial config + tick-stamped direction inputs
+        this.replayHeader = null;
+        this.replayInputs = [];
+        
+        // Optional ghost (GhostRunner) racing a recorded run on the same seed
+        this.ghost = null;
+        this.nextGhost = null;
+        
+        // Controller steering the player's snake instead of the keyboard (see
+        // controllers.js); the autopilot is the solver as a controller. A game
+        // a controller played any part of does not set high scores.
+        // Hints draw the solver's next few moves (see solver.js).
+        this.controller = options.controller || null;
+        this.autopilotUsed = false;
+        this.showHints = false;
+        this.hint = null; // { tick, cells } worked out once per move
+        
+        // Event callbacks, one listener each (kept alongside the event bus)
         this.onScoreChange = null;
         this.onHighScoreChange = null;
         this.onDifficultyChange = null;
         this.onGameOver = null;
+        this.onBoardResize = null;
+    }
+
+    /**
+     * Subscribe to an engine event (see ENGINE_EVENTS in eventBus.js)
+     * @param {string} type
+     * @param {function(Object): void} listener
+     * @returns {function(): void} - Unsubscribes the listener
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    off(type, listener) {
+        return this.events.off(type, listener);
+    }
+
+    // Tell the event's legacy callback, if it has one, and then every listener
+    emitEvent(type, payload) {
+        const legacy = LEGACY_CALLBACKS[type];
+        if (legacy && this[legacy.name]) {
+            const args = legacy.args(payload);
+            if (args) this[legacy.name](...args);
+        }
+        this.events.emit(type, payload);
+    }
+
+    setGameState(state) {
+        const previous = this.gameState;
+        this.gameState = state;
+        if (state !== previous) {
+            this.emitEvent('stateChange', { state, previous });
+        }
     }
 
     start() {
         if (this.gameState === 'menu' || this.gameState === 'gameOver') {
             this.initializeGame();
         }
-        this.gameState = 'playing';
+        this.setGameState('playing');
         this.startGameLoop();
     }
 
     togglePause() {
         if (this.gameState === 'playing') {
-            this.gameState = 'paused';
+            this.setGameState('paused');
             this.stopGameLoop();
         } else if (this.gameState === 'paused') {
-            this.gameState = 'playing';
+            this.setGameState('playing');
             this.startGameLoop();
         }
     }
@@ -63,24 +209,69 @@ export class GameEngine {
     restart() {
         this.stopGameLoop();
         this.initializeGame();
-        this.gameState = 'playing';
+        this.setGameState('playing');
         this.startGameLoop();
     }
 
-    initializeGame() {
+    initializeGame(seed = null) {
         this.score = 0;
-        this.pendingDirection = null;
+        this.previousHighScore = this.highScore;
+        this.inputQueue.clear();
+        this.foodEaten = 0;
+        this.levelComplete = false;
+        this.speedEffect = null;
+        this.powerUp = null;
+        this.powerUpEffects.clear();
+        this.timeLeft = getGameMode(this.mode).timeLimit;
+        this.timeUp = false;
+        this.outcome = null;
+        this.autopilotUsed = false;
+        this.hint = null;
+        this.crashCause = null;
+        if (this.controller && typeof this.controller.reset === 'function') {
+            this.controller.reset();
+        }
         
-        // Initialize AI Engine first (or reuse existing one to preserve data)
-        if (!this.aiEngine) {
-            this.aiEngine = new AIEngine(this.gridSize, this.canvasWidth, this.canvasHeight);
+        // An explicit seed (e.g. replay playback) means this is not a ghost race
+        this.ghost = seed === null ? this.nextGhost : null;
+        
+        // Seed the shared generator so this game can be reproduced.
+        // A ghost race must run on the ghost's seed to be a fair comparison.
+        if (seed !== null) {
+            this.seed = seed;
+        } else if (this.ghost) {
+            this.seed = this.ghost.getSeed();
+        } else {
+            this.seed = this.fixedSeed !== null ? this.fixedSeed : createSeed();
         }
+        this.random.setSeed(this.seed);
         
-        // Initialize Renderer if not already created
-        if (!this.renderer) {
-            this.renderer = new Renderer(this.ctx, this.canvasWidth, this.canvasHeight, this.gridSize);
+        if (this.ghost) {
+            this.ghost.reset();
         }
         
+        // Initialize AI Engine and Renderer (or reuse existing ones to preserve data)
+        this.ensureComponents();
+        
+        // Capture the starting conditions for the replay before anything consumes them
+        this.replayHeader = {
+            seed: this.seed,
+            config: {
+                mode: this.mode,
+                boardMode: this.boardMode,
+                level: this.level,
+                foodCount: this.getFoodCount(),
+                gridSize: this.gridSize,
+                canvasWidth: this.canvasWidth,
+                canvasHeight: this.canvasHeight,
+                difficulty: this.aiEngine.getCurrentDifficulty(),
+                ai: this.aiEngine.getSessionSnapshot()
+            }
+        };
+        this.replayInputs = [];
+        
+        this.aiEngine.setBoardMode(this.boardMode);
+        
         // Start new game session tracking
         this.aiEngine.startGameSession();
         
@@ -91,22 +282,111 @@ export class GameEngine {
         this.updateGameSpeed();
         
         // Initialize game entities
-        this.snake = new Snake(this.gridSize, this.canvasWidth, this.canvasHeight);
-        this.food = new Food(this.gridSize, this.canvasWidth, this.canvasHeight, this.aiEngine);
+        this.snake = this.createSnake();
+        this.opponent = getGameMode(this.mode).players === 2 ? this.createOpponent() : null;
+        this.winner = null;
+        this.foods = [];
+        for (let i = 0; i < this.getFoodCount(); i++) {
+            this.foods.push(new Food(this.gridSize, this.canvasWidth, this.canvasHeight, this.aiEngine, this.random));
+        }
         
-        // Spawn initial food, avoiding snake segments
-        this.spawnFood();
+        // Spawn initial food, avoiding snake segments and each other
+        this.foods.forEach((food, index) => this.spawnFood(index));
         
         // Reset timing
         this.lastMoveTime = 0;
+        this.tickCount = 0;
+        
+        this.modeState = null;
+        getModeRules(this.mode).init(this);
         
         // Trigger UI updates
-        if (this.onScoreChange) this.onScoreChange(this.score);
-        if (this.onDifficultyChange) this.onDifficultyChange(this.difficulty);
+        this.emitEvent('scoreChange', { score: this.score, player: 1 });
+        this.emitEvent('difficultyChange', { difficulty: this.difficulty });
+    }
+
+    // Create the long-lived AI engine and renderer on first use
+    ensureComponents() {
+        if (!this.aiEngine) {
+            this.aiEngine = this.createAIEngine();
+        }
+        
+        if (!this.renderer && !this.headless) {
+            this.renderer = new Renderer(this.ctx, this.canvasWidth, this.canvasHeight, this.gridSize);
+        }
+    }
+
+    createAIEngine() {
+        return new AIEngine(this.gridSize, this.canvasWidth, this.canvasHeight, this.random, this.clock);
+    }
+    
+    // Versus player 2's AI engine, created on first use and kept from then on
+    ensurePlayerTwoAI() {
+        if (!this.playerTwoAiEngine) {
+            this.playerTwoAiEngine = this.createAIEngine();
+        }
+        return this.playerTwoAiEngine;
+    }
+
+    // New snake at the level's start position (or the arena default).
+    // In versus, player 2 starts rotated half a turn around the board's centre.
+    createSnake(player = 1) {
+        const options = { wrap: this.boardMode === 'wrap' };
+        const columns = this.canvasWidth / this.gridSize;
+        const rows = this.canvasHeight / this.gridSize;
+        let cells = null;
+        
+        if (this.level) {
+            cells = getSnakeStartCells(this.level);
+            options.direction = this.level.snake.direction;
+        } else if (getGameMode(this.mode).players === 2) {
+            // Player 1 on the upper left heading right, mirrored by player 2
+            const row = Math.floor(rows / 3);
+            cells = [{ x: 4, y: row }, { x: 3, y: row }, { x: 2, y: row }];
+            options.direction = 'right';
+        }
+        
+        if (cells && player === 2) {
+            cells = cells.map(cell => ({ x: columns - 1 - cell.x, y: rows - 1 - cell.y }));
+            options.direction = OPPOSITE_DIRECTIONS[options.direction];
+        }
+        
+        if (cells) {
+            options.segments = cells.map(cell => ({
+                x: cell.x * this.gridSize,
+                y: cell.y * this.gridSize
+            }));
+        }
+        
+        return new Snake(this.gridSize, this.canvasWidth, this.canvasHeight, options);
+    }
+
+    // Second snake: own score and AI engine so each player's movement patterns
+    // are tracked separately. In rival mode a RivalController steers it, and
+    // its moves are only tracked for the game at hand.
+    createOpponent() {
+        const rival = getGameMode(this.mode).opponent === 'ai';
+        const aiEngine = rival ? this.createAIEngine() : this.ensurePlayerTwoAI();
+        aiEngine.setBoardMode(this.boardMode);
+        aiEngine.startGameSession();
+        
+        return {
+            snake: this.createSnake(2),
+            score: 0,
+            foodEaten: 0,
+            inputQueue: new InputQueue(),
+            aiEngine,
+            controller: rival ? new RivalController(this.random) : null,
+            alive: true,
+            respawnTicks: 0
+        };
     }
 
     startGameLoop() {
-        this.lastFrameTime = performance.now();
+        if (this.headless) {
+            return;
+        }
+        this.lastFrameTime = this.clock.now();
         this.gameLoopId = requestAnimationFrame((timestamp) => this.gameLoop(timestamp));
     }
 
@@ -139,118 +419,492 @@ export class GameEngine {
         }
 
         // Check if it's time to move the snake
-        if (this.lastMoveTime + this.moveInterval <= performance.now()) {
+        const now = this.clock.now();
+        if (this.lastMoveTime + this.moveInterval <= now) {
             this.updateSnake();
-            this.lastMoveTime = performance.now();
+            this.lastMoveTime = now;
         }
     }
 
+    // One move of the snakes, announced to tick listeners once it is complete
     updateSnake() {
-        if (!this.snake || !this.food || !this.aiEngine) {
+        const tick = this.tickCount;
+        this.moveSnakes();
+        if (this.tickCount !== tick) {
+            this.emitEvent('tick', { tick: this.tickCount, state: this.gameState });
+        }
+    }
+
+    moveSnakes() {
+        if (!this.snake || this.foods.length === 0 || !this.aiEngine) {
             return;
         }
+        
+        // A controller turns through the normal input path (before the tick
+        // count moves on) so the replay records its moves like a player's
+        if (this.controller) {
+            const direction = this.askController();
+            this.autopilotUsed = true;
+            if (direction && direction !== (this.inputQueue.last() || this.snake.direction)) {
+                this.handleDirectionInput(direction);
+            }
+        }
+        
+        this.tickCount++;
+        
+        // Keep the ghost in lockstep with the live snake
+        if (this.ghost) {
+            this.ghost.syncTo(this.tickCount);
+        }
+        
+        // The rival picks its move from the board as it stands before anyone moves
+        if (this.opponent && this.opponent.controller && this.opponent.alive) {
+            const direction = this.opponent.controller.chooseDirection(this.getCellView(this.opponent.snake, this.snake));
+            this.opponent.inputQueue.clear();
+            this.opponent.inputQueue.push(direction, this.opponent.snake.direction);
+        }
 
         // Record movement data for AI analysis before moving
-        const currentPosition = this.snake.getPosition();
-        const currentDirection = this.pendingDirection || this.snake.direction;
+        this.recordMovement(this.snake, this.inputQueue.peek(), this.score, this.aiEngine);
+
+        // Move snake, taking the next queued turn
+        this.snake.move(this.inputQueue.shift());
+        
+        // Both snakes move before anyone's collisions are judged
+        const opponent = this.opponent;
+        if (opponent && opponent.alive) {
+            this.recordMovement(opponent.snake, opponent.inputQueue.peek(), opponent.score, opponent.aiEngine);
+            opponent.snake.move(opponent.inputQueue.shift());
+        } else if (opponent && --opponent.respawnTicks <= 0) {
+            this.respawnRival();
+        }
+        
+        // Speed-up/slow-down food wears off one move at a time
+        this.updateSpeedEffect();
+
+        // The mode judges the moves (by default walls, the snake itself, obstacle
+        // tiles and the other snake; the pass-through power-up lets the head cross the body)
+        const rules = getModeRules(this.mode);
+        const opponentSnake = this.getOpponentSnake();
+        this.crashCause = rules.detectCollision(this, this.snake, opponentSnake, 1) || null;
+        const playerCrashed = this.crashCause !== null;
+        const opponentCrashCause = opponentSnake ? rules.detectCollision(this, opponentSnake, this.snake, 2) || null : null;
+        const opponentCrashed = opponentCrashCause !== null;
+        if (playerCrashed) {
+            this.emitEvent('collision', { player: 1, cause: this.crashCause, position: this.snake.getPosition() });
+        }
+        if (opponentCrashed) {
+            this.emitEvent('collision', { player: 2, cause: opponentCrashCause, position: opponentSnake.getPosition() });
+        }
+        
+        // The mode decides what a crash means: who wins, or whether play goes on.
+        // A crashed player cannot play on, so for them the game ends whatever the mode says.
+        if (playerCrashed || opponentCrashed) {
+            const crashes = { player: this.crashCause, opponent: opponentCrashCause };
+            let result = rules.resolveCollision(this, crashes);
+            if (playerCrashed && !(result && result.over)) {
+                console.warn(`Mode "${this.mode}" tried to play on after the player crashed; the game ends`);
+                result = DEFAULT_MODE_RULES.resolveCollision(this, crashes);
+            }
+            if (result && result.over) {
+                this.winner = result.winner === undefined ? null : result.winner;
+                this.gameOver();
+                return;
+            }
+        }
+
+        const snakeHead = this.snake.getPosition();
+        if (this.powerUp && snakeHead.x === this.powerUp.position.x && snakeHead.y === this.powerUp.position.y) {
+            this.collectPowerUp();
+        }
+        
+        if (this.powerUpEffects.isActive('magnet')) {
+            this.applyMagnet();
+        }
+
+        // Check for food consumption; timed food that was not eaten ages by one move
+        const opponentHead = this.getOpponentSnake() ? this.getOpponentSnake().getPosition() : null;
+        for (let index = 0; index < this.foods.length && this.gameState === 'playing'; index++) {
+            const foodPosition = this.foods[index].getPosition();
+            
+            if (foodPosition && snakeHead.x === foodPosition.x && snakeHead.y === foodPosition.y) {
+                this.consumeFood(index);
+            } else if (foodPosition && opponentHead && opponentHead.x === foodPosition.x && opponentHead.y === foodPosition.y) {
+                this.consumeFood(index, 2);
+            } else if (this.foods[index].tick()) {
+                // Timed food ran out before it was eaten
+                this.spawnFood(index);
+            }
+        }
+        
+        if (this.gameState === 'playing') {
+            this.updatePowerUps();
+            this.updateTimer();
+            getModeRules(this.mode).update(this);
+            this.finishIfOver();
+        }
+    }
+
+    // Feed one snake's upcoming move into the AI engine that tracks its player
+    recordMovement(snake, pendingDirection, score, aiEngine) {
+        const currentPosition = snake.getPosition();
+        const currentDirection = pendingDirection || snake.direction;
         
         if (currentDirection) {
-            const foodPosition = this.food.getPosition();
-            const foodDistance = foodPosition ? 
-                Math.abs(currentPosition.x - foodPosition.x) + Math.abs(currentPosition.y - foodPosition.y) : 0;
+            // Distance to the nearest food item
+            const foodDistances = this.foods
+                .filter(food => food.getPosition())
+                .map(food => aiEngine.getDistance(currentPosition, food.getPosition()));
+            const foodDistance = foodDistances.length > 0 ? Math.min(...foodDistances) : 0;
             
             const gameContext = {
-                score: this.score,
-                snakeLength: this.snake.segments.length,
+                score: score,
+                snakeLength: snake.segments.length,
                 foodDistance: foodDistance
             };
             
-            this.aiEngine.recordMovement(currentPosition, currentDirection, gameContext);
+            aiEngine.recordMovement(currentPosition, currentDirection, gameContext);
         }
+    }
+
+    // The second snake while it is on the board (a crashed rival is not)
+    getOpponentSnake() {
+        return this.opponent && this.opponent.alive ? this.opponent.snake : null;
+    }
 
-        // Move snake with pending direction
-        this.snake.move(this.pendingDirection);
-        this.pendingDirection = null;
+    // A crashed rival leaves the board for a while; the player plays on
+    eliminateRival() {
+        this.opponent.alive = false;
+        this.opponent.respawnTicks = RIVAL_RESPAWN_TICKS;
+        this.opponent.inputQueue.clear();
+    }
 
-        // Check for collisions
-        if (this.snake.checkCollision()) {
-            this.gameOver();
+    // Bring the rival back at its start, waiting while the player or an obstacle is in the way
+    respawnRival() {
+        const snake = this.createSnake(2);
+        const taken = this.snake.getSegments().concat(this.obstacles);
+        if (snake.getSegments().some(segment => taken.some(cell => cell.x === segment.x && cell.y === segment.y))) {
+            this.opponent.respawnTicks = 1;
             return;
         }
+        
+        this.opponent.snake = snake;
+        this.opponent.alive = true;
+    }
 
-        // Check for food consumption
-        const snakeHead = this.snake.getPosition();
-        const foodPosition = this.food.getPosition();
+    // The board from one snake's point of view, in grid cells (see RivalView in rival.js).
+    // Poison is left out of the food so it is never chased.
+    getCellView(snake, otherSnake = null) {
+        const toCell = position => ({ x: position.x / this.gridSize, y: position.y / this.gridSize });
         
-        if (foodPosition && snakeHead.x === foodPosition.x && snakeHead.y === foodPosition.y) {
-            this.consumeFood();
+        return {
+            board: {
+                columns: this.canvasWidth / this.gridSize,
+                rows: this.canvasHeight / this.gridSize,
+                wrap: this.boardMode === 'wrap'
+            },
+            snake: snake.getSegments().map(toCell),
+            direction: snake.direction,
+            opponent: otherSnake ? otherSnake.getSegments().map(toCell) : [],
+            foods: this.foods
+                .filter(food => food.getPosition() && getFoodType(food.getType()).scoreMultiplier > 0)
+                .map(food => toCell(food.getPosition())),
+            obstacles: this.obstacles.map(toCell),
+            difficulty: this.aiEngine.getCurrentDifficulty()
+        };
+    }
+
+    // Walls, obstacle tiles, the snake's own body (unless passing through) and the other snake's body
+    hasCrashed(snake, otherSnake = null, passThrough = false) {
+        return this.getCrashCause(snake, otherSnake, passThrough) !== null;
+    }
+
+    // What a snake ran into: 'wall', 'obstacle', 'self', 'opponent', or null
+    getCrashCause(snake, otherSnake = null, passThrough = false) {
+        const head = snake.getPosition();
+        if (snake.checkWallCollision()) {
+            return 'wall';
+        }
+        if (this.isObstacle(head)) {
+            return 'obstacle';
+        }
+        if (!passThrough && snake.checkSelfCollision()) {
+            return 'self';
         }
+        if (otherSnake && otherSnake.getSegments().some(segment => segment.x === head.x && segment.y === head.y)) {
+            return 'opponent';
+        }
+        return null;
     }
 
-    consumeFood() {
+    // Advance the simulation by exactly one snake move, ignoring the clock.
+    // Returns true if a move was performed.
+    step() {
+        if (this.gameState !== 'playing') {
+            return false;
+        }
+        
+        this.updateSnake();
+        return true;
+    }
+
+    // Advance up to n moves, stopping early if the game ends.
+    // Returns the number of moves performed.
+    tick(n = 1) {
+        let moves = 0;
+        while (moves < n && this.step()) {
+            moves++;
+        }
+        return moves;
+    }
+
+    // player 2 is the second snake (versus opponent or rival)
+    consumeFood(index = 0, player = 1) {
         // Consume the food
-        const consumedFood = this.food.consume();
+        const consumedFood = this.foods[index].consume();
+        const foodType = getFoodType(consumedFood.type);
+        const snake = player === 2 ? this.opponent.snake : this.snake;
         
-        // Grow the snake
-        this.snake.grow();
+        // Grow the snake (poison shrinks it instead)
+        if (foodType.growth >= 0) {
+            for (let i = 0; i < foodType.growth; i++) {
+                snake.grow();
+            }
+        } else {
+            snake.shrink(-foodType.growth);
+        }
         
         // Update score based on food type and difficulty
-        this.incrementScore(consumedFood);
+        this.incrementScore(consumedFood, player);
+        this.emitEvent('foodEaten', {
+            type: consumedFood.type,
+            position: consumedFood.position,
+            player,
+            score: player === 2 ? this.opponent.score : this.score
+        });
         
-        // Spawn new food
-        this.spawnFood();
-    }
-
-    incrementScore(consumedFood) {
-        // Base score for consuming food
-        let scoreIncrement = 10;
+        // The pace is shared, so the rival's food must not set it; in versus
+        // either player's food changes the pace for both
+        const rivalAte = player === 2 && this.opponent.controller;
+        if (foodType.speedEffect && !rivalAte) {
+            this.speedEffect = { factor: foodType.speedEffect.factor, ticksLeft: foodType.speedEffect.duration };
+            this.updateGameSpeed();
+        }
+        
+        // Timed modes reward food with extra time (poison is worth none)
+        if (this.timeLeft !== null && foodType.scoreMultiplier > 0) {
+            const mode = getGameMode(this.mode);
+            this.timeLeft = Math.min(this.timeLeft + mode.timePerFood, mode.maxTime || Infinity);
+        }
         
-        // Bonus points based on difficulty level
-        scoreIncrement += (this.difficulty - 1) * 5;
+        // Spawn new food in the same slot
+        this.spawnFood(index);
         
-        // Special food types could give more points (for future enhancement)
-        if (consumedFood && consumedFood.type === 'special') {
-            scoreIncrement *= 2;
+        if (player === 2) {
+            this.opponent.foodEaten++;
+            return;
+        }
+        this.foodEaten++;
+        
+        // Eating may reach a goal (a level's, for one)
+        this.finishIfOver();
+    }
+    
+    // End the game if the mode says it is decided
+    finishIfOver() {
+        const outcome = getModeRules(this.mode).checkOutcome(this);
+        if (!outcome) {
+            return false;
+        }
+        
+        this.outcome = outcome;
+        this.levelComplete = outcome === 'levelComplete';
+        this.timeUp = outcome === 'timeUp';
+        this.gameOver();
+        return true;
+    }
+
+    incrementScore(consumedFood, player = 1) {
+        // The mode's points for the food, then the score multiplier power-up
+        // (power-ups are the player's, so the rival's points are never multiplied)
+        let scoreIncrement = getModeRules(this.mode).scoreFood(this, consumedFood || null, player);
+        if (player === 1) {
+            scoreIncrement *= this.powerUpEffects.getScoreMultiplier();
         }
         
         // Update current score
-        this.score += scoreIncrement;
+        if (player === 2) {
+            this.opponent.score += scoreIncrement;
+        } else {
+            this.score += scoreIncrement;
+        }
         
         // Check and update high score
         this.updateHighScore();
         
-        // Trigger score change callback
-        if (this.onScoreChange) {
-            this.onScoreChange(this.score);
-        }
+        this.emitEvent('scoreChange', { score: player === 2 ? this.opponent.score : this.score, player });
+    }
+
+    // Versus keeps the best score of either player; the rival's score never counts
+    getBestScore() {
+        return this.opponent && !this.opponent.controller ? Math.max(this.score, this.opponent.score) : this.score;
     }
 
     updateHighScore() {
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
+        if (this.autopilotUsed) {
+            return;
+        }
+        
+        if (this.getBestScore() > this.highScore) {
+            this.highScore = this.getBestScore();
             
-            // Trigger high score change callback
-            if (this.onHighScoreChange) {
-                this.onHighScoreChange(this.highScore);
-            }
+            this.emitEvent('highScoreChange', { highScore: this.highScore });
         }
     }
 
-    spawnFood() {
-        if (!this.snake || !this.food) {
+    // (Re)place the food item in one slot
+    spawnFood(index = 0) {
+        const food = this.foods[index];
+        if (!this.snake || !food) {
             return;
         }
 
-        // Get snake segments to avoid placing food on snake
-        const snakeSegments = this.snake.getSegments();
-        const excludePositions = snakeSegments;
+        // Get snake segments, obstacles, the other food items and any power-up to avoid placing food on them
+        const snakeSegments = this.getSnakeCells();
+        const otherFood = this.foods
+            .filter((other, otherIndex) => otherIndex !== index && other.getPosition())
+            .map(other => other.getPosition());
+        const excludePositions = snakeSegments.concat(this.obstacles, otherFood);
+        if (this.powerUp) {
+            excludePositions.push(this.powerUp.position);
+        }
         
-        // Use adaptive food placement if AI engine is available
-        this.food.spawn(null, excludePositions);
+        // With several items the AI mixes placement strategies across the slots
+        const previousStrategy = this.aiEngine.getFoodPlacementStrategy();
+        const strategy = this.foods.length > 1 ? this.aiEngine.getFoodPlacementMix(this.foods.length)[index] : null;
+        food.spawn(this.aiEngine.suggestFoodPlacement(excludePositions, strategy), excludePositions);
+        
+        if (this.aiEngine.getFoodPlacementStrategy() !== previousStrategy) {
+            this.emitEvent('aiStrategyChange', { strategy: this.aiEngine.getFoodPlacementStrategy(), previous: previousStrategy });
+        }
+        if (food.getPosition()) {
+            this.emitEvent('foodSpawned', { index, type: food.type, position: food.getPosition() });
+        }
+    }
+
+    // Every cell covered by a snake (both of them in versus and rival mode)
+    getSnakeCells() {
+        const cells = this.snake.getSegments();
+        return this.getOpponentSnake() ? cells.concat(this.getOpponentSnake().getSegments()) : cells;
+    }
+
+    // Place a power-up on a random free cell; without a type the AI engine picks one
+    spawnPowerUp(type = null) {
+        if (!this.snake) {
+            return;
+        }
+        
+        const foodPositions = this.foods.filter(food => food.getPosition()).map(food => food.getPosition());
+        const excludePositions = this.getSnakeCells().concat(this.obstacles, foodPositions);
+        
+        const powerUpType = type || this.aiEngine.suggestPowerUpType();
+        const position = this.aiEngine.suggestFoodPlacement(excludePositions, 'random');
+        // On a crowded board the placement can fall back to a taken cell; no power-up then
+        if (!position || excludePositions.some(cell => cell.x === position.x && cell.y === position.y)) {
+            return;
+        }
+        
+        this.powerUp = {
+            type: powerUpType,
+            position,
+            ticksLeft: POWER_UP_LIFETIME
+        };
+    }
+
+    collectPowerUp() {
+        this.powerUpEffects.activate(this.powerUp.type);
+        this.powerUp = null;
+        
+        // Slow motion takes effect from the next move
+        this.updateGameSpeed();
+    }
+
+    // Once per move: effects wear off, an uncollected power-up ages and, after the
+    // opening moves, the AI engine decides whether a new one appears
+    updatePowerUps() {
+        const expired = this.powerUpEffects.tick();
+        if (expired.includes('slowMotion')) {
+            this.updateGameSpeed();
+        }
+        
+        if (this.powerUp && --this.powerUp.ticksLeft <= 0) {
+            this.powerUp = null;
+        }
+        
+        if (!this.powerUp && getGameMode(this.mode).powerUps && this.tickCount > POWER_UP_GRACE_TICKS &&
+            this.aiEngine.shouldSpawnPowerUp()) {
+            this.spawnPowerUp();
+        }
+    }
+
+    // Timed modes: every move uses up one move interval of the budget
+    updateTimer() {
+        if (this.timeLeft === null) {
+            return;
+        }
+        
+        // Running out is an outcome the mode checks (see finishIfOver)
+        this.timeLeft = Math.max(0, this.timeLeft - this.moveInterval);
+    }
+
+    // Food magnet: food near the head drifts one cell towards it, if that cell is free
+    applyMagnet() {
+        const head = this.snake.getPosition();
+        const wrap = this.boardMode === 'wrap';
+        const board = { wrap, width: this.canvasWidth, height: this.canvasHeight };
+        
+        // Shortest signed offset along one axis (around the edge on wrap boards)
+        const offset = (from, to, size) => {
+            let delta = to - from;
+            if (wrap && Math.abs(delta) > size / 2) {
+                delta -= Math.sign(delta) * size;
+            }
+            return delta;
+        };
+        
+        this.foods.forEach(food => {
+            const position = food.getPosition();
+            if (!position || boardDistance(position, head, board) > MAGNET_RANGE * this.gridSize) {
+                return;
+            }
+            
+            const dx = offset(position.x, head.x, this.canvasWidth);
+            const dy = offset(position.y, head.y, this.canvasHeight);
+            if (dx === 0 && dy === 0) {
+                return;
+            }
+            
+            let target = Math.abs(dx) >= Math.abs(dy)
+                ? { x: position.x + Math.sign(dx) * this.gridSize, y: position.y }
+                : { x: position.x, y: position.y + Math.sign(dy) * this.gridSize };
+            if (wrap) {
+                target = wrapPosition(target, this.canvasWidth, this.canvasHeight);
+            }
+            
+            // The head itself is fair game: the food is eaten this move
+            const blocked = this.getSnakeCells().slice(1).concat(
+                this.obstacles,
+                this.foods.filter(other => other !== food && other.getPosition()).map(other => other.getPosition()),
+                this.powerUp ? [this.powerUp.position] : []
+            );
+            if (!blocked.some(cell => cell.x === target.x && cell.y === target.y)) {
+                food.moveTo(target);
+            }
+        });
     }
 
     gameOver() {
-        this.gameState = 'gameOver';
+        this.setGameState('gameOver');
         this.stopGameLoop();
         
         // Final high score check (in case it wasn't updated during the last food consumption)
@@ -259,28 +913,46 @@ export class GameEngine {
         // End game session tracking and update difficulty
         if (this.aiEngine) {
             this.aiEngine.endGameSession(this.score);
+            if (this.opponent) {
+                this.opponent.aiEngine.endGameSession(this.opponent.score);
+            }
             
             // Update difficulty based on performance
             const newDifficulty = this.aiEngine.getCurrentDifficulty();
             if (newDifficulty !== this.difficulty) {
                 this.difficulty = newDifficulty;
                 this.updateGameSpeed(); // Update speed when difficulty changes
-                if (this.onDifficultyChange) {
-                    this.onDifficultyChange(this.difficulty);
-                }
+                this.emitEvent('difficultyChange', { difficulty: this.difficulty });
             }
         }
         
-        if (this.onGameOver) {
-            this.onGameOver({
-                finalScore: this.score,
-                highScore: this.highScore,
-                isNewHighScore: this.score === this.highScore && this.score > 0
-            });
-        }
+        this.emitEvent('gameOver', this.getResult());
+    }
+
+    // What the game over event reports (and ModeRules.describeResult reads)
+    getResult() {
+        return {
+            finalScore: this.score,
+            highScore: this.highScore,
+            // Only beating the old high score counts; a tie keeps the existing best run
+            isNewHighScore: !this.autopilotUsed && this.getBestScore() > this.previousHighScore,
+            levelComplete: this.levelComplete,
+            winner: this.winner,
+            opponentScore: this.opponent ? this.opponent.score : null,
+            mode: this.mode,
+            timeUp: this.timeUp,
+            foodEaten: this.foodEaten,
+            crashCause: this.crashCause,
+            outcome: this.outcome,
+            autopilot: this.autopilotUsed
+        };
     }
 
     render() {
+        if (this.headless) {
+            return;
+        }
+        
         if (!this.renderer) {
             // Fallback to basic rendering if renderer not available
             this.ctx.fillStyle = '#000000';
@@ -302,18 +974,54 @@ export class GameEngine {
         // Draw background with adaptive intensity
         this.renderer.drawBackground(visualIntensity);
         
+        if (this.boardMode === 'wrap') {
+            this.renderer.drawWrapEdges();
+        }
+        
+        this.renderer.drawObstacles(this.obstacles);
+        
         // Draw game entities if in gameplay state
         if (this.gameState !== 'menu') {
+            // Ghost goes underneath everything else
+            if (this.ghost) {
+                this.renderer.drawGhostSnake(this.ghost.getSegments());
+            }
+            
             if (this.snake) {
                 this.renderer.drawSnake(this.snake, visualIntensity);
             }
             
-            if (this.food && this.food.getPosition()) {
-                this.renderer.drawFood(this.food);
+            if (this.getOpponentSnake()) {
+                this.renderer.drawSnake(this.opponent.snake, visualIntensity, 2);
+            }
+            
+            this.foods.forEach(food => {
+                if (food.getPosition()) {
+                    this.renderer.drawFood(food);
+                }
+            });
+            
+            if (this.powerUp) {
+                this.renderer.drawPowerUp(this.powerUp);
+            }
+            
+            if (this.showHints && this.gameState !== 'gameOver') {
+                this.renderer.drawHintPath(this.getHint());
             }
             
             // Update HUD
-            this.renderer.drawHUD(this.score, this.highScore, this.difficulty);
+            this.renderer.drawHUD(this.score, this.highScore, this.difficulty, this.powerUpEffects.getActive());
+            
+            // Scores of both snakes, the clock and whatever else the mode shows
+            getModeRules(this.mode).drawHud(this, this.renderer);
+            
+            if (this.ghost) {
+                this.renderer.drawGhostComparison(this.ghost.compare(this.score), this.ghost.isFinished());
+            }
+            
+            if (this.level) {
+                this.renderer.drawLevelStatus(this.level.name, formatGoalProgress(this.level.goals, this.getLevelProgress()));
+            }
         }
         
         // Render game state text overlay
@@ -327,26 +1035,42 @@ export class GameEngine {
         
         const head = this.snake.getPosition();
         const segments = this.snake.getSegments();
+        const wrap = this.boardMode === 'wrap';
         let dangerLevel = 0;
         
-        // Check proximity to walls
-        const wallDistance = Math.min(
-            head.x / this.gridSize,
-            head.y / this.gridSize,
-            (this.canvasWidth - head.x - this.gridSize) / this.gridSize,
-            (this.canvasHeight - head.y - this.gridSize) / this.gridSize
-        );
+        // Check proximity to walls (wrap-around boards have none)
+        if (!wrap) {
+            const wallDistance = Math.min(
+                head.x / this.gridSize,
+                head.y / this.gridSize,
+                (this.canvasWidth - head.x - this.gridSize) / this.gridSize,
+                (this.canvasHeight - head.y - this.gridSize) / this.gridSize
+            );
+            
+            if (wallDistance <= 1) {
+                dangerLevel = Math.max(dangerLevel, 0.8);
+            } else if (wallDistance <= 2) {
+                dangerLevel = Math.max(dangerLevel, 0.4);
+            }
+        }
         
-        if (wallDistance <= 1) {
-            dangerLevel = Math.max(dangerLevel, 0.8);
-        } else if (wallDistance <= 2) {
-            dangerLevel = Math.max(dangerLevel, 0.4);
+        // Obstacle tiles are as dangerous as walls
+        const board = { wrap, width: this.canvasWidth, height: this.canvasHeight };
+        for (const obstacle of this.obstacles) {
+            const distance = boardDistance(head, obstacle, board);
+            
+            if (distance <= this.gridSize) {
+                dangerLevel = Math.max(dangerLevel, 0.8);
+                break;
+            } else if (distance <= this.gridSize * 2) {
+                dangerLevel = Math.max(dangerLevel, 0.4);
+            }
         }
         
         // Check proximity to self (body segments)
         for (let i = 1; i < segments.length; i++) {
             const segment = segments[i];
-            const distance = Math.abs(head.x - segment.x) + Math.abs(head.y - segment.y);
+            const distance = boardDistance(head, segment, board);
             
             if (distance <= this.gridSize) {
                 dangerLevel = Math.max(dangerLevel, 1.0);
@@ -380,16 +1104,23 @@ export class GameEngine {
                 this.ctx.fillText('PAUSED', centerX, centerY - 20);
                 this.ctx.fillText('Press SPACE or ESC to resume', centerX, centerY + 20);
                 break;
-            case 'gameOver':
-                this.ctx.fillText('Game Over', centerX, centerY - 60);
-                this.ctx.fillText(`Final Score: ${this.score}`, centerX, centerY - 20);
-                if (this.score === this.highScore && this.score > 0) {
+            case 'gameOver': {
+                const result = getModeRules(this.mode).describeResult(this.getResult());
+                this.ctx.fillText(result.title, centerX, centerY - 60);
+                this.ctx.fillText(`Final Score: ${result.scores}`, centerX, centerY - 20);
+                // Two players on one keyboard play for the win, not for high scores
+                if (getGameMode(this.mode).opponent === 'keyboard') {
+                    this.ctx.fillText('Press ENTER or SPACE to restart', centerX, centerY + 60);
+                    break;
+                }
+                if (this.getResult().isNewHighScore) {
                     this.ctx.fillText('NEW HIGH SCORE!', centerX, centerY + 20);
                 } else if (this.highScore > 0) {
                     this.ctx.fillText(`High Score: ${this.highScore}`, centerX, centerY + 20);
                 }
                 this.ctx.fillText('Press ENTER or SPACE to restart', centerX, centerY + 60);
                 break;
+            }
         }
         
 
@@ -397,124 +1128,487 @@ export class GameEngine {
 
 
 
+    // Single entry point for direction changes, so every turn lands in the replay
+    // (player 2 steers the versus opponent; the rival steers itself).
+    // Turns the input queue drops are not recorded.
+    handleDirectionInput(direction, player = 1) {
+        if (this.gameState !== 'playing') {
+            return;
+        }
+        
+        if (player === 2) {
+            if (!this.opponent || this.opponent.controller ||
+                !this.opponent.inputQueue.push(direction, this.opponent.snake.direction)) {
+                return;
+            }
+            this.replayInputs.push({ tick: this.tickCount, direction, player: 2 });
+            return;
+        }
+        
+        if (this.inputQueue.push(direction, this.snake.direction)) {
+            this.replayInputs.push({ tick: this.tickCount, direction });
+        }
+    }
+
+    // Keys steer nobody while a controller has the player's snake
+    handleKeyDirection(direction, player = 1) {
+        if (player === 1 && this.controller) {
+            return;
+        }
+        this.handleDirectionInput(direction, player);
+    }
+
+    /**
+     * Handle a key press through the key bindings (see keyBindings.js)
+     * @param {string} key - KeyboardEvent.key
+     */
     handleInput(key) {
+        // A key may stand for actions in different states (Space pauses and
+        // starts); the first one that applies right now wins
+        this.keyBindings.getActions(key).some(action => this.handleAction(action));
+    }
+
+    /**
+     * Perform a game action, whatever key, button or gesture asked for it
+     * @param {string} action - An id from KEY_ACTIONS
+     * @returns {boolean} - false if the action does nothing in the current state
+     */
+    handleAction(action) {
+        const definition = KEY_ACTIONS[action];
+        if (!definition) {
+            return false;
+        }
+
         if (this.gameState === 'playing') {
-            // Handle directional input
-            switch (key) {
-                case 'ArrowUp':
-                case 'w':
-                case 'W':
-                    this.pendingDirection = 'up';
-                    break;
-                case 'ArrowDown':
-                case 's':
-                case 'S':
-                    this.pendingDirection = 'down';
-                    break;
-                case 'ArrowLeft':
-                case 'a':
-                case 'A':
-                    this.pendingDirection = 'left';
-                    break;
-                case 'ArrowRight':
-                case 'd':
-                case 'D':
-                    this.pendingDirection = 'right';
-                    break;
-                case ' ':
-                case 'Escape':
-                    this.togglePause();
-                    break;
+            if (definition.direction) {
+                // In versus the second set of movement keys steers player 2
+                const player = definition.player === 2 && this.opponent && !this.opponent.controller ? 2 : 1;
+                this.handleKeyDirection(definition.direction, player);
+                return true;
+            }
+            if (action === 'pause' || action === 'back') {
+                this.togglePause();
+                return true;
             }
         } else if (this.gameState === 'paused') {
-            // Handle pause state input
-            switch (key) {
-                case ' ':
-                case 'Escape':
-                    this.togglePause();
-                    break;
+            if (action === 'pause' || action === 'back') {
+                this.togglePause();
+                return true;
             }
         } else if (this.gameState === 'gameOver' || this.gameState === 'menu') {
-            // Handle game over/menu state input
-            switch (key) {
-                case 'Enter':
-                case ' ':
-                    this.start();
-                    break;
+            if (action === 'start') {
+                this.start();
+                return true;
             }
         }
+        return false;
+    }
+
+    setKeyBindings(bindings) {
+        this.keyBindings.setBindings(bindings);
+    }
+
+    getKeyBindings() {
+        return this.keyBindings;
     }
 
     loadSavedData(data) {
         if (data && typeof data === 'object') {
-            if (typeof data.highScore === 'number' && data.highScore >= 0) {
+            // The saved high score belongs to the mode and board setup that were being played
+            const sameSetup = !data.setup || getBoardSetupId(data.setup) === getBoardSetupId(this.getSetup());
+            if (typeof data.highScore === 'number' && data.highScore >= 0 && (data.mode || 'endless') === this.mode && sameSetup) {
                 this.highScore = data.highScore;
                 
-                // Trigger high score change callback to update UI
-                if (this.onHighScoreChange) {
-                    this.onHighScoreChange(this.highScore);
-                }
+                this.emitEvent('highScoreChange', { highScore: this.highScore });
             }
             
             // Load other saved data if available
             if (typeof data.difficulty === 'number' && data.difficulty >= 1 && data.difficulty <= 10) {
                 this.difficulty = data.difficulty;
                 
-                if (this.onDifficultyChange) {
-                    this.onDifficultyChange(this.difficulty);
-                }
+                this.emitEvent('difficultyChange', { difficulty: this.difficulty });
             }
             
             // Load AI behavior data if available
-            if (data.aiBehaviorData && this.aiEngine) {
+            if (data.aiBehaviorData) {
+                this.ensureComponents();
                 this.aiEngine.loadBehaviorData(data.aiBehaviorData);
             }
+            if (data.playerTwoBehaviorData) {
+                this.ensurePlayerTwoAI().loadBehaviorData(data.playerTwoBehaviorData);
+            }
         }
     }
 
+    // Replay of the current (or most recently finished) game
+    getReplay() {
+        if (!this.replayHeader) {
+            return null;
+        }
+        
+        return {
+            seed: this.replayHeader.seed,
+            config: this.replayHeader.config,
+            inputs: this.replayInputs.map(input => ({ ...input })),
+            totalTicks: this.tickCount,
+            finalScore: this.score
+        };
+    }
+
+    // Reset this engine to the starting conditions of a recorded game.
+    // The caller feeds the recorded inputs back through handleDirectionInput() and step().
+    beginReplay(replay) {
+        this.stopGameLoop();
+        
+        this.applyLevel(replay.config.level || null);
+        this.ensureComponents();
+        this.aiEngine.restoreSessionSnapshot(replay.config.ai);
+        this.boardMode = replay.config.boardMode || 'walls';
+        this.mode = GAME_MODE_IDS.includes(replay.config.mode) ? replay.config.mode : 'endless';
+        this.foodCount = replay.config.foodCount || 1;
+        
+        this.initializeGame(replay.seed);
+        this.setGameState('playing');
+    }
+
+    // Race a recorded run from the next game on; null removes the ghost right away.
+    // A new ghost never joins a game in progress because it would be on a different seed.
+    setGhost(ghost) {
+        this.nextGhost = ghost;
+        if (!ghost) {
+            this.ghost = null;
+        }
+    }
+
+    // Hand the player's snake to a controller (null gives it back to the keyboard).
+    // Can be switched mid-game. Returns false if the object is not a controller.
+    setController(controller) {
+        if (controller !== null && !isController(controller)) {
+            console.warn('Controllers need a nextDirection(observation) method');
+            return false;
+        }
+        
+        this.controller = controller;
+        return true;
+    }
+
+    getController() {
+        return this.controller;
+    }
+
+    // Let the solver play
+    setAutopilot(enabled) {
+        this.setController(enabled ? new SolverController() : null);
+    }
+
+    isAutopilotEnabled() {
+        return this.controller instanceof SolverController;
+    }
+
+    // The controller's next direction, or null for none. A controller that
+    // throws or answers nonsense just lets the snake carry on.
+    askController() {
+        try {
+            const direction = this.controller.nextDirection(this.getObservation());
+            return Object.prototype.hasOwnProperty.call(OPPOSITE_DIRECTIONS, direction) ? direction : null;
+        } catch (error) {
+            console.warn('Controller failed to choose a direction:', error);
+            return null;
+        }
+    }
+
+    // Read-only picture of the game for controllers, in grid cells (see Observation in controllers.js)
+    getObservation() {
+        const view = this.getCellView(this.snake, this.getOpponentSnake());
+        const toCell = position => ({ x: position.x / this.gridSize, y: position.y / this.gridSize });
+        const opponentSnake = this.getOpponentSnake();
+        
+        return freezeObservation({
+            tick: this.tickCount,
+            mode: this.mode,
+            grid: { ...view.board, obstacles: view.obstacles },
+            snake: { segments: view.snake, direction: this.snake.direction, length: view.snake.length },
+            opponent: opponentSnake ? { segments: view.opponent, direction: opponentSnake.direction } : null,
+            foods: this.foods
+                .filter(food => food.getPosition())
+                .map(food => ({ ...toCell(food.getPosition()), type: food.getType() })),
+            powerUp: this.powerUp ? { ...toCell(this.powerUp.position), type: this.powerUp.type } : null,
+            score: this.score,
+            difficulty: this.difficulty,
+            timeLeft: this.timeLeft
+        });
+    }
+
+    // Draw the solver's recommended next moves over the board
+    setHints(enabled) {
+        this.showHints = Boolean(enabled);
+    }
+
+    // Cells the solver would move the head through next, worked out once per move
+    getHint() {
+        if (!this.snake) {
+            return [];
+        }
+        
+        if (!this.hint || this.hint.tick !== this.tickCount) {
+            this.hint = { tick: this.tickCount, cells: planMoves(this.getCellView(this.snake, this.getOpponentSnake())) };
+        }
+        return this.hint.cells;
+    }
+
+    getGhost() {
+        return this.ghost;
+    }
+
     setHighScore(newHighScore) {
         if (typeof newHighScore === 'number' && newHighScore >= 0) {
             this.highScore = newHighScore;
             
-            // Trigger high score change callback
-            if (this.onHighScoreChange) {
-                this.onHighScoreChange(this.highScore);
-            }
+            this.emitEvent('highScoreChange', { highScore: this.highScore });
         }
     }
 
     resetHighScore() {
         this.highScore = 0;
         
-        // Trigger high score change callback
-        if (this.onHighScoreChange) {
-            this.onHighScoreChange(this.highScore);
-        }
+        this.emitEvent('highScoreChange', { highScore: this.highScore });
     }
 
+    // Full snapshot of the game (see GameSnapshot in types.js).
+    // Everything needed to resume a game exactly where it left off.
     getGameData() {
         const gameData = {
             highScore: this.highScore,
-            score: this.score,
+            score: { current: this.score, high: this.highScore },
+            previousHighScore: this.previousHighScore,
             difficulty: this.difficulty,
-            gameState: this.gameState
+            gameState: this.gameState,
+            gameStatus: this.gameState,
+            mode: this.mode,
+            timeLeft: this.timeLeft,
+            boardMode: this.boardMode,
+            level: this.level,
+            modeState: this.modeState === null ? null : JSON.parse(JSON.stringify(this.modeState)),
+            boardSize: this.getBoardSize(),
+            setup: this.getSetup(),
+            foodEaten: this.foodEaten,
+            speedEffect: this.speedEffect ? { ...this.speedEffect } : null,
+            snake: this.snake ? this.snake.getState() : null,
+            food: this.foods.length > 0 ? this.foods[0].getState() : null,
+            foods: this.foods.map(food => food.getState()),
+            foodCount: this.foodCount,
+            powerUp: this.powerUp ? { ...this.powerUp, position: { ...this.powerUp.position } } : null,
+            powerUpEffects: this.powerUpEffects.getState(),
+            opponent: this.opponent ? {
+                snake: this.opponent.snake.getState(),
+                score: this.opponent.score,
+                foodEaten: this.opponent.foodEaten,
+                inputQueue: this.opponent.inputQueue.getTurns(),
+                aiSession: this.opponent.aiEngine.getSessionSnapshot(),
+                alive: this.opponent.alive,
+                respawnTicks: this.opponent.respawnTicks
+            } : null,
+            moveInterval: this.moveInterval,
+            inputQueue: this.inputQueue.getTurns(),
+            autopilotUsed: this.autopilotUsed,
+            tickCount: this.tickCount,
+            seed: this.seed,
+            randomState: this.random.getState()
         };
         
+        if (this.replayHeader) {
+            gameData.replay = { header: this.replayHeader, inputs: this.replayInputs.map(input => ({ ...input })) };
+        }
+        
         // Include AI behavior data if available
         if (this.aiEngine) {
             gameData.aiBehaviorData = this.aiEngine.getBehaviorData();
+            gameData.aiSession = this.aiEngine.getSessionSnapshot();
+        }
+        if (this.playerTwoAiEngine) {
+            gameData.playerTwoBehaviorData = this.playerTwoAiEngine.getBehaviorData();
         }
         
         return gameData;
     }
 
+    // Resume a game from a getGameData() snapshot. The game comes back paused.
+    // Returns false if the snapshot does not describe a game in progress.
+    restoreGameData(data) {
+        if (!data || !['playing', 'paused'].includes(data.gameStatus) ||
+            !data.snake || !Array.isArray(data.snake.segments) || data.snake.segments.length === 0 ||
+            !data.food || !data.score) {
+            return false;
+        }
+        
+        this.stopGameLoop();
+        // An arena game goes on at the size it was started at
+        const boardSize = resolveBoardSize(data.boardSize);
+        if (boardSize) {
+            this.applyBoardSize(boardSize);
+        }
+        this.applyLevel(data.level || null);
+        this.ensureComponents();
+        
+        if (data.aiSession) {
+            this.aiEngine.restoreSessionSnapshot(data.aiSession);
+        }
+        
+        // Continue the random sequence exactly where it stopped
+        this.seed = data.seed;
+        this.random.setState(data.randomState);
+        
+        this.score = data.score.current;
+        this.highScore = Math.max(this.highScore, data.score.high);
+        // Older snapshots lack it; their saved high score is the safe stand-in
+        this.previousHighScore = typeof data.previousHighScore === 'number' ? data.previousHighScore : data.score.high;
+        this.difficulty = data.difficulty;
+        this.moveInterval = data.moveInterval || this.calculateMoveInterval(this.difficulty);
+        this.inputQueue.restore(this.getSavedTurns(data));
+        this.tickCount = data.tickCount || 0;
+        this.autopilotUsed = Boolean(data.autopilotUsed);
+        this.hint = null;
+        this.foodEaten = data.foodEaten || 0;
+        this.speedEffect = data.speedEffect ? { ...data.speedEffect } : null;
+        this.powerUp = data.powerUp && getPowerUpType(data.powerUp.type)
+            ? { ...data.powerUp, position: { ...data.powerUp.position } }
+            : null;
+        this.powerUpEffects.restoreState(data.powerUpEffects);
+        this.mode = GAME_MODE_IDS.includes(data.mode) ? data.mode : 'endless';
+        this.timeLeft = typeof data.timeLeft === 'number' ? data.timeLeft : getGameMode(this.mode).timeLimit;
+        this.timeUp = false;
+        this.outcome = null;
+        this.modeState = data.modeState === undefined ? null : JSON.parse(JSON.stringify(data.modeState));
+        this.levelComplete = false;
+        this.lastMoveTime = 0;
+        
+        this.boardMode = BOARD_MODES.includes(data.boardMode) ? data.boardMode : 'walls';
+        this.aiEngine.setBoardMode(this.boardMode);
+        this.snake = this.createSnake();
+        this.snake.restoreState(data.snake);
+        this.opponent = null;
+        this.winner = null;
+        if (getGameMode(this.mode).players === 2 && data.opponent && data.opponent.snake) {
+            this.opponent = this.createOpponent();
+            this.opponent.snake.restoreState(data.opponent.snake);
+            this.opponent.score = data.opponent.score || 0;
+            this.opponent.foodEaten = data.opponent.foodEaten || 0;
+            this.opponent.inputQueue.restore(this.getSavedTurns(data.opponent));
+            this.opponent.alive = data.opponent.alive !== false;
+            this.opponent.respawnTicks = data.opponent.respawnTicks || 0;
+            if (data.opponent.aiSession) {
+                this.opponent.aiEngine.restoreSessionSnapshot(data.opponent.aiSession);
+            }
+        }
+        this.setFoodCount(data.foodCount);
+        this.foods = (Array.isArray(data.foods) ? data.foods : [data.food]).map(state => {
+            const food = new Food(this.gridSize, this.canvasWidth, this.canvasHeight, this.aiEngine, this.random);
+            food.restoreState(state);
+            return food;
+        });
+        
+        // Keep recording into the same replay so the whole game stays watchable
+        if (data.replay) {
+            this.replayHeader = data.replay.header;
+            this.replayInputs = data.replay.inputs.map(input => ({ ...input }));
+        } else {
+            this.replayHeader = null;
+            this.replayInputs = [];
+        }
+        
+        // Only resume a ghost race if the ghost is on this game's seed
+        this.ghost = this.nextGhost && this.nextGhost.getSeed() === this.seed ? this.nextGhost : null;
+        if (this.ghost) {
+            this.ghost.syncTo(this.tickCount);
+        }
+        
+        this.aiEngine.startGameSession();
+        this.setGameState('paused');
+        
+        this.emitEvent('scoreChange', { score: this.score, player: 1 });
+        this.emitEvent('highScoreChange', { highScore: this.highScore });
+        this.emitEvent('difficultyChange', { difficulty: this.difficulty });
+        
+        return true;
+    }
+
+    // Queued turns in a snapshot; older snapshots held a single pendingDirection
+    getSavedTurns(data) {
+        if (Array.isArray(data.inputQueue)) {
+            return data.inputQueue;
+        }
+        return data.pendingDirection ? [data.pendingDirection] : [];
+    }
+
     // Getter methods for accessing game entities
     getSnake() {
         return this.snake;
     }
 
+    // Player one's turns waiting for the next moves, soonest first
+    getInputQueue() {
+        return this.inputQueue.getTurns();
+    }
+
+    // First food item (the only one unless more are configured)
     getFood() {
-        return this.food;
+        return this.foods[0] || null;
+    }
+
+    getFoods() {
+        return [...this.foods];
+    }
+
+    // Rule set for the next game; only changes between games
+    setMode(mode) {
+        if (!GAME_MODE_IDS.includes(mode) || this.gameState === 'playing' || this.gameState === 'paused') {
+            return false;
+        }
+        this.mode = mode;
+        return true;
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    // Ms left on the clock, or null when the mode has none
+    getTimeLeft() {
+        return this.timeLeft;
+    }
+
+    // Power-up waiting on the grid ({ type, position, ticksLeft }), or null
+    getPowerUp() {
+        return this.powerUp ? { ...this.powerUp, position: { ...this.powerUp.position } } : null;
+    }
+
+    getPowerUpEffects() {
+        return this.powerUpEffects;
+    }
+
+    // Second snake ({ snake, score, foodEaten, inputQueue, aiEngine, controller, alive, respawnTicks }), or null
+    getOpponent() {
+        return this.opponent;
+    }
+
+    // Player who won the last two-snake game (1 or 2), null for a draw or a one-snake game
+    getWinner() {
+        return this.winner;
+    }
+
+    // Food items per game from the next game on (1 to MAX_FOOD_ITEMS)
+    setFoodCount(count) {
+        if (!Number.isInteger(count) || count < 1 || count > MAX_FOOD_ITEMS ||
+            this.gameState === 'playing' || this.gameState === 'paused') {
+            return false;
+        }
+        this.foodCount = count;
+        return true;
+    }
+
+    // Items actually used: a level's own food count wins over the setting
+    getFoodCount() {
+        return this.level && this.level.foodCount ? this.level.foodCount : this.foodCount;
     }
 
     getScore() {
@@ -533,6 +1627,156 @@ export class GameEngine {
         return this.gameState;
     }
 
+    getSeed() {
+        return this.seed;
+    }
+
+    // Select 'walls' or 'wrap' for the next game. Cannot change mid-game.
+    setBoardMode(mode) {
+        if (!BOARD_MODES.includes(mode) || this.gameState === 'playing' || this.gameState === 'paused') {
+            return false;
+        }
+        this.boardMode = mode;
+        return true;
+    }
+
+    getBoardMode() {
+        return this.boardMode;
+    }
+
+    // Play a decoded level (see level.js) from the next game on; null returns to the open arena.
+    // Cannot change mid-game. The level's board mode becomes the current board mode.
+    setLevel(level) {
+        if (this.gameState === 'playing' || this.gameState === 'paused') {
+            return false;
+        }
+        this.applyLevel(level);
+        return true;
+    }
+
+    getLevel() {
+        return this.level;
+    }
+
+    applyLevel(level) {
+        this.level = level || null;
+        
+        if (this.level) {
+            this.boardMode = this.level.board.mode;
+            this.obstacles = this.level.obstacles.map(cell => ({ x: cell.x * this.gridSize, y: cell.y * this.gridSize }));
+            this.resizeBoard(this.level.board.width * this.gridSize, this.level.board.height * this.gridSize);
+        } else {
+            this.obstacles = [];
+            this.resizeBoard(this.defaultBoard.canvasWidth, this.defaultBoard.canvasHeight);
+        }
+        
+        this.obstacleKeys = new Set(this.obstacles.map(obstacle => `${obstacle.x},${obstacle.y}`));
+    }
+
+    // Arena size for games without a level: a BOARD_SIZES preset id or
+    // { preset: 'custom', columns, rows } (see board.js). Cannot change mid-game.
+    setBoardSize(size) {
+        const resolved = resolveBoardSize(size);
+        if (!resolved || this.gameState === 'playing' || this.gameState === 'paused') {
+            return false;
+        }
+        
+        this.applyBoardSize(resolved);
+        if (!this.level) {
+            this.resizeBoard(this.defaultBoard.canvasWidth, this.defaultBoard.canvasHeight);
+        }
+        return true;
+    }
+    
+    applyBoardSize(size) {
+        this.boardSize = size;
+        this.defaultBoard = {
+            canvasWidth: size.columns * this.gridSize,
+            canvasHeight: size.rows * this.gridSize
+        };
+    }
+    
+    getBoardSize() {
+        return { ...this.boardSize };
+    }
+
+    // What the next game is played on, in the shape of a replay's config; high
+    // scores and best runs are kept per setup (see getBoardSetupId in board.js)
+    getSetup() {
+        return {
+            gridSize: this.gridSize,
+            canvasWidth: this.canvasWidth,
+            canvasHeight: this.canvasHeight,
+            boardMode: this.boardMode,
+            level: this.level,
+            foodCount: this.getFoodCount()
+        };
+    }
+
+    // Everything sized to the board follows it. The snakes and food of a
+    // finished game are resized too, so the board never draws stale bounds.
+    resizeBoard(canvasWidth, canvasHeight) {
+        if (canvasWidth === this.canvasWidth && canvasHeight === this.canvasHeight) {
+            return;
+        }
+        
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        
+        if (this.aiEngine) {
+            this.aiEngine.resizeBoard(canvasWidth, canvasHeight);
+        }
+        if (this.renderer) {
+            this.renderer.resize(canvasWidth, canvasHeight);
+        }
+        if (this.snake) {
+            this.snake.resize(canvasWidth, canvasHeight);
+        }
+        this.foods.forEach(food => food.resize(canvasWidth, canvasHeight));
+        if (this.opponent) {
+            this.opponent.snake.resize(canvasWidth, canvasHeight);
+        }
+        // Player 2's engine, and the rival's when it has its own
+        new Set([this.playerTwoAiEngine, this.opponent && this.opponent.aiEngine].filter(Boolean))
+            .forEach(aiEngine => aiEngine.resizeBoard(canvasWidth, canvasHeight));
+        
+        this.emitEvent('boardResize', { canvasWidth, canvasHeight });
+    }
+
+    isObstacle(position) {
+        return this.obstacleKeys.has(`${position.x},${position.y}`);
+    }
+
+    getObstacles() {
+        return this.obstacles.map(obstacle => ({ ...obstacle }));
+    }
+
+    // Progress towards the current level's goals
+    getLevelProgress() {
+        return {
+            food: this.foodEaten,
+            score: this.score,
+            length: this.snake ? this.snake.segments.length : 0
+        };
+    }
+
+    isLevelComplete() {
+        return this.levelComplete;
+    }
+
+    // Fix the seed used by subsequent games (null restores a fresh seed per game)
+    setSeed(seed) {
+        this.fixedSeed = typeof seed === 'number' ? seed : null;
+    }
+
+    getTickCount() {
+        return this.tickCount;
+    }
+
+    isHeadless() {
+        return this.headless;
+    }
+
     // Method to check if game is currently running
     isRunning() {
         return this.gameState === 'playing';
@@ -562,9 +1806,18 @@ export class GameEngine {
         return Math.round(interval);
     }
     
-    // Update game speed based on current difficulty
+    // Update game speed based on current difficulty, any active speed effect and slow motion
     updateGameSpeed() {
-        this.moveInterval = this.calculateMoveInterval(this.difficulty);
+        const factor = (this.speedEffect ? this.speedEffect.factor : 1) * this.powerUpEffects.getIntervalFactor();
+        this.moveInterval = Math.round(this.calculateMoveInterval(this.difficulty) * factor);
+    }
+    
+    // Count down a speed-up/slow-down food effect, restoring normal speed when it ends
+    updateSpeedEffect() {
+        if (this.speedEffect && --this.speedEffect.ticksLeft <= 0) {
+            this.speedEffect = null;
+            this.updateGameSpeed();
+        }
     }
     
     // Getter method for AI Engine
@@ -0,0 +1,245 @@
+// Game Modes - Rule sets the engine can run
+// 'endless' is the classic survival game: play until you crash, points grow
+// with difficulty. 'timeAttack' gives a fixed time budget that food tops up;
+// points are flat so runs compare fairly whatever the difficulty. 'versus' puts
+// two players on one keyboard; the first crash decides the winner. 'rival'
+// is endless play against a computer-controlled snake (see rival.js) that
+// races you to the food; it respawns after crashing, you do not. Time is
+// measured in simulated milliseconds (one move uses up the move interval), so
+// a seed and input sequence always play out the same.
+//
+// The engine applies a mode's settings (clock, scoring, players, power-ups)
+// itself. On top of them a mode may bring its own rules as hooks (see
+// ModeRules), called at fixed points of every game; hooks a mode leaves out
+// fall back to DEFAULT_MODE_RULES, which a hook can also call to extend the
+// default. New modes are plugged in with registerGameMode(). Hooks must only
+// use the engine's seeded random, or replays of the mode stop matching, and
+// state a mode keeps during a game belongs in engine.modeState (plain JSON
+// data; saved and restored with the game), not in fields of its own on the engine.
+import { isLevelComplete } from './level.js';
+import { getFoodType } from './foodTypes.js';
+
+/**
+ * @typedef {Object} GameModeDefinition
+ * @property {string} id - Registry key
+ * @property {string} label - Human readable name
+ * @property {string} description - One line summary for menus
+ * @property {number|null} timeLimit - Starting time budget in ms, null for no clock
+ * @property {number} timePerFood - Ms added for each food that scores
+ * @property {number|null} maxTime - Largest the budget can grow to
+ * @property {'difficulty'|'flat'} scoring - 'difficulty' adds points per difficulty level, 'flat' does not
+ * @property {number} players - Snakes on the board
+ * @property {'keyboard'|'ai'|null} opponent - Who steers the second snake
+ * @property {boolean} powerUps - Whether power-ups spawn
+ * @property {string[]} [playerLabels] - Score labels of the two snakes on the HUD
+ * Any of the ModeRules hooks may be added as well.
+ */
+
+/**
+ * @typedef {Object} ModeRules
+ * @property {function(GameEngine): void} init - A new game was set up, before the first move;
+ *   engine.modeState is null and may be set here
+ * @property {function(GameEngine): void} update - Once per move, after food and the clock, while the game runs
+ * @property {function(GameEngine, {type: string}|null, number): number} scoreFood - Points for food
+ *   a player (1 or 2) ate, before power-up multipliers
+ * @property {function(GameEngine, Snake, Snake|null, number): string|null} detectCollision - Whether a
+ *   player's (1 or 2) snake crashed after moving, given the other snake: a cause as in
+ *   GameEngine.getCrashCause, or null when the move is fine
+ * @property {function(GameEngine, {player: string|null, opponent: string|null}): {over: boolean, winner?: number|null}} resolveCollision -
+ *   A snake crashed: who wins, and for a crash of the second snake only, whether play goes on.
+ *   A crashed player always ends the game (their head is in the wall); a mode that lets the
+ *   player survive something must not count it as a crash in detectCollision.
+ * @property {function(GameEngine): string|null} checkOutcome - Checked after the player eats and after
+ *   each update: why the game is over ('levelComplete', 'timeUp', ...) or null to play on
+ * @property {function(GameEngine, Renderer): void} drawHud - Mode-specific additions to the HUD
+ * @property {function(Object): {title: string, scores: string}} describeResult - Headline and score
+ *   line for a finished game, from the engine's game over data
+ */
+
+export const MODE_RULE_HOOKS = ['init', 'update', 'scoreFood', 'detectCollision', 'resolveCollision', 'checkOutcome', 'drawHud', 'describeResult'];
+
+// Points for one food before the difficulty bonus, food type and power-ups
+const BASE_FOOD_POINTS = 10;
+const POINTS_PER_DIFFICULTY = 5;
+
+/** @type {ModeRules} */
+export const DEFAULT_MODE_RULES = {
+    init() {},
+
+    update() {},
+
+    scoreFood(engine, food) {
+        let points = BASE_FOOD_POINTS;
+        if (getGameMode(engine.mode).scoring === 'difficulty') {
+            points += (engine.difficulty - 1) * POINTS_PER_DIFFICULTY;
+        }
+        // Each food type scales the points (poison is worth nothing)
+        return food ? Math.round(points * getFoodType(food.type).scoreMultiplier) : points;
+    },
+
+    // Walls, obstacles, the snake's own body (unless the player passes through) and the other snake
+    detectCollision(engine, snake, otherSnake, player) {
+        return engine.getCrashCause(snake, otherSnake, player === 1 && engine.powerUpEffects.isActive('passThrough'));
+    },
+
+    // Running into the other snake's body loses; meeting head to head (or
+    // swapping places) counts as both crashing, which is a draw
+    resolveCollision(engine, crashes) {
+        if (!engine.opponent) {
+            return { over: true, winner: null };
+        }
+        return { over: true, winner: crashes.player && crashes.opponent ? null : (crashes.player ? 2 : 1) };
+    },
+
+    // A level ends as soon as all of its goals are reached (two-snake games are decided by crashes only)
+    checkOutcome(engine) {
+        if (engine.level && !engine.opponent && isLevelComplete(engine.level.goals, engine.getLevelProgress())) {
+            return 'levelComplete';
+        }
+        return engine.timeLeft === 0 ? 'timeUp' : null;
+    },
+
+    drawHud(engine, renderer) {
+        if (engine.opponent) {
+            renderer.drawPlayerScores([engine.score, engine.opponent.score], getGameMode(engine.mode).playerLabels);
+        }
+        if (engine.timeLeft !== null) {
+            renderer.drawCountdown(engine.timeLeft);
+        }
+    },
+
+    describeResult(result) {
+        const titles = { levelComplete: 'Level Complete!', timeUp: 'Time Up!' };
+        return { title: titles[result.outcome] || 'Game Over!', scores: String(result.finalScore) };
+    }
+};
+
+/** @type {Object<string, GameModeDefinition>} */
+export const GAME_MODES = {
+    endless: {
+        id: 'endless',
+        label: 'Endless',
+        description: 'Survive as long as you can',
+        timeLimit: null,
+        timePerFood: 0,
+        maxTime: null,
+        scoring: 'difficulty',
+        players: 1,
+        opponent: null,
+        powerUps: true
+    },
+    timeAttack: {
+        id: 'timeAttack',
+        label: 'Time Attack',
+        description: 'Eat against the clock; every food adds time',
+        timeLimit: 60000,
+        timePerFood: 3000,
+        maxTime: 120000,
+        scoring: 'flat',
+        players: 1,
+        opponent: null,
+        powerUps: true
+    },
+    versus: {
+        id: 'versus',
+        label: 'Two Player',
+        description: 'WASD against the arrow keys; last snake moving wins',
+        timeLimit: null,
+        timePerFood: 0,
+        maxTime: null,
+        scoring: 'difficulty',
+        players: 2,
+        opponent: 'keyboard',
+        powerUps: false,
+        describeResult(result) {
+            return {
+                title: result.winner ? `Player ${result.winner} Wins!` : 'Draw!',
+                scores: `P1 ${result.finalScore} - P2 ${result.opponentScore}`
+            };
+        }
+    },
+    rival: {
+        id: 'rival',
+        label: 'AI Rival',
+        description: 'Race a computer snake to the food',
+        timeLimit: null,
+        timePerFood: 0,
+        maxTime: null,
+        scoring: 'difficulty',
+        players: 2,
+        opponent: 'ai',
+        powerUps: true,
+        playerLabels: ['You', 'Rival'],
+        // Only the player's crash ends the game; a crashed rival leaves the board for a while
+        resolveCollision(engine, crashes) {
+            if (crashes.player) {
+                return DEFAULT_MODE_RULES.resolveCollision(engine, crashes);
+            }
+            engine.eliminateRival();
+            return { over: false };
+        },
+        describeResult(result) {
+            return {
+                ...DEFAULT_MODE_RULES.describeResult(result),
+                scores: `You ${result.finalScore} - Rival ${result.opponentScore}`
+            };
+        }
+    }
+};
+
+export const GAME_MODE_IDS = Object.keys(GAME_MODES);
+
+// Entries kept in each mode's high-score table
+export const HIGH_SCORE_TABLE_SIZE = 10;
+
+/**
+ * @param {string} id
+ * @returns {GameModeDefinition} - The mode, or 'endless' for unknown ids
+ */
+export function getGameMode(id) {
+    return GAME_MODES[id] || GAME_MODES.endless;
+}
+
+/**
+ * The hooks the engine runs for a mode: its own, or the defaults
+ * @param {string} id
+ * @returns {ModeRules}
+ */
+export function getModeRules(id) {
+    const mode = getGameMode(id);
+    const rules = {};
+    MODE_RULE_HOOKS.forEach(hook => {
+        rules[hook] = typeof mode[hook] === 'function' ? mode[hook] : DEFAULT_MODE_RULES[hook];
+    });
+    return rules;
+}
+
+/**
+ * Add a mode to the registry. Settings left out are those of 'endless'.
+ * @param {GameModeDefinition} definition - Needs at least an unused id
+ * @returns {boolean} - false if the id is missing or taken
+ */
+export function registerGameMode(definition) {
+    if (!definition || typeof definition.id !== 'string' || definition.id === '' || GAME_MODES[definition.id]) {
+        console.warn('Cannot register game mode: the id is missing or already taken');
+        return false;
+    }
+
+    const defaults = { ...GAME_MODES.endless };
+    MODE_RULE_HOOKS.forEach(hook => delete defaults[hook]);
+    GAME_MODES[definition.id] = { ...defaults, label: definition.id, description: '', ...definition };
+    GAME_MODE_IDS.push(definition.id);
+    return true;
+}
+
+/**
+ * Clock text for a time budget, e.g. 83400 -> '1:23.4'
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatTimeLeft(ms) {
+    const tenths = Math.max(0, Math.ceil(ms / 100));
+    const minutes = Math.floor(tenths / 600);
+    const seconds = Math.floor((tenths % 600) / 10);
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`;
+}
@@ -0,0 +1,224 @@
+// Gamepad - Polls controllers through the Gamepad API and reports game actions
+// Browsers send no events for gamepad buttons, so the game polls once per
+// frame and GamepadInput reports what changed since the last poll: a new
+// direction from the D-pad or the left stick, or a newly pressed button.
+// Buttons are numbered as in the browser's "standard" gamepad layout, and
+// which button does what can be remapped.
+
+// Button names in the standard layout, for the remapping UI
+export const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start',
+    'Left stick', 'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+export const GAMEPAD_ACTIONS = ['up', 'down', 'left', 'right', 'pause', 'back', 'confirm'];
+
+// pause: Start or right trigger; back: Select; confirm: A
+export const DEFAULT_GAMEPAD_MAPPING = {
+    up: [12],
+    down: [13],
+    left: [14],
+    right: [15],
+    pause: [9, 7],
+    back: [8],
+    confirm: [0]
+};
+
+// How far the stick must lean before it counts, as a share of its full travel
+export const STICK_DEADZONE = 0.5;
+
+// Analog buttons (the triggers) count as pressed past this point
+const BUTTON_THRESHOLD = 0.5;
+
+const DIRECTION_ACTIONS = ['up', 'down', 'left', 'right'];
+
+/**
+ * Name of a button for display
+ * @param {number} index
+ * @returns {string}
+ */
+export function getButtonName(index) {
+    return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+}
+
+/**
+ * Copy of a mapping with unknown actions and bad button numbers left out;
+ * actions missing from it keep their default buttons
+ * @param {Object} mapping
+ * @returns {Object}
+ */
+export function normalizeGamepadMapping(mapping) {
+    const normalized = {};
+    GAMEPAD_ACTIONS.forEach(action => {
+        const buttons = mapping && Array.isArray(mapping[action])
+            ? mapping[action].filter(button => Number.isInteger(button) && button >= 0)
+            : DEFAULT_GAMEPAD_MAPPING[action];
+        normalized[action] = [...new Set(buttons)];
+    });
+    return normalized;
+}
+
+/**
+ * Direction the left stick points in, or null inside the deadzone
+ * @param {number} x - Axis 0, -1 (left) to 1 (right)
+ * @param {number} y - Axis 1, -1 (up) to 1 (down)
+ * @param {number} deadzone
+ * @returns {string|null}
+ */
+export function getStickDirection(x, y, deadzone = STICK_DEADZONE) {
+    const dx = Number(x) || 0;
+    const dy = Number(y) || 0;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < deadzone) {
+        return null;
+    }
+    // The axis leaned on further decides, as with swipes
+    return Math.abs(dx) > Math.abs(dy)
+        ? (dx > 0 ? 'right' : 'left')
+        : (dy > 0 ? 'down' : 'up');
+}
+
+function isPressed(button) {
+    if (!button) {
+        return false;
+    }
+    return typeof button === 'object' ? button.pressed || button.value > BUTTON_THRESHOLD : button === 1;
+}
+
+/**
+ * What a gamepad is doing right now
+ * @param {Gamepad} gamepad
+ * @param {Object} mapping - Action to button numbers
+ * @param {number} deadzone
+ * @returns {{direction: string|null, actions: string[], buttons: number[]}} - Direction held
+ *   (D-pad before stick), other actions held and the numbers of all pressed buttons
+ */
+export function readGamepad(gamepad, mapping = DEFAULT_GAMEPAD_MAPPING, deadzone = STICK_DEADZONE) {
+    const buttons = [];
+    (gamepad.buttons || []).forEach((button, index) => {
+        if (isPressed(button)) buttons.push(index);
+    });
+
+    const held = (action) => (mapping[action] || []).some(button => buttons.includes(button));
+    const axes = gamepad.axes || [];
+    const direction = DIRECTION_ACTIONS.find(held) || getStickDirection(axes[0], axes[1], deadzone);
+    const actions = GAMEPAD_ACTIONS.filter(action => !DIRECTION_ACTIONS.includes(action) && held(action));
+
+    return { direction, actions, buttons };
+}
+
+export class GamepadInput {
+    /**
+     * @param {Object} [mapping] - Action to button numbers; defaults to DEFAULT_GAMEPAD_MAPPING
+     * @param {number} [deadzone]
+     */
+    constructor(mapping = DEFAULT_GAMEPAD_MAPPING, deadzone = STICK_DEADZONE) {
+        this.mapping = normalizeGamepadMapping(mapping);
+        this.deadzone = deadzone;
+        // Last poll's state per gamepad index, to report only changes
+        this.previous = new Map();
+        this.captureCallback = null;
+
+        // Callbacks
+        this.onAction = null;
+        this.onMappingChange = null;
+    }
+
+    /**
+     * Read all gamepads and report what changed. onAction gets the action, the
+     * pad's Gamepad.index and its order among the connected pads (0 = first);
+     * browsers need not number the first pad 0, so players go by the order.
+     * @param {Array<Gamepad|null>} gamepads - navigator.getGamepads()
+     */
+    poll(gamepads) {
+        const seen = new Set();
+        Array.from(gamepads || []).forEach(gamepad => {
+            if (!gamepad || gamepad.connected === false) {
+                return;
+            }
+            seen.add(gamepad.index);
+            this.pollGamepad(gamepad, seen.size - 1);
+        });
+
+        // Forget pads that went away, so they start fresh when they come back
+        [...this.previous.keys()].forEach(index => {
+            if (!seen.has(index)) this.previous.delete(index);
+        });
+    }
+
+    pollGamepad(gamepad, order = 0) {
+        const state = readGamepad(gamepad, this.mapping, this.deadzone);
+        const previous = this.previous.get(gamepad.index) || { direction: null, actions: [], buttons: [] };
+        this.previous.set(gamepad.index, state);
+
+        // While remapping, the next new button press is the answer and does nothing else
+        if (this.captureCallback) {
+            const pressed = state.buttons.find(button => !previous.buttons.includes(button));
+            if (pressed !== undefined) {
+                const callback = this.captureCallback;
+                this.captureCallback = null;
+                callback(pressed);
+            }
+            return;
+        }
+
+        if (!this.onAction) {
+            return;
+        }
+        // Holding a direction turns once; the snake keeps going that way anyway
+        if (state.direction && state.direction !== previous.direction) {
+            this.onAction(state.direction, gamepad.index, order);
+        }
+        state.actions
+            .filter(action => !previous.actions.includes(action))
+            .forEach(action => this.onAction(action, gamepad.index, order));
+    }
+
+    /**
+     * Hand the next button pressed on any gamepad to a callback instead of playing it
+     * @param {function(number): void} callback - Receives the button number
+     */
+    captureButton(callback) {
+        this.captureCallback = callback;
+    }
+
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    isCapturing() {
+        return this.captureCallback !== null;
+    }
+
+    /**
+     * Give an action a single button; the button is taken away from any other action
+     * @param {string} action
+     * @param {number} button
+     * @returns {boolean} - false for an unknown action or button
+     */
+    remap(action, button) {
+        if (!GAMEPAD_ACTIONS.includes(action) || !Number.isInteger(button) || button < 0) {
+            return false;
+        }
+
+        GAMEPAD_ACTIONS.forEach(other => {
+            this.mapping[other] = this.mapping[other].filter(existing => existing !== button);
+        });
+        this.mapping[action] = [button];
+
+        if (this.onMappingChange) this.onMappingChange(this.getMapping());
+        return true;
+    }
+
+    setMapping(mapping) {
+        this.mapping = normalizeGamepadMapping(mapping);
+    }
+
+    resetMapping() {
+        this.mapping = normalizeGamepadMapping(DEFAULT_GAMEPAD_MAPPING);
+        if (this.onMappingChange) this.onMappingChange(this.getMapping());
+    }
+
+    getMapping() {
+        return normalizeGamepadMapping(this.mapping);
+    }
+}
@@ -0,0 +1,58 @@
+// Ghost Runner - Replays a recorded run in lockstep with the live game
+// The ghost lives in its own headless engine, so it never collides with or
+// otherwise affects the live snake; it only exposes what the renderer needs.
+import { ReplayPlayer } from './replay.js';
+
+export class GhostRunner {
+    constructor(replay) {
+        this.replay = replay;
+        this.player = new ReplayPlayer(replay);
+    }
+
+    // Seed the live game must use to race on the same board
+    getSeed() {
+        return this.replay.seed;
+    }
+
+    reset() {
+        this.player.reset();
+    }
+
+    // Advance the ghost until it has made as many moves as the live snake
+    syncTo(tick) {
+        if (tick < this.player.getTick()) {
+            this.player.reset();
+        }
+
+        while (this.player.getTick() < tick && this.player.step()) {
+            // Catch up with the live game
+        }
+    }
+
+    getSegments() {
+        const snake = this.player.getEngine().getSnake();
+        return snake ? snake.getSegments() : [];
+    }
+
+    // Ghost score at its current tick (its final score once the run is over)
+    getScore() {
+        return this.player.getEngine().getScore();
+    }
+
+    getFinalScore() {
+        return this.replay.finalScore;
+    }
+
+    isFinished() {
+        return this.player.isFinished();
+    }
+
+    /**
+     * Compare a live score against the ghost at the same tick
+     * @param {number} liveScore
+     * @returns {number} Positive when ahead of the ghost, negative when behind
+     */
+    compare(liveScore) {
+        return liveScore - this.getScore();
+    }
+}
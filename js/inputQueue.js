@@ -0,0 +1,68 @@
+// Input Queue - Turns waiting for the snake's next moves
+// Quick key presses within one move ("up, left") used to overwrite each other.
+// The queue keeps them in order and hands out one per move. Each turn is
+// checked against the turn queued before it (or the current heading when the
+// queue is empty), so a fast U-turn made of two quarter turns works while a
+// straight reversal or a repeat of the same direction is dropped.
+
+const OPPOSITE_DIRECTIONS = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+const isDirection = (direction) => Object.prototype.hasOwnProperty.call(OPPOSITE_DIRECTIONS, direction);
+
+// Turns held at most; further presses are dropped until a move uses one up
+export const INPUT_QUEUE_SIZE = 3;
+
+export class InputQueue {
+    constructor(size = INPUT_QUEUE_SIZE) {
+        this.size = size;
+        this.turns = [];
+    }
+
+    /**
+     * Queue a turn
+     * @param {string} direction
+     * @param {string} currentDirection - The snake's heading, used when nothing is queued
+     * @returns {boolean} - false if the turn was dropped
+     */
+    push(direction, currentDirection) {
+        if (!isDirection(direction) || this.turns.length >= this.size) {
+            return false;
+        }
+
+        const previous = this.last() || currentDirection;
+        if (direction === previous || direction === OPPOSITE_DIRECTIONS[previous]) {
+            return false;
+        }
+
+        this.turns.push(direction);
+        return true;
+    }
+
+    // Take the turn for the coming move, or null to keep going straight
+    shift() {
+        return this.turns.length > 0 ? this.turns.shift() : null;
+    }
+
+    peek() {
+        return this.turns.length > 0 ? this.turns[0] : null;
+    }
+
+    last() {
+        return this.turns.length > 0 ? this.turns[this.turns.length - 1] : null;
+    }
+
+    clear() {
+        this.turns = [];
+    }
+
+    getTurns() {
+        return [...this.turns];
+    }
+
+    // Refill from getTurns(), e.g. when resuming a saved game; invalid entries are skipped
+    restore(turns) {
+        this.turns = (Array.isArray(turns) ? turns : [])
+            .filter(isDirection)
+            .slice(0, this.size);
+    }
+}
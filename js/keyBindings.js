@@ -0,0 +1,211 @@
+// Key Bindings - Which keys trigger which game actions
+// The engine works with actions ('moveUp', 'pause', ...) and looks up the
+// pressed key here, so players can move the controls to where their hands
+// and keyboard layout want them. Every action can have up to two keys.
+//
+// Each action belongs to a context: 'play' actions work while a game is
+// running or paused, 'menu' actions before a game and after it ends. One key
+// may serve an action in each context (Space pauses and starts), but not two
+// actions in the same context.
+
+/**
+ * @typedef {Object} KeyAction
+ * @property {string} label - Shown in the rebinding UI
+ * @property {'play'|'menu'} context
+ * @property {string} [direction] - Movement actions: the way they steer
+ * @property {number} [player] - Movement actions: 1, or 2 (the second snake in versus, otherwise player one)
+ */
+
+/** @type {Object<string, KeyAction>} */
+export const KEY_ACTIONS = {
+    moveUp: { label: 'Up', context: 'play', direction: 'up', player: 1 },
+    moveDown: { label: 'Down', context: 'play', direction: 'down', player: 1 },
+    moveLeft: { label: 'Left', context: 'play', direction: 'left', player: 1 },
+    moveRight: { label: 'Right', context: 'play', direction: 'right', player: 1 },
+    p2MoveUp: { label: 'Up (player 2)', context: 'play', direction: 'up', player: 2 },
+    p2MoveDown: { label: 'Down (player 2)', context: 'play', direction: 'down', player: 2 },
+    p2MoveLeft: { label: 'Left (player 2)', context: 'play', direction: 'left', player: 2 },
+    p2MoveRight: { label: 'Right (player 2)', context: 'play', direction: 'right', player: 2 },
+    pause: { label: 'Pause / resume', context: 'play' },
+    back: { label: 'Back', context: 'play' },
+    start: { label: 'Start / restart', context: 'menu' }
+};
+
+export const KEY_ACTION_IDS = Object.keys(KEY_ACTIONS);
+
+export const KEYS_PER_ACTION = 2;
+
+export const DEFAULT_KEY_BINDINGS = {
+    moveUp: ['w'],
+    moveDown: ['s'],
+    moveLeft: ['a'],
+    moveRight: ['d'],
+    p2MoveUp: ['ArrowUp'],
+    p2MoveDown: ['ArrowDown'],
+    p2MoveLeft: ['ArrowLeft'],
+    p2MoveRight: ['ArrowRight'],
+    pause: [' '],
+    back: ['Escape'],
+    start: ['Enter', ' ']
+};
+
+const KEY_NAMES = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc'
+};
+
+/**
+ * Letters count the same with Shift or Caps Lock on
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string}
+ */
+export function normalizeKey(key) {
+    return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Name of a key for display
+ * @param {string} key
+ * @returns {string}
+ */
+export function getKeyName(key) {
+    if (KEY_NAMES[key]) {
+        return KEY_NAMES[key];
+    }
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Form fields that use the keys themselves: typing, and the arrows stepping a
+// number or a slider. Checkboxes, selects and buttons stay focused after a
+// click, so they must not keep the game from its keys.
+const KEY_ENTRY_INPUT_TYPES = ['text', 'number', 'range', 'search', 'email', 'password', 'tel', 'url'];
+
+/**
+ * Whether a key event's target is a field that keeps the keys for itself
+ * @param {EventTarget|null} target - KeyboardEvent.target
+ * @returns {boolean}
+ */
+export function isKeyEntryField(target) {
+    if (!target || !target.tagName) {
+        return false;
+    }
+    if (target.tagName === 'TEXTAREA' || target.isContentEditable) {
+        return true;
+    }
+    return target.tagName === 'INPUT' && KEY_ENTRY_INPUT_TYPES.includes((target.type || 'text').toLowerCase());
+}
+
+/**
+ * Copy of a binding set with unknown actions and unusable keys left out;
+ * actions missing from it keep their default keys
+ * @param {Object} bindings - Action to keys
+ * @returns {Object}
+ */
+export function normalizeKeyBindings(bindings) {
+    const normalized = {};
+    KEY_ACTION_IDS.forEach(action => {
+        const keys = bindings && Array.isArray(bindings[action])
+            ? bindings[action].filter(key => typeof key === 'string' && key.length > 0).map(normalizeKey)
+            : DEFAULT_KEY_BINDINGS[action];
+        normalized[action] = [...new Set(keys)].slice(0, KEYS_PER_ACTION);
+    });
+    return normalized;
+}
+
+export class KeyBindings {
+    /**
+     * @param {Object} [bindings] - Action to keys; defaults to DEFAULT_KEY_BINDINGS
+     */
+    constructor(bindings = DEFAULT_KEY_BINDINGS) {
+        this.bindings = normalizeKeyBindings(bindings);
+
+        // Callbacks
+        this.onChange = null;
+    }
+
+    /**
+     * Actions a key triggers, in binding order
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string[]}
+     */
+    getActions(key) {
+        const normalized = normalizeKey(key);
+        return KEY_ACTION_IDS.filter(action => this.bindings[action].includes(normalized));
+    }
+
+    isBound(key) {
+        return this.getActions(key).length > 0;
+    }
+
+    getKeys(action) {
+        return this.bindings[action] ? [...this.bindings[action]] : [];
+    }
+
+    getBindings() {
+        return normalizeKeyBindings(this.bindings);
+    }
+
+    setBindings(bindings) {
+        this.bindings = normalizeKeyBindings(bindings);
+        if (this.onChange) this.onChange(this.getBindings());
+    }
+
+    /**
+     * Other actions in the same context that already use a key
+     * @param {string} action
+     * @param {string} key
+     * @returns {string[]}
+     */
+    findConflicts(action, key) {
+        const context = KEY_ACTIONS[action] && KEY_ACTIONS[action].context;
+        return this.getActions(key).filter(other => other !== action && KEY_ACTIONS[other].context === context);
+    }
+
+    /**
+     * Put a key in one of an action's slots. Nothing changes if the key is
+     * already taken in the action's context.
+     * @param {string} action
+     * @param {number} slot - 0 to KEYS_PER_ACTION - 1
+     * @param {string} key
+     * @returns {string[]|null} - Conflicting actions (empty when the key was bound), or null for a bad action, slot or key
+     */
+    bind(action, slot, key) {
+        if (!KEY_ACTIONS[action] || !Number.isInteger(slot) || slot < 0 || slot >= KEYS_PER_ACTION ||
+            typeof key !== 'string' || key.length === 0) {
+            return null;
+        }
+
+        const conflicts = this.findConflicts(action, key);
+        if (conflicts.length > 0) {
+            return conflicts;
+        }
+
+        const keys = this.bindings[action].filter(existing => existing !== normalizeKey(key));
+        keys.splice(Math.min(slot, keys.length), slot < keys.length ? 1 : 0, normalizeKey(key));
+        this.bindings[action] = keys;
+
+        if (this.onChange) this.onChange(this.getBindings());
+        return [];
+    }
+
+    /**
+     * Clear one of an action's slots
+     * @returns {boolean} - false if the slot was empty
+     */
+    unbind(action, slot) {
+        if (!this.bindings[action] || !this.bindings[action][slot]) {
+            return false;
+        }
+        this.bindings[action].splice(slot, 1);
+        if (this.onChange) this.onChange(this.getBindings());
+        return true;
+    }
+
+    reset() {
+        this.setBindings(DEFAULT_KEY_BINDINGS);
+    }
+}
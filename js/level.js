@@ -0,0 +1,266 @@
+// Level Format - Declarative, designed stages
+// A level is plain JSON describing the board size, static obstacle tiles, the
+// snake's starting position and direction, and optional goals and number of food
+// items on the board at once. Coordinates are
+// grid cells (not pixels) so the same level works at any cell size.
+//
+// {
+//   "format": "ai-snake-level", "version": 1,
+//   "name": "Four Pillars",
+//   "board": { "width": 30, "height": 30, "mode": "walls" },
+//   "obstacles": [[4, 4], { "x": 10, "y": 10, "width": 3, "height": 2 }],
+//   "snake": { "x": 15, "y": 15, "direction": "right", "length": 3 },
+//   "goals": { "food": 10, "score": 200, "length": 15 },
+//   "foodCount": 2
+// }
+import { BOARD_MODES } from './board.js';
+import { MAX_FOOD_ITEMS } from './foodTypes.js';
+
+export const LEVEL_FORMAT = 'ai-snake-level';
+export const LEVEL_FORMAT_VERSION = 1;
+
+// Goals a level may set; the level is cleared once every listed goal is reached
+export const LEVEL_GOALS = ['food', 'score', 'length'];
+
+const DIRECTION_OFFSETS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+export const MIN_BOARD_CELLS = 5;
+export const MAX_BOARD_CELLS = 100;
+
+export class LevelFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LevelFormatError';
+    }
+}
+
+const isCount = (value, min = 0) => Number.isInteger(value) && value >= min;
+
+/**
+ * Cells occupied by the snake at the start of a level, head first.
+ * The body trails behind the head, opposite to the starting direction.
+ * @param {Object} level - Decoded level
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getSnakeStartCells(level) {
+    const { x, y, direction, length } = level.snake;
+    const { width, height, mode } = level.board;
+    const offset = DIRECTION_OFFSETS[direction];
+
+    const cells = [];
+    for (let i = 0; i < length; i++) {
+        let cell = { x: x - offset.x * i, y: y - offset.y * i };
+        if (mode === 'wrap') {
+            cell = { x: ((cell.x % width) + width) % width, y: ((cell.y % height) + height) % height };
+        }
+        cells.push(cell);
+    }
+    return cells;
+}
+
+/**
+ * @param {Object} goals - Level goals ({ food, score, length })
+ * @param {{food: number, score: number, length: number}} progress
+ * @returns {boolean} True once every listed goal is reached (never for a level without goals)
+ */
+export function isLevelComplete(goals, progress) {
+    const listed = LEVEL_GOALS.filter(goal => goals[goal] !== undefined);
+    return listed.length > 0 && listed.every(goal => progress[goal] >= goals[goal]);
+}
+
+/**
+ * Short "food 3/10 · score 40/200" summary for the HUD
+ * @param {Object} goals
+ * @param {{food: number, score: number, length: number}} progress
+ * @returns {string}
+ */
+export function formatGoalProgress(goals, progress) {
+    return LEVEL_GOALS
+        .filter(goal => goals[goal] !== undefined)
+        .map(goal => `${goal} ${Math.min(progress[goal], goals[goal])}/${goals[goal]}`)
+        .join(' · ');
+}
+
+function decodeObstacles(obstacles, board) {
+    if (obstacles === undefined) {
+        return [];
+    }
+    if (!Array.isArray(obstacles)) {
+        throw new LevelFormatError('Level obstacles must be a list');
+    }
+
+    const cells = [];
+    const seen = new Set();
+    const addCell = (x, y) => {
+        if (!isCount(x) || !isCount(y) || x >= board.width || y >= board.height) {
+            throw new LevelFormatError(`Obstacle at (${x}, ${y}) is outside the ${board.width}x${board.height} board`);
+        }
+        const key = `${x},${y}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            cells.push({ x, y });
+        }
+    };
+
+    obstacles.forEach(obstacle => {
+        if (Array.isArray(obstacle)) {
+            addCell(obstacle[0], obstacle[1]);
+        } else if (obstacle && typeof obstacle === 'object') {
+            // Rectangles keep hand-written levels short
+            const width = obstacle.width === undefined ? 1 : obstacle.width;
+            const height = obstacle.height === undefined ? 1 : obstacle.height;
+            if (!isCount(width, 1) || !isCount(height, 1)) {
+                throw new LevelFormatError('Obstacle rectangles need a positive width and height');
+            }
+            for (let dy = 0; dy < height; dy++) {
+                for (let dx = 0; dx < width; dx++) {
+                    addCell(obstacle.x + dx, obstacle.y + dy);
+                }
+            }
+        } else {
+            throw new LevelFormatError('Obstacles must be [x, y] cells or { x, y, width, height } rectangles');
+        }
+    });
+
+    return cells;
+}
+
+/**
+ * Validate a level file and normalize it
+ * @param {Object} file - Parsed level file
+ * @returns {Object} - Decoded level ({ name, author, description, board, obstacles, snake, goals, foodCount })
+ * @throws {LevelFormatError} If the level is malformed or unplayable
+ */
+export function decodeLevel(file) {
+    if (!file || typeof file !== 'object' || file.format !== LEVEL_FORMAT) {
+        throw new LevelFormatError('Not a snake level file');
+    }
+
+    if (file.version !== LEVEL_FORMAT_VERSION) {
+        throw new LevelFormatError(
+            `Unsupported level format version ${file.version} (this build reads version ${LEVEL_FORMAT_VERSION})`
+        );
+    }
+
+    const fileBoard = file.board || {};
+    const board = {
+        width: fileBoard.width,
+        height: fileBoard.height,
+        mode: fileBoard.mode === undefined ? 'walls' : fileBoard.mode
+    };
+    if (![board.width, board.height].every(value => isCount(value, MIN_BOARD_CELLS) && value <= MAX_BOARD_CELLS)) {
+        throw new LevelFormatError(`Level board must be between ${MIN_BOARD_CELLS} and ${MAX_BOARD_CELLS} cells on each side`);
+    }
+    if (!BOARD_MODES.includes(board.mode)) {
+        throw new LevelFormatError(`Unknown board mode '${board.mode}'`);
+    }
+
+    const obstacles = decodeObstacles(file.obstacles, board);
+
+    const fileSnake = file.snake || {};
+    const snake = {
+        x: fileSnake.x,
+        y: fileSnake.y,
+        direction: fileSnake.direction === undefined ? 'right' : fileSnake.direction,
+        length: fileSnake.length === undefined ? 3 : fileSnake.length
+    };
+    if (!DIRECTION_OFFSETS[snake.direction] || !isCount(snake.length, 1)) {
+        throw new LevelFormatError('Level snake needs a direction (up/down/left/right) and a positive length');
+    }
+
+    const goals = {};
+    const fileGoals = file.goals || {};
+    LEVEL_GOALS.forEach(goal => {
+        if (fileGoals[goal] !== undefined) {
+            if (!isCount(fileGoals[goal], 1)) {
+                throw new LevelFormatError(`Level goal '${goal}' must be a positive whole number`);
+            }
+            goals[goal] = fileGoals[goal];
+        }
+    });
+
+    if (file.foodCount !== undefined && file.foodCount !== null &&
+        !(isCount(file.foodCount, 1) && file.foodCount <= MAX_FOOD_ITEMS)) {
+        throw new LevelFormatError(`Level food count must be between 1 and ${MAX_FOOD_ITEMS}`);
+    }
+
+    const level = {
+        name: typeof file.name === 'string' && file.name ? file.name : 'Untitled level',
+        author: typeof file.author === 'string' ? file.author : '',
+        description: typeof file.description === 'string' ? file.description : '',
+        board,
+        obstacles,
+        snake,
+        goals,
+        foodCount: file.foodCount || null
+    };
+
+    // The snake must start fully on the board, clear of every obstacle
+    const blocked = new Set(obstacles.map(cell => `${cell.x},${cell.y}`));
+    const startCells = isCount(snake.x) && isCount(snake.y) ? getSnakeStartCells(level) : [];
+    const startIsValid = startCells.length > 0 && startCells.every(cell =>
+        isCount(cell.x) && isCount(cell.y) && cell.x < board.width && cell.y < board.height &&
+        !blocked.has(`${cell.x},${cell.y}`)
+    );
+    if (!startIsValid) {
+        throw new LevelFormatError('Level snake must start on free cells inside the board');
+    }
+    if (new Set(startCells.map(cell => `${cell.x},${cell.y}`)).size !== startCells.length) {
+        throw new LevelFormatError('Level snake is too long for the board');
+    }
+
+    if (obstacles.length + startCells.length + (level.foodCount || 1) > board.width * board.height) {
+        throw new LevelFormatError('Level leaves no free cell for food');
+    }
+
+    return level;
+}
+
+/**
+ * Wrap a decoded level in the versioned file envelope
+ * @param {Object} level - Decoded level
+ * @returns {Object} - Plain object ready for JSON.stringify
+ */
+export function encodeLevel(level) {
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: level.name,
+        author: level.author,
+        description: level.description,
+        board: { ...level.board },
+        obstacles: level.obstacles.map(cell => [cell.x, cell.y]),
+        snake: { ...level.snake },
+        goals: { ...level.goals },
+        ...(level.foodCount ? { foodCount: level.foodCount } : {})
+    };
+}
+
+/**
+ * @param {Object} level - Decoded level
+ * @returns {string} - Level file contents
+ */
+export function serializeLevel(level) {
+    return JSON.stringify(encodeLevel(level), null, 2);
+}
+
+/**
+ * Parse level file contents
+ * @param {string} text - File contents
+ * @returns {Object} - Decoded level
+ * @throws {LevelFormatError}
+ */
+export function parseLevel(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new LevelFormatError('Level file is not valid JSON');
+    }
+    return decodeLevel(file);
+}
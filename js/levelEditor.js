@@ -0,0 +1,350 @@
+// Level Editor - Paints levels on the grid and test-plays them in place
+// Holds an editable draft of a level, draws it with the game's Renderer and
+// hands it to a real GameEngine for test play. Export always goes through the
+// level format's own validation, so anything exported loads in the game.
+import { Renderer } from './renderer.js';
+import { Snake } from './snake.js';
+import { GameEngine } from './gameEngine.js';
+import { BOARD_MODES } from './board.js';
+import {
+    LEVEL_GOALS,
+    MIN_BOARD_CELLS,
+    MAX_BOARD_CELLS,
+    LevelFormatError,
+    decodeLevel,
+    encodeLevel,
+    serializeLevel,
+    getSnakeStartCells
+} from './level.js';
+
+export const EDITOR_TOOLS = ['wall', 'erase', 'spawn'];
+
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+const cellKey = (x, y) => `${x},${y}`;
+
+export class LevelEditor {
+    constructor(ctx, gridSize = 20, level = null) {
+        this.ctx = ctx;
+        this.gridSize = gridSize;
+        this.tool = 'wall';
+        this.renderer = null;
+
+        // Engine used while test-playing; null while editing
+        this.testEngine = null;
+
+        // Event callbacks
+        this.onChange = null;
+        this.onTestPlayEnd = null;
+
+        if (level) {
+            this.load(level);
+        } else {
+            this.reset();
+        }
+    }
+
+    // Start a blank level of the given size
+    reset(width = 30, height = 30) {
+        this.name = 'Untitled level';
+        this.author = '';
+        this.description = '';
+        this.board = { width, height, mode: 'walls' };
+        this.obstacleKeys = new Set();
+        this.snake = {
+            x: Math.floor(width / 2),
+            y: Math.floor(height / 2),
+            direction: 'right',
+            length: 3
+        };
+        this.goals = {};
+        this.foodCount = null;
+        this.resizeRenderer();
+        this.changed();
+    }
+
+    // Edit a decoded level (see level.js)
+    load(level) {
+        this.name = level.name;
+        this.author = level.author;
+        this.description = level.description;
+        this.board = { ...level.board };
+        this.obstacleKeys = new Set(level.obstacles.map(cell => cellKey(cell.x, cell.y)));
+        this.snake = { ...level.snake };
+        this.goals = { ...level.goals };
+        this.foodCount = level.foodCount;
+        this.resizeRenderer();
+        this.changed();
+    }
+
+    setTool(tool) {
+        if (EDITOR_TOOLS.includes(tool)) {
+            this.tool = tool;
+        }
+    }
+
+    getTool() {
+        return this.tool;
+    }
+
+    // Apply the current tool to a grid cell
+    applyTool(x, y) {
+        if (this.isTestPlaying() || !this.isOnBoard(x, y)) {
+            return false;
+        }
+
+        switch (this.tool) {
+            case 'wall':
+                this.obstacleKeys.add(cellKey(x, y));
+                break;
+            case 'erase':
+                this.obstacleKeys.delete(cellKey(x, y));
+                break;
+            case 'spawn':
+                this.snake.x = x;
+                this.snake.y = y;
+                break;
+        }
+
+        this.changed();
+        return true;
+    }
+
+    // Apply the current tool at a canvas pixel position (mouse/touch coordinates)
+    applyToolAt(pixelX, pixelY) {
+        return this.applyTool(Math.floor(pixelX / this.gridSize), Math.floor(pixelY / this.gridSize));
+    }
+
+    isOnBoard(x, y) {
+        return Number.isInteger(x) && Number.isInteger(y) &&
+            x >= 0 && y >= 0 && x < this.board.width && y < this.board.height;
+    }
+
+    isWall(x, y) {
+        return this.obstacleKeys.has(cellKey(x, y));
+    }
+
+    setMetadata({ name, author, description } = {}) {
+        if (typeof name === 'string') this.name = name;
+        if (typeof author === 'string') this.author = author;
+        if (typeof description === 'string') this.description = description;
+        this.changed();
+    }
+
+    // Resize the board, dropping walls that no longer fit
+    setBoardSize(width, height) {
+        const valid = [width, height].every(value =>
+            Number.isInteger(value) && value >= MIN_BOARD_CELLS && value <= MAX_BOARD_CELLS
+        );
+        if (!valid) {
+            return false;
+        }
+
+        this.board.width = width;
+        this.board.height = height;
+        this.obstacleKeys = new Set([...this.obstacleKeys].filter(key => {
+            const [x, y] = key.split(',').map(Number);
+            return x < width && y < height;
+        }));
+        this.snake.x = Math.min(this.snake.x, width - 1);
+        this.snake.y = Math.min(this.snake.y, height - 1);
+
+        this.resizeRenderer();
+        this.changed();
+        return true;
+    }
+
+    setBoardMode(mode) {
+        if (BOARD_MODES.includes(mode)) {
+            this.board.mode = mode;
+            this.changed();
+        }
+    }
+
+    setSnakeDirection(direction) {
+        if (DIRECTIONS.includes(direction)) {
+            this.snake.direction = direction;
+            this.changed();
+        }
+    }
+
+    setSnakeLength(length) {
+        if (Number.isInteger(length) && length >= 1) {
+            this.snake.length = length;
+            this.changed();
+        }
+    }
+
+    // Set a goal; null (or 0) removes it
+    setGoal(goal, value) {
+        if (!LEVEL_GOALS.includes(goal)) {
+            return;
+        }
+
+        if (Number.isInteger(value) && value > 0) {
+            this.goals[goal] = value;
+        } else {
+            delete this.goals[goal];
+        }
+        this.changed();
+    }
+
+    // Food items on the board at once; null (or 0) leaves it to the player's setting
+    setFoodCount(count) {
+        this.foodCount = Number.isInteger(count) && count > 0 ? count : null;
+        this.changed();
+    }
+
+    getObstacleCells() {
+        return [...this.obstacleKeys].map(key => {
+            const [x, y] = key.split(',').map(Number);
+            return { x, y };
+        });
+    }
+
+    // The draft in the level file format (not yet validated)
+    toFile() {
+        return encodeLevel({
+            name: this.name,
+            author: this.author,
+            description: this.description,
+            board: this.board,
+            obstacles: this.getObstacleCells(),
+            snake: this.snake,
+            goals: this.goals,
+            foodCount: this.foodCount
+        });
+    }
+
+    /**
+     * The draft as a decoded level
+     * @returns {Object}
+     * @throws {LevelFormatError} If the draft is not a playable level
+     */
+    getLevel() {
+        return decodeLevel(this.toFile());
+    }
+
+    // Why the draft cannot be played yet, or null if it is valid
+    validate() {
+        try {
+            this.getLevel();
+            return null;
+        } catch (error) {
+            if (error instanceof LevelFormatError) {
+                return error.message;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {string} - Level file contents
+     * @throws {LevelFormatError} If the draft is not a playable level
+     */
+    exportLevel() {
+        return serializeLevel(this.getLevel());
+    }
+
+    // Play the draft on the editor canvas. Returns false if it is not valid yet.
+    startTestPlay() {
+        if (this.isTestPlaying() || this.validate() !== null) {
+            return false;
+        }
+
+        const level = this.getLevel();
+        this.testEngine = new GameEngine(
+            this.ctx,
+            level.board.width * this.gridSize,
+            level.board.height * this.gridSize,
+            this.gridSize,
+            { level }
+        );
+        this.testEngine.onGameOver = (result) => {
+            if (this.onTestPlayEnd) {
+                this.onTestPlayEnd(result);
+            }
+        };
+        this.testEngine.start();
+        return true;
+    }
+
+    stopTestPlay() {
+        if (!this.testEngine) {
+            return;
+        }
+
+        this.testEngine.stopGameLoop();
+        this.testEngine = null;
+        this.render();
+    }
+
+    isTestPlaying() {
+        return this.testEngine !== null;
+    }
+
+    getTestEngine() {
+        return this.testEngine;
+    }
+
+    // Keyboard input goes to the test game while one is running
+    handleInput(key) {
+        if (this.testEngine) {
+            this.testEngine.handleInput(key);
+        }
+    }
+
+    render() {
+        if (!this.renderer || this.isTestPlaying()) {
+            return;
+        }
+
+        this.renderer.drawBackground(1);
+        if (this.board.mode === 'wrap') {
+            this.renderer.drawWrapEdges();
+        }
+
+        this.renderer.drawObstacles(this.getObstacleCells().map(cell => ({
+            x: cell.x * this.gridSize,
+            y: cell.y * this.gridSize
+        })));
+
+        // Preview the starting snake exactly as the game will place it
+        const segments = getSnakeStartCells({ board: this.board, snake: this.snake }).map(cell => ({
+            x: cell.x * this.gridSize,
+            y: cell.y * this.gridSize
+        }));
+        this.renderer.setDangerLevel(0);
+        this.renderer.drawSnake(new Snake(this.gridSize, this.getCanvasWidth(), this.getCanvasHeight(), {
+            segments,
+            direction: this.snake.direction
+        }));
+    }
+
+    getCanvasWidth() {
+        return this.board.width * this.gridSize;
+    }
+
+    getCanvasHeight() {
+        return this.board.height * this.gridSize;
+    }
+
+    resizeRenderer() {
+        if (!this.ctx) {
+            return;
+        }
+
+        if (!this.renderer) {
+            this.renderer = new Renderer(this.ctx, this.getCanvasWidth(), this.getCanvasHeight(), this.gridSize);
+        } else {
+            this.renderer.resize(this.getCanvasWidth(), this.getCanvasHeight());
+        }
+    }
+
+    changed() {
+        this.render();
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
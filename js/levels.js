@@ -0,0 +1,53 @@
+// Built-in Levels - Designed stages shipped with the game
+// Written in the level file format (see level.js) and decoded on load,
+// so they are checked by exactly the same rules as imported levels.
+import { LEVEL_FORMAT, LEVEL_FORMAT_VERSION, decodeLevel } from './level.js';
+
+const LEVEL_FILES = [
+    {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: 'Four Pillars',
+        description: 'Four solid blocks break up the open arena.',
+        board: { width: 30, height: 30, mode: 'walls' },
+        obstacles: [
+            { x: 6, y: 6, width: 3, height: 3 },
+            { x: 21, y: 6, width: 3, height: 3 },
+            { x: 6, y: 21, width: 3, height: 3 },
+            { x: 21, y: 21, width: 3, height: 3 }
+        ],
+        snake: { x: 15, y: 15, direction: 'right', length: 3 },
+        goals: { food: 15 }
+    },
+    {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: 'Corridors',
+        description: 'Long horizontal walls leave narrow lanes with gaps at alternating ends.',
+        board: { width: 30, height: 30, mode: 'walls' },
+        obstacles: [
+            { x: 0, y: 7, width: 24, height: 1 },
+            { x: 6, y: 14, width: 24, height: 1 },
+            { x: 0, y: 21, width: 24, height: 1 }
+        ],
+        snake: { x: 5, y: 3, direction: 'right', length: 3 },
+        goals: { food: 20, score: 250 }
+    },
+    {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: 'Crossroads',
+        description: 'A wrap-around board split by a cross with open ends.',
+        board: { width: 24, height: 24, mode: 'wrap' },
+        obstacles: [
+            { x: 11, y: 3, width: 2, height: 7 },
+            { x: 11, y: 14, width: 2, height: 7 },
+            { x: 3, y: 11, width: 7, height: 2 },
+            { x: 14, y: 11, width: 7, height: 2 }
+        ],
+        snake: { x: 5, y: 5, direction: 'down', length: 3 },
+        goals: { length: 20 }
+    }
+];
+
+export const BUILT_IN_LEVELS = LEVEL_FILES.map(decodeLevel);
@@ -1,6 +1,38 @@
 // Main entry point for the AI-Adaptive Snake Game
 import { GameEngine } from './gameEngine.js';
 import { StorageManager } from './storageManager.js';
+import { ReplayViewer } from './replayViewer.js';
+import { serializeReplay, parseReplay } from './replayFormat.js';
+import { GhostRunner } from './ghost.js';
+import { parseLevel } from './level.js';
+import { BUILT_IN_LEVELS } from './levels.js';
+import { GAME_MODE_IDS, getGameMode, getModeRules } from './gameModes.js';
+import { TouchControls } from './touchControls.js';
+import { GamepadInput, GAMEPAD_ACTIONS, DEFAULT_GAMEPAD_MAPPING, getButtonName } from './gamepad.js';
+import { KEY_ACTIONS, KEY_ACTION_IDS, KEYS_PER_ACTION, getKeyName, isKeyEntryField } from './keyBindings.js';
+import { DEFAULT_KEY_PROFILE } from './storageManager.js';
+import { BOARD_SIZES, DEFAULT_BOARD_SIZE, CUSTOM_BOARD_LIMITS } from './board.js';
+import { getCanvasLayout } from './renderer.js';
+
+// Touch and gamepad input become the same game actions keys are bound to
+// (see keyBindings.js). Each list is tried in order until one applies.
+const PLAYER_ONE_MOVES = { up: ['moveUp'], down: ['moveDown'], left: ['moveLeft'], right: ['moveRight'] };
+const PLAYER_TWO_MOVES = { up: ['p2MoveUp'], down: ['p2MoveDown'], left: ['p2MoveLeft'], right: ['p2MoveRight'] };
+const GAMEPAD_GAME_ACTIONS = { pause: ['pause', 'start'], back: ['back'], confirm: ['start'] };
+
+const GAMEPAD_ACTION_LABELS = {
+    up: 'Up',
+    down: 'Down',
+    left: 'Left',
+    right: 'Right',
+    pause: 'Pause / start',
+    back: 'Back',
+    confirm: 'Confirm'
+};
+
+// Window space the board leaves for the page around it (CSS pixels)
+const CANVAS_MARGIN_X = 24;
+const CANVAS_MARGIN_Y = 120;
 
 class Game {
     constructor() {
@@ -8,6 +40,9 @@ class Game {
         this.storageManager = new StorageManager();
         this.canvas = null;
         this.ctx = null;
+        this.replayViewer = null;
+        this.customLevel = null;
+        this.boardDimensions = null; // Board being shown, in board pixels
         
         this.initializeDOM();
         this.setupEventListeners();
@@ -19,6 +54,8 @@ class Game {
         
         // Initialize game engine with canvas context
         this.gameEngine = new GameEngine(this.ctx, this.canvas.width, this.canvas.height);
+        this.replayViewer = new ReplayViewer(this.ctx);
+        this.gameEngine.setBoardSize(this.storageManager.loadBoardSize() || DEFAULT_BOARD_SIZE);
         
         // Load saved data
         const savedData = this.storageManager.loadGameData();
@@ -26,6 +63,26 @@ class Game {
             this.gameEngine.loadSavedData(savedData);
         }
         
+        // Race against the stored best run, if there is one
+        this.updateGhost();
+        
+        // Resume a game that was in progress when the page was closed (at its own board size)
+        if (savedData && this.gameEngine.restoreGameData(savedData)) {
+            this.updateScoreDisplay(this.gameEngine.getScore());
+            this.updateDifficultyDisplay(this.gameEngine.getDifficulty());
+        }
+        this.setCanvasSize(this.gameEngine.canvasWidth, this.gameEngine.canvasHeight);
+        this.syncBoardSizeControls();
+        
+        // Each mode and board setup keeps its own high score (a resumed game may be in any)
+        this.gameEngine.setHighScore(Math.max(
+            this.gameEngine.getHighScore(),
+            this.storageManager.loadHighScore(this.gameEngine.getMode(), this.gameEngine.getSetup())
+        ));
+        
+        this.populateModeSelect();
+        this.populateLevelSelect();
+        
         // Update UI with loaded high score
         this.updateHighScoreDisplay();
         
@@ -53,11 +110,76 @@ class Game {
             this.restartFromGameOver();
         });
 
+        document.getElementById('watchReplayButton').addEventListener('click', () => {
+            this.watchReplay();
+        });
+
+        document.getElementById('exportReplayButton').addEventListener('click', () => {
+            this.exportReplay();
+        });
+
+        document.getElementById('importReplayButton').addEventListener('click', () => {
+            document.getElementById('replayFileInput').click();
+        });
+
+        document.getElementById('replayFileInput').addEventListener('change', (event) => {
+            const file = event.target.files && event.target.files[0];
+            if (file) {
+                this.importReplay(file);
+            }
+            event.target.value = '';
+        });
+
+        // Drag and drop replay files onto the game over screen
+        const gameOverScreen = document.getElementById('gameOverScreen');
+        gameOverScreen.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            gameOverScreen.classList.add('drag-over');
+        });
+
+        gameOverScreen.addEventListener('dragleave', () => {
+            gameOverScreen.classList.remove('drag-over');
+        });
+
+        gameOverScreen.addEventListener('drop', (event) => {
+            event.preventDefault();
+            gameOverScreen.classList.remove('drag-over');
+            const file = event.dataTransfer && event.dataTransfer.files[0];
+            if (file) {
+                this.importReplay(file);
+            }
+        });
+
+        // Replay controls
+        document.getElementById('replayPlayButton').addEventListener('click', () => {
+            this.replayViewer.togglePlay();
+        });
+
+        document.getElementById('replaySeek').addEventListener('input', (event) => {
+            this.replayViewer.seek(parseInt(event.target.value, 10));
+        });
+
+        document.getElementById('replaySpeed').addEventListener('change', (event) => {
+            this.replayViewer.setSpeed(parseFloat(event.target.value));
+        });
+
+        document.getElementById('replayCloseButton').addEventListener('click', () => {
+            this.closeReplay();
+        });
+
+        this.replayViewer.onUpdate = (status) => {
+            this.updateReplayControls(status);
+        };
+
         // Keyboard controls
         document.addEventListener('keydown', (event) => {
             this.handleKeyboardInput(event);
         });
 
+        this.setupTouchControls();
+        this.setupGamepad();
+        this.setupKeyBindings();
+
         // Game state change listeners
         this.gameEngine.onScoreChange = (score) => {
             this.updateScoreDisplay(score);
@@ -65,7 +187,7 @@ class Game {
 
         this.gameEngine.onHighScoreChange = (highScore) => {
             this.updateHighScoreDisplay(highScore);
-            this.storageManager.saveHighScore(highScore);
+            this.storageManager.saveHighScore(highScore, this.gameEngine.getMode(), this.gameEngine.getSetup());
         };
 
         this.gameEngine.onDifficultyChange = (difficulty) => {
@@ -74,7 +196,84 @@ class Game {
         };
 
         this.gameEngine.onGameOver = (gameOverData) => {
-            this.showGameOverScreen(gameOverData);
+            if (gameOverData.isNewHighScore) {
+                this.storageManager.saveBestReplay(this.gameEngine.getReplay());
+                this.updateGhost();
+            }
+            // Versus games are won or lost, not ranked; autopilot runs are not the player's
+            const tablePlace = getGameMode(gameOverData.mode).opponent !== 'keyboard' && !gameOverData.autopilot
+                ? this.storageManager.saveHighScoreEntry(gameOverData.mode, {
+                    score: gameOverData.finalScore,
+                    foodEaten: gameOverData.foodEaten
+                }, this.gameEngine.getSetup())
+                : -1;
+            this.showGameOverScreen(gameOverData, tablePlace);
+        };
+
+        // Persist a paused snapshot whenever the page goes away mid-game
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.suspendGame();
+            }
+        });
+
+        window.addEventListener('beforeunload', () => {
+            this.suspendGame();
+        });
+
+        document.getElementById('ghostToggle').addEventListener('change', () => {
+            this.updateGhost();
+        });
+
+        // The solver can play the game or just show the way; autopilot games set no high scores
+        document.getElementById('autopilotToggle').addEventListener('change', (event) => {
+            this.gameEngine.setAutopilot(event.target.checked);
+        });
+
+        document.getElementById('hintToggle').addEventListener('change', (event) => {
+            this.gameEngine.setHints(event.target.checked);
+        });
+
+        document.getElementById('modeSelect').addEventListener('change', (event) => {
+            this.selectMode(event.target.value);
+        });
+
+        document.getElementById('boardModeSelect').addEventListener('change', (event) => {
+            if (this.gameEngine.setBoardMode(event.target.value)) {
+                this.loadHighScore();
+                this.updateGhost();
+            }
+        });
+
+        document.getElementById('boardSizeSelect').addEventListener('change', () => this.selectBoardSize());
+        document.getElementById('boardColumnsInput').addEventListener('change', () => this.selectBoardSize());
+        document.getElementById('boardRowsInput').addEventListener('change', () => this.selectBoardSize());
+
+        // Refit the board when the window or the screen's pixel density changes
+        window.addEventListener('resize', () => this.layoutCanvas());
+
+        document.getElementById('foodCountSelect').addEventListener('change', (event) => {
+            if (this.gameEngine.setFoodCount(parseInt(event.target.value, 10))) {
+                this.loadHighScore();
+                this.updateGhost();
+            }
+        });
+
+        document.getElementById('levelSelect').addEventListener('change', (event) => {
+            this.selectLevel(event.target.value);
+        });
+
+        document.getElementById('levelFileInput').addEventListener('change', (event) => {
+            const file = event.target.files && event.target.files[0];
+            if (file) {
+                this.importLevel(file);
+            }
+            event.target.value = '';
+        });
+
+        // Levels and arena sizes change the board; keep the canvas in step
+        this.gameEngine.onBoardResize = (width, height) => {
+            this.setCanvasSize(width, height);
         };
         
         // Add game state change listener for UI updates
@@ -82,6 +281,7 @@ class Game {
     }
     
     startGame() {
+        this.closeReplay();
         this.gameEngine.start();
         this.updateButtonStates();
         this.hideGameOverScreen();
@@ -91,27 +291,658 @@ class Game {
         this.gameEngine.togglePause();
         this.updateButtonStates();
         this.updatePauseButtonText();
+        
+        if (this.gameEngine.isPaused()) {
+            this.saveGameSnapshot();
+        }
+    }
+    
+    // Pause a running game and save it so it survives a reload
+    suspendGame() {
+        if (this.gameEngine.isRunning()) {
+            this.gameEngine.togglePause();
+            this.updateButtonStates();
+            this.updatePauseButtonText();
+        }
+        
+        if (this.gameEngine.isPaused()) {
+            this.saveGameSnapshot();
+        }
+    }
+    
+    saveGameSnapshot() {
+        this.storageManager.saveGameData(this.gameEngine.getGameData());
     }
     
     restartGame() {
+        this.closeReplay();
         this.gameEngine.restart();
         this.updateButtonStates();
         this.hideGameOverScreen();
     }
     
     restartFromGameOver() {
+        this.closeReplay();
         this.hideGameOverScreen();
         this.gameEngine.restart();
         this.updateButtonStates();
     }
     
+    watchReplay(replay = this.gameEngine.getReplay()) {
+        if (!replay || this.gameEngine.getGameState() !== 'gameOver') {
+            return;
+        }
+        
+        this.hideGameOverScreen();
+        this.setCanvasSize(replay.config.canvasWidth, replay.config.canvasHeight);
+        this.replayViewer.load(replay);
+        
+        const seekInput = document.getElementById('replaySeek');
+        if (seekInput) {
+            seekInput.max = replay.totalTicks;
+        }
+        
+        const controls = document.getElementById('replayControls');
+        if (controls) {
+            controls.style.display = 'flex';
+        }
+        
+        this.replayViewer.play();
+    }
+    
+    // Switch rule set between games; each mode has its own high score and best run
+    // The page lists the built-in modes; add any registered since
+    populateModeSelect() {
+        const modeSelect = document.getElementById('modeSelect');
+        const listed = Array.from(modeSelect.options).map(option => option.value);
+        GAME_MODE_IDS.filter(id => !listed.includes(id)).forEach(id => {
+            modeSelect.appendChild(new Option(getGameMode(id).label, id));
+        });
+    }
+    
+    selectMode(mode) {
+        if (this.gameEngine.setMode(mode)) {
+            this.loadHighScore();
+            this.updateGhost();
+            this.gameEngine.render();
+        }
+        this.updateButtonStates();
+    }
+    
+    // Show the stored high score of the current mode and board setup
+    loadHighScore() {
+        this.gameEngine.setHighScore(this.storageManager.loadHighScore(this.gameEngine.getMode(), this.gameEngine.getSetup()));
+    }
+    
+    // Load the best-run ghost for the next game (or clear it when disabled)
+    updateGhost() {
+        const ghostToggle = document.getElementById('ghostToggle');
+        // A single ghost has nothing to race in two-player games
+        const enabled = (!ghostToggle || ghostToggle.checked) && getGameMode(this.gameEngine.getMode()).players === 1;
+        
+        const bestReplay = enabled ? this.storageManager.loadBestReplay(this.gameEngine.getSetup(), this.gameEngine.getMode()) : null;
+        
+        // A ghost only makes a fair race on the same board rules and level (best runs
+        // saved before setups were kept apart may come from another one)
+        const sameBoard = bestReplay && (bestReplay.config.boardMode || 'walls') === this.gameEngine.getBoardMode() &&
+            JSON.stringify(bestReplay.config.level || null) === JSON.stringify(this.gameEngine.getLevel()) &&
+            (bestReplay.config.foodCount || 1) === this.gameEngine.getFoodCount();
+        this.gameEngine.setGhost(sameBoard ? new GhostRunner(bestReplay) : null);
+    }
+    
+    exportReplay() {
+        const replay = this.gameEngine.getReplay();
+        if (!replay) {
+            return;
+        }
+        
+        const readable = document.getElementById('replayReadableToggle').checked;
+        const contents = serializeReplay(replay, { compact: !readable });
+        const blob = new Blob([contents], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snake-replay-${replay.finalScore}-${replay.seed}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    importReplay(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                // The canvas adapts to the replay's board while it plays
+                const replay = parseReplay(reader.result);
+                this.showReplayImportError('');
+                this.watchReplay(replay);
+            } catch (error) {
+                console.warn('Failed to import replay:', error);
+                this.showReplayImportError(error.message);
+            }
+        };
+        reader.onerror = () => {
+            this.showReplayImportError('Could not read the replay file');
+        };
+        reader.readAsText(file);
+    }
+    
+    showReplayImportError(message) {
+        const errorElement = document.getElementById('replayImportError');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    }
+    
+    closeReplay() {
+        if (!this.replayViewer || !this.replayViewer.isLoaded()) {
+            return;
+        }
+        
+        this.replayViewer.unload();
+        this.setCanvasSize(this.gameEngine.canvasWidth, this.gameEngine.canvasHeight);
+        
+        const controls = document.getElementById('replayControls');
+        if (controls) {
+            controls.style.display = 'none';
+        }
+        
+        // The replay engine drew its own HUD values; put the live game's back
+        this.updateScoreDisplay(this.gameEngine.getScore());
+        this.updateHighScoreDisplay(this.gameEngine.getHighScore());
+        this.gameEngine.render();
+        
+        if (this.gameEngine.isGameOver()) {
+            const gameOverScreen = document.getElementById('gameOverScreen');
+            if (gameOverScreen) {
+                gameOverScreen.style.display = 'block';
+            }
+        }
+    }
+    
+    populateLevelSelect() {
+        const levelSelect = document.getElementById('levelSelect');
+        const fileOption = levelSelect.querySelector('option[value="file"]');
+        
+        BUILT_IN_LEVELS.forEach((level, index) => {
+            const option = document.createElement('option');
+            option.value = `builtin-${index}`;
+            option.textContent = level.name;
+            levelSelect.insertBefore(option, fileOption);
+        });
+        
+        this.syncLevelSelect();
+    }
+    
+    selectLevel(value) {
+        if (value === 'file') {
+            // Keep showing the current level until a file has actually loaded
+            this.syncLevelSelect();
+            document.getElementById('levelFileInput').click();
+            return;
+        }
+        
+        let level = null;
+        if (value.startsWith('builtin-')) {
+            level = BUILT_IN_LEVELS[parseInt(value.slice('builtin-'.length), 10)];
+        } else if (value === 'custom') {
+            level = this.customLevel;
+        }
+        
+        this.applyLevel(level);
+    }
+    
+    importLevel(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.customLevel = parseLevel(reader.result);
+                this.showLevelError('');
+                this.applyLevel(this.customLevel);
+            } catch (error) {
+                console.warn('Failed to load level:', error);
+                this.showLevelError(error.message);
+            }
+        };
+        reader.onerror = () => {
+            this.showLevelError('Could not read the level file');
+        };
+        reader.readAsText(file);
+    }
+    
+    applyLevel(level) {
+        if (!this.gameEngine.setLevel(level)) {
+            this.syncLevelSelect();
+            return;
+        }
+        
+        this.syncLevelSelect();
+        this.loadHighScore();
+        this.updateGhost();
+        this.updateButtonStates();
+        this.gameEngine.render();
+    }
+    
+    // Show the engine's current level in the selector
+    syncLevelSelect() {
+        const levelSelect = document.getElementById('levelSelect');
+        if (!levelSelect) {
+            return;
+        }
+        
+        const level = this.gameEngine.getLevel();
+        const builtInIndex = BUILT_IN_LEVELS.findIndex(builtIn => JSON.stringify(builtIn) === JSON.stringify(level));
+        let customOption = levelSelect.querySelector('option[value="custom"]');
+        
+        if (level && builtInIndex === -1) {
+            if (!customOption) {
+                customOption = document.createElement('option');
+                customOption.value = 'custom';
+                levelSelect.insertBefore(customOption, levelSelect.querySelector('option[value="file"]'));
+            }
+            customOption.textContent = `${level.name} (custom)`;
+            this.customLevel = level;
+            levelSelect.value = 'custom';
+        } else {
+            levelSelect.value = level ? `builtin-${builtInIndex}` : 'arena';
+        }
+    }
+    
+    showLevelError(message) {
+        const errorElement = document.getElementById('levelError');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    }
+    
+    // Arena size from the size controls; the board changes right away
+    selectBoardSize() {
+        const preset = document.getElementById('boardSizeSelect').value;
+        const size = preset === 'custom' ? {
+            preset,
+            columns: parseInt(document.getElementById('boardColumnsInput').value, 10),
+            rows: parseInt(document.getElementById('boardRowsInput').value, 10)
+        } : preset;
+        
+        if (this.gameEngine.setBoardSize(size)) {
+            this.storageManager.saveBoardSize(size);
+            this.showLevelError('');
+            this.loadHighScore();
+            this.updateGhost();
+            this.gameEngine.render();
+        } else if (preset === 'custom') {
+            this.showLevelError(`Custom boards are ${CUSTOM_BOARD_LIMITS.min} to ${CUSTOM_BOARD_LIMITS.max} cells on each side`);
+        }
+        this.syncBoardSizeControls();
+    }
+    
+    // Show the engine's arena size in the size controls
+    syncBoardSizeControls() {
+        const boardSizeSelect = document.getElementById('boardSizeSelect');
+        if (!boardSizeSelect) {
+            return;
+        }
+        
+        const size = this.gameEngine.getBoardSize();
+        const custom = !BOARD_SIZES[size.preset];
+        boardSizeSelect.value = custom ? 'custom' : size.preset;
+        
+        const customInputs = document.getElementById('boardCustomSize');
+        customInputs.style.display = custom ? 'inline-flex' : 'none';
+        document.getElementById('boardColumnsInput').value = size.columns;
+        document.getElementById('boardRowsInput').value = size.rows;
+    }
+    
+    // Show a board of width x height board pixels (see layoutCanvas)
+    setCanvasSize(width, height) {
+        this.boardDimensions = { width, height };
+        this.layoutCanvas();
+    }
+    
+    // Fit the board into the window at the screen's pixel density. The canvas
+    // gets one pixel per device pixel and the context is scaled, so everything
+    // still draws in board pixels and nothing is blurred by CSS scaling.
+    layoutCanvas() {
+        if (!this.boardDimensions) {
+            return;
+        }
+        
+        const { width, height } = this.boardDimensions;
+        const layout = getCanvasLayout(
+            width,
+            height,
+            window.innerWidth - CANVAS_MARGIN_X,
+            window.innerHeight - CANVAS_MARGIN_Y,
+            window.devicePixelRatio || 1
+        );
+        
+        if (this.canvas.width !== layout.pixelWidth || this.canvas.height !== layout.pixelHeight) {
+            this.canvas.width = layout.pixelWidth;
+            this.canvas.height = layout.pixelHeight;
+        }
+        this.canvas.style.width = `${layout.cssWidth}px`;
+        this.canvas.style.height = `${layout.cssHeight}px`;
+        // Resizing a canvas resets its context, so the scale is set every time
+        this.ctx.setTransform(layout.scaleX, 0, 0, layout.scaleY, 0, 0);
+        
+        if (this.replayViewer && this.replayViewer.isLoaded()) {
+            this.replayViewer.render();
+        } else if (this.gameEngine) {
+            this.gameEngine.render();
+        }
+    }
+    
+    updateReplayControls(status) {
+        const playButton = document.getElementById('replayPlayButton');
+        if (playButton) {
+            playButton.textContent = status.playing ? 'Pause' : 'Play';
+        }
+        
+        const seekInput = document.getElementById('replaySeek');
+        if (seekInput) {
+            seekInput.value = status.tick;
+        }
+        
+        const tickLabel = document.getElementById('replayTick');
+        if (tickLabel) {
+            tickLabel.textContent = `${status.tick} / ${status.totalTicks}`;
+        }
+    }
+    
+    setupTouchControls() {
+        // Swipes and the D-pad steer the first snake, a tap pauses
+        const steer = (direction) => this.handleGameActions(PLAYER_ONE_MOVES[direction]);
+
+        this.touchControls = new TouchControls(this.canvas);
+        this.touchControls.onDirection = steer;
+        this.touchControls.onTap = () => this.handleGameActions(['pause', 'start']);
+        this.touchControls.attach();
+
+        document.querySelectorAll('#directionPad [data-direction]').forEach(button => {
+            // pointerdown reacts on touch without waiting for the click
+            button.addEventListener('pointerdown', (event) => {
+                event.preventDefault();
+                steer(button.dataset.direction);
+            });
+        });
+
+        // The D-pad is shown by default on touch screens
+        const padToggle = document.getElementById('dpadToggle');
+        padToggle.checked = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+        this.showDirectionPad(padToggle.checked);
+        padToggle.addEventListener('change', (event) => {
+            this.showDirectionPad(event.target.checked);
+        });
+    }
+    
+    setupGamepad() {
+        this.gamepadInput = new GamepadInput(this.storageManager.loadGamepadMapping() || DEFAULT_GAMEPAD_MAPPING);
+        this.gamepadPolling = false;
+
+        // The first connected gamepad plays as player one, the next as player two in versus
+        this.gamepadInput.onAction = (action, padIndex, order) => {
+            const moves = order === 0 ? PLAYER_ONE_MOVES : PLAYER_TWO_MOVES;
+            this.handleGameActions(moves[action] || GAMEPAD_GAME_ACTIONS[action]);
+        };
+        this.gamepadInput.onMappingChange = (mapping) => {
+            this.storageManager.saveGamepadMapping(mapping);
+            this.updateGamepadMapping();
+        };
+
+        window.addEventListener('gamepadconnected', () => {
+            this.startGamepadPolling();
+        });
+        window.addEventListener('gamepaddisconnected', () => {
+            this.updateGamepadStatus();
+        });
+
+        document.getElementById('gamepadResetButton').addEventListener('click', () => {
+            this.gamepadInput.cancelCapture();
+            this.gamepadInput.resetMapping();
+        });
+
+        this.updateGamepadMapping();
+        // A pad that was connected before the page loaded only shows up once polled
+        if (this.getGamepads().some(Boolean)) {
+            this.startGamepadPolling();
+        }
+    }
+    
+    getGamepads() {
+        return typeof navigator.getGamepads === 'function' ? Array.from(navigator.getGamepads()) : [];
+    }
+    
+    // Gamepads have no button events; read them once per frame while one is connected
+    startGamepadPolling() {
+        this.updateGamepadStatus();
+        if (this.gamepadPolling) {
+            return;
+        }
+        this.gamepadPolling = true;
+
+        const poll = () => {
+            const gamepads = this.getGamepads();
+            if (!gamepads.some(Boolean)) {
+                this.gamepadPolling = false;
+                this.gamepadInput.cancelCapture();
+                this.updateGamepadMapping();
+                return;
+            }
+            this.gamepadInput.poll(gamepads);
+            requestAnimationFrame(poll);
+        };
+        requestAnimationFrame(poll);
+    }
+    
+    updateGamepadStatus() {
+        const statusElement = document.getElementById('gamepadStatus');
+        if (statusElement) {
+            const count = this.getGamepads().filter(Boolean).length;
+            statusElement.textContent = count === 0 ? 'not connected' : `${count} connected`;
+        }
+    }
+    
+    // One row per action; clicking a row's button waits for the gamepad button to use instead
+    updateGamepadMapping() {
+        const container = document.getElementById('gamepadMapping');
+        if (!container) {
+            return;
+        }
+
+        const mapping = this.gamepadInput.getMapping();
+        container.innerHTML = '';
+        GAMEPAD_ACTIONS.forEach(action => {
+            const label = document.createElement('span');
+            label.textContent = GAMEPAD_ACTION_LABELS[action];
+
+            const button = document.createElement('button');
+            button.textContent = mapping[action].length > 0 ? mapping[action].map(getButtonName).join(' / ') : 'none';
+            button.addEventListener('click', () => {
+                if (!this.gamepadPolling) {
+                    button.textContent = 'Connect a gamepad first';
+                    return;
+                }
+                button.textContent = 'Press a button...';
+                this.gamepadInput.captureButton((pressed) => {
+                    this.gamepadInput.remap(action, pressed);
+                });
+            });
+
+            container.append(label, button);
+        });
+    }
+    
+    setupKeyBindings() {
+        this.keyCapture = null;
+
+        // Each profile keeps its own bindings; the last one used comes back
+        const profile = this.storageManager.loadActiveKeyProfile();
+        this.selectKeyProfile(this.storageManager.loadKeyProfiles().includes(profile) ? profile : DEFAULT_KEY_PROFILE);
+        this.gameEngine.getKeyBindings().onChange = (bindings) => {
+            this.storageManager.saveKeyBindings(bindings, this.keyProfile);
+            this.updateKeyBindingList();
+        };
+
+        document.getElementById('keyProfileSelect').addEventListener('change', (event) => {
+            this.selectKeyProfile(event.target.value);
+        });
+
+        document.getElementById('newKeyProfileButton').addEventListener('click', () => {
+            const name = (window.prompt('Name of the new key profile') || '').trim();
+            if (!name) {
+                return;
+            }
+            // A new profile starts from the bindings in use
+            if (!this.storageManager.loadKeyProfiles().includes(name)) {
+                this.storageManager.saveKeyBindings(this.gameEngine.getKeyBindings().getBindings(), name);
+            }
+            this.selectKeyProfile(name);
+        });
+
+        document.getElementById('deleteKeyProfileButton').addEventListener('click', () => {
+            if (this.storageManager.deleteKeyBindings(this.keyProfile)) {
+                this.selectKeyProfile(DEFAULT_KEY_PROFILE);
+            }
+        });
+
+        document.getElementById('keyResetButton').addEventListener('click', () => {
+            this.keyCapture = null;
+            this.showKeyBindingError('');
+            this.gameEngine.getKeyBindings().reset();
+        });
+    }
+    
+    selectKeyProfile(profile) {
+        this.keyProfile = profile;
+        this.storageManager.saveActiveKeyProfile(profile);
+
+        // Profiles saved before an action existed get its default keys
+        const bindings = this.gameEngine.getKeyBindings();
+        const onChange = bindings.onChange;
+        bindings.onChange = null;
+        bindings.setBindings(this.storageManager.loadKeyBindings(profile) || {});
+        bindings.onChange = onChange;
+
+        const select = document.getElementById('keyProfileSelect');
+        select.innerHTML = '';
+        this.storageManager.loadKeyProfiles().forEach(name => {
+            select.appendChild(new Option(name, name, false, name === profile));
+        });
+        document.getElementById('keyProfileName').textContent = profile;
+        document.getElementById('deleteKeyProfileButton').disabled = profile === DEFAULT_KEY_PROFILE;
+
+        this.keyCapture = null;
+        this.showKeyBindingError('');
+        this.updateKeyBindingList();
+    }
+    
+    // One row per action with a button per key slot; clicking one waits for the new key
+    updateKeyBindingList() {
+        const container = document.getElementById('keyBindingList');
+        if (!container) {
+            return;
+        }
+
+        const bindings = this.gameEngine.getKeyBindings();
+        container.innerHTML = '';
+        KEY_ACTION_IDS.forEach(action => {
+            const label = document.createElement('span');
+            label.textContent = KEY_ACTIONS[action].label;
+
+            const slots = document.createElement('span');
+            const keys = bindings.getKeys(action);
+            for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+                const button = document.createElement('button');
+                button.textContent = keys[slot] ? getKeyName(keys[slot]) : '-';
+                button.addEventListener('click', () => {
+                    button.textContent = 'Press a key...';
+                    this.keyCapture = (key) => this.rebindKey(action, slot, key);
+                });
+                slots.appendChild(button);
+            }
+
+            container.append(label, slots);
+        });
+    }
+    
+    rebindKey(action, slot, key) {
+        const bindings = this.gameEngine.getKeyBindings();
+        if (key === 'Backspace' || key === 'Delete') {
+            bindings.unbind(action, slot);
+            this.showKeyBindingError('');
+        } else {
+            const conflicts = bindings.bind(action, slot, key) || [];
+            this.showKeyBindingError(conflicts.length > 0
+                ? `${getKeyName(key)} is already used for ${conflicts.map(other => KEY_ACTIONS[other].label).join(', ')}`
+                : '');
+        }
+        this.updateKeyBindingList();
+    }
+    
+    showKeyBindingError(message) {
+        const errorElement = document.getElementById('keyBindingError');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    }
+    
+    showDirectionPad(visible) {
+        const pad = document.getElementById('directionPad');
+        if (pad) {
+            pad.classList.toggle('visible', visible);
+        }
+    }
+    
     handleKeyboardInput(event) {
-        // Prevent default behavior for game keys
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' ', 'Escape'].includes(event.key)) {
+        // The rebinding UI is waiting for a key
+        if (this.keyCapture) {
+            event.preventDefault();
+            const capture = this.keyCapture;
+            this.keyCapture = null;
+            capture(event.key);
+            return;
+        }
+
+        // Text, number and slider fields keep their keys: the arrows are player 2's,
+        // but they also step the board size inputs and the replay seek slider
+        if (isKeyEntryField(event.target)) {
+            return;
+        }
+
+        const actions = this.gameEngine.getKeyBindings().getActions(event.key);
+        
+        // Bound keys must not scroll the page or press a focused button
+        if (actions.length > 0) {
             event.preventDefault();
         }
         
-        this.gameEngine.handleInput(event.key);
+        this.handleGameActions(actions);
+    }
+    
+    // Keys, swipes, the D-pad and gamepads all end up here, so every way of
+    // playing takes the same path into the engine (and into the replay)
+    handleGameActions(actions) {
+        // While a replay is open, pause toggles playback, back closes it and
+        // anything else closes it too before going to the game
+        if (this.replayViewer.isLoaded()) {
+            if (actions.includes('pause')) {
+                this.replayViewer.togglePlay();
+                return;
+            }
+            this.closeReplay();
+            if (actions.includes('back')) {
+                return;
+            }
+        }
+        
+        const wasPaused = this.gameEngine.isPaused();
+        actions.some(action => this.gameEngine.handleAction(action));
+        
+        if (!wasPaused && this.gameEngine.isPaused()) {
+            this.saveGameSnapshot();
+        }
         
         // Update UI after input
         this.updateButtonStates();
@@ -168,14 +999,26 @@ class Game {
         }
     }
     
-    showGameOverScreen(gameOverData) {
+    showGameOverScreen(gameOverData, tablePlace = -1) {
         const finalScore = gameOverData ? gameOverData.finalScore : this.gameEngine.getScore();
         const isNewHighScore = gameOverData && gameOverData.isNewHighScore;
         
+        // Each mode words its own result: a winner, a cleared level, the final score
+        const result = gameOverData
+            ? getModeRules(gameOverData.mode).describeResult(gameOverData)
+            : { title: 'Game Over!', scores: String(finalScore) };
+        
+        const titleElement = document.querySelector('#gameOverScreen .game-over-title');
+        if (titleElement) {
+            titleElement.textContent = result.title;
+        }
+        
+        this.updateHighScoreTable(tablePlace);
+        
         // Update final score display
         const finalScoreElement = document.getElementById('finalScore');
         if (finalScoreElement) {
-            finalScoreElement.textContent = finalScore;
+            finalScoreElement.textContent = result.scores;
         }
         
         // Add new high score indicator if applicable
@@ -219,6 +1062,32 @@ class Game {
         this.storageManager.saveGameData(gameData);
     }
     
+    // Best runs of the current mode on the game over screen, this run highlighted
+    updateHighScoreTable(highlightPlace = -1) {
+        const mode = this.gameEngine.getMode();
+        const title = document.getElementById('highScoreTableTitle');
+        const list = document.getElementById('highScoreTable');
+        if (!title || !list) {
+            return;
+        }
+        
+        const table = this.storageManager.loadHighScoreTable(mode, this.gameEngine.getSetup());
+        const board = this.gameEngine.getBoardSize();
+        title.textContent = this.gameEngine.getLevel()
+            ? `${getGameMode(mode).label} best runs`
+            : `${getGameMode(mode).label} best runs (${board.columns}×${board.rows})`;
+        list.innerHTML = '';
+        table.forEach((entry, place) => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.score} (${entry.foodEaten} food)`;
+            if (place === highlightPlace) {
+                item.className = 'current-run';
+            }
+            list.appendChild(item);
+        });
+        title.style.display = table.length > 0 ? 'block' : 'none';
+    }
+    
     hideGameOverScreen() {
         const gameOverScreen = document.getElementById('gameOverScreen');
         if (gameOverScreen) {
@@ -247,6 +1116,42 @@ class Game {
             restartButton.disabled = (gameState === 'menu');
             restartButton.style.opacity = restartButton.disabled ? '0.5' : '1';
         }
+        
+        // Game mode, board rules and levels can only change between games
+        const inGame = (gameState === 'playing' || gameState === 'paused');
+        const modeSelect = document.getElementById('modeSelect');
+        if (modeSelect) {
+            modeSelect.disabled = inGame;
+            modeSelect.value = this.gameEngine.getMode();
+        }
+        
+        const boardModeSelect = document.getElementById('boardModeSelect');
+        if (boardModeSelect) {
+            boardModeSelect.disabled = inGame;
+            boardModeSelect.value = this.gameEngine.getBoardMode();
+        }
+        
+        const levelSelect = document.getElementById('levelSelect');
+        if (levelSelect) {
+            levelSelect.disabled = inGame;
+        }
+        
+        // A level brings its own board size
+        const boardSizeControls = ['boardSizeSelect', 'boardColumnsInput', 'boardRowsInput'];
+        boardSizeControls.forEach(id => {
+            const control = document.getElementById(id);
+            if (control) {
+                control.disabled = inGame || Boolean(this.gameEngine.getLevel());
+            }
+        });
+        
+        // A level with its own food count overrides the setting
+        const foodCountSelect = document.getElementById('foodCountSelect');
+        if (foodCountSelect) {
+            const level = this.gameEngine.getLevel();
+            foodCountSelect.disabled = inGame || Boolean(level && level.foodCount);
+            foodCountSelect.value = String(this.gameEngine.getFoodCount());
+        }
     }
     
     updatePauseButtonText() {
@@ -258,13 +1163,18 @@ class Game {
     }
     
     setupGameStateListener() {
-        // Poll game state periodically to update UI
-        setInterval(() => {
+        // Refresh the controls and status lines whenever the game changes state
+        this.gameEngine.on('stateChange', () => {
             this.updateButtonStates();
             this.updatePauseButtonText();
             this.updateAIStatus();
             this.updateGameStatusText();
-        }, 1000); // Update UI every second
+        });
+        
+        this.gameEngine.on('aiStrategyChange', () => {
+            this.updateAIStatus();
+            this.updateGameStatusText();
+        });
     }
     
     updateAIStatus() {
@@ -339,7 +1249,7 @@ class Game {
     updateHighScoreDisplay(highScore = null) {
         // If no high score provided, load from storage
         if (highScore === null) {
-            highScore = this.storageManager.loadHighScore();
+            highScore = this.storageManager.loadHighScore(this.gameEngine.getMode(), this.gameEngine.getSetup());
         }
         
         const highScoreElement = document.getElementById('highScore');
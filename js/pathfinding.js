@@ -0,0 +1,226 @@
+// Pathfinding - Grid searches shared by computer-controlled snakes
+// Everything here works in grid cells ({ x, y } column/row), not pixels.
+// A board is { columns, rows, wrap }; on wrap boards paths may cross the edges.
+
+export const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+export const DIRECTION_VECTORS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+export const cellKey = (cell) => `${cell.x},${cell.y}`;
+
+/**
+ * The neighbouring cell in a direction
+ * @param {{x: number, y: number}} cell
+ * @param {string} direction
+ * @param {{columns: number, rows: number, wrap: boolean}} board
+ * @returns {{x: number, y: number}|null} - null when the step leaves a walled board
+ */
+export function stepCell(cell, direction, board) {
+    const vector = DIRECTION_VECTORS[direction];
+    let x = cell.x + vector.x;
+    let y = cell.y + vector.y;
+
+    if (board.wrap) {
+        x = (x + board.columns) % board.columns;
+        y = (y + board.rows) % board.rows;
+    } else if (x < 0 || y < 0 || x >= board.columns || y >= board.rows) {
+        return null;
+    }
+    return { x, y };
+}
+
+/**
+ * Manhattan distance in cells, measured around the edges on wrap boards
+ * @returns {number}
+ */
+export function cellDistance(a, b, board) {
+    let dx = Math.abs(a.x - b.x);
+    let dy = Math.abs(a.y - b.y);
+    if (board.wrap) {
+        dx = Math.min(dx, board.columns - dx);
+        dy = Math.min(dy, board.rows - dy);
+    }
+    return dx + dy;
+}
+
+/**
+ * Breadth-first search for the shortest path to any goal cell
+ * @param {{x: number, y: number}} start
+ * @param {Array<{x: number, y: number}>} goals
+ * @param {Set<string>} blocked - cellKey()s that cannot be entered
+ * @param {{columns: number, rows: number, wrap: boolean}} board
+ * @returns {string[]|null} - Directions from start to the nearest goal, or null if none is reachable
+ */
+export function findPath(start, goals, blocked, board) {
+    const goalKeys = new Set(goals.map(cellKey));
+    if (goalKeys.size === 0) {
+        return null;
+    }
+
+    const startKey = cellKey(start);
+    const previous = new Map([[startKey, null]]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head++) {
+        const cell = queue[head];
+        const key = cellKey(cell);
+
+        if (goalKeys.has(key) && key !== startKey) {
+            // Walk back to the start to recover the moves
+            const path = [];
+            let step = previous.get(key);
+            let stepKey = key;
+            while (step) {
+                path.unshift(step.direction);
+                stepKey = step.from;
+                step = previous.get(stepKey);
+            }
+            return path;
+        }
+
+        for (const direction of DIRECTIONS) {
+            const next = stepCell(cell, direction, board);
+            if (!next) continue;
+
+            const nextKey = cellKey(next);
+            if (previous.has(nextKey) || (blocked.has(nextKey) && !goalKeys.has(nextKey))) continue;
+
+            previous.set(nextKey, { from: key, direction });
+            queue.push(next);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Count the free cells reachable from a cell (flood fill)
+ * @param {{x: number, y: number}} start
+ * @param {Set<string>} blocked
+ * @param {{columns: number, rows: number, wrap: boolean}} board
+ * @param {number} limit - Stop counting once this many cells are found
+ * @returns {number}
+ */
+export function countReachable(start, blocked, board, limit = Infinity) {
+    const seen = new Set([cellKey(start)]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length && seen.size < limit; head++) {
+        for (const direction of DIRECTIONS) {
+            const next = stepCell(queue[head], direction, board);
+            if (!next) continue;
+
+            const nextKey = cellKey(next);
+            if (seen.has(nextKey) || blocked.has(nextKey)) continue;
+
+            seen.add(nextKey);
+            queue.push(next);
+        }
+    }
+
+    return Math.min(seen.size, limit);
+}
+
+/**
+ * A* search for the shortest path to a single goal cell
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} goal
+ * @param {Set<string>} blocked
+ * @param {{columns: number, rows: number, wrap: boolean}} board
+ * @returns {string[]|null} - Directions from start to the goal, or null if it cannot be reached
+ */
+export function findPathAStar(start, goal, blocked, board) {
+    const startKey = cellKey(start);
+    const goalKey = cellKey(goal);
+    if (startKey === goalKey) {
+        return null;
+    }
+
+    const previous = new Map([[startKey, null]]);
+    const cost = new Map([[startKey, 0]]);
+    const open = new MinHeap();
+    open.push({ cell: start, key: startKey, f: cellDistance(start, goal, board), h: cellDistance(start, goal, board) });
+
+    while (open.size() > 0) {
+        const { cell, key } = open.pop();
+
+        if (key === goalKey) {
+            const path = [];
+            for (let step = previous.get(key); step; step = previous.get(step.from)) {
+                path.unshift(step.direction);
+            }
+            return path;
+        }
+
+        for (const direction of DIRECTIONS) {
+            const next = stepCell(cell, direction, board);
+            if (!next) continue;
+
+            const nextKey = cellKey(next);
+            const nextCost = cost.get(key) + 1;
+            if ((blocked.has(nextKey) && nextKey !== goalKey) || nextCost >= (cost.has(nextKey) ? cost.get(nextKey) : Infinity)) continue;
+
+            cost.set(nextKey, nextCost);
+            previous.set(nextKey, { from: key, direction });
+            const h = cellDistance(next, goal, board);
+            open.push({ cell: next, key: nextKey, f: nextCost + h, h });
+        }
+    }
+
+    return null;
+}
+
+// Binary heap ordered by f, then h, then insertion order (keeps searches deterministic)
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.counter = 0;
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        item.order = this.counter++;
+        this.items.push(item);
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.less(this.items[index], this.items[parent])) break;
+            [this.items[index], this.items[parent]] = [this.items[parent], this.items[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.less(this.items[left], this.items[smallest])) smallest = left;
+                if (right < this.items.length && this.less(this.items[right], this.items[smallest])) smallest = right;
+                if (smallest === index) break;
+                [this.items[index], this.items[smallest]] = [this.items[smallest], this.items[index]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+
+    less(a, b) {
+        if (a.f !== b.f) return a.f < b.f;
+        if (a.h !== b.h) return a.h < b.h;
+        return a.order < b.order;
+    }
+}
@@ -0,0 +1,191 @@
+// Power-ups - Registry of timed power-ups and the effects they grant
+// A power-up sits on the grid for a while; running over it starts its effect
+// for a number of moves. Picking up a power-up whose effect is still running
+// follows that type's stacking rule:
+//   'refresh' - the timer restarts at the full duration
+//   'extend'  - the full duration is added to what is left, up to maxTicks
+//   'stack'   - one more stack (up to maxStacks) and the timer restarts
+
+/**
+ * @typedef {Object} PowerUpDefinition
+ * @property {string} id - Registry key
+ * @property {string} label - Human readable name, shown next to the HUD timer
+ * @property {string} symbol - Letter drawn on the grid tile
+ * @property {number} duration - Moves the effect lasts
+ * @property {'refresh'|'extend'|'stack'} stacking - What picking it up again does
+ * @property {number} [maxTicks] - Longest an 'extend' effect can run
+ * @property {number} [maxStacks] - Most stacks of a 'stack' effect
+ * @property {number} spawnWeight - Relative chance of this type when a power-up spawns
+ * @property {{body: number[], highlight: number[]}} colors - RGB colors used by the Renderer
+ */
+
+/** @type {Object<string, PowerUpDefinition>} */
+export const POWER_UP_TYPES = {
+    passThrough: {
+        id: 'passThrough',
+        label: 'Ghost',
+        symbol: 'G',
+        duration: 40,
+        stacking: 'extend',
+        maxTicks: 80,
+        spawnWeight: 2,
+        colors: { body: [200, 200, 255], highlight: [255, 255, 255] }
+    },
+    slowMotion: {
+        id: 'slowMotion',
+        label: 'Slow-mo',
+        symbol: 'S',
+        duration: 50,
+        stacking: 'refresh',
+        spawnWeight: 3,
+        colors: { body: [0, 120, 255], highlight: [150, 200, 255] }
+    },
+    magnet: {
+        id: 'magnet',
+        label: 'Magnet',
+        symbol: 'M',
+        duration: 60,
+        stacking: 'extend',
+        maxTicks: 120,
+        spawnWeight: 3,
+        colors: { body: [255, 60, 160], highlight: [255, 160, 210] }
+    },
+    multiplier: {
+        id: 'multiplier',
+        label: 'Double score',
+        symbol: 'x',
+        duration: 60,
+        stacking: 'stack',
+        maxStacks: 3,
+        spawnWeight: 2,
+        colors: { body: [255, 215, 0], highlight: [255, 250, 180] }
+    }
+};
+
+export const POWER_UP_IDS = Object.keys(POWER_UP_TYPES);
+
+// Moves an uncollected power-up stays on the grid
+export const POWER_UP_LIFETIME = 50;
+
+// No power-ups during the opening moves of a game
+export const POWER_UP_GRACE_TICKS = 20;
+
+// Slow motion multiplies the move interval by this
+export const SLOW_MOTION_FACTOR = 1.5;
+
+// Food within this many cells of the head drifts one cell closer per move
+export const MAGNET_RANGE = 6;
+
+// Chance per move of a power-up appearing at difficulty 1 and 10
+const SPAWN_CHANCE = { low: 0.04, high: 0.01 };
+
+/**
+ * @param {string} id
+ * @returns {PowerUpDefinition|null}
+ */
+export function getPowerUpType(id) {
+    return POWER_UP_TYPES[id] || null;
+}
+
+/**
+ * Chance per move that a power-up appears; stronger players get fewer
+ * @param {number} difficulty - 1 to 10
+ * @returns {number}
+ */
+export function getPowerUpSpawnChance(difficulty) {
+    const t = (Math.max(1, Math.min(10, difficulty)) - 1) / 9;
+    return SPAWN_CHANCE.low + (SPAWN_CHANCE.high - SPAWN_CHANCE.low) * t;
+}
+
+/**
+ * The power-up effects running in one game
+ */
+export class PowerUpEffects {
+    constructor() {
+        this.effects = {}; // id -> { ticksLeft, stacks }
+    }
+
+    // Start (or stack) the effect of a picked up power-up. Returns false for unknown types.
+    activate(id) {
+        const type = getPowerUpType(id);
+        if (!type) {
+            return false;
+        }
+
+        const current = this.effects[id];
+        if (!current) {
+            this.effects[id] = { ticksLeft: type.duration, stacks: 1 };
+        } else if (type.stacking === 'extend') {
+            current.ticksLeft = Math.min(current.ticksLeft + type.duration, type.maxTicks || Infinity);
+        } else if (type.stacking === 'stack') {
+            current.stacks = Math.min(current.stacks + 1, type.maxStacks || 1);
+            current.ticksLeft = type.duration;
+        } else {
+            current.ticksLeft = type.duration;
+        }
+        return true;
+    }
+
+    // Count every effect down by one move. Returns the ids of effects that ended.
+    tick() {
+        const expired = [];
+        Object.keys(this.effects).forEach(id => {
+            if (--this.effects[id].ticksLeft <= 0) {
+                delete this.effects[id];
+                expired.push(id);
+            }
+        });
+        return expired;
+    }
+
+    isActive(id) {
+        return Boolean(this.effects[id]);
+    }
+
+    getTicksLeft(id) {
+        return this.effects[id] ? this.effects[id].ticksLeft : 0;
+    }
+
+    getStacks(id) {
+        return this.effects[id] ? this.effects[id].stacks : 0;
+    }
+
+    // Each multiplier stack doubles the points
+    getScoreMultiplier() {
+        return Math.pow(2, this.getStacks('multiplier'));
+    }
+
+    getIntervalFactor() {
+        return this.isActive('slowMotion') ? SLOW_MOTION_FACTOR : 1;
+    }
+
+    // Running effects for the HUD, in registry order
+    getActive() {
+        return POWER_UP_IDS
+            .filter(id => this.effects[id])
+            .map(id => ({ id, label: POWER_UP_TYPES[id].label, duration: POWER_UP_TYPES[id].duration, ...this.effects[id] }));
+    }
+
+    clear() {
+        this.effects = {};
+    }
+
+    // Serializable state for save/resume snapshots
+    getState() {
+        const state = {};
+        Object.keys(this.effects).forEach(id => {
+            state[id] = { ...this.effects[id] };
+        });
+        return state;
+    }
+
+    restoreState(state) {
+        this.effects = {};
+        Object.keys(state || {}).forEach(id => {
+            const effect = state[id];
+            if (getPowerUpType(id) && effect && effect.ticksLeft > 0) {
+                this.effects[id] = { ticksLeft: effect.ticksLeft, stacks: effect.stacks || 1 };
+            }
+        });
+    }
+}
@@ -0,0 +1,68 @@
+// Random - Seeded pseudo-random number generation shared by the simulation
+// Every random decision in a game (food placement, AI choices) draws from one
+// SeededRandom instance so that a seed plus an input sequence replays exactly.
+
+/**
+ * Create a new 32-bit seed from a non-deterministic source.
+ * This is the only place in the simulation that is allowed to use Math.random().
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to the start of the sequence for the given seed
+     * @param {number} seed - Integer seed (coerced to unsigned 32-bit)
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * Uses the mulberry32 algorithm: small, fast and good enough for gameplay.
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Internal generator state, for snapshots that must resume mid-sequence
+     * @returns {{seed: number, state: number}}
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState(snapshot) {
+        if (snapshot && typeof snapshot.state === 'number') {
+            this.seed = Number(snapshot.seed) >>> 0;
+            this.state = snapshot.state >>> 0;
+        }
+    }
+}
@@ -1,4 +1,47 @@
 // Renderer class - Handles all visual output and animations
+import { getFoodType } from './foodTypes.js';
+import { getPowerUpType } from './powerUps.js';
+import { formatTimeLeft } from './gameModes.js';
+
+// Head and body colors per player: green for player 1, blue for player 2
+const SNAKE_COLORS = [
+    { head: [0, 255, 0], body: [0, 136, 0] },
+    { head: [0, 200, 255], body: [0, 100, 190] }
+];
+
+/**
+ * How big to show a board in the space available, and how many pixels the
+ * canvas needs for that. The board keeps its shape and never grows past its
+ * own size; the canvas gets one pixel per device pixel so it stays sharp on
+ * high-density screens. Drawing still happens in board pixels: scale the
+ * context by scaleX/scaleY.
+ * @param {number} boardWidth - Board width in pixels
+ * @param {number} boardHeight - Board height in pixels
+ * @param {number} maxWidth - Room available, in CSS pixels
+ * @param {number} maxHeight
+ * @param {number} pixelRatio - window.devicePixelRatio
+ * @returns {{cssWidth: number, cssHeight: number, pixelWidth: number, pixelHeight: number, scaleX: number, scaleY: number}}
+ */
+export function getCanvasLayout(boardWidth, boardHeight, maxWidth = Infinity, maxHeight = Infinity, pixelRatio = 1) {
+    const fit = Math.min(1, maxWidth / boardWidth, maxHeight / boardHeight);
+    const scale = fit > 0 ? fit : 1;
+    const ratio = pixelRatio > 0 ? pixelRatio : 1;
+
+    const cssWidth = Math.floor(boardWidth * scale);
+    const cssHeight = Math.floor(boardHeight * scale);
+    const pixelWidth = Math.round(cssWidth * ratio);
+    const pixelHeight = Math.round(cssHeight * ratio);
+
+    return {
+        cssWidth,
+        cssHeight,
+        pixelWidth,
+        pixelHeight,
+        scaleX: pixelWidth / boardWidth,
+        scaleY: pixelHeight / boardHeight
+    };
+}
+
 export class Renderer {
     constructor(ctx, canvasWidth, canvasHeight, gridSize) {
         this.ctx = ctx;
@@ -11,7 +54,8 @@ export class Renderer {
         this.dangerLevel = 0;
     }
 
-    drawSnake(snake, intensity = 1) {
+    drawSnake(snake, intensity = 1, player = 1) {
+        const colors = SNAKE_COLORS[player - 1] || SNAKE_COLORS[0];
         const segments = snake.getSegments();
         
         // Calculate visual effects based on intensity and danger level
@@ -22,10 +66,10 @@ export class Renderer {
             const isHead = index === 0;
             
             // Base colors
-            let baseColor = isHead ? [0, 255, 0] : [0, 136, 0]; // Green head, darker green body
+            let baseColor = [...(isHead ? colors.head : colors.body)];
             
-            // Apply danger effects (red tint when in danger)
-            if (this.dangerLevel > 0 && isHead) {
+            // Apply danger effects (red tint when in danger); danger is measured for player 1
+            if (this.dangerLevel > 0 && isHead && player === 1) {
                 const redTint = this.dangerLevel * 255;
                 baseColor[0] = Math.min(255, baseColor[0] + redTint);
                 baseColor[1] = Math.max(0, baseColor[1] - redTint * 0.5);
@@ -60,25 +104,92 @@ export class Renderer {
         this.ctx.shadowBlur = 0;
     }
 
+    drawGhostSnake(segments) {
+        if (!segments || segments.length === 0) return;
+        
+        // Translucent outline-only snake so it never hides the live one
+        this.ctx.shadowBlur = 0;
+        segments.forEach((segment, index) => {
+            const alpha = index === 0 ? 0.35 : 0.2;
+            this.ctx.fillStyle = `rgba(200, 220, 255, ${alpha})`;
+            this.ctx.fillRect(segment.x, segment.y, this.gridSize, this.gridSize);
+            
+            this.ctx.strokeStyle = 'rgba(200, 220, 255, 0.4)';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(segment.x, segment.y, this.gridSize, this.gridSize);
+        });
+    }
+
+    // Solver hint: the next few cells the head should pass through, fading with distance
+    drawHintPath(cells) {
+        if (!cells || cells.length === 0) return;
+        
+        this.ctx.shadowBlur = 0;
+        cells.forEach((cell, index) => {
+            const alpha = 0.6 * (1 - index / (cells.length + 1));
+            const centerX = cell.x * this.gridSize + this.gridSize / 2;
+            const centerY = cell.y * this.gridSize + this.gridSize / 2;
+            
+            this.ctx.fillStyle = `rgba(0, 255, 255, ${alpha})`;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, this.gridSize / 5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    drawGhostComparison(scoreDelta, ghostFinished = false) {
+        let label;
+        let color;
+        
+        // Worded from the player's side: +N means the player is ahead
+        if (scoreDelta > 0) {
+            label = `+${scoreDelta} vs ghost`;
+            color = 'rgba(0, 255, 0, 0.9)';
+        } else if (scoreDelta < 0) {
+            label = `-${-scoreDelta} vs ghost`;
+            color = 'rgba(255, 80, 80, 0.9)';
+        } else {
+            label = 'level with ghost';
+            color = 'rgba(200, 220, 255, 0.9)';
+        }
+        
+        if (ghostFinished) {
+            label += ' - ghost out';
+        }
+        
+        this.ctx.fillStyle = color;
+        this.ctx.font = '12px Courier New';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(label, 10, this.canvasHeight - 10);
+    }
+
     drawFood(food) {
         const position = food.getPosition();
         if (!position) return;
         
+        const { body, highlight } = getFoodType(food.type).colors;
+        
         // Animate food with pulsing effect
         const time = Date.now() * 0.005;
         const pulseScale = 0.9 + Math.sin(time) * 0.1;
-        const pulseAlpha = 0.8 + Math.sin(time * 1.5) * 0.2;
+        let pulseAlpha = 0.8 + Math.sin(time * 1.5) * 0.2;
+        
+        // Timed food blinks when it is about to disappear
+        const ticksLeft = food.getTicksLeft ? food.getTicksLeft() : null;
+        if (ticksLeft !== null && ticksLeft <= 10) {
+            pulseAlpha *= Math.sin(time * 4) > 0 ? 1 : 0.3;
+        }
         
         // Calculate food size with pulse effect
         const foodSize = this.gridSize * pulseScale;
         const offset = (this.gridSize - foodSize) / 2;
         
         // Draw food with glow effect
-        this.ctx.shadowColor = `rgba(255, 0, 0, ${pulseAlpha * 0.6})`;
+        this.ctx.shadowColor = `rgba(${body[0]}, ${body[1]}, ${body[2]}, ${pulseAlpha * 0.6})`;
         this.ctx.shadowBlur = 8;
         
         // Main food body
-        this.ctx.fillStyle = `rgba(255, 0, 0, ${pulseAlpha})`;
+        this.ctx.fillStyle = `rgba(${body[0]}, ${body[1]}, ${body[2]}, ${pulseAlpha})`;
         this.ctx.fillRect(
             position.x + offset, 
             position.y + offset, 
@@ -87,7 +198,7 @@ export class Renderer {
         );
         
         // Add highlight for 3D effect
-        this.ctx.fillStyle = `rgba(255, 100, 100, ${pulseAlpha * 0.7})`;
+        this.ctx.fillStyle = `rgba(${highlight[0]}, ${highlight[1]}, ${highlight[2]}, ${pulseAlpha * 0.7})`;
         this.ctx.fillRect(
             position.x + offset + 2, 
             position.y + offset + 2, 
@@ -99,6 +210,35 @@ export class Renderer {
         this.ctx.shadowBlur = 0;
     }
 
+    // A power-up tile: a framed square with its symbol, blinking before it vanishes
+    drawPowerUp(powerUp) {
+        const type = getPowerUpType(powerUp.type);
+        if (!type || !powerUp.position) return;
+        
+        const { body, highlight } = type.colors;
+        const { x, y } = powerUp.position;
+        
+        const time = Date.now() * 0.005;
+        let alpha = 0.85 + Math.sin(time * 2) * 0.15;
+        if (powerUp.ticksLeft <= 10) {
+            alpha *= Math.sin(time * 4) > 0 ? 1 : 0.3;
+        }
+        
+        this.ctx.shadowColor = `rgba(${body[0]}, ${body[1]}, ${body[2]}, ${alpha})`;
+        this.ctx.shadowBlur = 12;
+        this.ctx.fillStyle = `rgba(${highlight[0]}, ${highlight[1]}, ${highlight[2]}, ${alpha})`;
+        this.ctx.fillRect(x + 1, y + 1, this.gridSize - 2, this.gridSize - 2);
+        this.ctx.fillStyle = `rgba(${body[0]}, ${body[1]}, ${body[2]}, ${alpha})`;
+        this.ctx.fillRect(x + 3, y + 3, this.gridSize - 6, this.gridSize - 6);
+        this.ctx.shadowBlur = 0;
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.ctx.font = `bold ${Math.round(this.gridSize * 0.6)}px Courier New`;
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(type.symbol, x + this.gridSize / 2, y + this.gridSize * 0.72);
+        this.ctx.textAlign = 'left';
+    }
+
     drawBackground(intensity = 1) {
         // Normalize intensity to 1-10 range
         const effectiveIntensity = Math.max(1, Math.min(10, intensity));
@@ -166,7 +306,67 @@ export class Renderer {
         }
     }
 
-    drawHUD(score, highScore, difficulty) {
+    drawWrapEdges() {
+        // Glowing border marks the edges as passable on wrap-around boards
+        const pulse = 0.3 + Math.sin(Date.now() * 0.004) * 0.15;
+        this.ctx.strokeStyle = `rgba(0, 255, 255, ${pulse})`;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(1, 1, this.canvasWidth - 2, this.canvasHeight - 2);
+    }
+
+    drawObstacles(obstacles) {
+        if (!obstacles || obstacles.length === 0) return;
+        
+        // Solid stone-grey blocks with a bevel so they read as walls, not food
+        this.ctx.shadowBlur = 0;
+        obstacles.forEach(obstacle => {
+            this.ctx.fillStyle = '#555566';
+            this.ctx.fillRect(obstacle.x, obstacle.y, this.gridSize, this.gridSize);
+            
+            this.ctx.fillStyle = '#777788';
+            this.ctx.fillRect(obstacle.x, obstacle.y, this.gridSize, 3);
+            
+            this.ctx.strokeStyle = '#333344';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(obstacle.x + 0.5, obstacle.y + 0.5, this.gridSize - 1, this.gridSize - 1);
+        });
+    }
+
+    // Versus scores, top centre, in each player's snake color
+    drawPlayerScores(scores, labels = ['P1', 'P2']) {
+        this.ctx.font = 'bold 16px Courier New';
+        this.ctx.textAlign = 'center';
+        scores.forEach((score, index) => {
+            const [r, g, b] = (SNAKE_COLORS[index] || SNAKE_COLORS[0]).head;
+            this.ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            this.ctx.fillText(`${labels[index]} ${score}`, this.canvasWidth / 2 + (index === 0 ? -60 : 60), 22);
+        });
+        this.ctx.textAlign = 'left';
+    }
+
+    // Time-attack clock, top centre; turns red and pulses in the last ten seconds
+    drawCountdown(timeLeft) {
+        const urgent = timeLeft <= 10000;
+        const alpha = urgent ? 0.7 + Math.sin(Date.now() * 0.01) * 0.3 : 0.9;
+        
+        this.ctx.fillStyle = urgent ? `rgba(255, 60, 60, ${alpha})` : `rgba(255, 255, 255, ${alpha})`;
+        this.ctx.font = 'bold 20px Courier New';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(formatTimeLeft(timeLeft), this.canvasWidth / 2, 26);
+        this.ctx.textAlign = 'left';
+    }
+
+    drawLevelStatus(name, goalProgress) {
+        const label = goalProgress ? `${name}: ${goalProgress}` : name;
+        
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.font = '12px Courier New';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(label, this.canvasWidth - 10, this.canvasHeight - 10);
+        this.ctx.textAlign = 'left';
+    }
+
+    drawHUD(score, highScore, difficulty, effects = []) {
         // Update HTML elements for score display
         const currentScoreElement = document.getElementById('currentScore');
         const highScoreElement = document.getElementById('highScore');
@@ -205,6 +405,26 @@ export class Renderer {
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
         this.ctx.font = '10px Courier New';
         this.ctx.fillText('AI', 22, 19);
+        
+        // Timers for running power-up effects, one bar per effect
+        effects.forEach((effect, index) => {
+            const type = getPowerUpType(effect.id);
+            if (!type) return;
+            
+            const { body } = type.colors;
+            const top = 28 + index * 16;
+            const remaining = Math.min(1, effect.ticksLeft / effect.duration);
+            const label = effect.stacks > 1 ? `${type.label} x${effect.stacks}` : type.label;
+            
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            this.ctx.fillRect(10, top, 60, 8);
+            this.ctx.fillStyle = `rgb(${body[0]}, ${body[1]}, ${body[2]})`;
+            this.ctx.fillRect(10, top, 60 * remaining, 8);
+            
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.font = '10px Courier New';
+            this.ctx.fillText(`${label} ${effect.ticksLeft}`, 76, top + 8);
+        });
     }
 
     setIntensityLevel(level) {
@@ -215,6 +435,12 @@ export class Renderer {
         this.dangerLevel = Math.max(0, Math.min(1, level));
     }
 
+    // Match a canvas that changed size (e.g. a level with its own board)
+    resize(canvasWidth, canvasHeight) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+    }
+
     clear() {
         this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
     }
@@ -0,0 +1,91 @@
+// Replay Player - Re-simulates a recorded game tick by tick
+// A replay is the seed, the initial config (board + AI state) and the
+// tick-stamped direction inputs. Because the simulation is deterministic,
+// feeding the inputs back through the engine reproduces the original game.
+import { GameEngine } from './gameEngine.js';
+
+/**
+ * @typedef {Object} ReplayInput
+ * @property {number} tick - Number of moves performed before the input arrived
+ * @property {'up'|'down'|'left'|'right'} direction - Direction that was requested
+ * @property {number} [player] - 2 for the versus opponent; omitted for player 1
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {number} seed - Seed of the shared random generator
+ * @property {Object} config - Board dimensions, mode and level, difficulty and AI session snapshot
+ * @property {ReplayInput[]} inputs - Direction inputs in the order they arrived
+ * @property {number} totalTicks - Moves performed in the original game
+ * @property {number} finalScore - Score at the end of the original game
+ */
+
+export class ReplayPlayer {
+    /**
+     * @param {Replay} replay - Recorded game
+     * @param {CanvasRenderingContext2D|null} ctx - Optional context; null plays headless
+     */
+    constructor(replay, ctx = null) {
+        this.replay = replay;
+        this.engine = new GameEngine(
+            ctx,
+            replay.config.canvasWidth,
+            replay.config.canvasHeight,
+            replay.config.gridSize,
+            { headless: !ctx }
+        );
+        this.inputIndex = 0;
+
+        this.reset();
+    }
+
+    reset() {
+        this.engine.beginReplay(this.replay);
+        this.inputIndex = 0;
+    }
+
+    // Advance one recorded tick. Returns false once the replay has finished.
+    step() {
+        if (this.isFinished()) {
+            return false;
+        }
+
+        const tick = this.engine.getTickCount();
+        const inputs = this.replay.inputs;
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex].tick <= tick) {
+            this.engine.handleDirectionInput(inputs[this.inputIndex].direction, inputs[this.inputIndex].player || 1);
+            this.inputIndex++;
+        }
+
+        return this.engine.step();
+    }
+
+    // Jump to an absolute tick. Seeking backwards re-simulates from the start.
+    seek(tick) {
+        const target = Math.max(0, Math.min(tick, this.getTotalTicks()));
+
+        if (target < this.engine.getTickCount()) {
+            this.reset();
+        }
+
+        while (this.engine.getTickCount() < target && this.step()) {
+            // Keep stepping until the target tick is reached
+        }
+    }
+
+    isFinished() {
+        return !this.engine.isRunning() || this.engine.getTickCount() >= this.getTotalTicks();
+    }
+
+    getTick() {
+        return this.engine.getTickCount();
+    }
+
+    getTotalTicks() {
+        return this.replay.totalTicks;
+    }
+
+    getEngine() {
+        return this.engine;
+    }
+}
@@ -0,0 +1,344 @@
+// Replay Format - Versioned, portable replay files
+// Two encodings share one envelope:
+//   'json'    - readable: inputs as { tick, direction } objects, full AI snapshot
+//   'compact' - inputs and AI movement history run-length encoded, sparse heatmap
+//               (player 2 turns in versus games use lower-case symbols)
+// Every file carries the engine version and board dimensions so replays from
+// incompatible builds are rejected up front instead of desyncing silently.
+import { ENGINE_VERSION } from './gameEngine.js';
+import { BOARD_MODES } from './board.js';
+import { encodeLevel, decodeLevel } from './level.js';
+import { MAX_FOOD_ITEMS } from './foodTypes.js';
+import { GAME_MODE_IDS } from './gameModes.js';
+
+export const REPLAY_FORMAT = 'ai-snake-replay';
+export const REPLAY_FORMAT_VERSION = 1;
+
+const DIRECTION_SYMBOLS = { up: 'U', down: 'D', left: 'L', right: 'R' };
+const SYMBOL_DIRECTIONS = { U: 'up', D: 'down', L: 'left', R: 'right' };
+const PLAYER_TWO_SYMBOLS = 'udlr';
+const TICK_SYMBOL = '.';
+
+export class ReplayFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayFormatError';
+    }
+}
+
+/**
+ * Run-length encode a symbol string: "UUU..." -> "3U3."
+ * @param {string} symbols
+ * @returns {string}
+ */
+function runLengthEncode(symbols) {
+    let encoded = '';
+    let i = 0;
+    while (i < symbols.length) {
+        let run = 1;
+        while (i + run < symbols.length && symbols[i + run] === symbols[i]) {
+            run++;
+        }
+        encoded += (run > 1 ? run : '') + symbols[i];
+        i += run;
+    }
+    return encoded;
+}
+
+/**
+ * Expand a run-length encoded string back into [count, symbol] pairs
+ * @param {string} encoded
+ * @param {string} validSymbols - Characters allowed as symbols
+ * @returns {Array<[number, string]>}
+ */
+function runLengthDecode(encoded, validSymbols) {
+    if (typeof encoded !== 'string' || !/^(\d*\D)*$/.test(encoded)) {
+        throw new ReplayFormatError('Malformed run-length encoded stream');
+    }
+
+    const runs = [];
+    const pattern = /(\d*)(\D)/g;
+    let match;
+    while ((match = pattern.exec(encoded)) !== null) {
+        if (!validSymbols.includes(match[2])) {
+            throw new ReplayFormatError(`Unknown symbol '${match[2]}' in encoded stream`);
+        }
+        runs.push([match[1] ? parseInt(match[1], 10) : 1, match[2]]);
+    }
+    return runs;
+}
+
+/**
+ * Encode tick-stamped inputs as a direction stream: one '.' per elapsed tick,
+ * one U/D/L/R per input (u/d/l/r for player 2), then run-length encoded.
+ * @param {Array<{tick: number, direction: string, player?: number}>} inputs
+ * @returns {string}
+ */
+export function encodeDirectionStream(inputs) {
+    let symbols = '';
+    let tick = 0;
+    for (const input of inputs) {
+        symbols += TICK_SYMBOL.repeat(input.tick - tick);
+        const symbol = DIRECTION_SYMBOLS[input.direction];
+        symbols += input.player === 2 ? symbol.toLowerCase() : symbol;
+        tick = input.tick;
+    }
+    return runLengthEncode(symbols);
+}
+
+/**
+ * @param {string} stream - Output of encodeDirectionStream
+ * @returns {Array<{tick: number, direction: string, player?: number}>}
+ */
+export function decodeDirectionStream(stream) {
+    const inputs = [];
+    let tick = 0;
+    for (const [count, symbol] of runLengthDecode(stream, TICK_SYMBOL + 'UDLR' + PLAYER_TWO_SYMBOLS)) {
+        if (symbol === TICK_SYMBOL) {
+            tick += count;
+        } else {
+            for (let i = 0; i < count; i++) {
+                const input = { tick, direction: SYMBOL_DIRECTIONS[symbol.toUpperCase()] };
+                if (PLAYER_TWO_SYMBOLS.includes(symbol)) {
+                    input.player = 2;
+                }
+                inputs.push(input);
+            }
+        }
+    }
+    return inputs;
+}
+
+function encodeCompactAI(ai) {
+    const sparseHeatmap = [];
+    ai.movementHeatmap.forEach((row, y) => {
+        row.forEach((value, x) => {
+            if (value > 0) {
+                sparseHeatmap.push([x, y, value]);
+            }
+        });
+    });
+
+    return {
+        heatmap: {
+            width: ai.movementHeatmap[0] ? ai.movementHeatmap[0].length : 0,
+            height: ai.movementHeatmap.length,
+            cells: sparseHeatmap
+        },
+        // Only the directions of past movements influence AI decisions
+        history: runLengthEncode(ai.movementHistory.map(record => DIRECTION_SYMBOLS[record.direction] || '').join('')),
+        performanceMetrics: ai.performanceMetrics,
+        adaptationSettings: ai.adaptationSettings
+    };
+}
+
+function decodeCompactAI(compactAI) {
+    if (!compactAI || !compactAI.heatmap || !Array.isArray(compactAI.heatmap.cells)) {
+        throw new ReplayFormatError('Replay is missing its AI snapshot');
+    }
+
+    const { width, height, cells } = compactAI.heatmap;
+    const movementHeatmap = [];
+    for (let y = 0; y < height; y++) {
+        movementHeatmap[y] = new Array(width).fill(0);
+    }
+    cells.forEach(([x, y, value]) => {
+        if (y < height && x < width) {
+            movementHeatmap[y][x] = value;
+        }
+    });
+
+    const movementHistory = [];
+    for (const [count, symbol] of runLengthDecode(compactAI.history || '', 'UDLR')) {
+        for (let i = 0; i < count; i++) {
+            movementHistory.push({
+                timestamp: 0,
+                position: { x: 0, y: 0 },
+                direction: SYMBOL_DIRECTIONS[symbol],
+                gameContext: { score: 0, snakeLength: 1, foodDistance: 0 }
+            });
+        }
+    }
+
+    return {
+        movementHeatmap,
+        movementHistory,
+        performanceMetrics: compactAI.performanceMetrics,
+        adaptationSettings: compactAI.adaptationSettings
+    };
+}
+
+/**
+ * Wrap a replay in the versioned file envelope
+ * @param {Object} replay - Replay from GameEngine.getReplay()
+ * @param {Object} options
+ * @param {boolean} options.compact - Use the compact encoding
+ * @returns {Object} - Plain object ready for JSON.stringify
+ */
+export function encodeReplay(replay, { compact = false } = {}) {
+    const { gridSize, canvasWidth, canvasHeight, difficulty, ai } = replay.config;
+    const boardMode = replay.config.boardMode || 'walls';
+
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_FORMAT_VERSION,
+        engineVersion: ENGINE_VERSION,
+        encoding: compact ? 'compact' : 'json',
+        board: { gridSize, canvasWidth, canvasHeight },
+        mode: replay.config.mode || 'endless',
+        boardMode,
+        level: replay.config.level ? encodeLevel(replay.config.level) : null,
+        foodCount: replay.config.foodCount || 1,
+        seed: replay.seed,
+        totalTicks: replay.totalTicks,
+        finalScore: replay.finalScore,
+        difficulty,
+        ai: compact ? encodeCompactAI(ai) : ai,
+        inputs: compact ? encodeDirectionStream(replay.inputs) : replay.inputs
+    };
+}
+
+/**
+ * Serialize a replay to file contents
+ * @param {Object} replay - Replay from GameEngine.getReplay()
+ * @param {Object} options - See encodeReplay
+ * @returns {string}
+ */
+export function serializeReplay(replay, options = {}) {
+    const file = encodeReplay(replay, options);
+    return options.compact ? JSON.stringify(file) : JSON.stringify(file, null, 2);
+}
+
+/**
+ * Validate a decoded file envelope and turn it back into a replay
+ * @param {Object} file - Parsed replay file
+ * @param {Object|null} board - Expected { gridSize, canvasWidth, canvasHeight }, or null to accept any
+ * @returns {Object} - Replay suitable for ReplayPlayer
+ * @throws {ReplayFormatError} If the file is malformed or incompatible with this build
+ */
+export function decodeReplay(file, board = null) {
+    if (!file || typeof file !== 'object' || file.format !== REPLAY_FORMAT) {
+        throw new ReplayFormatError('Not a snake replay file');
+    }
+
+    if (file.version !== REPLAY_FORMAT_VERSION) {
+        throw new ReplayFormatError(
+            `Unsupported replay format version ${file.version} (this build reads version ${REPLAY_FORMAT_VERSION})`
+        );
+    }
+
+    if (file.engineVersion !== ENGINE_VERSION) {
+        throw new ReplayFormatError(
+            `Replay was recorded with engine version ${file.engineVersion}, but this build runs engine version ${ENGINE_VERSION}`
+        );
+    }
+
+    const fileBoard = file.board || {};
+    if (![fileBoard.gridSize, fileBoard.canvasWidth, fileBoard.canvasHeight].every(value => Number.isInteger(value) && value > 0)) {
+        throw new ReplayFormatError('Replay has invalid board dimensions');
+    }
+
+    if (board && (fileBoard.gridSize !== board.gridSize ||
+        fileBoard.canvasWidth !== board.canvasWidth ||
+        fileBoard.canvasHeight !== board.canvasHeight)) {
+        throw new ReplayFormatError(
+            `Replay board is ${fileBoard.canvasWidth}x${fileBoard.canvasHeight} (grid ${fileBoard.gridSize}), ` +
+            `but this game uses ${board.canvasWidth}x${board.canvasHeight} (grid ${board.gridSize})`
+        );
+    }
+
+    const mode = file.mode === undefined ? 'endless' : file.mode;
+    if (!GAME_MODE_IDS.includes(mode)) {
+        throw new ReplayFormatError(`Unknown game mode '${mode}'`);
+    }
+
+    const boardMode = file.boardMode === undefined ? 'walls' : file.boardMode;
+    if (!BOARD_MODES.includes(boardMode)) {
+        throw new ReplayFormatError(`Unknown board mode '${boardMode}'`);
+    }
+
+    let level = null;
+    if (file.level) {
+        try {
+            level = decodeLevel(file.level);
+        } catch (error) {
+            throw new ReplayFormatError(`Replay level is invalid: ${error.message}`);
+        }
+        if (level.board.width * fileBoard.gridSize !== fileBoard.canvasWidth ||
+            level.board.height * fileBoard.gridSize !== fileBoard.canvasHeight) {
+            throw new ReplayFormatError('Replay level does not match the replay board');
+        }
+    }
+
+    const foodCount = file.foodCount === undefined ? 1 : file.foodCount;
+    if (!Number.isInteger(foodCount) || foodCount < 1 || foodCount > MAX_FOOD_ITEMS) {
+        throw new ReplayFormatError(`Replay food count must be between 1 and ${MAX_FOOD_ITEMS}`);
+    }
+
+    if (!Number.isInteger(file.seed) || !Number.isInteger(file.totalTicks) || file.totalTicks < 0) {
+        throw new ReplayFormatError('Replay is missing its seed or tick count');
+    }
+
+    let inputs;
+    let ai;
+    if (file.encoding === 'compact') {
+        inputs = decodeDirectionStream(file.inputs);
+        ai = decodeCompactAI(file.ai);
+    } else if (file.encoding === 'json') {
+        inputs = file.inputs;
+        ai = file.ai;
+    } else {
+        throw new ReplayFormatError(`Unknown replay encoding '${file.encoding}'`);
+    }
+
+    const validInputs = Array.isArray(inputs) && inputs.every((input, index) =>
+        input && Number.isInteger(input.tick) && input.tick >= 0 && input.tick <= file.totalTicks &&
+        Object.prototype.hasOwnProperty.call(DIRECTION_SYMBOLS, input.direction) &&
+        (input.player === undefined || input.player === 1 || input.player === 2) &&
+        (index === 0 || input.tick >= inputs[index - 1].tick)
+    );
+    if (!validInputs) {
+        throw new ReplayFormatError('Replay input stream is invalid');
+    }
+
+    if (!ai || !Array.isArray(ai.movementHeatmap) || !Array.isArray(ai.movementHistory)) {
+        throw new ReplayFormatError('Replay is missing its AI snapshot');
+    }
+
+    return {
+        seed: file.seed,
+        config: {
+            mode,
+            boardMode,
+            level,
+            foodCount,
+            gridSize: fileBoard.gridSize,
+            canvasWidth: fileBoard.canvasWidth,
+            canvasHeight: fileBoard.canvasHeight,
+            difficulty: file.difficulty,
+            ai
+        },
+        inputs: inputs.map(input => (input.player === 2
+            ? { tick: input.tick, direction: input.direction, player: 2 }
+            : { tick: input.tick, direction: input.direction })),
+        totalTicks: file.totalTicks,
+        finalScore: file.finalScore
+    };
+}
+
+/**
+ * Parse replay file contents
+ * @param {string} text - File contents
+ * @param {Object|null} board - Expected board dimensions, see decodeReplay
+ * @returns {Object} - Replay suitable for ReplayPlayer
+ * @throws {ReplayFormatError}
+ */
+export function parseReplay(text, board = null) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new ReplayFormatError('Replay file is not valid JSON');
+    }
+    return decodeReplay(file, board);
+}
@@ -0,0 +1,129 @@
+// Replay Viewer - Drives a ReplayPlayer in real time with play/pause/seek/speed controls
+import { ReplayPlayer } from './replay.js';
+
+export class ReplayViewer {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.player = null;
+        this.playing = false;
+        this.speed = 1;
+        this.animationFrameId = null;
+        this.lastFrameTime = 0;
+        this.accumulatedTime = 0;
+
+        // Called after every rendered frame with { tick, totalTicks, playing, finished }
+        this.onUpdate = null;
+    }
+
+    load(replay) {
+        this.pause();
+        this.player = new ReplayPlayer(replay, this.ctx);
+        this.render();
+    }
+
+    unload() {
+        this.pause();
+        this.player = null;
+    }
+
+    isLoaded() {
+        return this.player !== null;
+    }
+
+    play() {
+        if (!this.player || this.playing) {
+            return;
+        }
+
+        // Restart from the beginning if the replay already ended
+        if (this.player.isFinished()) {
+            this.player.reset();
+        }
+
+        this.playing = true;
+        this.lastFrameTime = 0;
+        this.accumulatedTime = 0;
+        this.animationFrameId = requestAnimationFrame((timestamp) => this.loop(timestamp));
+        this.notifyUpdate();
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        this.notifyUpdate();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    seek(tick) {
+        if (!this.player) {
+            return;
+        }
+
+        this.player.seek(tick);
+        this.accumulatedTime = 0;
+        this.render();
+    }
+
+    setSpeed(speed) {
+        if (typeof speed === 'number' && speed > 0) {
+            this.speed = speed;
+        }
+    }
+
+    loop(timestamp) {
+        if (!this.playing || !this.player) {
+            return;
+        }
+
+        if (this.lastFrameTime) {
+            this.accumulatedTime += (timestamp - this.lastFrameTime) * this.speed;
+        }
+        this.lastFrameTime = timestamp;
+
+        // Advance as many ticks as the elapsed (scaled) time allows
+        const moveInterval = this.player.getEngine().moveInterval;
+        while (this.accumulatedTime >= moveInterval && !this.player.isFinished()) {
+            this.player.step();
+            this.accumulatedTime -= moveInterval;
+        }
+
+        this.render();
+
+        if (this.player.isFinished()) {
+            this.pause();
+            return;
+        }
+
+        this.animationFrameId = requestAnimationFrame((nextTimestamp) => this.loop(nextTimestamp));
+    }
+
+    render() {
+        if (!this.player) {
+            return;
+        }
+
+        this.player.getEngine().render();
+        this.notifyUpdate();
+    }
+
+    notifyUpdate() {
+        if (this.onUpdate && this.player) {
+            this.onUpdate({
+                tick: this.player.getTick(),
+                totalTicks: this.player.getTotalTicks(),
+                playing: this.playing,
+                finished: this.player.isFinished()
+            });
+        }
+    }
+}
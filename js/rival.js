@@ -0,0 +1,140 @@
+// Rival - Computer-controlled snake that races the player to the food
+// The engine asks the controller for one direction per move. How well the
+// rival plays follows the AI engine's difficulty: skill is the chance of
+// taking the planned move rather than a careless one, aggression how readily
+// it goes after food the player will reach first. Every choice draws from the
+// engine's seeded random source, so a replay re-creates the rival exactly
+// without recording its moves.
+import { DIRECTIONS, cellKey, cellDistance, countReachable, findPath, stepCell } from './pathfinding.js';
+
+const OPPOSITE_DIRECTIONS = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+// Moves the rival sits out after crashing before it comes back
+export const RIVAL_RESPAWN_TICKS = 30;
+
+/**
+ * @typedef {Object} RivalView
+ * @property {{columns: number, rows: number, wrap: boolean}} board
+ * @property {Array<{x: number, y: number}>} snake - The rival's cells, head first
+ * @property {string} direction - The rival's current heading
+ * @property {Array<{x: number, y: number}>} opponent - The other snake's cells, head first (empty if there is none)
+ * @property {Array<{x: number, y: number}>} foods - Cells holding food
+ * @property {Array<{x: number, y: number}>} obstacles - Obstacle cells
+ * @property {number} difficulty - AIEngine.getCurrentDifficulty(), 1 to 10
+ */
+
+/**
+ * Skill and aggression for a difficulty, both in [0, 1]
+ * @param {number} difficulty - 1 to 10
+ * @returns {{skill: number, aggression: number}}
+ */
+export function getRivalProfile(difficulty) {
+    const t = (Math.max(1, Math.min(10, difficulty)) - 1) / 9;
+    return {
+        skill: 0.6 + 0.38 * t,
+        aggression: 0.15 + 0.75 * t
+    };
+}
+
+export class RivalController {
+    constructor(random) {
+        this.random = random;
+    }
+
+    /**
+     * Pick the rival's next direction
+     * @param {RivalView} view - All positions in grid cells
+     * @returns {string}
+     */
+    chooseDirection(view) {
+        const { board, snake } = view;
+        const head = snake[0];
+        const profile = getRivalProfile(view.difficulty);
+
+        // Cells still taken after this move. Tails move on, so they are free, but
+        // a snake that eats keeps its tail where it was (see Snake.grow): the
+        // player's tail stays taken while the player's head is next to food.
+        const playerMayEat = view.opponent.length > 0 && view.foods.some(food => cellDistance(view.opponent[0], food, board) === 1);
+        const blocked = new Set(
+            [head].concat(snake.slice(0, -1), playerMayEat ? view.opponent : view.opponent.slice(0, -1), view.obstacles).map(cellKey)
+        );
+
+        // Cells the player's head may move into: a head-on meeting kills both snakes
+        const contested = new Set();
+        if (view.opponent.length > 0) {
+            DIRECTIONS.forEach(direction => {
+                const cell = stepCell(view.opponent[0], direction, board);
+                if (cell) contested.add(cellKey(cell));
+            });
+        }
+
+        const moves = DIRECTIONS
+            .filter(direction => direction !== OPPOSITE_DIRECTIONS[view.direction])
+            .map(direction => ({ direction, cell: stepCell(head, direction, board) }))
+            .filter(move => move.cell && !blocked.has(cellKey(move.cell)));
+        if (moves.length === 0) {
+            // Boxed in: nothing left but to crash
+            return view.direction;
+        }
+
+        // A move is safe when it leaves room for the whole body and avoids the player's head
+        moves.forEach(move => {
+            move.space = countReachable(move.cell, blocked, board, snake.length * 2);
+            move.safe = move.space >= snake.length && !contested.has(cellKey(move.cell));
+        });
+        const safeMoves = moves.filter(move => move.safe);
+        const candidates = safeMoves.length > 0 ? safeMoves : moves;
+
+        // Now and then a careless move, more often at low difficulty
+        if (this.random.next() > profile.skill) {
+            return candidates[this.random.nextInt(candidates.length)].direction;
+        }
+
+        const target = this.chooseTarget(view, blocked, profile);
+        if (target) {
+            const path = findPath(head, [target], blocked, board);
+            const move = path && candidates.find(candidate => candidate.direction === path[0]);
+            if (move) {
+                return move.direction;
+            }
+        }
+
+        return this.roam(candidates, view.direction);
+    }
+
+    // Food to head for: the nearest one the rival reaches before the player,
+    // or (if aggressive enough) the nearest one at all. null to just roam.
+    chooseTarget(view, blocked, profile) {
+        let best = null;
+
+        view.foods.forEach(food => {
+            const path = findPath(view.snake[0], [food], blocked, view.board);
+            if (!path) {
+                return;
+            }
+
+            // Arriving together is a head-on crash, so only strictly sooner wins the race
+            const playerDistance = view.opponent.length > 0 ? cellDistance(view.opponent[0], food, view.board) : Infinity;
+            const winnable = path.length < playerDistance;
+            const rank = (winnable ? 0 : view.board.columns * view.board.rows) + path.length;
+            if (!best || rank < best.rank) {
+                best = { food, rank, winnable };
+            }
+        });
+
+        if (!best || (!best.winnable && this.random.next() > profile.aggression)) {
+            return null;
+        }
+        return best.food;
+    }
+
+    // No food worth chasing: keep the most room ahead, going straight on ties
+    roam(moves, direction) {
+        return moves.reduce((best, move) => {
+            if (move.space > best.space || (move.space === best.space && move.direction === direction)) {
+                return move;
+            }
+            return best;
+        }).direction;
+    }
+}
@@ -1,22 +1,34 @@
 // Snake class - Manages snake entity state and movement logic
+import { wrapPosition } from './board.js';
+
 export class Snake {
-    constructor(gridSize, canvasWidth, canvasHeight) {
+    constructor(gridSize, canvasWidth, canvasHeight, options = {}) {
         this.gridSize = gridSize;
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
         
-        // Initialize snake in center of grid
-        const centerX = Math.floor((canvasWidth / gridSize) / 2) * gridSize;
-        const centerY = Math.floor((canvasHeight / gridSize) / 2) * gridSize;
+        // On wrap-around boards the snake re-enters from the opposite edge
+        this.wrap = options.wrap === true;
+        
+        // Levels place the snake explicitly; otherwise start in the center of the grid
+        if (Array.isArray(options.segments) && options.segments.length > 0) {
+            this.segments = options.segments.map(segment => ({ x: segment.x, y: segment.y }));
+        } else {
+            const centerX = Math.floor((canvasWidth / gridSize) / 2) * gridSize;
+            const centerY = Math.floor((canvasHeight / gridSize) / 2) * gridSize;
+            
+            this.segments = [
+                { x: centerX, y: centerY },
+                { x: centerX - gridSize, y: centerY },
+                { x: centerX - (2 * gridSize), y: centerY }
+            ];
+        }
         
-        this.segments = [
-            { x: centerX, y: centerY },
-            { x: centerX - gridSize, y: centerY },
-            { x: centerX - (2 * gridSize), y: centerY }
-        ];
+        this.direction = options.direction || 'right';
+        this.nextDirection = this.direction;
         
-        this.direction = 'right';
-        this.nextDirection = 'right';
+        // Cell the last move left behind, which grow() hands back
+        this.vacatedTail = null;
     }
 
     move(direction) {
@@ -45,41 +57,83 @@ export class Snake {
         }
 
         // Add new head to front of segments
-        this.segments.unshift(head);
+        this.segments.unshift(this.wrap ? wrapPosition(head, this.canvasWidth, this.canvasHeight) : head);
         
         // Remove tail (will be added back if growing)
-        this.segments.pop();
+        this.vacatedTail = this.segments.pop();
     }
 
     grow() {
-        // Add a new segment at the tail position
-        // The tail was removed in the last move(), so we need to add it back
+        // Growing right after a move keeps the tail where it was: the cell the
+        // move just left comes back (unless the head has just moved into it).
+        // That cell is on the board, which is what the solver and the rival count on.
+        const vacated = this.vacatedTail;
+        this.vacatedTail = null;
+        if (vacated && !this.isOnBody(vacated)) {
+            this.segments.push(vacated);
+            return;
+        }
+        
         const tail = this.segments[this.segments.length - 1];
         const secondToLast = this.segments[this.segments.length - 2];
         
-        // Calculate where the new tail segment should be
+        // Otherwise extend the tail the way it points, if that cell is free;
+        // failing that the new segment shares the tail's cell until the next move
         let newTail = { ...tail };
         
         if (secondToLast) {
             // Place new tail in opposite direction from the last segment's movement
-            const deltaX = tail.x - secondToLast.x;
-            const deltaY = tail.y - secondToLast.y;
+            let deltaX = tail.x - secondToLast.x;
+            let deltaY = tail.y - secondToLast.y;
+            
+            // Segments on opposite edges of a wrap-around board are really neighbours
+            if (this.wrap) {
+                if (Math.abs(deltaX) > this.gridSize) deltaX = -Math.sign(deltaX) * this.gridSize;
+                if (Math.abs(deltaY) > this.gridSize) deltaY = -Math.sign(deltaY) * this.gridSize;
+            }
             
             newTail.x = tail.x + deltaX;
             newTail.y = tail.y + deltaY;
+            
+            if (this.wrap) {
+                newTail = wrapPosition(newTail, this.canvasWidth, this.canvasHeight);
+            }
+            
+            const offBoard = newTail.x < 0 || newTail.x >= this.canvasWidth || newTail.y < 0 || newTail.y >= this.canvasHeight;
+            if (offBoard || this.isOnBody(newTail)) {
+                newTail = { ...tail };
+            }
         }
         
         this.segments.push(newTail);
     }
 
+    isOnBody(cell) {
+        return this.segments.some(segment => segment.x === cell.x && segment.y === cell.y);
+    }
+
+    // Drop segments from the tail (e.g. after eating poison), always keeping the head
+    shrink(count = 1) {
+        const removable = Math.min(count, this.segments.length - 1);
+        if (removable > 0) {
+            this.segments.splice(this.segments.length - removable, removable);
+        }
+    }
+
     checkCollision() {
+        return this.checkWallCollision() || this.checkSelfCollision();
+    }
+
+    checkWallCollision() {
         const head = this.segments[0];
         
-        // Check wall collision
-        if (head.x < 0 || head.x >= this.canvasWidth || 
-            head.y < 0 || head.y >= this.canvasHeight) {
-            return true;
-        }
+        // Wrap-around boards have no walls
+        return !this.wrap && (head.x < 0 || head.x >= this.canvasWidth || 
+            head.y < 0 || head.y >= this.canvasHeight);
+    }
+
+    checkSelfCollision() {
+        const head = this.segments[0];
         
         // Check self collision (head with body segments)
         for (let i = 1; i < this.segments.length; i++) {
@@ -95,6 +149,28 @@ export class Snake {
         return this.segments[0]; // Head position
     }
 
+    // Serializable state for save/resume snapshots
+    getState() {
+        return {
+            segments: this.getSegments().map(segment => ({ ...segment })),
+            direction: this.direction,
+            nextDirection: this.nextDirection,
+            length: this.segments.length
+        };
+    }
+
+    restoreState(state) {
+        this.segments = state.segments.map(segment => ({ x: segment.x, y: segment.y }));
+        this.direction = state.direction;
+        this.nextDirection = state.nextDirection || state.direction;
+        this.vacatedTail = null;
+    }
+
+    resize(canvasWidth, canvasHeight) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+    }
+
     getSegments() {
         return [...this.segments]; // Return copy of segments
     }
@@ -0,0 +1,253 @@
+// Solver - Plays the snake safely: autopilot moves and hint paths
+// On an open board (no obstacles, no other snake) the solver walks a
+// Hamiltonian cycle, a tour through every cell. Once the body lies along the
+// cycle it takes shortcuts towards the food, but never past its own tail in
+// cycle order, so the cells ahead stay empty: it can neither trap itself nor
+// go round without eating. Once the snake fills much of the board it keeps to
+// the cycle itself. Until the body lies along the cycle, and on boards
+// without one, it plays by these rules, in order:
+//   1. The next cell of the cycle, if the board has one and it is safe.
+//   2. A* to the nearest food whose path passes the tail check: after eating,
+//      the head must still be able to reach the tail, so there is a way out.
+//   3. Chase the own tail, which keeps the body coiled and buys time.
+//   4. The move with the most room ahead.
+// Every move is checked the way the engine plays it: the tail moves on,
+// except when the snake eats, when it stays where it was (see Snake.grow).
+// The solver works on the same grid-cell view as the rival (see rival.js),
+// is deterministic and keeps no state between moves.
+import { DIRECTIONS, cellKey, cellDistance, countReachable, findPath, findPathAStar, stepCell } from './pathfinding.js';
+
+const OPPOSITE_DIRECTIONS = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+// Share of the board the snake must cover before it stops taking shortcuts off the cycle
+export const FULL_BOARD_SHARE = 0.5;
+
+// Moves shown by the hint overlay
+export const HINT_MOVES = 5;
+
+const cycleCache = new Map();
+
+/**
+ * A Hamiltonian cycle over an open board: every cell once, ending next to the start.
+ * Zigzags through the rows on all columns but the first, which leads back up.
+ * @param {number} columns
+ * @param {number} rows
+ * @returns {Array<{x: number, y: number}>|null} - null when no cycle exists (both sides odd, or a side of 1)
+ */
+export function buildHamiltonianCycle(columns, rows) {
+    if (columns < 2 || rows < 2 || (columns % 2 === 1 && rows % 2 === 1)) {
+        return null;
+    }
+
+    // The zigzag needs an even number of rows; otherwise build it transposed
+    if (rows % 2 === 1) {
+        return buildHamiltonianCycle(rows, columns).map(cell => ({ x: cell.y, y: cell.x }));
+    }
+
+    const cells = [];
+    for (let y = 0; y < rows; y++) {
+        for (let i = 1; i < columns; i++) {
+            cells.push({ x: y % 2 === 0 ? i : columns - i, y });
+        }
+    }
+    for (let y = rows - 1; y >= 0; y--) {
+        cells.push({ x: 0, y });
+    }
+    return cells;
+}
+
+// Cycle position of every cell, built once per board size
+function getCycle(board) {
+    const key = `${board.columns}x${board.rows}`;
+    if (!cycleCache.has(key)) {
+        const cells = buildHamiltonianCycle(board.columns, board.rows);
+        cycleCache.set(key, cells ? { cells, index: new Map(cells.map((cell, i) => [cellKey(cell), i])) } : null);
+    }
+    return cycleCache.get(key);
+}
+
+// Direction that leads from one cell to a neighbouring one
+function directionTo(from, to, board) {
+    return DIRECTIONS.find(direction => {
+        const cell = stepCell(from, direction, board);
+        return cell && cell.x === to.x && cell.y === to.y;
+    }) || null;
+}
+
+// Cells that are off limits on the next move: obstacles, the other snake and
+// the own body except the tail, which moves out of the way
+function getBlocked(view, snake = view.snake) {
+    return new Set([snake[0]].concat(snake.slice(0, -1), view.opponent || [], view.obstacles).map(cellKey));
+}
+
+// Move the snake along a path the way the engine does: each move drops the
+// tail, and eating keeps it where it was (see Snake.grow). null if it crashes.
+function followPath(view, path) {
+    const foods = new Set(view.foods.map(cellKey));
+    const walls = new Set((view.opponent || []).concat(view.obstacles).map(cellKey));
+    let body = [...view.snake];
+    for (const direction of path) {
+        const head = stepCell(body[0], direction, view.board);
+        if (!head || walls.has(cellKey(head))) {
+            return null;
+        }
+        const rest = foods.delete(cellKey(head)) ? body : body.slice(0, -1);
+        if (rest.some(cell => cell.x === head.x && cell.y === head.y)) {
+            return null;
+        }
+        body = [head].concat(rest);
+    }
+    return body;
+}
+
+// Tail check: after following the path, can the head still reach the tail?
+function isSafePath(view, path) {
+    const body = followPath(view, path);
+    if (!body) {
+        return false;
+    }
+    if (body.length < 2) {
+        return true;
+    }
+
+    const blocked = getBlocked(view, body);
+    return findPath(body[0], [body[body.length - 1]], blocked, view.board) !== null;
+}
+
+// Steps forwards along the cycle from one cell to another
+function cycleDistance(cycle, from, to) {
+    const size = cycle.cells.length;
+    return (cycle.index.get(cellKey(to)) - cycle.index.get(cellKey(from)) + size) % size;
+}
+
+// Whether every segment lies between the tail and the head in cycle order,
+// which leaves the cells ahead of the head free up to the tail
+function liesAlongCycle(cycle, snake) {
+    const tail = snake[snake.length - 1];
+    const span = cycleDistance(cycle, tail, snake[0]);
+    return snake.every(cell => cycleDistance(cycle, tail, cell) <= span);
+}
+
+// Move along the cycle, cutting ahead towards the food but never past the
+// tail. Crowded boards get no shortcuts. null if no move keeps to that.
+function followCycle(view, cycle, blocked) {
+    const { board, snake } = view;
+    const head = snake[0];
+    const size = cycle.cells.length;
+    const tailDistance = snake.length > 1 ? cycleDistance(cycle, head, snake[snake.length - 1]) : size;
+    const foodDistance = Math.min(...view.foods.map(food => cycleDistance(cycle, head, food)).filter(distance => distance > 0));
+    const reach = snake.length >= size * FULL_BOARD_SHARE ? 1 : Math.min(foodDistance, tailDistance);
+
+    // Into the tail's cell only when there is nothing else (it moves on unless the snake eats)
+    let best = null;
+    DIRECTIONS.forEach(direction => {
+        const cell = stepCell(head, direction, board);
+        if (!cell || blocked.has(cellKey(cell)) || !followPath(view, [direction])) {
+            return;
+        }
+        const distance = cycleDistance(cycle, head, cell);
+        const rank = distance === tailDistance ? 0 : distance;
+        if (distance >= 1 && distance <= tailDistance && (distance <= reach || distance === 1) && (!best || rank > best.rank)) {
+            best = { direction, rank, shortcut: distance > 1 };
+        }
+    });
+    return best;
+}
+
+/**
+ * Pick the next move for a snake
+ * @param {import('./rival.js').RivalView} view - The board in grid cells; opponent is optional
+ * @returns {{direction: string, strategy: 'cycle'|'food'|'tail'|'space'|'stuck'}}
+ */
+export function solve(view) {
+    const { board, snake } = view;
+    const head = snake[0];
+    const blocked = getBlocked(view);
+
+    // A snake cannot turn straight back, however short it is
+    const behind = view.direction ? stepCell(head, OPPOSITE_DIRECTIONS[view.direction], board) : null;
+    if (behind) {
+        blocked.add(cellKey(behind));
+    }
+
+    const cycle = view.obstacles.length === 0 && !(view.opponent && view.opponent.length > 0) ? getCycle(board) : null;
+
+    // On the cycle, with shortcuts towards the food
+    if (cycle && liesAlongCycle(cycle, snake)) {
+        const move = followCycle(view, cycle, blocked);
+        if (move) {
+            return { direction: move.direction, strategy: move.shortcut ? 'food' : 'cycle' };
+        }
+    }
+
+    // 1. Onto the cycle
+    const next = cycle && cycle.cells[(cycle.index.get(cellKey(head)) + 1) % cycle.cells.length];
+    const cycleDirection = next && !blocked.has(cellKey(next)) ? directionTo(head, next, board) : null;
+    if (cycleDirection && isSafePath(view, [cycleDirection])) {
+        return { direction: cycleDirection, strategy: 'cycle' };
+    }
+
+    // 2. The nearest food with a safe path
+    const foods = [...view.foods].sort((a, b) => cellDistance(head, a, board) - cellDistance(head, b, board));
+    for (const food of foods) {
+        const path = findPathAStar(head, food, blocked, board);
+        if (path && isSafePath(view, path)) {
+            return { direction: path[0], strategy: 'food' };
+        }
+    }
+
+    // 3. Follow the tail around
+    if (snake.length > 2) {
+        const path = findPath(head, [snake[snake.length - 1]], blocked, board);
+        if (path && isSafePath(view, path.slice(0, 1))) {
+            return { direction: path[0], strategy: 'tail' };
+        }
+    }
+
+    // 4. Whatever leaves the most room, keeping the tail in reach if any move does
+    let best = null;
+    DIRECTIONS.forEach(direction => {
+        const cell = stepCell(head, direction, board);
+        if (!cell || blocked.has(cellKey(cell))) {
+            return;
+        }
+        const safe = isSafePath(view, [direction]);
+        const space = countReachable(cell, blocked, board);
+        if (!best || safe > best.safe || (safe === best.safe && space > best.space)) {
+            best = { direction, safe, space };
+        }
+    });
+
+    return best ? { direction: best.direction, strategy: 'space' } : { direction: view.direction, strategy: 'stuck' };
+}
+
+/**
+ * The next few moves the solver recommends, played out on a copy of the board
+ * @param {import('./rival.js').RivalView} view
+ * @param {number} count - Moves to plan
+ * @returns {Array<{x: number, y: number}>} - Cells the head will pass through, in order
+ */
+export function planMoves(view, count = HINT_MOVES) {
+    let current = { ...view, snake: [...view.snake], foods: [...view.foods] };
+    const cells = [];
+
+    for (let i = 0; i < count; i++) {
+        const { direction } = solve(current);
+        const next = stepCell(current.snake[0], direction, current.board);
+        if (!next || getBlocked(current).has(cellKey(next))) {
+            break;
+        }
+        cells.push(next);
+
+        // Eating grows the snake and takes the food off the copy
+        const eaten = current.foods.some(food => food.x === next.x && food.y === next.y);
+        current = {
+            ...current,
+            direction,
+            snake: [next].concat(eaten ? current.snake : current.snake.slice(0, -1)),
+            foods: current.foods.filter(food => food.x !== next.x || food.y !== next.y)
+        };
+    }
+
+    return cells;
+}
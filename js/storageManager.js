@@ -1,9 +1,23 @@
 // Storage Manager - Handles data persistence using browser local storage
+import { serializeReplay, parseReplay } from './replayFormat.js';
+import { GAME_MODE_IDS, HIGH_SCORE_TABLE_SIZE } from './gameModes.js';
+import { normalizeGamepadMapping } from './gamepad.js';
+import { normalizeKeyBindings } from './keyBindings.js';
+import { getBoardSetupId, resolveBoardSize } from './board.js';
+
+// Key binding profile every player starts with
+export const DEFAULT_KEY_PROFILE = 'Default';
+
 export class StorageManager {
     constructor() {
         this.gameDataKey = 'aiSnakeGame_data';
         this.highScoreKey = 'aiSnakeGame_highScore';
         this.behaviorDataKey = 'aiSnakeGame_behaviorData';
+        this.bestReplayKey = 'aiSnakeGame_bestReplay';
+        this.highScoreTableKey = 'aiSnakeGame_highScoreTable';
+        this.gamepadMappingKey = 'aiSnakeGame_gamepadMapping';
+        this.keyBindingsKey = 'aiSnakeGame_keyBindings';
+        this.boardSizeKey = 'aiSnakeGame_boardSize';
         this.dataVersion = '1.0'; // For future compatibility
     }
 
@@ -104,9 +118,11 @@ export class StorageManager {
     /**
      * Save high score with validation
      * @param {number} score - The score to save
+     * @param {string} mode - Game mode the score belongs to
+     * @param {Object|null} setup - Board setup the score was made on (GameEngine.getSetup())
      * @returns {boolean} - Success status
      */
-    saveHighScore(score) {
+    saveHighScore(score, mode = 'endless', setup = null) {
         try {
             // Validate score is a positive number
             if (typeof score !== 'number' || score < 0 || !Number.isInteger(score)) {
@@ -115,7 +131,7 @@ export class StorageManager {
             }
 
             // Only save if it's actually a high score
-            const currentHighScore = this.loadHighScore();
+            const currentHighScore = this.loadHighScore(mode, setup);
             if (score <= currentHighScore) {
                 return true; // Not an error, just not a new high score
             }
@@ -126,7 +142,7 @@ export class StorageManager {
                 version: this.dataVersion
             };
 
-            localStorage.setItem(this.highScoreKey, JSON.stringify(scoreData));
+            localStorage.setItem(this.getHighScoreKey(mode, setup), JSON.stringify(scoreData));
             return true;
         } catch (error) {
             console.error('Failed to save high score:', error);
@@ -136,11 +152,13 @@ export class StorageManager {
 
     /**
      * Load high score with fallback to legacy format
+     * @param {string} mode - Game mode to load the high score of
+     * @param {Object|null} setup - Board setup to load the high score of (see saveHighScore)
      * @returns {number} - High score or 0 if not found
      */
-    loadHighScore() {
+    loadHighScore(mode = 'endless', setup = null) {
         try {
-            const scoreData = localStorage.getItem(this.highScoreKey);
+            const scoreData = localStorage.getItem(this.getHighScoreKey(mode, setup));
             if (!scoreData) {
                 return 0;
             }
@@ -166,6 +184,89 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Endless mode keeps the original key so existing high scores carry over
+     * @param {string} mode
+     * @param {Object|null} setup
+     * @returns {string}
+     */
+    getHighScoreKey(mode, setup = null) {
+        return (mode === 'endless' ? this.highScoreKey : `${this.highScoreKey}_${mode}`) + this.getSetupSuffix(setup);
+    }
+
+    /**
+     * Scores, tables and best runs are kept per board setup: size, edges, food
+     * items and level (see getBoardSetupId). The original setup has no suffix,
+     * so what was saved before the other settings existed carries over.
+     * @param {Object|null} setup - GameEngine.getSetup(), or null for the original setup
+     * @returns {string}
+     */
+    getSetupSuffix(setup) {
+        const id = setup ? getBoardSetupId(setup) : '';
+        return id ? `_${id}` : '';
+    }
+
+    /**
+     * Add a finished game to a mode's high-score table
+     * @param {string} mode - Game mode the run was played in
+     * @param {{score: number, foodEaten: number}} entry - Result of the run
+     * @param {Object|null} setup - Board setup the run was played on (see saveHighScore)
+     * @returns {number} - Place in the table (0 = best), or -1 if it did not make the table
+     */
+    saveHighScoreEntry(mode, entry, setup = null) {
+        try {
+            if (!GAME_MODE_IDS.includes(mode) || !entry || !Number.isInteger(entry.score) || entry.score <= 0) {
+                return -1;
+            }
+
+            const table = this.loadHighScoreTable(mode, setup);
+            const record = { score: entry.score, foodEaten: entry.foodEaten || 0, timestamp: Date.now() };
+
+            // Ties go below the runs that got there first
+            let place = table.findIndex(existing => entry.score > existing.score);
+            if (place === -1) {
+                place = table.length;
+            }
+            if (place >= HIGH_SCORE_TABLE_SIZE) {
+                return -1;
+            }
+
+            table.splice(place, 0, record);
+            localStorage.setItem(this.getHighScoreTableKey(mode, setup), JSON.stringify(table.slice(0, HIGH_SCORE_TABLE_SIZE)));
+            return place;
+        } catch (error) {
+            console.error('Failed to save high score entry:', error);
+            return -1;
+        }
+    }
+
+    /**
+     * Load a mode's high-score table, best first
+     * @param {string} mode
+     * @param {Object|null} setup - Board setup the table is for (see saveHighScore)
+     * @returns {Array<{score: number, foodEaten: number, timestamp: number}>}
+     */
+    loadHighScoreTable(mode, setup = null) {
+        try {
+            const serializedTable = localStorage.getItem(this.getHighScoreTableKey(mode, setup));
+            if (!serializedTable) {
+                return [];
+            }
+
+            const table = JSON.parse(serializedTable);
+            return Array.isArray(table)
+                ? table.filter(entry => entry && Number.isInteger(entry.score)).slice(0, HIGH_SCORE_TABLE_SIZE)
+                : [];
+        } catch (error) {
+            console.warn('Stored high-score table is unusable:', error.message);
+            return [];
+        }
+    }
+
+    getHighScoreTableKey(mode, setup = null) {
+        return `${this.highScoreTableKey}_${mode}${this.getSetupSuffix(setup)}`;
+    }
+
     /**
      * Save AI behavior data with comprehensive validation
      * @param {Object} data - AI behavior data from AIEngine
@@ -259,6 +360,230 @@ export class StorageManager {
         }
     }
 
+    /**
+     * Save the replay of the player's best game (used for the ghost race).
+     * Each game mode keeps its own best run on each board setup, so the
+     * ghost only ever races a run it can replay.
+     * @param {Object} replay - Replay from GameEngine.getReplay()
+     * @returns {boolean} - Success status
+     */
+    saveBestReplay(replay) {
+        try {
+            if (!replay || typeof replay.seed !== 'number' || !Array.isArray(replay.inputs)) {
+                console.warn('Invalid replay structure, skipping save');
+                return false;
+            }
+
+            if (!this.isStorageAvailable()) {
+                console.error('Local storage is not available');
+                return false;
+            }
+
+            const config = replay.config || {};
+            localStorage.setItem(this.getBestReplayKey(config.mode, config.gridSize ? config : null), serializeReplay(replay, { compact: true }));
+            return true;
+        } catch (error) {
+            console.error('Failed to save best replay:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the best-game replay
+     * @param {Object|null} setup - Board setup to load the best run of (GameEngine.getSetup());
+     *   replays from other board dimensions are ignored
+     * @param {string} mode - Game mode to load the best run of
+     * @returns {Object|null} - Replay or null if not found/incompatible
+     */
+    loadBestReplay(setup = null, mode = 'endless') {
+        try {
+            const serializedReplay = localStorage.getItem(this.getBestReplayKey(mode, setup));
+            if (!serializedReplay) {
+                return null;
+            }
+
+            return parseReplay(serializedReplay, setup);
+        } catch (error) {
+            // Replays from an older engine version can no longer be raced against
+            console.warn('Stored best replay is unusable:', error.message);
+            return null;
+        }
+    }
+
+    getBestReplayKey(mode = 'endless', setup = null) {
+        return (!mode || mode === 'endless' ? this.bestReplayKey : `${this.bestReplayKey}_${mode}`) + this.getSetupSuffix(setup);
+    }
+
+    /**
+     * Save the gamepad button mapping
+     * @param {Object} mapping - Action to button numbers, from GamepadInput.getMapping()
+     * @returns {boolean} - Success status
+     */
+    saveGamepadMapping(mapping) {
+        try {
+            if (!mapping || typeof mapping !== 'object') {
+                console.warn('Invalid gamepad mapping, skipping save');
+                return false;
+            }
+
+            localStorage.setItem(this.gamepadMappingKey, JSON.stringify(normalizeGamepadMapping(mapping)));
+            return true;
+        } catch (error) {
+            console.error('Failed to save gamepad mapping:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the gamepad button mapping
+     * @returns {Object|null} - Mapping or null if none is stored
+     */
+    loadGamepadMapping() {
+        try {
+            const serializedMapping = localStorage.getItem(this.gamepadMappingKey);
+            if (!serializedMapping) {
+                return null;
+            }
+
+            return normalizeGamepadMapping(JSON.parse(serializedMapping));
+        } catch (error) {
+            console.warn('Stored gamepad mapping is unusable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Save the key bindings of a profile
+     * @param {Object} bindings - Action to keys, from KeyBindings.getBindings()
+     * @param {string} profile - Profile name
+     * @returns {boolean} - Success status
+     */
+    saveKeyBindings(bindings, profile = DEFAULT_KEY_PROFILE) {
+        try {
+            if (!bindings || typeof bindings !== 'object' || typeof profile !== 'string' || profile.trim() === '') {
+                console.warn('Invalid key bindings, skipping save');
+                return false;
+            }
+
+            const store = this.loadKeyBindingStore();
+            store.profiles[profile.trim()] = normalizeKeyBindings(bindings);
+            localStorage.setItem(this.keyBindingsKey, JSON.stringify(store));
+            return true;
+        } catch (error) {
+            console.error('Failed to save key bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the key bindings of a profile
+     * @param {string} profile - Profile name
+     * @returns {Object|null} - Bindings or null if the profile has none stored
+     */
+    loadKeyBindings(profile = DEFAULT_KEY_PROFILE) {
+        const bindings = this.loadKeyBindingStore().profiles[profile];
+        return bindings ? normalizeKeyBindings(bindings) : null;
+    }
+
+    /**
+     * Delete a profile's key bindings; the default profile cannot be deleted
+     * @param {string} profile
+     * @returns {boolean} - Success status
+     */
+    deleteKeyBindings(profile) {
+        try {
+            const store = this.loadKeyBindingStore();
+            if (profile === DEFAULT_KEY_PROFILE || !store.profiles[profile]) {
+                return false;
+            }
+
+            delete store.profiles[profile];
+            if (store.active === profile) {
+                store.active = DEFAULT_KEY_PROFILE;
+            }
+            localStorage.setItem(this.keyBindingsKey, JSON.stringify(store));
+            return true;
+        } catch (error) {
+            console.error('Failed to delete key bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Names of all key binding profiles, the default one first
+     * @returns {string[]}
+     */
+    loadKeyProfiles() {
+        const names = Object.keys(this.loadKeyBindingStore().profiles).filter(name => name !== DEFAULT_KEY_PROFILE);
+        return [DEFAULT_KEY_PROFILE, ...names.sort()];
+    }
+
+    saveActiveKeyProfile(profile) {
+        try {
+            const store = this.loadKeyBindingStore();
+            store.active = profile;
+            localStorage.setItem(this.keyBindingsKey, JSON.stringify(store));
+            return true;
+        } catch (error) {
+            console.error('Failed to save key profile:', error);
+            return false;
+        }
+    }
+
+    loadActiveKeyProfile() {
+        return this.loadKeyBindingStore().active;
+    }
+
+    // All profiles in one item: { active, profiles: { name: bindings } }
+    loadKeyBindingStore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.keyBindingsKey) || 'null');
+            if (stored && typeof stored === 'object' && stored.profiles && typeof stored.profiles === 'object') {
+                return {
+                    active: typeof stored.active === 'string' ? stored.active : DEFAULT_KEY_PROFILE,
+                    profiles: stored.profiles
+                };
+            }
+        } catch (error) {
+            console.warn('Stored key bindings are unusable:', error.message);
+        }
+        return { active: DEFAULT_KEY_PROFILE, profiles: {} };
+    }
+
+    /**
+     * Save the arena size setting
+     * @param {string|Object} size - A BOARD_SIZES preset id or { preset: 'custom', columns, rows }
+     * @returns {boolean} - Success status
+     */
+    saveBoardSize(size) {
+        try {
+            const resolved = resolveBoardSize(size);
+            if (!resolved) {
+                console.warn('Invalid board size, skipping save');
+                return false;
+            }
+
+            localStorage.setItem(this.boardSizeKey, JSON.stringify(resolved));
+            return true;
+        } catch (error) {
+            console.error('Failed to save board size:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the arena size setting
+     * @returns {{preset: string, columns: number, rows: number}|null} - Size or null if none is stored
+     */
+    loadBoardSize() {
+        try {
+            return resolveBoardSize(JSON.parse(localStorage.getItem(this.boardSizeKey) || 'null'));
+        } catch (error) {
+            console.warn('Stored board size is unusable:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Clear all stored data
      * @returns {boolean} - Success status
@@ -268,6 +593,18 @@ export class StorageManager {
             localStorage.removeItem(this.gameDataKey);
             localStorage.removeItem(this.highScoreKey);
             localStorage.removeItem(this.behaviorDataKey);
+            localStorage.removeItem(this.bestReplayKey);
+            localStorage.removeItem(this.gamepadMappingKey);
+            localStorage.removeItem(this.keyBindingsKey);
+            localStorage.removeItem(this.boardSizeKey);
+            // High scores, tables and best runs of every mode and board setup
+            const prefixes = [this.highScoreKey, this.highScoreTableKey, this.bestReplayKey];
+            const keys = [];
+            for (let index = 0; index < localStorage.length; index++) {
+                keys.push(localStorage.key(index));
+            }
+            keys.filter(key => key && prefixes.some(prefix => key.startsWith(prefix)))
+                .forEach(key => localStorage.removeItem(key));
             return true;
         } catch (error) {
             console.error('Failed to clear data:', error);
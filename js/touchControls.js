@@ -0,0 +1,146 @@
+// Touch Controls - Swipe and tap gestures on the game canvas
+// A swipe turns the snake, a tap pauses. Gestures are reported through
+// callbacks and the game turns them into the same key input a keyboard
+// would send, so replays and movement recording see no difference.
+// A long drag can turn more than once: after each recognised swipe the
+// gesture starts over from the finger's current position.
+
+export const GESTURE_DEFAULTS = {
+    // Pixels a finger must travel before a drag counts as a swipe
+    swipeDistance: 30,
+    // A touch that moves less than this and lifts quickly is a tap
+    tapDistance: 10,
+    tapDuration: 300
+};
+
+/**
+ * Classify a finished or ongoing touch
+ * @param {{x: number, y: number, time: number}} start
+ * @param {{x: number, y: number, time: number}} end
+ * @param {Object} [options] - Overrides for GESTURE_DEFAULTS
+ * @returns {{type: 'swipe', direction: string}|{type: 'tap'}|null}
+ */
+export function classifyGesture(start, end, options = {}) {
+    const settings = { ...GESTURE_DEFAULTS, ...options };
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+
+    if (distance >= settings.swipeDistance) {
+        // The longer axis decides; a diagonal drag turns along its main direction
+        const direction = Math.abs(dx) > Math.abs(dy)
+            ? (dx > 0 ? 'right' : 'left')
+            : (dy > 0 ? 'down' : 'up');
+        return { type: 'swipe', direction };
+    }
+
+    if (distance < settings.tapDistance && end.time - start.time <= settings.tapDuration) {
+        return { type: 'tap' };
+    }
+
+    return null;
+}
+
+export class TouchControls {
+    /**
+     * @param {HTMLElement} element - Usually the game canvas
+     * @param {Object} [options] - Overrides for GESTURE_DEFAULTS
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.options = { ...GESTURE_DEFAULTS, ...options };
+        this.start = null;
+        this.swiped = false;
+        this.attached = false;
+
+        // Callbacks
+        this.onDirection = null;
+        this.onTap = null;
+
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleTouchCancel = this.handleTouchCancel.bind(this);
+    }
+
+    attach() {
+        if (this.attached || !this.element) {
+            return;
+        }
+        // Not passive: the page must not scroll or zoom while the snake is steered
+        this.element.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+        this.element.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+        this.element.addEventListener('touchend', this.handleTouchEnd, { passive: false });
+        this.element.addEventListener('touchcancel', this.handleTouchCancel);
+        this.attached = true;
+    }
+
+    detach() {
+        if (!this.attached) {
+            return;
+        }
+        this.element.removeEventListener('touchstart', this.handleTouchStart);
+        this.element.removeEventListener('touchmove', this.handleTouchMove);
+        this.element.removeEventListener('touchend', this.handleTouchEnd);
+        this.element.removeEventListener('touchcancel', this.handleTouchCancel);
+        this.attached = false;
+        this.start = null;
+    }
+
+    handleTouchStart(event) {
+        const point = getTouchPoint(event);
+        if (!point) {
+            return;
+        }
+        event.preventDefault();
+        this.start = point;
+        this.swiped = false;
+    }
+
+    handleTouchMove(event) {
+        const point = getTouchPoint(event);
+        if (!this.start || !point) {
+            return;
+        }
+        event.preventDefault();
+
+        const gesture = classifyGesture(this.start, point, this.options);
+        if (gesture && gesture.type === 'swipe') {
+            this.swiped = true;
+            this.start = point;
+            if (this.onDirection) this.onDirection(gesture.direction);
+        }
+    }
+
+    handleTouchEnd(event) {
+        const point = getTouchPoint(event);
+        if (!this.start || !point) {
+            return;
+        }
+        event.preventDefault();
+
+        const gesture = classifyGesture(this.start, point, this.options);
+        this.start = null;
+        if (!gesture) {
+            return;
+        }
+        if (gesture.type === 'swipe') {
+            if (this.onDirection) this.onDirection(gesture.direction);
+        } else if (!this.swiped && this.onTap) {
+            this.onTap();
+        }
+    }
+
+    handleTouchCancel() {
+        this.start = null;
+    }
+}
+
+// Position and time of the touch that changed
+function getTouchPoint(event) {
+    const touch = event.changedTouches && event.changedTouches[0];
+    if (!touch) {
+        return null;
+    }
+    return { x: touch.clientX, y: touch.clientY, time: event.timeStamp || Date.now() };
+}
@@ -0,0 +1,236 @@
+// Tournament - Runs controllers through seeded headless games and ranks them
+// Every controller plays the same seeds with the same settings, so results
+// compare fairly between bots and, for one bot, between engine versions.
+// The Node command line front end is scripts/tournament.js.
+import { GameEngine, ENGINE_VERSION } from './gameEngine.js';
+import { isController } from './controllers.js';
+import { GAME_MODE_IDS, getGameMode } from './gameModes.js';
+import { BOARD_MODES } from './board.js';
+
+export const TOURNAMENT_DEFAULTS = {
+    games: 20,
+    seed: 1,
+    maxTicks: 2000,
+    mode: 'endless',
+    boardMode: 'walls',
+    foodCount: 1,
+    width: 600,
+    height: 600,
+    gridSize: 20
+};
+
+// A game still running after maxTicks
+const SURVIVED = 'survived';
+
+/**
+ * Modes a tournament can play: one controller drives the player, so modes
+ * with a second player on the keyboard (versus) are left out
+ * @returns {string[]}
+ */
+export function getTournamentModeIds() {
+    return GAME_MODE_IDS.filter(id => getGameMode(id).opponent !== 'keyboard');
+}
+
+/**
+ * @typedef {Object} TournamentEntry
+ * @property {string} name
+ * @property {function(): import('./controllers.js').Controller} createController - A fresh controller for one game
+ */
+
+/**
+ * Play one seeded game with a controller
+ * @returns {{seed: number, score: number, ticks: number, foodEaten: number, cause: string}}
+ */
+export function playGame(controller, seed, settings = {}) {
+    const options = { ...TOURNAMENT_DEFAULTS, ...settings };
+    const engine = new GameEngine(null, options.width, options.height, options.gridSize, {
+        seed,
+        controller,
+        mode: options.mode,
+        boardMode: options.boardMode,
+        foodCount: options.foodCount,
+        level: options.level
+    });
+
+    let result = null;
+    engine.onGameOver = (data) => {
+        result = data;
+    };
+    engine.start();
+    engine.tick(options.maxTicks);
+
+    let cause = SURVIVED;
+    if (result) {
+        cause = result.crashCause || result.outcome || 'unknown';
+    }
+
+    return {
+        seed,
+        score: engine.getScore(),
+        ticks: engine.tickCount,
+        foodEaten: engine.foodEaten,
+        cause
+    };
+}
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+function median(values) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Summary statistics for one controller's games
+ * @param {string} name
+ * @param {Array<Object>} games - playGame() results
+ */
+export function summarize(name, games) {
+    const scores = games.map(game => game.score);
+    const ticks = games.map(game => game.ticks);
+    const causes = {};
+    games.forEach(game => {
+        causes[game.cause] = (causes[game.cause] || 0) + 1;
+    });
+
+    return {
+        name,
+        games: games.length,
+        meanScore: mean(scores),
+        medianScore: median(scores),
+        bestScore: scores.length > 0 ? Math.max(...scores) : 0,
+        meanTicks: mean(ticks),
+        medianTicks: median(ticks),
+        causes,
+        results: games
+    };
+}
+
+/**
+ * Play every entry through the same seeds and rank them: mean score, then
+ * median score, then mean survival ticks
+ * @param {TournamentEntry[]} entries
+ * @param {Object} settings - Overrides for TOURNAMENT_DEFAULTS
+ * @param {function(string, number): void} [onGame] - Progress callback (entry name, game number)
+ * @returns {{engineVersion: number, settings: Object, standings: Array<Object>}}
+ */
+export function runTournament(entries, settings = {}, onGame = null) {
+    const options = { ...TOURNAMENT_DEFAULTS, ...settings };
+    if (!getTournamentModeIds().includes(options.mode)) {
+        throw new Error(`Tournaments cannot play mode ${options.mode}; use one of ${getTournamentModeIds().join(', ')}`);
+    }
+
+    const standings = entries.map(entry => {
+        const games = [];
+        for (let game = 0; game < options.games; game++) {
+            const controller = entry.createController();
+            if (!isController(controller)) {
+                throw new Error(`${entry.name} did not create a controller (nextDirection(observation) is missing)`);
+            }
+            games.push(playGame(controller, options.seed + game, options));
+            if (onGame) onGame(entry.name, game + 1);
+        }
+        return summarize(entry.name, games);
+    });
+
+    standings.sort((a, b) => (b.meanScore - a.meanScore) || (b.medianScore - a.medianScore) || (b.meanTicks - a.meanTicks));
+    standings.forEach((standing, index) => {
+        standing.rank = index + 1;
+    });
+
+    return { engineVersion: ENGINE_VERSION, settings: options, standings };
+}
+
+/**
+ * Plain text ranking table
+ * @param {{standings: Array<Object>}} tournament
+ * @returns {string}
+ */
+export function formatStandings(tournament) {
+    const header = ['#', 'Controller', 'Games', 'Mean', 'Median', 'Best', 'Ticks', 'Deaths'];
+    const rows = tournament.standings.map(standing => [
+        String(standing.rank),
+        standing.name,
+        String(standing.games),
+        standing.meanScore.toFixed(1),
+        String(standing.medianScore),
+        String(standing.bestScore),
+        standing.meanTicks.toFixed(0),
+        Object.keys(standing.causes).sort().map(cause => `${cause} ${standing.causes[cause]}`).join(', ')
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const line = (cells) => cells.map((cell, column) => {
+        // Text columns line up on the left, numbers on the right
+        return column === 1 || column === 7 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]);
+    }).join('  ').trimEnd();
+
+    return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Turn a module's exports into a controller factory. A module may export
+ * (default or as `controller`) a controller class, a factory function or a
+ * ready-made controller object.
+ * @param {Object} moduleExports
+ * @returns {function(): Object|null} - null if the module offers no controller
+ */
+export function getControllerFactory(moduleExports) {
+    const exported = moduleExports.default || moduleExports.controller;
+    if (isController(exported)) {
+        return () => exported;
+    }
+    if (typeof exported !== 'function') {
+        return null;
+    }
+    if (isController(exported.prototype)) {
+        return () => new exported();
+    }
+    return () => exported();
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{controllers: string[], settings: Object, json: string, help: boolean, errors: string[]}}
+ */
+export function parseTournamentArgs(argv) {
+    const parsed = { controllers: [], settings: {}, json: 'tournament-results.json', help: false, errors: [] };
+    const numeric = { '--games': 'games', '--seed': 'seed', '--max-ticks': 'maxTicks', '--food': 'foodCount' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            parsed.help = true;
+        } else if (numeric[arg]) {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < (arg === '--seed' ? 0 : 1)) {
+                parsed.errors.push(`${arg} needs a whole number`);
+            } else {
+                parsed.settings[numeric[arg]] = value;
+            }
+        } else if (arg === '--mode') {
+            parsed.settings.mode = argv[++i];
+            if (!getTournamentModeIds().includes(parsed.settings.mode)) {
+                parsed.errors.push(`--mode must be one of ${getTournamentModeIds().join(', ')}`);
+            }
+        } else if (arg === '--board') {
+            parsed.settings.boardMode = argv[++i];
+            if (!BOARD_MODES.includes(parsed.settings.boardMode)) {
+                parsed.errors.push(`--board must be one of ${BOARD_MODES.join(', ')}`);
+            }
+        } else if (arg === '--json') {
+            parsed.json = argv[++i];
+        } else if (arg.startsWith('-')) {
+            parsed.errors.push(`Unknown option ${arg}`);
+        } else {
+            parsed.controllers.push(arg);
+        }
+    }
+
+    return parsed;
+}
@@ -1,6 +1,7 @@
 // Type definitions for the AI-Adaptive Snake Game
 // Note: These are JSDoc type definitions for JavaScript. 
 // In a TypeScript project, these would be proper TypeScript interfaces.
+import { FOOD_TYPE_IDS } from './foodTypes.js';
 
 /**
  * @typedef {Object} Position
@@ -18,7 +19,8 @@
 /**
  * @typedef {Object} FoodState
  * @property {Position} position - Current food position
- * @property {'normal'|'special'} type - Type of food item
+ * @property {'normal'|'bonus'|'golden'|'poison'|'speedUp'|'slowDown'} type - Type of food item (see foodTypes.js)
+ * @property {number|null} [ticksLeft] - Moves until timed food disappears
  */
 
 /**
@@ -36,6 +38,42 @@
  * @property {number} difficulty - Current difficulty level (1-10 scale)
  */
 
+/**
+ * @typedef {Object} GameSnapshot
+ * Full save/resume snapshot produced by GameEngine.getGameData(). A superset of GameState.
+ * @property {SnakeState & {nextDirection: string}} snake - Snake segments and direction
+ * @property {FoodState} food - Food position and type
+ * @property {FoodState[]} [foods] - Every food item on the board (food is the first)
+ * @property {number} [foodCount] - Food items setting (a level's own count wins)
+ * @property {ScoreState} score - Current and high score
+ * @property {number} [previousHighScore] - High score when the game started; beating it makes a new one
+ * @property {'playing'|'paused'|'gameOver'|'menu'} gameStatus - Current game status
+ * @property {number} difficulty - Current difficulty level (1-10 scale)
+ * @property {number} highScore - Highest score achieved
+ * @property {number} moveInterval - Milliseconds between snake moves
+ * @property {string[]} inputQueue - Turns queued for the next moves, soonest first
+ * @property {boolean} [autopilotUsed] - Whether the autopilot has steered in this game
+ * @property {number} tickCount - Moves performed in the current game
+ * @property {'endless'|'timeAttack'|'versus'} [mode] - Game mode (see gameModes.js)
+ * @property {number|null} [timeLeft] - Ms left on the clock in a timed mode
+ * @property {*} [modeState] - State the mode's hooks keep during the game (see ModeRules)
+ * @property {'walls'|'wrap'} boardMode - Board topology
+ * @property {Object|null} [opponent] - Versus player 2 or the rival ({ snake, score, foodEaten, inputQueue, aiSession, alive, respawnTicks })
+ * @property {Object|null} level - Decoded level being played (see level.js), null for the open arena
+ * @property {{preset: string, columns: number, rows: number}} [boardSize] - Arena size setting (see board.js)
+ * @property {Object} [setup] - Board setup the game is played on (GameEngine.getSetup()); highScore is this setup's
+ * @property {number} foodEaten - Food eaten in the current game (for level goals)
+ * @property {{factor: number, ticksLeft: number}|null} speedEffect - Active speed-up/slow-down food effect
+ * @property {{type: string, position: Position, ticksLeft: number}|null} [powerUp] - Power-up waiting on the grid
+ * @property {Object<string, {ticksLeft: number, stacks: number}>} [powerUpEffects] - Running power-up effects by id
+ * @property {number} seed - Seed of the current game
+ * @property {{seed: number, state: number}} randomState - Generator state to continue the sequence
+ * @property {Object} [replay] - Replay recorded so far ({ header, inputs })
+ * @property {AIBehaviorData} [aiBehaviorData] - Long-term AI learning data
+ * @property {AIBehaviorData} [playerTwoBehaviorData] - Versus player 2's long-term AI learning data
+ * @property {Object} [aiSession] - AI session snapshot (AIEngine.getSessionSnapshot())
+ */
+
 /**
  * @typedef {Object} MovementRecord
  * @property {number} timestamp - When the movement occurred
@@ -109,7 +147,7 @@ export function isValidGameState(obj) {
            typeof obj.snake.length === 'number' &&
            obj.food &&
            (obj.food.position === null || isValidPosition(obj.food.position)) &&
-           ['normal', 'special'].includes(obj.food.type) &&
+           FOOD_TYPE_IDS.includes(obj.food.type) &&
            obj.score &&
            typeof obj.score.current === 'number' &&
            typeof obj.score.high === 'number' &&
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Tournament CLI - Ranks controller modules over seeded headless games
+//
+//   node scripts/tournament.js [options] <controller>...
+//
+// A controller is a built-in name (greedy, solver) or the path to an ES module
+// that exports a controller class, factory or object (see js/tournament.js).
+// The ranking is printed as a table and the full results are written as JSON.
+import { writeFileSync } from 'fs';
+import { basename, extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { runTournament, formatStandings, getControllerFactory, parseTournamentArgs, getTournamentModeIds, TOURNAMENT_DEFAULTS } from '../js/tournament.js';
+import { GreedyController, SolverController } from '../js/controllers.js';
+
+const BUILT_IN = {
+    greedy: () => new GreedyController(),
+    solver: () => new SolverController()
+};
+
+const USAGE = `Usage: node scripts/tournament.js [options] <controller>...
+
+Controllers: ${Object.keys(BUILT_IN).join(', ')}, or a path to a controller module
+
+Options:
+  --games <n>       Games per controller (default ${TOURNAMENT_DEFAULTS.games})
+  --seed <n>        Seed of the first game; game i uses seed + i (default ${TOURNAMENT_DEFAULTS.seed})
+  --max-ticks <n>   Moves before a game counts as survived (default ${TOURNAMENT_DEFAULTS.maxTicks})
+  --mode <id>       Game mode: ${getTournamentModeIds().join(', ')} (default ${TOURNAMENT_DEFAULTS.mode})
+  --board <mode>    walls or wrap (default ${TOURNAMENT_DEFAULTS.boardMode})
+  --food <n>        Food items on the board (default ${TOURNAMENT_DEFAULTS.foodCount})
+  --json <path>     Where to write the results, '-' for stdout (default tournament-results.json)
+  --help            Show this message`;
+
+async function loadEntry(name) {
+    if (BUILT_IN[name]) {
+        return { name, createController: BUILT_IN[name] };
+    }
+
+    const moduleExports = await import(pathToFileURL(resolve(name)).href);
+    const createController = getControllerFactory(moduleExports);
+    if (!createController) {
+        throw new Error(`${name} does not export a controller`);
+    }
+    return { name: moduleExports.name || basename(name, extname(name)), createController };
+}
+
+async function main() {
+    const args = parseTournamentArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (args.controllers.length === 0) {
+        args.errors.push('Name at least one controller');
+    }
+    if (args.errors.length > 0) {
+        args.errors.forEach(error => console.error(error));
+        console.error(`\n${USAGE}`);
+        return 1;
+    }
+
+    let entries;
+    try {
+        entries = await Promise.all(args.controllers.map(loadEntry));
+    } catch (error) {
+        console.error(`Could not load controller: ${error.message}`);
+        return 1;
+    }
+
+    const tournament = runTournament(entries, args.settings, (name, game) => {
+        process.stderr.write(`\r${name}: game ${game}/${args.settings.games || TOURNAMENT_DEFAULTS.games}   `);
+    });
+    process.stderr.write('\n');
+
+    const json = JSON.stringify(tournament, null, 2);
+    if (args.json === '-') {
+        console.log(json);
+    } else {
+        console.log(formatStandings(tournament));
+        writeFileSync(args.json, `${json}\n`);
+        console.log(`\nResults written to ${args.json}`);
+    }
+    return 0;
+}
+
+main().then(code => {
+    process.exitCode = code;
+});
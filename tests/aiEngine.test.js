@@ -99,6 +99,21 @@ describe('AIEngine', () => {
             // Most spots should be cold since we only recorded one movement
             expect(coldspots.length).toBeGreaterThan(300); // Most of the 400 grid cells
         });
+
+        test('should fit a heatmap saved on another board size', () => {
+            const saved = new AIEngine(20, 200, 200);
+            saved.recordMovement({ x: 20, y: 40 }, 'right');
+            saved.recordMovement({ x: 180, y: 180 }, 'right');
+
+            aiEngine.resizeBoard(160, 120);
+            aiEngine.loadBehaviorData({ movementHeatmap: saved.getRawHeatmap() });
+
+            const heatmap = aiEngine.getRawHeatmap();
+            expect(heatmap).toHaveLength(6);
+            expect(heatmap.every(row => row.length === 8)).toBe(true);
+            expect(heatmap[2][1]).toBe(1);
+            expect(heatmap.flat().reduce((sum, count) => sum + count, 0)).toBe(1);
+        });
     });
 
     describe('Adaptive Food Placement', () => {
@@ -149,6 +164,22 @@ describe('AIEngine', () => {
             const strategy = aiEngine.determinePlacementStrategy();
             expect(strategy).toBe('accessible');
         });
+
+        test('should mix accessible and challenging items when placing several', () => {
+            aiEngine.setDifficulty(3);
+            for (let i = 0; i < 30; i++) {
+                aiEngine.recordMovement({ x: i * 20, y: 100 }, 'right');
+            }
+
+            expect(aiEngine.getFoodPlacementMix(3)).toEqual(['challenging', 'accessible', 'random']);
+            expect(aiEngine.getFoodPlacementMix(1)).toEqual(['challenging']);
+        });
+
+        test('should not add a challenging item for beginners', () => {
+            aiEngine.setDifficulty(1);
+            const mix = aiEngine.getFoodPlacementMix(2);
+            expect(mix).not.toContain('challenging');
+        });
     });
 
     describe('Movement Pattern Analysis', () => {
@@ -0,0 +1,232 @@
+// Board geometry tests
+import {
+    BOARD_MODES,
+    BOARD_SIZES,
+    wrapPosition,
+    boardDistance,
+    resolveBoardSize,
+    getBoardSizeFor,
+    getBoardSetupId
+} from '../js/board.js';
+import { GameEngine } from '../js/gameEngine.js';
+import { AIEngine } from '../js/aiEngine.js';
+import { ReplayPlayer } from '../js/replay.js';
+import { serializeReplay, parseReplay } from '../js/replayFormat.js';
+import { BUILT_IN_LEVELS } from '../js/levels.js';
+
+describe('Board geometry', () => {
+    test('lists the supported board modes', () => {
+        expect(BOARD_MODES).toEqual(['walls', 'wrap']);
+    });
+
+    test('wrapPosition folds positions back onto the board', () => {
+        expect(wrapPosition({ x: 400, y: -20 }, 400, 400)).toEqual({ x: 0, y: 380 });
+        expect(wrapPosition({ x: 200, y: 200 }, 400, 400)).toEqual({ x: 200, y: 200 });
+    });
+
+    test('boardDistance measures around the edges only on wrap boards', () => {
+        const a = { x: 0, y: 0 };
+        const b = { x: 380, y: 380 };
+        expect(boardDistance(a, b)).toBe(760);
+        expect(boardDistance(a, b, { wrap: true, width: 400, height: 400 })).toBe(40);
+    });
+});
+
+describe('Wrap-around games', () => {
+    test('engine only changes board mode between games', () => {
+        const engine = new GameEngine(null, 400, 400, 20);
+        expect(engine.getBoardMode()).toBe('walls');
+        expect(engine.setBoardMode('spiral')).toBe(false);
+        expect(engine.setBoardMode('wrap')).toBe(true);
+
+        engine.start();
+        expect(engine.setBoardMode('walls')).toBe(false);
+        expect(engine.getBoardMode()).toBe('wrap');
+    });
+
+    test('snake survives driving off the edge', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 5, boardMode: 'wrap' });
+        engine.start();
+        engine.tick(40);
+
+        expect(engine.getGameState()).toBe('playing');
+        const head = engine.getSnake().getPosition();
+        expect(head.x).toBeGreaterThanOrEqual(0);
+        expect(head.x).toBeLessThan(400);
+    });
+
+    test('edges add no danger on a wrap board', () => {
+        const walls = new GameEngine(null, 400, 400, 20, { seed: 5 });
+        const wrap = new GameEngine(null, 400, 400, 20, { seed: 5, boardMode: 'wrap' });
+        [walls, wrap].forEach(engine => {
+            engine.start();
+            engine.getSnake().segments = [{ x: 380, y: 200 }];
+        });
+
+        expect(walls.calculateDangerLevel()).toBe(0.8);
+        expect(wrap.calculateDangerLevel()).toBe(0);
+    });
+
+    test('AI measures distances around the board', () => {
+        const ai = new AIEngine(20, 400, 400);
+        const a = { x: 0, y: 200 };
+        const b = { x: 380, y: 200 };
+        expect(ai.getDistance(a, b)).toBe(380);
+
+        ai.setBoardMode('wrap');
+        expect(ai.getDistance(a, b)).toBe(20);
+    });
+
+    test('replay files keep the board mode and play back identically', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 9, boardMode: 'wrap' });
+        engine.start();
+        engine.tick(30);
+        engine.handleDirectionInput('up');
+        engine.tick(30);
+
+        const replay = parseReplay(serializeReplay(engine.getReplay(), { compact: true }));
+        expect(replay.config.boardMode).toBe('wrap');
+
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+        expect(player.getEngine().getSnake().getSegments()).toEqual(engine.getSnake().getSegments());
+    });
+});
+
+describe('Board sizes', () => {
+    test('resolves presets and custom sizes within the limits', () => {
+        expect(resolveBoardSize('medium')).toEqual({ preset: 'medium', columns: 30, rows: 30 });
+        expect(resolveBoardSize({ preset: 'large' })).toEqual({ preset: 'large', columns: 40, rows: 40 });
+        expect(resolveBoardSize({ preset: 'custom', columns: 24, rows: 16 })).toEqual({ preset: 'custom', columns: 24, rows: 16 });
+
+        expect(resolveBoardSize('huge')).toBeNull();
+        expect(resolveBoardSize({ preset: 'custom', columns: 9, rows: 16 })).toBeNull();
+        expect(resolveBoardSize({ preset: 'custom', columns: 24, rows: 61 })).toBeNull();
+        expect(resolveBoardSize({ preset: 'custom', columns: 24.5, rows: 16 })).toBeNull();
+        expect(resolveBoardSize(null)).toBeNull();
+    });
+
+    test('names the preset a board size matches', () => {
+        expect(getBoardSizeFor(30, 30)).toEqual({ preset: 'medium', columns: 30, rows: 30 });
+        expect(getBoardSizeFor(30, 20)).toEqual({ preset: 'custom', columns: 30, rows: 20 });
+        expect(new GameEngine(null, 400, 400, 20).getBoardSize().preset).toBe('small');
+    });
+
+    test('every part of the game follows the arena size', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 4, boardSize: 'large', mode: 'rival' });
+        const resizes = [];
+        engine.on('boardResize', (event) => resizes.push(event));
+        engine.start();
+
+        const { columns, rows } = BOARD_SIZES.large;
+        expect(engine.canvasWidth).toBe(columns * 20);
+        // The rival starts mirrored around the centre of the larger board
+        expect(engine.getSnake().getSegments()[0]).toEqual({ x: 80, y: 260 });
+        expect(engine.opponent.snake.getSegments()[0]).toEqual({ x: 700, y: 520 });
+        expect(engine.getFoods().every(food => food.canvasWidth === 800 && food.canvasHeight === 800)).toBe(true);
+        expect(engine.getAIEngine().getRawHeatmap()).toHaveLength(rows);
+        expect(engine.getAIEngine().getRawHeatmap()[0]).toHaveLength(columns);
+        expect(engine.opponent.aiEngine.gridWidth).toBe(columns);
+
+        engine.gameOver();
+        engine.renderer = { resize: jest.fn() };
+        expect(engine.setBoardSize({ preset: 'custom', columns: 25, rows: 15 })).toBe(true);
+
+        expect(resizes).toEqual([{ canvasWidth: 500, canvasHeight: 300 }]);
+        expect(engine.renderer.resize).toHaveBeenCalledWith(500, 300);
+        expect(engine.getSnake().canvasHeight).toBe(300);
+        expect(engine.opponent.snake.canvasWidth).toBe(500);
+        expect(engine.getFoods()[0].canvasWidth).toBe(500);
+        expect(engine.getAIEngine().getRawHeatmap()).toHaveLength(15);
+        expect(engine.getAIEngine().getRawHeatmap()[0]).toHaveLength(25);
+    });
+
+    test('the snake crashes into the edge of the chosen board', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 4, boardSize: 'small' });
+        engine.start();
+
+        // Heading right from the centre of a 20-cell board
+        engine.tick(9);
+        expect(engine.isRunning()).toBe(true);
+        engine.tick(1);
+        expect(engine.getResult().crashCause).toBe('wall');
+    });
+
+    test('the size only changes between games and a level keeps its own', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 4 });
+        engine.start();
+        expect(engine.setBoardSize('small')).toBe(false);
+        expect(engine.setBoardSize('huge')).toBe(false);
+
+        engine.gameOver();
+        engine.setLevel(BUILT_IN_LEVELS[0]);
+        const levelWidth = engine.canvasWidth;
+        expect(engine.setBoardSize('small')).toBe(true);
+        expect(engine.canvasWidth).toBe(levelWidth);
+
+        engine.setLevel(null);
+        expect(engine.canvasWidth).toBe(400);
+    });
+
+    test('a resumed game keeps the size it was started at', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 4, boardSize: { preset: 'custom', columns: 36, rows: 24 } });
+        engine.start();
+        engine.tick(3);
+        engine.togglePause();
+
+        const resumed = new GameEngine(null, 600, 600, 20, { boardSize: 'small' });
+        expect(resumed.restoreGameData(JSON.parse(JSON.stringify(engine.getGameData())))).toBe(true);
+        expect(resumed.getBoardSize()).toEqual({ preset: 'custom', columns: 36, rows: 24 });
+        expect(resumed.canvasWidth).toBe(720);
+        expect(resumed.getAIEngine().gridHeight).toBe(24);
+    });
+
+    test('games on a custom board replay identically', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 12, boardSize: { preset: 'custom', columns: 44, rows: 18 } });
+        engine.start();
+        engine.tick(15);
+        engine.handleDirectionInput('up');
+        engine.tick(4);
+        engine.handleDirectionInput('right');
+        engine.tick(10);
+
+        const replay = parseReplay(serializeReplay(engine.getReplay(), { compact: true }));
+        expect(replay.config.canvasWidth).toBe(880);
+
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+        expect(player.getEngine().getSnake().getSegments()).toEqual(engine.getSnake().getSegments());
+    });
+});
+
+describe('Board setups', () => {
+    const original = { gridSize: 20, canvasWidth: 600, canvasHeight: 600, boardMode: 'walls', level: null, foodCount: 1 };
+
+    test('the original setup has the empty id', () => {
+        expect(getBoardSetupId(original)).toBe('');
+        expect(getBoardSetupId({ gridSize: 20, canvasWidth: 600, canvasHeight: 600 })).toBe('');
+    });
+
+    test('size, edges, food items and level each make a different setup', () => {
+        const ids = [
+            original,
+            { ...original, canvasWidth: 400, canvasHeight: 400 },
+            { ...original, boardMode: 'wrap' },
+            { ...original, foodCount: 3 },
+            { ...original, level: { name: 'Box', obstacles: [[1, 1]] } },
+            { ...original, level: { name: 'Box', obstacles: [[2, 2]] } }
+        ].map(getBoardSetupId);
+
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(getBoardSetupId({ ...original, level: { name: 'Box', obstacles: [[1, 1]] } })).toBe(ids[4]);
+    });
+
+    test('the engine describes its next game the way its replay records it', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 3, boardMode: 'wrap' });
+        engine.setFoodCount(2);
+        const setup = engine.getSetup();
+        engine.start();
+
+        expect(getBoardSetupId(engine.getReplay().config)).toBe(getBoardSetupId(setup));
+    });
+});
@@ -0,0 +1,129 @@
+// Controller API tests
+import { GameEngine } from '../js/gameEngine.js';
+import { GreedyController, SolverController, isController, observationToView } from '../js/controllers.js';
+import { ReplayPlayer } from '../js/replay.js';
+
+describe('Controllers', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 400, 400, 20, { seed: 17 });
+    });
+
+    test('only objects with nextDirection are controllers', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(isController({ nextDirection: () => null })).toBe(true);
+        expect(isController({})).toBe(false);
+        expect(engine.setController({ direction: 'up' })).toBe(false);
+        expect(engine.getController()).toBeNull();
+        warn.mockRestore();
+    });
+
+    test('the controller steers the snake each move', () => {
+        const bot = { nextDirection: jest.fn(() => 'down') };
+        engine.setController(bot);
+        engine.start();
+
+        engine.tick(3);
+
+        expect(bot.nextDirection).toHaveBeenCalledTimes(3);
+        expect(engine.getSnake().direction).toBe('down');
+        expect(engine.getSnake().getPosition()).toEqual({ x: 200, y: 260 });
+    });
+
+    test('receives a frozen observation in grid cells', () => {
+        const observations = [];
+        engine.setController({ nextDirection: (observation) => { observations.push(observation); return null; } });
+        engine.start();
+        engine.step();
+
+        const observation = observations[0];
+        expect(observation.tick).toBe(0);
+        expect(observation.grid).toEqual({ columns: 20, rows: 20, wrap: false, obstacles: [] });
+        expect(observation.snake.segments[0]).toEqual({ x: 10, y: 10 });
+        expect(observation.snake.length).toBe(3);
+        expect(observation.foods[0]).toEqual(expect.objectContaining({ type: expect.any(String) }));
+        expect(observation.score).toBe(0);
+        expect(observation.difficulty).toBe(1);
+        expect(Object.isFrozen(observation.snake.segments[0])).toBe(true);
+        expect(() => { observation.snake.segments.push({ x: 0, y: 0 }); }).toThrow();
+    });
+
+    test('a controller that throws or answers nonsense leaves the snake going straight', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        engine.setController({ nextDirection: () => { throw new Error('broken bot'); } });
+        engine.start();
+        engine.step();
+        engine.setController({ nextDirection: () => 'sideways' });
+        engine.step();
+
+        expect(engine.getSnake().direction).toBe('right');
+        expect(engine.isGameOver()).toBe(false);
+        warn.mockRestore();
+    });
+
+    test('the keyboard steers nobody while a controller plays', () => {
+        engine.setController({ nextDirection: () => null });
+        engine.start();
+        engine.handleInput('ArrowUp');
+
+        expect(engine.getInputQueue()).toEqual([]);
+
+        engine.setController(null);
+        engine.handleInput('ArrowUp');
+        expect(engine.getInputQueue()).toEqual(['up']);
+    });
+
+    test('reset() is called when a game starts', () => {
+        const bot = { nextDirection: () => null, reset: jest.fn() };
+        engine.setController(bot);
+        engine.start();
+        engine.restart();
+
+        expect(bot.reset).toHaveBeenCalledTimes(2);
+    });
+
+    test('controller games replay without the controller', () => {
+        engine.setController(new GreedyController());
+        engine.start();
+        engine.tick(80);
+
+        const replay = engine.getReplay();
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+
+        expect(player.getEngine().getSnake().getSegments()).toEqual(engine.getSnake().getSegments());
+        expect(player.getEngine().getScore()).toBe(engine.getScore());
+    });
+
+    test('the greedy bot eats food', () => {
+        engine.setController(new GreedyController());
+        engine.start();
+        engine.tick(100);
+
+        expect(engine.getScore()).toBeGreaterThan(0);
+    });
+
+    test('the autopilot is the solver as a controller', () => {
+        engine.setAutopilot(true);
+
+        expect(engine.getController()).toBeInstanceOf(SolverController);
+        expect(engine.isAutopilotEnabled()).toBe(true);
+        engine.setAutopilot(false);
+        expect(engine.getController()).toBeNull();
+    });
+
+    test('observations convert to the solver view without poison', () => {
+        const view = observationToView({
+            grid: { columns: 5, rows: 5, wrap: false, obstacles: [] },
+            snake: { segments: [{ x: 1, y: 1 }], direction: 'up', length: 1 },
+            opponent: null,
+            foods: [{ x: 2, y: 2, type: 'poison' }, { x: 3, y: 3, type: 'normal' }],
+            difficulty: 4
+        });
+
+        expect(view.foods).toEqual([{ x: 3, y: 3, type: 'normal' }]);
+        expect(view.opponent).toEqual([]);
+    });
+});
@@ -0,0 +1,183 @@
+// Event bus tests
+import { EventBus, ENGINE_EVENT_TYPES } from '../js/eventBus.js';
+import { GameEngine } from '../js/gameEngine.js';
+
+describe('EventBus', () => {
+    let bus;
+
+    beforeEach(() => {
+        bus = new EventBus(['ping', 'pong']);
+    });
+
+    test('delivers an event to every listener in subscription order', () => {
+        const calls = [];
+        bus.on('ping', (event) => calls.push(['first', event.n]));
+        bus.on('ping', (event) => calls.push(['second', event.n]));
+
+        bus.emit('ping', { n: 1 });
+
+        expect(calls).toEqual([['first', 1], ['second', 1]]);
+    });
+
+    test('on returns a function that unsubscribes', () => {
+        const listener = jest.fn();
+        const unsubscribe = bus.on('ping', listener);
+
+        unsubscribe();
+        bus.emit('ping', {});
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(bus.hasListeners('ping')).toBe(false);
+    });
+
+    test('once listens to a single event', () => {
+        const listener = jest.fn();
+        bus.once('pong', listener);
+
+        bus.emit('pong', { n: 1 });
+        bus.emit('pong', { n: 2 });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith({ n: 1 });
+    });
+
+    test('a failing listener does not stop the others', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const listener = jest.fn();
+        bus.on('ping', () => {
+            throw new Error('broken');
+        });
+        bus.on('ping', listener);
+
+        bus.emit('ping', {});
+
+        expect(listener).toHaveBeenCalled();
+        expect(warnSpy).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    test('refuses unknown event types', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const listener = jest.fn();
+
+        bus.on('pang', listener)();
+        bus.emit('pang', {});
+
+        expect(listener).not.toHaveBeenCalled();
+        expect(warnSpy).toHaveBeenCalledTimes(2);
+        warnSpy.mockRestore();
+    });
+
+    test('off and clear remove listeners', () => {
+        const listener = jest.fn();
+        bus.on('ping', listener);
+        bus.on('pong', listener);
+
+        expect(bus.off('ping', listener)).toBe(true);
+        expect(bus.off('ping', listener)).toBe(false);
+        bus.clear();
+        bus.emit('pong', {});
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
+
+describe('GameEngine events', () => {
+    let engine;
+
+    // Record every engine event in order
+    function recordEvents(target) {
+        const events = [];
+        ENGINE_EVENT_TYPES.forEach(type => target.on(type, (payload) => events.push({ type, payload })));
+        return events;
+    }
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 400, 400, 20, { seed: 11 });
+    });
+
+    test('announces state changes', () => {
+        const events = recordEvents(engine);
+
+        engine.start();
+        engine.togglePause();
+        engine.togglePause();
+
+        expect(events.filter(event => event.type === 'stateChange').map(event => event.payload)).toEqual([
+            { state: 'playing', previous: 'menu' },
+            { state: 'paused', previous: 'playing' },
+            { state: 'playing', previous: 'paused' }
+        ]);
+    });
+
+    test('announces every move and the food placed at the start', () => {
+        const events = recordEvents(engine);
+        engine.start();
+        engine.tick(3);
+
+        expect(events.filter(event => event.type === 'tick').map(event => event.payload.tick)).toEqual([1, 2, 3]);
+        const spawned = events.find(event => event.type === 'foodSpawned');
+        expect(spawned.payload.index).toBe(0);
+        expect(spawned.payload.position).toEqual(engine.foods[0].getPosition());
+    });
+
+    test('announces food eaten by the player, then the replacement', () => {
+        engine.start();
+        const head = engine.getSnake().getPosition();
+        engine.foods[0].position = { x: head.x + 20, y: head.y };
+        const events = recordEvents(engine);
+
+        engine.step();
+
+        const types = events.map(event => event.type);
+        expect(types.indexOf('foodEaten')).toBeLessThan(types.indexOf('foodSpawned'));
+        const eaten = events.find(event => event.type === 'foodEaten').payload;
+        expect(eaten.player).toBe(1);
+        expect(eaten.position).toEqual({ x: head.x + 20, y: head.y });
+        expect(eaten.score).toBe(engine.getScore());
+        expect(events.find(event => event.type === 'scoreChange').payload).toEqual({ score: engine.getScore(), player: 1 });
+    });
+
+    test('announces the collision that ends a game before game over', () => {
+        engine.start();
+        const events = recordEvents(engine);
+        engine.tick(50);
+
+        const collision = events.find(event => event.type === 'collision');
+        expect(collision.payload).toEqual(expect.objectContaining({ player: 1, cause: 'wall' }));
+        const types = events.map(event => event.type);
+        expect(types.indexOf('collision')).toBeLessThan(types.indexOf('gameOver'));
+        expect(events[events.length - 1].type).toBe('tick');
+    });
+
+    test('keeps feeding the legacy callbacks', () => {
+        const onScoreChange = jest.fn();
+        const onGameOver = jest.fn();
+        const listener = jest.fn();
+        engine.onScoreChange = onScoreChange;
+        engine.onGameOver = onGameOver;
+        engine.on('gameOver', listener);
+
+        engine.start();
+        engine.tick(50);
+
+        expect(onScoreChange).toHaveBeenCalledWith(0);
+        expect(onGameOver).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith(onGameOver.mock.calls[0][0]);
+    });
+
+    test('announces changes of the AI placement strategy', () => {
+        engine.start();
+        const events = recordEvents(engine);
+        const aiEngine = engine.getAIEngine();
+        const next = aiEngine.getFoodPlacementStrategy() === 'challenging' ? 'accessible' : 'challenging';
+        aiEngine.determinePlacementStrategy = () => {
+            aiEngine.adaptationSettings.foodPlacementStrategy = next;
+            return next;
+        };
+
+        engine.spawnFood(0);
+
+        expect(events.find(event => event.type === 'aiStrategyChange').payload.strategy).toBe(next);
+    });
+});
@@ -0,0 +1,237 @@
+// Food type registry and effect tests
+import { FOOD_TYPES, FOOD_TYPE_IDS, getFoodType, getSpawnWeights } from '../js/foodTypes.js';
+import { AIEngine } from '../js/aiEngine.js';
+import { Food } from '../js/food.js';
+import { GameEngine } from '../js/gameEngine.js';
+import { SeededRandom } from '../js/random.js';
+
+const weightOf = (difficulty, id) => getSpawnWeights(difficulty).find(entry => entry.id === id).weight;
+
+describe('Food type registry', () => {
+    test('every type defines weights, scoring, effects and visuals', () => {
+        FOOD_TYPE_IDS.forEach(id => {
+            const type = FOOD_TYPES[id];
+            expect(type.id).toBe(id);
+            expect(type.spawnWeight.low).toBeGreaterThanOrEqual(0);
+            expect(type.spawnWeight.high).toBeGreaterThanOrEqual(0);
+            expect(typeof type.scoreMultiplier).toBe('number');
+            expect(type.colors.body).toHaveLength(3);
+        });
+    });
+
+    test('unknown ids fall back to normal food', () => {
+        expect(getFoodType('special').id).toBe('normal');
+    });
+
+    test('spawn weights shift towards harder food as difficulty rises', () => {
+        expect(weightOf(1, 'poison')).toBe(0);
+        expect(weightOf(10, 'poison')).toBeGreaterThan(0);
+        expect(weightOf(10, 'golden')).toBeGreaterThan(weightOf(1, 'golden'));
+        expect(weightOf(10, 'slowDown')).toBeLessThan(weightOf(1, 'slowDown'));
+    });
+});
+
+describe('AI food type selection', () => {
+    const sampleTypes = (difficulty, count = 500) => {
+        const ai = new AIEngine(20, 600, 600, new SeededRandom(99));
+        ai.setDifficulty(difficulty);
+        const counts = {};
+        for (let i = 0; i < count; i++) {
+            const type = ai.suggestFoodType();
+            counts[type] = (counts[type] || 0) + 1;
+        }
+        return counts;
+    };
+
+    test('never offers poison to beginners', () => {
+        expect(sampleTypes(1).poison).toBeUndefined();
+    });
+
+    test('offers more dangerous and valuable food to skilled players', () => {
+        const beginner = sampleTypes(1);
+        const expert = sampleTypes(10);
+        expect(expert.poison).toBeGreaterThan(0);
+        expect(expert.golden).toBeGreaterThan(beginner.golden || 0);
+        expect(expert.normal).toBeLessThan(beginner.normal);
+    });
+
+    test('food picks a type through the AI and starts its lifetime', () => {
+        const ai = new AIEngine(20, 600, 600);
+        ai.suggestFoodType = () => 'golden';
+        const food = new Food(20, 600, 600, ai);
+
+        food.spawn({ x: 100, y: 100 });
+        expect(food.getType()).toBe('golden');
+        expect(food.getTicksLeft()).toBe(FOOD_TYPES.golden.lifetime);
+
+        food.spawn({ x: 100, y: 100 }, [], 'bonus');
+        expect(food.getType()).toBe('bonus');
+        expect(food.getTicksLeft()).toBeNull();
+    });
+});
+
+describe('Food effects in the engine', () => {
+    let engine;
+
+    const placeFood = (type) => {
+        const head = engine.getSnake().getPosition();
+        engine.getFood().spawn({ x: head.x + 20, y: head.y }, [], type);
+    };
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 600, 600, 20, { seed: 5 });
+        engine.start();
+    });
+
+    test('bonus and golden food multiply the points', () => {
+        placeFood('bonus');
+        engine.step();
+        expect(engine.getScore()).toBe(20);
+
+        placeFood('golden');
+        engine.step();
+        expect(engine.getScore()).toBe(70);
+    });
+
+    test('poison shrinks the snake and scores nothing', () => {
+        engine.getSnake().segments.push({ x: 200, y: 300 }, { x: 180, y: 300 });
+        const length = engine.getSnake().getSegments().length;
+
+        placeFood('poison');
+        engine.step();
+
+        expect(engine.getSnake().getSegments()).toHaveLength(length - 2);
+        expect(engine.getScore()).toBe(0);
+    });
+
+    test('poison never removes the head', () => {
+        engine.getSnake().segments = [engine.getSnake().getPosition()];
+        placeFood('poison');
+        engine.step();
+
+        expect(engine.isRunning()).toBe(true);
+        expect(engine.getSnake().getSegments()).toHaveLength(1);
+    });
+
+    test('speed-up food shortens the move interval until it wears off', () => {
+        const normalInterval = engine.moveInterval;
+        placeFood('speedUp');
+        engine.step();
+        expect(engine.moveInterval).toBeLessThan(normalInterval);
+
+        expect(engine.speedEffect.ticksLeft).toBe(FOOD_TYPES.speedUp.speedEffect.duration);
+
+        engine.getFood().spawn({ x: 0, y: 0 }, [], 'normal');
+        engine.speedEffect.ticksLeft = 2;
+        engine.step();
+        expect(engine.moveInterval).toBeLessThan(normalInterval);
+        engine.step();
+        expect(engine.moveInterval).toBe(normalInterval);
+        expect(engine.speedEffect).toBeNull();
+    });
+
+    test('slow-down food lengthens the move interval', () => {
+        const normalInterval = engine.moveInterval;
+        placeFood('slowDown');
+        engine.step();
+        expect(engine.moveInterval).toBeGreaterThan(normalInterval);
+    });
+
+    test('timed food disappears and is replaced when its lifetime runs out', () => {
+        engine.getFood().spawn({ x: 0, y: 0 }, [], 'golden');
+        engine.getFood().ticksLeft = 2;
+
+        engine.step();
+        expect(engine.getFood().getPosition()).toEqual({ x: 0, y: 0 });
+        engine.step();
+        expect(engine.getFood().getPosition()).not.toBeNull();
+        expect(engine.getFood().getTicksLeft()).not.toBe(0);
+    });
+
+    test('save and resume keeps the food type, its lifetime and speed effects', () => {
+        placeFood('speedUp');
+        engine.step();
+        engine.getFood().spawn({ x: 0, y: 0 }, [], 'golden');
+        engine.togglePause();
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        resumed.restoreGameData(data);
+
+        expect(resumed.getFood().getType()).toBe('golden');
+        expect(resumed.getFood().getTicksLeft()).toBe(engine.getFood().getTicksLeft());
+        expect(resumed.speedEffect).toEqual(engine.speedEffect);
+        expect(resumed.moveInterval).toBe(engine.moveInterval);
+    });
+});
+
+describe('Several food items', () => {
+    const positions = (engine) => engine.getFoods().map(food => food.getPosition());
+
+    test('spawns the configured number of items on distinct free cells', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, foodCount: 3 });
+        engine.start();
+
+        const cells = positions(engine).map(cell => `${cell.x},${cell.y}`);
+        expect(cells).toHaveLength(3);
+        expect(new Set(cells).size).toBe(3);
+        engine.getSnake().getSegments().forEach(segment => {
+            expect(cells).not.toContain(`${segment.x},${segment.y}`);
+        });
+    });
+
+    test('eating one item only replaces that item', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, foodCount: 2 });
+        engine.start();
+        const head = engine.getSnake().getPosition();
+        engine.getFoods()[1].spawn({ x: head.x + 20, y: head.y }, [], 'normal');
+        const first = engine.getFoods()[0].getPosition();
+
+        engine.step();
+
+        expect(engine.getScore()).toBe(10);
+        expect(engine.getFoods()[0].getPosition()).toEqual(first);
+        expect(engine.getFoods()[1].getPosition()).not.toEqual(engine.getSnake().getPosition());
+    });
+
+    test('the count only changes between games', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3 });
+        expect(engine.setFoodCount(6)).toBe(false);
+        expect(engine.setFoodCount(2)).toBe(true);
+
+        engine.start();
+        expect(engine.setFoodCount(3)).toBe(false);
+        expect(engine.getFoods()).toHaveLength(2);
+    });
+
+    test('save and resume keeps every item', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, foodCount: 3 });
+        engine.start();
+        engine.togglePause();
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        resumed.restoreGameData(data);
+
+        expect(positions(resumed)).toEqual(positions(engine));
+        expect(resumed.getFoodCount()).toBe(3);
+    });
+
+    test('replays reproduce games with several items', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 8, foodCount: 2 });
+        engine.start();
+        engine.tick(5);
+        engine.handleDirectionInput('down');
+        engine.tick(5);
+        const replay = engine.getReplay();
+
+        const copy = new GameEngine(null, 600, 600, 20);
+        copy.beginReplay(replay);
+        copy.tick(5);
+        copy.handleDirectionInput('down');
+        copy.tick(5);
+
+        expect(replay.config.foodCount).toBe(2);
+        expect(positions(copy)).toEqual(positions(engine));
+    });
+});
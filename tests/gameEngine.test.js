@@ -1,6 +1,8 @@
 // GameEngine tests - Testing core game loop and state management functionality
 
 import { GameEngine } from '../js/gameEngine.js';
+import { ManualClock } from '../js/clock.js';
+import { StorageManager } from '../js/storageManager.js';
 
 // Mock canvas context for testing
 const createMockContext = () => ({
@@ -102,6 +104,57 @@ describe('GameEngine Core Functionality', () => {
             expect(gameEngine.getScore()).toBeLessThan(100);
         });
 
+        test('should only report a new high score when the old one is beaten', () => {
+            const mockFood = { type: 'normal' };
+            gameEngine.start();
+            gameEngine.incrementScore(mockFood);
+            const firstScore = gameEngine.getScore();
+            gameEngine.gameOver();
+            expect(gameEngine.getResult().isNewHighScore).toBe(true);
+
+            // Tying the high score leaves the best run as it is
+            gameEngine.restart();
+            gameEngine.incrementScore(mockFood);
+            expect(gameEngine.getScore()).toBe(firstScore);
+            gameEngine.gameOver();
+            expect(gameEngine.getResult().isNewHighScore).toBe(false);
+
+            gameEngine.restart();
+            gameEngine.incrementScore(mockFood);
+            gameEngine.incrementScore(mockFood);
+            gameEngine.gameOver();
+            expect(gameEngine.getResult().isNewHighScore).toBe(true);
+        });
+
+        test('should not announce a tied high score on the game over screen', () => {
+            const mockFood = { type: 'normal' };
+            gameEngine.start();
+            gameEngine.incrementScore(mockFood);
+            gameEngine.gameOver();
+            gameEngine.restart();
+            gameEngine.incrementScore(mockFood);
+            mockCtx.fillText.mockClear();
+            gameEngine.gameOver();
+            gameEngine.renderGameState();
+
+            const texts = mockCtx.fillText.mock.calls.map(call => call[0]);
+            expect(texts).not.toContain('NEW HIGH SCORE!');
+            expect(texts).toContain(`High Score: ${gameEngine.getHighScore()}`);
+        });
+
+        test('should remember the high score a resumed game has to beat', () => {
+            gameEngine.setHighScore(10);
+            gameEngine.start();
+            gameEngine.incrementScore({ type: 'normal' });
+            gameEngine.incrementScore({ type: 'normal' });
+            gameEngine.togglePause();
+
+            const resumed = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+            resumed.restoreGameData(JSON.parse(JSON.stringify(gameEngine.getGameData())));
+            resumed.gameOver();
+            expect(resumed.getResult().isNewHighScore).toBe(true);
+        });
+
         test('should calculate score based on difficulty level', () => {
             gameEngine.start();
             
@@ -124,34 +177,35 @@ describe('GameEngine Core Functionality', () => {
         test('should handle directional input during gameplay', () => {
             gameEngine.start();
             
-            // Test arrow key input
+            // Test arrow key input (the snake starts heading right)
             gameEngine.handleInput('ArrowUp');
-            expect(gameEngine.pendingDirection).toBe('up');
+            expect(gameEngine.getInputQueue()).toEqual(['up']);
             
+            // Reversing the queued turn is dropped
             gameEngine.handleInput('ArrowDown');
-            expect(gameEngine.pendingDirection).toBe('down');
+            expect(gameEngine.getInputQueue()).toEqual(['up']);
             
             gameEngine.handleInput('ArrowLeft');
-            expect(gameEngine.pendingDirection).toBe('left');
+            expect(gameEngine.getInputQueue()).toEqual(['up', 'left']);
             
             gameEngine.handleInput('ArrowRight');
-            expect(gameEngine.pendingDirection).toBe('right');
+            expect(gameEngine.getInputQueue()).toEqual(['up', 'left']);
         });
 
         test('should handle WASD input during gameplay', () => {
             gameEngine.start();
             
             gameEngine.handleInput('w');
-            expect(gameEngine.pendingDirection).toBe('up');
+            expect(gameEngine.getInputQueue()).toEqual(['up']);
             
             gameEngine.handleInput('s');
-            expect(gameEngine.pendingDirection).toBe('down');
+            expect(gameEngine.getInputQueue()).toEqual(['up']);
             
             gameEngine.handleInput('a');
-            expect(gameEngine.pendingDirection).toBe('left');
+            expect(gameEngine.getInputQueue()).toEqual(['up', 'left']);
             
             gameEngine.handleInput('d');
-            expect(gameEngine.pendingDirection).toBe('right');
+            expect(gameEngine.getInputQueue()).toEqual(['up', 'left']);
         });
 
         test('should handle pause input', () => {
@@ -221,6 +275,66 @@ describe('GameEngine Core Functionality', () => {
         });
     });
 
+    describe('Save and Resume', () => {
+        const playSteps = (engine, steps) => {
+            const turns = ['up', 'left', 'down', 'right'];
+            for (let i = 0; i < steps && engine.isRunning(); i++) {
+                if (i % 4 === 0) {
+                    engine.handleDirectionInput(turns[(i / 4) % 4]);
+                }
+                engine.step();
+                if (i % 5 === 0) {
+                    engine.consumeFood();
+                }
+            }
+        };
+
+        test('should produce a snapshot that passes storage validation', () => {
+            gameEngine.start();
+            const gameData = gameEngine.getGameData();
+
+            expect(gameData.snake.segments.length).toBeGreaterThan(0);
+            expect(gameData.food.position).toEqual(gameEngine.getFood().getPosition());
+            expect(gameData.score).toEqual({ current: 0, high: 0 });
+            expect(gameData.gameStatus).toBe('playing');
+            expect(new StorageManager().validateGameData(gameData)).toBe(true);
+        });
+
+        test('should resume a paused game exactly where it left off', () => {
+            const original = new GameEngine(null, canvasWidth, canvasHeight, gridSize, { seed: 321 });
+            original.start();
+            playSteps(original, 12);
+            original.togglePause();
+
+            // Round-trip through JSON like localStorage does
+            const snapshot = JSON.parse(JSON.stringify(original.getGameData()));
+            const resumed = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+            expect(resumed.restoreGameData(snapshot)).toBe(true);
+            expect(resumed.isPaused()).toBe(true);
+            expect(resumed.getScore()).toBe(original.getScore());
+            expect(resumed.moveInterval).toBe(original.moveInterval);
+
+            original.togglePause();
+            resumed.togglePause();
+            playSteps(original, 12);
+            playSteps(resumed, 12);
+
+            expect(resumed.getSnake().getSegments()).toEqual(original.getSnake().getSegments());
+            expect(resumed.getFood().getState()).toEqual(original.getFood().getState());
+            expect(resumed.getScore()).toBe(original.getScore());
+            expect(resumed.getReplay().inputs).toEqual(original.getReplay().inputs);
+        });
+
+        test('should not resume a finished game', () => {
+            gameEngine.start();
+            gameEngine.gameOver();
+
+            const resumed = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+            expect(resumed.restoreGameData(gameEngine.getGameData())).toBe(false);
+            expect(resumed.getGameState()).toBe('menu');
+        });
+    });
+
     describe('Game Entity Integration', () => {
         test('should initialize snake and food when game starts', () => {
             gameEngine.start();
@@ -250,4 +364,72 @@ describe('GameEngine Core Functionality', () => {
             expect(overlaps).toBe(false);
         });
     });
-});
\ No newline at end of file
+
+    describe('Deterministic Simulation', () => {
+        const playScriptedGame = (seed) => {
+            const clock = new ManualClock();
+            const engine = new GameEngine(mockCtx, canvasWidth, canvasHeight, gridSize, { seed, clock });
+            const inputs = ['ArrowUp', 'ArrowLeft', 'ArrowDown', 'ArrowDown', 'ArrowRight'];
+            const foodPositions = [];
+
+            engine.start();
+            engine.stopGameLoop();
+            foodPositions.push(engine.getFood().getPosition());
+
+            for (let move = 0; move < 40 && engine.isRunning(); move++) {
+                engine.handleInput(inputs[move % inputs.length]);
+                clock.advance(engine.moveInterval);
+                engine.update();
+                if (engine.isRunning()) {
+                    // Force a respawn every move to exercise the shared generator
+                    engine.spawnFood();
+                    foodPositions.push(engine.getFood().getPosition());
+                }
+            }
+
+            return {
+                foodPositions,
+                segments: engine.getSnake().getSegments(),
+                state: engine.getGameState()
+            };
+        };
+
+        test('should reproduce the exact same game from the same seed and inputs', () => {
+            const first = playScriptedGame(4242);
+            const second = playScriptedGame(4242);
+
+            expect(second).toEqual(first);
+        });
+
+        test('should produce different food placement for different seeds', () => {
+            const first = playScriptedGame(1);
+            const second = playScriptedGame(2);
+
+            expect(second.foodPositions).not.toEqual(first.foodPositions);
+        });
+
+        test('should expose the seed used for the current game', () => {
+            gameEngine.setSeed(777);
+            gameEngine.start();
+
+            expect(gameEngine.getSeed()).toBe(777);
+        });
+
+        test('should only move the snake when the injected clock advances', () => {
+            const clock = new ManualClock(1000);
+            const engine = new GameEngine(mockCtx, canvasWidth, canvasHeight, gridSize, { seed: 5, clock });
+            engine.start();
+            engine.stopGameLoop();
+
+            engine.update();
+            const headAfterFirstMove = engine.getSnake().getPosition();
+
+            engine.update();
+            expect(engine.getSnake().getPosition()).toEqual(headAfterFirstMove);
+
+            clock.advance(engine.moveInterval);
+            engine.update();
+            expect(engine.getSnake().getPosition()).not.toEqual(headAfterFirstMove);
+        });
+    });
+});
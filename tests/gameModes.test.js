@@ -0,0 +1,257 @@
+// Game mode tests
+import {
+    GAME_MODES,
+    GAME_MODE_IDS,
+    DEFAULT_MODE_RULES,
+    getGameMode,
+    getModeRules,
+    registerGameMode,
+    formatTimeLeft
+} from '../js/gameModes.js';
+import { GameEngine } from '../js/gameEngine.js';
+import { ReplayPlayer } from '../js/replay.js';
+import { serializeReplay, parseReplay } from '../js/replayFormat.js';
+
+const timeAttack = GAME_MODES.timeAttack;
+
+describe('Game mode registry', () => {
+    test('unknown modes fall back to endless', () => {
+        expect(getGameMode('marathon').id).toBe('endless');
+    });
+
+    test('modes without their own hooks use the default rules', () => {
+        expect(getModeRules('endless')).toEqual(DEFAULT_MODE_RULES);
+        expect(getModeRules('rival').resolveCollision).toBe(GAME_MODES.rival.resolveCollision);
+        expect(getModeRules('rival').scoreFood).toBe(DEFAULT_MODE_RULES.scoreFood);
+    });
+
+    test('describes results the way each mode words them', () => {
+        const result = { finalScore: 40, opponentScore: 30, winner: 2, outcome: null };
+
+        expect(getModeRules('endless').describeResult(result)).toEqual({ title: 'Game Over!', scores: '40' });
+        expect(getModeRules('timeAttack').describeResult({ ...result, outcome: 'timeUp' }).title).toBe('Time Up!');
+        expect(getModeRules('versus').describeResult(result)).toEqual({ title: 'Player 2 Wins!', scores: 'P1 40 - P2 30' });
+        expect(getModeRules('rival').describeResult(result).scores).toBe('You 40 - Rival 30');
+    });
+
+    test('formats the clock', () => {
+        expect(formatTimeLeft(83400)).toBe('1:23.4');
+        expect(formatTimeLeft(5000)).toBe('0:05.0');
+        expect(formatTimeLeft(-10)).toBe('0:00.0');
+    });
+});
+
+describe('Time attack', () => {
+    let engine;
+
+    const feedSnake = () => {
+        const head = engine.getSnake().getPosition();
+        engine.getFood().spawn({ x: head.x + 20, y: head.y }, [], 'normal');
+        engine.step();
+    };
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 600, 600, 20, { seed: 11, mode: 'timeAttack' });
+        engine.start();
+        engine.getFood().spawn({ x: 0, y: 0 }, [], 'normal');
+    });
+
+    test('every move uses up one move interval of the budget', () => {
+        expect(engine.getTimeLeft()).toBe(timeAttack.timeLimit);
+        engine.step();
+        expect(engine.getTimeLeft()).toBe(timeAttack.timeLimit - engine.moveInterval);
+    });
+
+    test('food adds time and scores flat points', () => {
+        engine.difficulty = 8;
+        feedSnake();
+
+        expect(engine.getScore()).toBe(10);
+        expect(engine.getTimeLeft()).toBe(timeAttack.timeLimit + timeAttack.timePerFood - engine.moveInterval);
+    });
+
+    test('the budget never grows past the cap', () => {
+        engine.timeLeft = timeAttack.maxTime;
+        feedSnake();
+        expect(engine.getTimeLeft()).toBe(timeAttack.maxTime - engine.moveInterval);
+    });
+
+    test('the game ends when the clock runs out', () => {
+        const results = [];
+        engine.onGameOver = (result) => results.push(result);
+        engine.timeLeft = engine.moveInterval * 2;
+
+        engine.tick(5);
+
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.getTickCount()).toBe(2);
+        expect(results[0]).toEqual(expect.objectContaining({ mode: 'timeAttack', timeUp: true }));
+    });
+
+    test('the mode only changes between games', () => {
+        expect(engine.setMode('endless')).toBe(false);
+        engine.gameOver();
+        expect(engine.setMode('endless')).toBe(true);
+        expect(engine.setMode('marathon')).toBe(false);
+
+        engine.restart();
+        expect(engine.getTimeLeft()).toBeNull();
+    });
+
+    test('save and resume keeps the mode and the clock', () => {
+        engine.tick(3);
+        engine.togglePause();
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        resumed.restoreGameData(data);
+        expect(resumed.getMode()).toBe('timeAttack');
+        expect(resumed.getTimeLeft()).toBe(engine.getTimeLeft());
+    });
+
+    test('replays carry the mode through the file format', () => {
+        engine.handleDirectionInput('down');
+        engine.tick(4);
+        engine.gameOver();
+
+        const replay = parseReplay(serializeReplay(engine.getReplay()));
+        expect(replay.config.mode).toBe('timeAttack');
+
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+        expect(player.getEngine().getTimeLeft()).toBe(engine.getTimeLeft());
+    });
+});
+
+describe('Mode plugins', () => {
+    const feed = (engine) => {
+        const head = engine.getSnake().getPosition();
+        engine.getFood().spawn({ x: head.x + 20, y: head.y }, [], 'normal');
+        engine.step();
+    };
+
+    beforeAll(() => {
+        // Two food wins; every food is worth 1; the moves made are counted
+        registerGameMode({
+            id: 'goldRush',
+            label: 'Gold Rush',
+            powerUps: false,
+            init: (engine) => {
+                engine.modeState = { moves: 0 };
+            },
+            update: (engine) => {
+                engine.modeState.moves++;
+            },
+            scoreFood: () => 1,
+            checkOutcome: (engine) => (engine.foodEaten >= 2 ? 'rich' : DEFAULT_MODE_RULES.checkOutcome(engine)),
+            resolveCollision: (engine, crashes) => ({ over: true, winner: crashes.player === 'wall' ? null : 1 }),
+            describeResult: (result) => ({ title: result.outcome === 'rich' ? 'Rich!' : 'Broke!', scores: `${result.finalScore} gold` })
+        });
+
+        // The snake may cross its own body, and the mode wants to play on after any crash
+        registerGameMode({
+            id: 'phantom',
+            label: 'Phantom',
+            detectCollision: (engine, snake, otherSnake, player) => {
+                const cause = DEFAULT_MODE_RULES.detectCollision(engine, snake, otherSnake, player);
+                return cause === 'self' ? null : cause;
+            },
+            resolveCollision: () => ({ over: false })
+        });
+    });
+
+    test('registers a mode with the endless settings as defaults', () => {
+        expect(GAME_MODE_IDS).toContain('goldRush');
+        expect(getGameMode('goldRush')).toEqual(expect.objectContaining({ label: 'Gold Rush', players: 1, timeLimit: null, powerUps: false }));
+    });
+
+    test('refuses a taken or missing id', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(registerGameMode({ id: 'endless' })).toBe(false);
+        expect(registerGameMode({ label: 'Nameless' })).toBe(false);
+        warnSpy.mockRestore();
+    });
+
+    test('the engine runs the mode\'s hooks', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, mode: 'goldRush' });
+        const results = [];
+        engine.onGameOver = (result) => results.push(result);
+        engine.start();
+        expect(engine.modeState).toEqual({ moves: 0 });
+
+        feed(engine);
+        expect(engine.getScore()).toBe(1);
+        expect(engine.modeState).toEqual({ moves: 1 });
+
+        feed(engine);
+        expect(engine.isGameOver()).toBe(true);
+        expect(results[0]).toEqual(expect.objectContaining({ mode: 'goldRush', outcome: 'rich', finalScore: 2 }));
+        expect(getModeRules('goldRush').describeResult(results[0])).toEqual({ title: 'Rich!', scores: '2 gold' });
+    });
+
+    test('the mode resolves crashes', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, mode: 'goldRush' });
+        const resolveCollision = jest.spyOn(GAME_MODES.goldRush, 'resolveCollision');
+        engine.start();
+
+        engine.tick(100);
+
+        expect(resolveCollision).toHaveBeenCalledWith(engine, { player: 'wall', opponent: null });
+        expect(engine.getResult()).toEqual(expect.objectContaining({ crashCause: 'wall', outcome: null }));
+        resolveCollision.mockRestore();
+    });
+
+    test('the mode\'s state is saved and resumed with the game', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, mode: 'goldRush' });
+        engine.start();
+        engine.tick(4);
+        engine.togglePause();
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        expect(resumed.restoreGameData(JSON.parse(JSON.stringify(engine.getGameData())))).toBe(true);
+        expect(resumed.modeState).toEqual({ moves: 4 });
+
+        resumed.togglePause();
+        resumed.step();
+        expect(resumed.modeState).toEqual({ moves: 5 });
+        expect(engine.modeState).toEqual({ moves: 4 });
+    });
+
+    test('the mode decides what counts as a crash', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, mode: 'phantom' });
+        engine.start();
+        const snake = engine.getSnake();
+        snake.segments = [{ x: 200, y: 200 }, { x: 180, y: 200 }, { x: 180, y: 220 }, { x: 200, y: 220 }, { x: 220, y: 220 }];
+        snake.direction = 'down';
+        snake.nextDirection = 'down';
+
+        engine.step();
+
+        expect(engine.isRunning()).toBe(true);
+        expect(engine.getResult().crashCause).toBeNull();
+    });
+
+    test('a crashed player ends the game even if the mode would play on', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, mode: 'phantom' });
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        engine.start();
+
+        engine.tick(100);
+
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.getResult().crashCause).toBe('wall');
+        expect(warnSpy).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    test('the engine draws the mode\'s HUD', () => {
+        const engine = new GameEngine(null, 600, 600, 20, { seed: 3, mode: 'rival' });
+        const renderer = { drawPlayerScores: jest.fn(), drawCountdown: jest.fn() };
+        engine.start();
+
+        getModeRules('rival').drawHud(engine, renderer);
+
+        expect(renderer.drawPlayerScores).toHaveBeenCalledWith([0, 0], ['You', 'Rival']);
+        expect(renderer.drawCountdown).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,167 @@
+// Gamepad tests
+import {
+    GamepadInput,
+    getStickDirection,
+    readGamepad,
+    normalizeGamepadMapping,
+    getButtonName,
+    DEFAULT_GAMEPAD_MAPPING,
+    STICK_DEADZONE
+} from '../js/gamepad.js';
+
+// A standard-layout gamepad with the given buttons held and stick position
+function pad({ index = 0, pressed = [], axes = [0, 0] } = {}) {
+    return {
+        index,
+        connected: true,
+        axes,
+        buttons: Array.from({ length: 17 }, (_, button) => ({
+            pressed: pressed.includes(button),
+            value: pressed.includes(button) ? 1 : 0
+        }))
+    };
+}
+
+describe('getStickDirection', () => {
+    test('ignores the stick inside the deadzone', () => {
+        expect(getStickDirection(0.2, -0.3)).toBeNull();
+        expect(getStickDirection(STICK_DEADZONE - 0.01, 0)).toBeNull();
+    });
+
+    test('follows the axis leaned on further', () => {
+        expect(getStickDirection(0.9, 0.1)).toBe('right');
+        expect(getStickDirection(-0.8, 0.6)).toBe('left');
+        expect(getStickDirection(0.3, -0.7)).toBe('up');
+        expect(getStickDirection(0, 1)).toBe('down');
+    });
+
+    test('takes its deadzone as a parameter', () => {
+        expect(getStickDirection(0.3, 0, 0.25)).toBe('right');
+    });
+});
+
+describe('readGamepad', () => {
+    test('reads the D-pad before the stick', () => {
+        expect(readGamepad(pad({ pressed: [14], axes: [1, 0] })).direction).toBe('left');
+        expect(readGamepad(pad({ axes: [1, 0] })).direction).toBe('right');
+    });
+
+    test('reports held actions and buttons', () => {
+        const state = readGamepad(pad({ pressed: [7, 0] }));
+
+        expect(state.actions).toEqual(['pause', 'confirm']);
+        expect(state.buttons).toEqual([0, 7]);
+    });
+
+    test('counts a half-pulled analog trigger as pressed', () => {
+        const gamepad = pad();
+        gamepad.buttons[7] = { pressed: false, value: 0.8 };
+
+        expect(readGamepad(gamepad).actions).toEqual(['pause']);
+    });
+});
+
+describe('normalizeGamepadMapping', () => {
+    test('fills in missing actions and drops bad buttons', () => {
+        const mapping = normalizeGamepadMapping({ up: [3, 'x', -1, 3], jump: [1] });
+
+        expect(mapping.up).toEqual([3]);
+        expect(mapping.down).toEqual(DEFAULT_GAMEPAD_MAPPING.down);
+        expect(mapping.jump).toBeUndefined();
+    });
+});
+
+describe('GamepadInput', () => {
+    let input;
+    let actions;
+
+    beforeEach(() => {
+        input = new GamepadInput();
+        actions = [];
+        input.onAction = (action, padIndex) => actions.push([action, padIndex]);
+    });
+
+    test('reports a held direction once', () => {
+        input.poll([pad({ pressed: [12] })]);
+        input.poll([pad({ pressed: [12] })]);
+        input.poll([pad({ axes: [0, -1] })]);
+
+        expect(actions).toEqual([['up', 0]]);
+    });
+
+    test('reports a new direction from the stick', () => {
+        input.poll([pad({ axes: [0, -1] })]);
+        input.poll([pad({ axes: [0.1, 0.1] })]);
+        input.poll([pad({ axes: [1, 0] })]);
+
+        expect(actions).toEqual([['up', 0], ['right', 0]]);
+    });
+
+    test('reports a button on press, not while held', () => {
+        input.poll([pad({ pressed: [9] })]);
+        input.poll([pad({ pressed: [9] })]);
+        input.poll([pad()]);
+        input.poll([pad({ pressed: [7] })]);
+
+        expect(actions).toEqual([['pause', 0], ['pause', 0]]);
+    });
+
+    test('tells gamepads apart', () => {
+        input.poll([pad({ pressed: [15] }), pad({ index: 1, pressed: [15] })]);
+
+        expect(actions).toEqual([['right', 0], ['right', 1]]);
+    });
+
+    test('skips empty slots and forgets disconnected pads', () => {
+        input.poll([null, pad({ index: 1, pressed: [13] })]);
+        input.poll([null, null]);
+        input.poll([null, pad({ index: 1, pressed: [13] })]);
+
+        expect(actions).toEqual([['down', 1], ['down', 1]]);
+    });
+
+    test('numbers pads by their order among the connected ones', () => {
+        const orders = [];
+        input.onAction = (action, padIndex, order) => orders.push([action, padIndex, order]);
+        input.poll([null, pad({ index: 1, pressed: [13] }), pad({ index: 2, pressed: [12] })]);
+
+        expect(orders).toEqual([['down', 1, 0], ['up', 2, 1]]);
+    });
+
+    test('remapping hands a button to one action only', () => {
+        const changes = [];
+        input.onMappingChange = (mapping) => changes.push(mapping);
+
+        expect(input.remap('pause', 0)).toBe(true);
+        expect(input.getMapping().pause).toEqual([0]);
+        expect(input.getMapping().confirm).toEqual([]);
+        expect(changes).toHaveLength(1);
+
+        expect(input.remap('jump', 1)).toBe(false);
+        expect(input.remap('pause', -2)).toBe(false);
+    });
+
+    test('a captured button is used for remapping and not played', () => {
+        const captured = [];
+        input.captureButton((button) => captured.push(button));
+
+        input.poll([pad({ pressed: [3] })]);
+        input.poll([pad({ pressed: [3, 12] })]);
+
+        expect(captured).toEqual([3]);
+        expect(input.isCapturing()).toBe(false);
+        expect(actions).toEqual([['up', 0]]);
+    });
+
+    test('resetMapping restores the defaults', () => {
+        input.remap('up', 0);
+        input.resetMapping();
+
+        expect(input.getMapping()).toEqual(DEFAULT_GAMEPAD_MAPPING);
+    });
+
+    test('names buttons for display', () => {
+        expect(getButtonName(9)).toBe('Start');
+        expect(getButtonName(20)).toBe('Button 20');
+    });
+});
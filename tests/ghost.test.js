@@ -0,0 +1,97 @@
+// Ghost race tests
+import { GameEngine } from '../js/gameEngine.js';
+import { GhostRunner } from '../js/ghost.js';
+import { ReplayPlayer } from '../js/replay.js';
+
+const canvasWidth = 400;
+const canvasHeight = 400;
+const gridSize = 20;
+
+// Record a run that loops in a small square: up, left, down, right
+const recordBestRun = () => {
+    const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize, { seed: 606 });
+    engine.start();
+    const turns = ['up', 'left', 'down', 'right'];
+    for (let i = 0; i < 40 && engine.isRunning(); i++) {
+        if (i % 2 === 0) {
+            engine.handleDirectionInput(turns[(i / 2) % 4]);
+        }
+        engine.step();
+    }
+    engine.gameOver();
+    return engine.getReplay();
+};
+
+describe('GhostRunner', () => {
+    test('live game runs on the ghost seed', () => {
+        const replay = recordBestRun();
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+        engine.setGhost(new GhostRunner(replay));
+        engine.start();
+
+        expect(engine.getSeed()).toBe(replay.seed);
+    });
+
+    test('ghost moves in lockstep with the live snake', () => {
+        const replay = recordBestRun();
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+        const ghost = new GhostRunner(replay);
+        engine.setGhost(ghost);
+        engine.start();
+
+        engine.tick(5);
+
+        const reference = new ReplayPlayer(replay);
+        reference.seek(5);
+        expect(ghost.getSegments()).toEqual(reference.getEngine().getSnake().getSegments());
+    });
+
+    test('ghost never collides with the live snake', () => {
+        const replay = recordBestRun();
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+        engine.setGhost(new GhostRunner(replay));
+        engine.start();
+
+        // The live snake replays the same first moves, overlapping the ghost exactly
+        engine.handleDirectionInput('up');
+        engine.step();
+        engine.step();
+
+        expect(engine.isRunning()).toBe(true);
+    });
+
+    test('compares scores at the same tick', () => {
+        const replay = recordBestRun();
+        const ghost = new GhostRunner(replay);
+
+        ghost.syncTo(0);
+        expect(ghost.compare(30)).toBe(30);
+
+        ghost.syncTo(replay.totalTicks);
+        expect(ghost.isFinished()).toBe(true);
+        expect(ghost.getScore()).toBe(replay.finalScore);
+        expect(ghost.compare(replay.finalScore - 10)).toBe(-10);
+    });
+
+    test('setGhost(null) removes the ghost immediately', () => {
+        const replay = recordBestRun();
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+        engine.setGhost(new GhostRunner(replay));
+        engine.start();
+
+        engine.setGhost(null);
+        expect(engine.getGhost()).toBe(null);
+    });
+
+    test('a new ghost only joins from the next game', () => {
+        const replay = recordBestRun();
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize);
+        engine.start();
+
+        engine.setGhost(new GhostRunner(replay));
+        expect(engine.getGhost()).toBe(null);
+
+        engine.restart();
+        expect(engine.getGhost()).not.toBe(null);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+// Headless GameEngine tests - full games in Node without a canvas or animation frames
+
+import { GameEngine } from '../js/gameEngine.js';
+
+const DIRECTION_KEYS = { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' };
+const DIRECTION_DELTAS = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+const OPPOSITES = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+// Greedy bot: move toward the food, never into a wall or the body
+const chooseDirection = (engine) => {
+    const snake = engine.getSnake();
+    const head = snake.getPosition();
+    const food = engine.getFood().getPosition();
+    const body = snake.getSegments().slice(0, -1);
+    const size = engine.gridSize;
+
+    const safe = Object.keys(DIRECTION_DELTAS).filter(direction => {
+        if (direction === OPPOSITES[snake.direction]) return false;
+        const [dx, dy] = DIRECTION_DELTAS[direction];
+        const next = { x: head.x + dx * size, y: head.y + dy * size };
+        if (next.x < 0 || next.y < 0 || next.x >= engine.canvasWidth || next.y >= engine.canvasHeight) return false;
+        return !body.some(segment => segment.x === next.x && segment.y === next.y);
+    });
+
+    if (safe.length === 0) return snake.direction;
+
+    const distanceAfter = (direction) => {
+        const [dx, dy] = DIRECTION_DELTAS[direction];
+        return Math.abs(head.x + dx * size - food.x) + Math.abs(head.y + dy * size - food.y);
+    };
+    return safe.sort((a, b) => distanceAfter(a) - distanceAfter(b))[0];
+};
+
+describe('Headless GameEngine', () => {
+    const canvasWidth = 400;
+    const canvasHeight = 400;
+    const gridSize = 20;
+
+    test('should run without a rendering context', () => {
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize, { seed: 1 });
+
+        expect(engine.isHeadless()).toBe(true);
+        engine.start();
+
+        expect(engine.isRunning()).toBe(true);
+        expect(engine.getRenderer()).toBe(null);
+        expect(global.requestAnimationFrame).not.toHaveBeenCalled();
+        expect(() => engine.render()).not.toThrow();
+    });
+
+    test('step() advances exactly one move', () => {
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize, { seed: 1 });
+        engine.start();
+
+        const head = engine.getSnake().getPosition();
+        expect(engine.step()).toBe(true);
+
+        expect(engine.getSnake().getPosition()).toEqual({ x: head.x + gridSize, y: head.y });
+        expect(engine.getTickCount()).toBe(1);
+    });
+
+    test('tick(n) advances n moves and stops when the game ends', () => {
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize, { seed: 1 });
+        engine.start();
+
+        expect(engine.tick(3)).toBe(3);
+        expect(engine.getTickCount()).toBe(3);
+
+        // Running straight right from the center hits the wall well before 100 moves
+        const moves = engine.tick(100);
+        expect(moves).toBeLessThan(100);
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.step()).toBe(false);
+    });
+
+    test('should play a complete game with a bot', () => {
+        const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize, { seed: 2024 });
+        engine.start();
+
+        let moves = 0;
+        while (engine.isRunning() && moves < 5000) {
+            engine.handleInput(DIRECTION_KEYS[chooseDirection(engine)]);
+            engine.step();
+            moves++;
+        }
+
+        expect(engine.getScore()).toBeGreaterThan(0);
+        expect(engine.getTickCount()).toBe(moves);
+    });
+
+    test('headless games are reproducible from their seed', () => {
+        const play = () => {
+            const engine = new GameEngine(null, canvasWidth, canvasHeight, gridSize, { seed: 99 });
+            engine.start();
+            while (engine.isRunning() && engine.getTickCount() < 2000) {
+                engine.handleInput(DIRECTION_KEYS[chooseDirection(engine)]);
+                engine.step();
+            }
+            return { score: engine.getScore(), ticks: engine.getTickCount(), segments: engine.getSnake().getSegments() };
+        };
+
+        expect(play()).toEqual(play());
+    });
+});
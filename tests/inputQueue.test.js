@@ -0,0 +1,97 @@
+// Input queue tests
+import { InputQueue, INPUT_QUEUE_SIZE } from '../js/inputQueue.js';
+import { GameEngine } from '../js/gameEngine.js';
+
+describe('InputQueue', () => {
+    let queue;
+
+    beforeEach(() => {
+        queue = new InputQueue();
+    });
+
+    test('checks the first turn against the current heading', () => {
+        expect(queue.push('right', 'right')).toBe(false);
+        expect(queue.push('left', 'right')).toBe(false);
+        expect(queue.push('up', 'right')).toBe(true);
+    });
+
+    test('checks each further turn against the one queued before it', () => {
+        queue.push('up', 'right');
+
+        expect(queue.push('down', 'right')).toBe(false);
+        expect(queue.push('up', 'right')).toBe(false);
+        expect(queue.push('left', 'right')).toBe(true);
+        expect(queue.getTurns()).toEqual(['up', 'left']);
+    });
+
+    test('holds a bounded number of turns', () => {
+        ['up', 'left', 'down', 'right'].forEach(direction => queue.push(direction, 'right'));
+
+        expect(queue.getTurns()).toHaveLength(INPUT_QUEUE_SIZE);
+        expect(queue.getTurns()).toEqual(['up', 'left', 'down']);
+    });
+
+    test('hands out one turn at a time, then nothing', () => {
+        queue.push('up', 'right');
+        queue.push('left', 'right');
+
+        expect(queue.peek()).toBe('up');
+        expect(queue.shift()).toBe('up');
+        expect(queue.shift()).toBe('left');
+        expect(queue.shift()).toBeNull();
+    });
+
+    test('ignores anything that is not a direction', () => {
+        expect(queue.push('constructor', 'right')).toBe(false);
+        queue.restore(['up', 'sideways', 'left']);
+
+        expect(queue.getTurns()).toEqual(['up', 'left']);
+    });
+});
+
+describe('Queued turns in the engine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 600, 600, 20, { seed: 2 });
+        engine.start();
+    });
+
+    test('a fast U-turn within one move plays out over the next two moves', () => {
+        const head = engine.getSnake().getPosition();
+        engine.handleInput('ArrowUp');
+        engine.handleInput('ArrowLeft');
+
+        engine.step();
+        expect(engine.getSnake().getPosition()).toEqual({ x: head.x, y: head.y - 20 });
+
+        engine.step();
+        expect(engine.getSnake().getPosition()).toEqual({ x: head.x - 20, y: head.y - 20 });
+        expect(engine.getSnake().direction).toBe('left');
+        expect(engine.isGameOver()).toBe(false);
+    });
+
+    test('only accepted turns are recorded in the replay', () => {
+        engine.handleInput('ArrowUp');
+        engine.handleInput('ArrowDown');
+        engine.handleInput('ArrowLeft');
+
+        expect(engine.getReplay().inputs.map(input => input.direction)).toEqual(['up', 'left']);
+    });
+
+    test('queued turns survive save and resume, and old snapshots still load', () => {
+        engine.handleInput('ArrowUp');
+        engine.handleInput('ArrowLeft');
+        engine.togglePause();
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        resumed.restoreGameData(data);
+        expect(resumed.getInputQueue()).toEqual(['up', 'left']);
+
+        delete data.inputQueue;
+        data.pendingDirection = 'down';
+        resumed.restoreGameData(data);
+        expect(resumed.getInputQueue()).toEqual(['down']);
+    });
+});
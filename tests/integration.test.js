@@ -152,13 +152,13 @@ describe('Game Integration Tests', () => {
         
         // Test sequence of directional inputs
         gameEngine.handleInput('ArrowUp');
-        expect(gameEngine.pendingDirection).toBe('up');
+        expect(gameEngine.getInputQueue()).toEqual(['up']);
         
         gameEngine.handleInput('ArrowRight');
-        expect(gameEngine.pendingDirection).toBe('right');
+        expect(gameEngine.getInputQueue()).toEqual(['up', 'right']);
         
         gameEngine.handleInput('ArrowDown');
-        expect(gameEngine.pendingDirection).toBe('down');
+        expect(gameEngine.getInputQueue()).toEqual(['up', 'right', 'down']);
         
         // Test pause in middle of movement
         gameEngine.handleInput(' ');
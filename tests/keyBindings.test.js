@@ -0,0 +1,167 @@
+// Key binding tests
+import {
+    KeyBindings,
+    normalizeKeyBindings,
+    getKeyName,
+    DEFAULT_KEY_BINDINGS,
+    KEY_ACTION_IDS,
+    KEYS_PER_ACTION,
+    isKeyEntryField
+} from '../js/keyBindings.js';
+import { GameEngine } from '../js/gameEngine.js';
+
+describe('KeyBindings', () => {
+    let bindings;
+
+    beforeEach(() => {
+        bindings = new KeyBindings();
+    });
+
+    test('the defaults are the classic controls', () => {
+        expect(bindings.getActions('w')).toEqual(['moveUp']);
+        expect(bindings.getActions('ArrowLeft')).toEqual(['p2MoveLeft']);
+        expect(bindings.getActions('Escape')).toEqual(['back']);
+        expect(bindings.getActions(' ')).toEqual(['pause', 'start']);
+        expect(bindings.getActions('Tab')).toEqual([]);
+    });
+
+    test('letters match with Shift or Caps Lock on', () => {
+        expect(bindings.getActions('W')).toEqual(['moveUp']);
+        expect(bindings.isBound('D')).toBe(true);
+    });
+
+    test('binds a key to a slot', () => {
+        expect(bindings.bind('moveUp', 0, 'z')).toEqual([]);
+        expect(bindings.bind('moveUp', 1, 'i')).toEqual([]);
+
+        expect(bindings.getKeys('moveUp')).toEqual(['z', 'i']);
+        expect(bindings.getActions('w')).toEqual([]);
+    });
+
+    test('refuses a key another action in the same context uses', () => {
+        expect(bindings.bind('moveUp', 0, 'ArrowDown')).toEqual(['p2MoveDown']);
+        expect(bindings.getKeys('moveUp')).toEqual(['w']);
+    });
+
+    test('allows one key for actions in different contexts', () => {
+        expect(bindings.bind('start', 0, 'Escape')).toEqual([]);
+        expect(bindings.getActions('Escape')).toEqual(['back', 'start']);
+    });
+
+    test('rejects unknown actions, bad slots and empty keys', () => {
+        expect(bindings.bind('jump', 0, 'j')).toBeNull();
+        expect(bindings.bind('moveUp', KEYS_PER_ACTION, 'j')).toBeNull();
+        expect(bindings.bind('moveUp', 0, '')).toBeNull();
+    });
+
+    test('unbinds a slot', () => {
+        expect(bindings.unbind('start', 0)).toBe(true);
+        expect(bindings.getKeys('start')).toEqual([' ']);
+        expect(bindings.unbind('moveUp', 1)).toBe(false);
+    });
+
+    test('reports changes and resets to the defaults', () => {
+        const changes = [];
+        bindings.onChange = (current) => changes.push(current);
+
+        bindings.bind('pause', 0, 'p');
+        bindings.reset();
+
+        expect(changes).toHaveLength(2);
+        expect(bindings.getBindings()).toEqual(normalizeKeyBindings(DEFAULT_KEY_BINDINGS));
+    });
+
+    test('normalizing fills in missing actions and drops bad keys', () => {
+        const normalized = normalizeKeyBindings({ moveUp: ['Z', 3, 'z', 'x', 'y'], jump: ['j'] });
+
+        expect(normalized.moveUp).toEqual(['z', 'x']);
+        expect(normalized.pause).toEqual(DEFAULT_KEY_BINDINGS.pause);
+        expect(Object.keys(normalized)).toEqual(KEY_ACTION_IDS);
+    });
+
+    test('names keys for display', () => {
+        expect(getKeyName(' ')).toBe('Space');
+        expect(getKeyName('ArrowUp')).toBe('↑');
+        expect(getKeyName('q')).toBe('Q');
+        expect(getKeyName('F2')).toBe('F2');
+    });
+});
+
+describe('isKeyEntryField', () => {
+    const field = (html) => {
+        document.body.innerHTML = html;
+        return document.body.firstElementChild;
+    };
+
+    test('text, number and slider fields keep their keys', () => {
+        expect(isKeyEntryField(field('<input type="number">'))).toBe(true);
+        expect(isKeyEntryField(field('<input type="range">'))).toBe(true);
+        expect(isKeyEntryField(field('<input>'))).toBe(true);
+        expect(isKeyEntryField(field('<textarea></textarea>'))).toBe(true);
+    });
+
+    test('a focused checkbox, select or button leaves arrows, Space and Enter to the game', () => {
+        const bindings = new KeyBindings();
+        ['<input type="checkbox">', '<select><option>a</option></select>', '<button>Start</button>'].forEach(html => {
+            const control = field(html);
+            control.focus();
+            expect(isKeyEntryField(document.activeElement)).toBe(false);
+        });
+        expect(bindings.getActions('ArrowUp')).toEqual(['p2MoveUp']);
+        expect(bindings.getActions(' ')).toEqual(['pause', 'start']);
+        expect(bindings.getActions('Enter')).toEqual(['start']);
+    });
+
+    test('the document itself is not a field', () => {
+        expect(isKeyEntryField(document.body)).toBe(false);
+        expect(isKeyEntryField(null)).toBe(false);
+    });
+});
+
+describe('GameEngine key bindings', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 400, 400, 20, { seed: 5 });
+    });
+
+    test('an AZERTY layout steers with ZQSD', () => {
+        engine.setKeyBindings({ ...DEFAULT_KEY_BINDINGS, moveUp: ['z'], moveLeft: ['q'] });
+        engine.start();
+
+        engine.handleInput('z');
+        engine.handleInput('w');
+        expect(engine.getInputQueue()).toEqual(['up']);
+
+        engine.handleInput('q');
+        expect(engine.getInputQueue()).toEqual(['up', 'left']);
+    });
+
+    test('a key bound to pause and start does whichever applies', () => {
+        engine.handleInput(' ');
+        expect(engine.isRunning()).toBe(true);
+
+        engine.handleInput(' ');
+        expect(engine.isPaused()).toBe(true);
+
+        engine.handleInput(' ');
+        expect(engine.isRunning()).toBe(true);
+    });
+
+    test('handleAction reports whether the action applied', () => {
+        expect(engine.handleAction('pause')).toBe(false);
+        expect(engine.handleAction('start')).toBe(true);
+        expect(engine.handleAction('start')).toBe(false);
+        expect(engine.handleAction('moveUp')).toBe(true);
+        expect(engine.handleAction('jump')).toBe(false);
+    });
+
+    test('the engine can start with custom bindings', () => {
+        const custom = new GameEngine(null, 400, 400, 20, { keyBindings: { start: ['s'] } });
+
+        custom.handleInput('Enter');
+        expect(custom.isRunning()).toBe(false);
+        custom.handleInput('s');
+        expect(custom.isRunning()).toBe(true);
+    });
+});
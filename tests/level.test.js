@@ -0,0 +1,187 @@
+// Level format and obstacle tests
+import {
+    LEVEL_FORMAT,
+    LEVEL_FORMAT_VERSION,
+    LevelFormatError,
+    decodeLevel,
+    encodeLevel,
+    serializeLevel,
+    parseLevel,
+    getSnakeStartCells,
+    isLevelComplete,
+    formatGoalProgress
+} from '../js/level.js';
+import { BUILT_IN_LEVELS } from '../js/levels.js';
+import { GameEngine } from '../js/gameEngine.js';
+import { ReplayPlayer } from '../js/replay.js';
+import { serializeReplay, parseReplay } from '../js/replayFormat.js';
+
+const levelFile = (overrides = {}) => ({
+    format: LEVEL_FORMAT,
+    version: LEVEL_FORMAT_VERSION,
+    name: 'Test Level',
+    board: { width: 10, height: 8 },
+    obstacles: [[0, 0], { x: 7, y: 2, width: 2, height: 3 }],
+    snake: { x: 4, y: 4, direction: 'right', length: 3 },
+    goals: { food: 2 },
+    ...overrides
+});
+
+describe('Level format', () => {
+    test('decodes a level and expands obstacle rectangles', () => {
+        const level = decodeLevel(levelFile());
+
+        expect(level.board).toEqual({ width: 10, height: 8, mode: 'walls' });
+        expect(level.obstacles).toHaveLength(7);
+        expect(level.obstacles).toContainEqual({ x: 8, y: 4 });
+        expect(level.goals).toEqual({ food: 2 });
+        expect(getSnakeStartCells(level)).toEqual([{ x: 4, y: 4 }, { x: 3, y: 4 }, { x: 2, y: 4 }]);
+    });
+
+    test('round-trips through the file format', () => {
+        const level = decodeLevel(levelFile());
+
+        expect(parseLevel(serializeLevel(level))).toEqual(level);
+        expect(encodeLevel(level).obstacles[0]).toEqual([0, 0]);
+    });
+
+    test.each([
+        ['not a level', { format: 'other' }, 'Not a snake level file'],
+        ['a newer version', { version: LEVEL_FORMAT_VERSION + 1 }, /version/],
+        ['a tiny board', { board: { width: 2, height: 8 } }, /between/],
+        ['an unknown board mode', { board: { width: 10, height: 8, mode: 'spiral' } }, /board mode/],
+        ['an obstacle off the board', { obstacles: [[10, 0]] }, /outside/],
+        ['a snake on an obstacle', { obstacles: [[3, 4]] }, /free cells/],
+        ['a snake hanging off the edge', { snake: { x: 1, y: 4, direction: 'right', length: 3 } }, /free cells/],
+        ['a zero goal', { goals: { food: 0 } }, /goal 'food'/],
+        ['too many food items', { foodCount: 6 }, /food count/]
+    ])('rejects %s', (description, overrides, message) => {
+        expect(() => decodeLevel(levelFile(overrides))).toThrow(LevelFormatError);
+        expect(() => decodeLevel(levelFile(overrides))).toThrow(message);
+    });
+
+    test('rejects malformed JSON', () => {
+        expect(() => parseLevel('{')).toThrow('Level file is not valid JSON');
+    });
+
+    test('wraps the starting body around the edge on wrap boards', () => {
+        const level = decodeLevel(levelFile({
+            board: { width: 10, height: 8, mode: 'wrap' },
+            snake: { x: 1, y: 4, direction: 'right', length: 3 }
+        }));
+        expect(getSnakeStartCells(level)).toEqual([{ x: 1, y: 4 }, { x: 0, y: 4 }, { x: 9, y: 4 }]);
+    });
+
+    test('goals are met only when every listed goal is reached', () => {
+        const goals = { food: 3, score: 50 };
+        expect(isLevelComplete(goals, { food: 3, score: 40, length: 6 })).toBe(false);
+        expect(isLevelComplete(goals, { food: 3, score: 50, length: 6 })).toBe(true);
+        expect(isLevelComplete({}, { food: 99, score: 999, length: 99 })).toBe(false);
+        expect(formatGoalProgress(goals, { food: 1, score: 70, length: 4 })).toBe('food 1/3 · score 50/50');
+    });
+
+    test('built-in levels are valid', () => {
+        expect(BUILT_IN_LEVELS.length).toBeGreaterThan(0);
+        BUILT_IN_LEVELS.forEach(level => {
+            expect(decodeLevel(encodeLevel(level))).toEqual(level);
+        });
+    });
+});
+
+describe('Playing levels', () => {
+    const createEngine = (overrides = {}, seed = 21) =>
+        new GameEngine(null, 600, 600, 20, { seed, level: decodeLevel(levelFile(overrides)) });
+
+    test('adopts the level board size and snake start', () => {
+        const engine = createEngine();
+        engine.start();
+
+        expect(engine.canvasWidth).toBe(200);
+        expect(engine.canvasHeight).toBe(160);
+        expect(engine.getAIEngine().gridWidth).toBe(10);
+        expect(engine.getSnake().getSegments()).toEqual([{ x: 80, y: 80 }, { x: 60, y: 80 }, { x: 40, y: 80 }]);
+    });
+
+    test('returns to the open arena when the level is cleared', () => {
+        const engine = createEngine();
+        expect(engine.setLevel(null)).toBe(true);
+        expect(engine.canvasWidth).toBe(600);
+        expect(engine.getObstacles()).toEqual([]);
+
+        engine.start();
+        expect(engine.setLevel(BUILT_IN_LEVELS[0])).toBe(false);
+    });
+
+    test('driving into an obstacle ends the game', () => {
+        const engine = createEngine({ obstacles: [[6, 4]] });
+        engine.start();
+
+        engine.step();
+        expect(engine.isRunning()).toBe(true);
+        engine.step();
+        expect(engine.isGameOver()).toBe(true);
+    });
+
+    test('food never spawns on an obstacle', () => {
+        // Obstacles fill most of the board so any leak would show up quickly
+        const engine = createEngine({ obstacles: [{ x: 0, y: 0, width: 10, height: 4 }, { x: 0, y: 5, width: 10, height: 3 }] });
+        engine.start();
+
+        for (let i = 0; i < 50; i++) {
+            engine.spawnFood();
+            expect(engine.isObstacle(engine.getFood().getPosition())).toBe(false);
+        }
+    });
+
+    test('obstacles next to the head raise the danger level', () => {
+        const engine = createEngine({ obstacles: [[5, 4]] });
+        engine.start();
+        expect(engine.calculateDangerLevel()).toBeGreaterThanOrEqual(0.8);
+    });
+
+    test('reaching every goal completes the level', () => {
+        const engine = createEngine();
+        const results = [];
+        engine.onGameOver = (data) => results.push(data);
+        engine.start();
+
+        engine.consumeFood();
+        expect(engine.isRunning()).toBe(true);
+        engine.consumeFood();
+
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.isLevelComplete()).toBe(true);
+        expect(results[0].levelComplete).toBe(true);
+    });
+
+    test('save and resume keeps the level', () => {
+        const engine = createEngine();
+        engine.start();
+        engine.step();
+        engine.togglePause();
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        expect(resumed.restoreGameData(data)).toBe(true);
+        expect(resumed.getLevel()).toEqual(engine.getLevel());
+        expect(resumed.canvasWidth).toBe(200);
+        expect(resumed.getObstacles()).toEqual(engine.getObstacles());
+    });
+
+    test('replay files carry the level and play back identically', () => {
+        const engine = createEngine({ goals: {} });
+        engine.start();
+        engine.handleDirectionInput('up');
+        engine.tick(2);
+        engine.handleDirectionInput('left');
+        engine.tick(3);
+
+        const replay = parseReplay(serializeReplay(engine.getReplay(), { compact: true }));
+        expect(replay.config.level).toEqual(engine.getLevel());
+
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+        expect(player.getEngine().getObstacles()).toEqual(engine.getObstacles());
+        expect(player.getEngine().getSnake().getSegments()).toEqual(engine.getSnake().getSegments());
+    });
+});
@@ -0,0 +1,103 @@
+// Level editor tests
+import { LevelEditor } from '../js/levelEditor.js';
+import { parseLevel } from '../js/level.js';
+import { BUILT_IN_LEVELS } from '../js/levels.js';
+
+describe('LevelEditor', () => {
+    let editor;
+
+    beforeEach(() => {
+        const ctx = new (global.HTMLCanvasElement)().getContext('2d');
+        editor = new LevelEditor(ctx, 20);
+        editor.reset(10, 10);
+    });
+
+    afterEach(() => {
+        editor.stopTestPlay();
+    });
+
+    test('paints and erases walls', () => {
+        editor.applyTool(1, 1);
+        editor.applyToolAt(45, 25); // cell (2, 1)
+        expect(editor.isWall(1, 1)).toBe(true);
+        expect(editor.isWall(2, 1)).toBe(true);
+
+        editor.setTool('erase');
+        editor.applyTool(1, 1);
+        expect(editor.isWall(1, 1)).toBe(false);
+
+        expect(editor.applyTool(10, 0)).toBe(false);
+    });
+
+    test('places the snake spawn', () => {
+        editor.setTool('spawn');
+        editor.applyTool(7, 2);
+        editor.setSnakeDirection('down');
+
+        expect(editor.getLevel().snake).toEqual({ x: 7, y: 2, direction: 'down', length: 3 });
+    });
+
+    test('exports a level that parses back to the same level', () => {
+        editor.applyTool(0, 0);
+        editor.applyTool(9, 9);
+        editor.setMetadata({ name: 'Corners', author: 'Designer' });
+        editor.setGoal('food', 5);
+        editor.setBoardMode('wrap');
+
+        const level = parseLevel(editor.exportLevel());
+        expect(level).toEqual(editor.getLevel());
+        expect(level.name).toBe('Corners');
+        expect(level.board.mode).toBe('wrap');
+        expect(level.obstacles).toEqual([{ x: 0, y: 0 }, { x: 9, y: 9 }]);
+        expect(level.goals).toEqual({ food: 5 });
+    });
+
+    test('reports why a draft cannot be played', () => {
+        expect(editor.validate()).toBeNull();
+
+        // Wall on the snake's head
+        editor.applyTool(5, 5);
+        expect(editor.validate()).toMatch(/free cells/);
+        expect(() => editor.exportLevel()).toThrow();
+        expect(editor.startTestPlay()).toBe(false);
+    });
+
+    test('resizing drops walls that no longer fit', () => {
+        editor.applyTool(8, 8);
+        editor.applyTool(2, 2);
+
+        expect(editor.setBoardSize(6, 6)).toBe(true);
+        expect(editor.isWall(8, 8)).toBe(false);
+        expect(editor.isWall(2, 2)).toBe(true);
+        expect(editor.getCanvasWidth()).toBe(120);
+
+        expect(editor.setBoardSize(2, 6)).toBe(false);
+    });
+
+    test('loads an existing level for editing', () => {
+        editor.load(BUILT_IN_LEVELS[0]);
+        expect(editor.getLevel()).toEqual(BUILT_IN_LEVELS[0]);
+    });
+
+    test('test-plays the draft in place and returns to editing', () => {
+        editor.applyTool(8, 5);
+        const results = [];
+        editor.onTestPlayEnd = (result) => results.push(result);
+
+        expect(editor.startTestPlay()).toBe(true);
+        const engine = editor.getTestEngine();
+        expect(engine.getLevel()).toEqual(editor.getLevel());
+
+        // Painting is locked while playing
+        expect(editor.applyTool(0, 0)).toBe(false);
+
+        // Snake heads right from (5, 5) into the wall at (8, 5)
+        engine.tick(3);
+        expect(engine.isGameOver()).toBe(true);
+        expect(results).toHaveLength(1);
+
+        editor.stopTestPlay();
+        expect(editor.isTestPlaying()).toBe(false);
+        expect(editor.applyTool(0, 0)).toBe(true);
+    });
+});
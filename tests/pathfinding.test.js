@@ -0,0 +1,69 @@
+// Grid search tests
+import { stepCell, cellDistance, findPath, findPathAStar, countReachable, cellKey } from '../js/pathfinding.js';
+
+const walls = { columns: 10, rows: 10, wrap: false };
+const wrap = { columns: 10, rows: 10, wrap: true };
+const blockedSet = (...points) => new Set(points.map(([x, y]) => cellKey({ x, y })));
+
+describe('Pathfinding', () => {
+    test('stepping off a walled board has no cell; a wrap board comes back round', () => {
+        expect(stepCell({ x: 0, y: 5 }, 'left', walls)).toBeNull();
+        expect(stepCell({ x: 0, y: 5 }, 'left', wrap)).toEqual({ x: 9, y: 5 });
+        expect(stepCell({ x: 3, y: 9 }, 'down', wrap)).toEqual({ x: 3, y: 0 });
+    });
+
+    test('distance goes around the edges only on wrap boards', () => {
+        expect(cellDistance({ x: 0, y: 0 }, { x: 9, y: 0 }, walls)).toBe(9);
+        expect(cellDistance({ x: 0, y: 0 }, { x: 9, y: 0 }, wrap)).toBe(1);
+    });
+
+    test('finds the shortest path to the nearest goal', () => {
+        const path = findPath({ x: 0, y: 0 }, [{ x: 3, y: 0 }, { x: 0, y: 6 }], new Set(), walls);
+
+        expect(path).toEqual(['right', 'right', 'right']);
+    });
+
+    test('routes around blocked cells', () => {
+        const blocked = blockedSet([1, 0], [1, 1]);
+        const path = findPath({ x: 0, y: 0 }, [{ x: 2, y: 0 }], blocked, walls);
+
+        expect(path).toHaveLength(6);
+        expect(path[0]).toBe('down');
+    });
+
+    test('uses the wrap-around shortcut', () => {
+        expect(findPath({ x: 0, y: 4 }, [{ x: 9, y: 4 }], new Set(), wrap)).toEqual(['left']);
+    });
+
+    test('returns null when no goal can be reached', () => {
+        const blocked = blockedSet([1, 0], [0, 1]);
+
+        expect(findPath({ x: 0, y: 0 }, [{ x: 5, y: 5 }], blocked, walls)).toBeNull();
+        expect(findPath({ x: 0, y: 0 }, [], new Set(), walls)).toBeNull();
+    });
+
+    test('A* finds a shortest path around walls', () => {
+        // A wall down column 5 with a single gap at the bottom
+        const blocked = new Set(Array.from({ length: 9 }, (_, y) => cellKey({ x: 5, y })));
+        const path = findPathAStar({ x: 2, y: 0 }, { x: 8, y: 0 }, blocked, walls);
+
+        expect(path).toHaveLength(6 + 9 * 2);
+        expect(findPath({ x: 2, y: 0 }, [{ x: 8, y: 0 }], blocked, walls)).toHaveLength(path.length);
+    });
+
+    test('A* gives up on unreachable goals', () => {
+        const blocked = blockedSet([1, 0], [0, 1]);
+
+        expect(findPathAStar({ x: 0, y: 0 }, { x: 5, y: 5 }, blocked, walls)).toBeNull();
+        expect(findPathAStar({ x: 4, y: 4 }, { x: 4, y: 4 }, new Set(), walls)).toBeNull();
+    });
+
+    test('counts the free cells reachable from a cell, up to a limit', () => {
+        // A wall across row 2 leaves the top two rows on their own
+        const blocked = new Set(Array.from({ length: 10 }, (_, x) => cellKey({ x, y: 2 })));
+
+        expect(countReachable({ x: 0, y: 0 }, blocked, walls)).toBe(20);
+        expect(countReachable({ x: 0, y: 5 }, blocked, walls)).toBe(70);
+        expect(countReachable({ x: 0, y: 5 }, blocked, walls, 12)).toBe(12);
+    });
+});
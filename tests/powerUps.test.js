@@ -0,0 +1,185 @@
+// Power-up registry, effect stacking and engine integration tests
+import { POWER_UP_TYPES, POWER_UP_IDS, PowerUpEffects, getPowerUpSpawnChance, SLOW_MOTION_FACTOR } from '../js/powerUps.js';
+import { AIEngine } from '../js/aiEngine.js';
+import { GameEngine } from '../js/gameEngine.js';
+import { SeededRandom } from '../js/random.js';
+
+describe('Power-up effects', () => {
+    let effects;
+
+    beforeEach(() => {
+        effects = new PowerUpEffects();
+    });
+
+    test('effects run for their duration and then end', () => {
+        effects.activate('magnet');
+        expect(effects.getTicksLeft('magnet')).toBe(POWER_UP_TYPES.magnet.duration);
+
+        for (let i = 1; i < POWER_UP_TYPES.magnet.duration; i++) {
+            expect(effects.tick()).toEqual([]);
+        }
+        expect(effects.tick()).toEqual(['magnet']);
+        expect(effects.isActive('magnet')).toBe(false);
+    });
+
+    test('extending effects add time up to their cap', () => {
+        const { duration, maxTicks } = POWER_UP_TYPES.passThrough;
+        effects.activate('passThrough');
+        effects.tick();
+        effects.activate('passThrough');
+        expect(effects.getTicksLeft('passThrough')).toBe(duration * 2 - 1);
+
+        effects.activate('passThrough');
+        expect(effects.getTicksLeft('passThrough')).toBe(maxTicks);
+    });
+
+    test('refreshing effects restart the timer', () => {
+        effects.activate('slowMotion');
+        effects.tick();
+        effects.activate('slowMotion');
+        expect(effects.getTicksLeft('slowMotion')).toBe(POWER_UP_TYPES.slowMotion.duration);
+        expect(effects.getIntervalFactor()).toBe(SLOW_MOTION_FACTOR);
+    });
+
+    test('score multipliers stack up to the limit', () => {
+        expect(effects.getScoreMultiplier()).toBe(1);
+        for (let i = 0; i < 5; i++) {
+            effects.activate('multiplier');
+        }
+        expect(effects.getStacks('multiplier')).toBe(POWER_UP_TYPES.multiplier.maxStacks);
+        expect(effects.getScoreMultiplier()).toBe(Math.pow(2, POWER_UP_TYPES.multiplier.maxStacks));
+    });
+
+    test('state round-trips and ignores unknown effects', () => {
+        effects.activate('multiplier');
+        effects.activate('multiplier');
+        const restored = new PowerUpEffects();
+        restored.restoreState({ ...effects.getState(), teleport: { ticksLeft: 5, stacks: 1 } });
+
+        expect(restored.getActive()).toEqual(effects.getActive());
+        expect(restored.isActive('teleport')).toBe(false);
+    });
+});
+
+describe('AI power-up hooks', () => {
+    test('power-ups get rarer as difficulty rises', () => {
+        expect(getPowerUpSpawnChance(10)).toBeLessThan(getPowerUpSpawnChance(1));
+
+        const spawns = (difficulty) => {
+            const ai = new AIEngine(20, 600, 600, new SeededRandom(4));
+            ai.setDifficulty(difficulty);
+            let count = 0;
+            for (let i = 0; i < 2000; i++) {
+                if (ai.shouldSpawnPowerUp()) count++;
+            }
+            return count;
+        };
+        expect(spawns(10)).toBeLessThan(spawns(1));
+    });
+
+    test('suggests every registered power-up type', () => {
+        const ai = new AIEngine(20, 600, 600, new SeededRandom(4));
+        const seen = new Set();
+        for (let i = 0; i < 200; i++) {
+            seen.add(ai.suggestPowerUpType());
+        }
+        expect([...seen].sort()).toEqual([...POWER_UP_IDS].sort());
+    });
+});
+
+describe('Power-ups in the engine', () => {
+    let engine;
+
+    const placePowerUp = (type) => {
+        const head = engine.getSnake().getPosition();
+        engine.spawnPowerUp(type);
+        engine.powerUp.position = { x: head.x + 20, y: head.y };
+    };
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 600, 600, 20, { seed: 5 });
+        engine.start();
+        engine.getFood().spawn({ x: 0, y: 0 }, [], 'normal');
+    });
+
+    test('no power-up appears during the opening moves', () => {
+        engine.tick(10);
+        expect(engine.getPowerUp()).toBeNull();
+    });
+
+    test('no power-up appears on a cell that is already taken', () => {
+        // The placement's fallback cell when no free one is found
+        jest.spyOn(engine.aiEngine, 'suggestFoodPlacement').mockReturnValue({ x: 0, y: 0 });
+        engine.spawnPowerUp('magnet');
+
+        expect(engine.getPowerUp()).toBeNull();
+    });
+
+    test('picking one up starts its effect', () => {
+        placePowerUp('magnet');
+        engine.step();
+
+        expect(engine.getPowerUp()).toBeNull();
+        expect(engine.getPowerUpEffects().isActive('magnet')).toBe(true);
+    });
+
+    test('slow motion raises the move interval until it wears off', () => {
+        const normalInterval = engine.moveInterval;
+        placePowerUp('slowMotion');
+        engine.step();
+        expect(engine.moveInterval).toBe(Math.round(normalInterval * SLOW_MOTION_FACTOR));
+
+        engine.getPowerUpEffects().effects.slowMotion.ticksLeft = 1;
+        engine.handleDirectionInput('down');
+        engine.step();
+        expect(engine.moveInterval).toBe(normalInterval);
+    });
+
+    test('pass-through lets the head cross the body', () => {
+        const snake = engine.getSnake();
+        const head = snake.getPosition();
+        snake.segments = [
+            head,
+            { x: head.x - 20, y: head.y },
+            { x: head.x - 20, y: head.y + 20 },
+            { x: head.x, y: head.y + 20 },
+            { x: head.x + 20, y: head.y + 20 }
+        ];
+        engine.getPowerUpEffects().activate('passThrough');
+
+        engine.handleDirectionInput('down');
+        engine.step();
+        expect(engine.isRunning()).toBe(true);
+    });
+
+    test('the score multiplier doubles the points', () => {
+        const head = engine.getSnake().getPosition();
+        engine.getPowerUpEffects().activate('multiplier');
+        engine.getFood().spawn({ x: head.x + 20, y: head.y }, [], 'normal');
+        engine.step();
+        expect(engine.getScore()).toBe(20);
+    });
+
+    test('the food magnet pulls nearby food towards the head', () => {
+        const head = engine.getSnake().getPosition();
+        engine.getFood().spawn({ x: head.x + 20, y: head.y + 80 }, [], 'normal');
+        engine.getPowerUpEffects().activate('magnet');
+
+        engine.step();
+        // Head moved one cell right; the food closed in vertically
+        expect(engine.getFood().getPosition()).toEqual({ x: head.x + 20, y: head.y + 60 });
+    });
+
+    test('save and resume keeps the power-up and running effects', () => {
+        engine.spawnPowerUp('slowMotion');
+        engine.getPowerUpEffects().activate('multiplier');
+        engine.togglePause();
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        resumed.restoreGameData(data);
+
+        expect(resumed.getPowerUp()).toEqual(engine.getPowerUp());
+        expect(resumed.getPowerUpEffects().getActive()).toEqual(engine.getPowerUpEffects().getActive());
+    });
+});
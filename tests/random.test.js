@@ -0,0 +1,92 @@
+// Unit tests for the seeded random generator and injectable clocks
+import fc from 'fast-check';
+import { SeededRandom, createSeed } from '../js/random.js';
+import { ManualClock, SystemClock } from '../js/clock.js';
+
+describe('SeededRandom', () => {
+    test('produces the same sequence for the same seed', () => {
+        const a = new SeededRandom(12345);
+        const b = new SeededRandom(12345);
+
+        for (let i = 0; i < 50; i++) {
+            expect(a.next()).toBe(b.next());
+        }
+    });
+
+    test('produces different sequences for different seeds', () => {
+        const a = new SeededRandom(1);
+        const b = new SeededRandom(2);
+
+        const sequenceA = Array.from({ length: 10 }, () => a.next());
+        const sequenceB = Array.from({ length: 10 }, () => b.next());
+        expect(sequenceA).not.toEqual(sequenceB);
+    });
+
+    test('setSeed restarts the sequence', () => {
+        const random = new SeededRandom(99);
+        const first = random.next();
+        random.next();
+
+        random.setSeed(99);
+        expect(random.next()).toBe(first);
+        expect(random.getSeed()).toBe(99);
+    });
+
+    test('getState/setState resumes mid-sequence', () => {
+        const random = new SeededRandom(7);
+        random.next();
+        random.next();
+
+        const snapshot = random.getState();
+        const expected = [random.next(), random.next()];
+
+        const restored = new SeededRandom(0);
+        restored.setState(snapshot);
+        expect([restored.next(), restored.next()]).toEqual(expected);
+    });
+
+    test('Property: next() stays in [0, 1) and nextInt stays in range', () => {
+        fc.assert(fc.property(
+            fc.integer({ min: 0, max: 0xFFFFFFFF }),
+            fc.integer({ min: 1, max: 1000 }),
+            (seed, max) => {
+                const random = new SeededRandom(seed);
+                for (let i = 0; i < 20; i++) {
+                    const value = random.next();
+                    expect(value).toBeGreaterThanOrEqual(0);
+                    expect(value).toBeLessThan(1);
+
+                    const integer = random.nextInt(max);
+                    expect(Number.isInteger(integer)).toBe(true);
+                    expect(integer).toBeGreaterThanOrEqual(0);
+                    expect(integer).toBeLessThan(max);
+                }
+            }
+        ), { numRuns: 50 });
+    });
+
+    test('createSeed returns an unsigned 32-bit integer', () => {
+        const seed = createSeed();
+        expect(Number.isInteger(seed)).toBe(true);
+        expect(seed).toBeGreaterThanOrEqual(0);
+        expect(seed).toBeLessThanOrEqual(0xFFFFFFFF);
+    });
+});
+
+describe('Clocks', () => {
+    test('ManualClock only moves when advanced', () => {
+        const clock = new ManualClock(100);
+        expect(clock.now()).toBe(100);
+
+        clock.advance(50);
+        expect(clock.now()).toBe(150);
+
+        clock.set(0);
+        expect(clock.now()).toBe(0);
+    });
+
+    test('SystemClock reads the real time source', () => {
+        const clock = new SystemClock();
+        expect(typeof clock.now()).toBe('number');
+    });
+});
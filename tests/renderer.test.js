@@ -1,6 +1,6 @@
 // Property-based tests for Renderer class
 import fc from 'fast-check';
-import { Renderer } from '../js/renderer.js';
+import { Renderer, getCanvasLayout } from '../js/renderer.js';
 import { Snake } from '../js/snake.js';
 import { Food } from '../js/food.js';
 
@@ -145,4 +145,51 @@ describe('Renderer Property Tests', () => {
             }
         ), { numRuns: 100 });
     });
-});
\ No newline at end of file
+});
+describe('getCanvasLayout', () => {
+    test('shows a board that fits at its own size', () => {
+        expect(getCanvasLayout(600, 600, 1000, 800, 1)).toEqual({
+            cssWidth: 600, cssHeight: 600, pixelWidth: 600, pixelHeight: 600, scaleX: 1, scaleY: 1
+        });
+    });
+
+    test('shrinks a board to the space available and keeps its shape', () => {
+        const layout = getCanvasLayout(800, 400, 400, 1000, 1);
+        expect(layout.cssWidth).toBe(400);
+        expect(layout.cssHeight).toBe(200);
+        expect(layout.scaleX).toBe(0.5);
+    });
+
+    test('gives the canvas one pixel per device pixel', () => {
+        const layout = getCanvasLayout(600, 400, 300, 1000, 2);
+        expect(layout).toEqual({
+            cssWidth: 300, cssHeight: 200, pixelWidth: 600, pixelHeight: 400, scaleX: 1, scaleY: 1
+        });
+
+        expect(getCanvasLayout(400, 400, 1000, 1000, 3).pixelWidth).toBe(1200);
+    });
+
+    test('falls back to the board size without usable space or ratio', () => {
+        expect(getCanvasLayout(400, 300, 0, -50, 0)).toEqual({
+            cssWidth: 400, cssHeight: 300, pixelWidth: 400, pixelHeight: 300, scaleX: 1, scaleY: 1
+        });
+    });
+});
+
+describe('drawGhostComparison', () => {
+    test('words the race from the player\'s side', () => {
+        const ctx = new (global.HTMLCanvasElement)().getContext('2d');
+        const fillText = jest.spyOn(ctx, 'fillText');
+        const renderer = new Renderer(ctx, 600, 600, 20);
+
+        renderer.drawGhostComparison(30);
+        renderer.drawGhostComparison(-10);
+        renderer.drawGhostComparison(0, true);
+
+        expect(fillText.mock.calls.map(call => call[0])).toEqual([
+            '+30 vs ghost',
+            '-10 vs ghost',
+            'level with ghost - ghost out'
+        ]);
+    });
+});
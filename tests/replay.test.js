@@ -0,0 +1,158 @@
+// Replay recording and playback tests
+import { GameEngine } from '../js/gameEngine.js';
+import { ReplayPlayer } from '../js/replay.js';
+import { ReplayViewer } from '../js/replayViewer.js';
+
+const DIRECTION_DELTAS = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+const OPPOSITES = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+// Greedy bot that heads for the food while avoiding walls and its own body
+const chooseDirection = (engine) => {
+    const snake = engine.getSnake();
+    const head = snake.getPosition();
+    const food = engine.getFood().getPosition();
+    const body = snake.getSegments().slice(0, -1);
+    const size = engine.gridSize;
+
+    const next = (direction) => {
+        const [dx, dy] = DIRECTION_DELTAS[direction];
+        return { x: head.x + dx * size, y: head.y + dy * size };
+    };
+    const safe = Object.keys(DIRECTION_DELTAS).filter(direction => {
+        if (direction === OPPOSITES[snake.direction]) return false;
+        const cell = next(direction);
+        if (cell.x < 0 || cell.y < 0 || cell.x >= engine.canvasWidth || cell.y >= engine.canvasHeight) return false;
+        return !body.some(segment => segment.x === cell.x && segment.y === cell.y);
+    });
+    if (safe.length === 0) return snake.direction;
+
+    const distance = (direction) => {
+        const cell = next(direction);
+        return Math.abs(cell.x - food.x) + Math.abs(cell.y - food.y);
+    };
+    return safe.sort((a, b) => distance(a) - distance(b))[0];
+};
+
+const playRecordedGame = (engine, maxTicks = 3000) => {
+    engine.start();
+    while (engine.isRunning() && engine.getTickCount() < maxTicks) {
+        const direction = chooseDirection(engine);
+        engine.handleDirectionInput(direction);
+        // Occasionally send a rejected reversal and a redundant input in the same tick
+        if (engine.getTickCount() % 7 === 0) {
+            engine.handleDirectionInput(OPPOSITES[engine.getSnake().direction]);
+            engine.handleDirectionInput(direction);
+        }
+        engine.step();
+    }
+    return engine.getReplay();
+};
+
+describe('Replay recording', () => {
+    test('should record seed, config and tick-stamped inputs', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 31 });
+        engine.start();
+
+        engine.handleInput('ArrowUp');
+        engine.step();
+        engine.step();
+        engine.handleInput('ArrowLeft');
+
+        const replay = engine.getReplay();
+        expect(replay.seed).toBe(31);
+        expect(replay.config).toMatchObject({ gridSize: 20, canvasWidth: 400, canvasHeight: 400 });
+        expect(replay.config.ai).toHaveProperty('movementHeatmap');
+        expect(replay.inputs).toEqual([
+            { tick: 0, direction: 'up' },
+            { tick: 2, direction: 'left' }
+        ]);
+        expect(replay.totalTicks).toBe(2);
+    });
+
+    test('should start a fresh recording for every game', () => {
+        const engine = new GameEngine(null, 400, 400, 20);
+        engine.start();
+        engine.handleInput('ArrowUp');
+        engine.gameOver();
+
+        engine.start();
+        expect(engine.getReplay().inputs).toEqual([]);
+    });
+});
+
+describe('ReplayPlayer', () => {
+    test('should reproduce the recorded game exactly', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 8080 });
+        const replay = playRecordedGame(engine);
+        const finalSegments = engine.getSnake().getSegments();
+
+        const player = new ReplayPlayer(replay);
+        while (player.step()) {
+            // Play to the end
+        }
+
+        const replayEngine = player.getEngine();
+        expect(player.getTick()).toBe(replay.totalTicks);
+        expect(replayEngine.getScore()).toBe(replay.finalScore);
+        expect(replayEngine.getSnake().getSegments()).toEqual(finalSegments);
+        expect(replayEngine.getGameState()).toBe(engine.getGameState());
+    });
+
+    test('should reproduce a later game after the AI has learned from earlier ones', () => {
+        const engine = new GameEngine(null, 400, 400, 20);
+        playRecordedGame(engine);
+        playRecordedGame(engine);
+        const replay = playRecordedGame(engine);
+        const finalSegments = engine.getSnake().getSegments();
+
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+
+        expect(player.getEngine().getScore()).toBe(replay.finalScore);
+        expect(player.getEngine().getSnake().getSegments()).toEqual(finalSegments);
+    });
+
+    test('should seek backwards and forwards consistently', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 12 });
+        const replay = playRecordedGame(engine);
+        const midpoint = Math.floor(replay.totalTicks / 2);
+
+        const player = new ReplayPlayer(replay);
+        player.seek(midpoint);
+        const midSegments = player.getEngine().getSnake().getSegments();
+
+        player.seek(replay.totalTicks);
+        player.seek(midpoint);
+
+        expect(player.getTick()).toBe(midpoint);
+        expect(player.getEngine().getSnake().getSegments()).toEqual(midSegments);
+    });
+});
+
+describe('ReplayViewer', () => {
+    test('should advance ticks according to elapsed time and speed', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 3 });
+        const replay = playRecordedGame(engine);
+        const ctx = new (global.HTMLCanvasElement)().getContext('2d');
+
+        const viewer = new ReplayViewer(ctx);
+        const updates = [];
+        viewer.onUpdate = (status) => updates.push(status);
+        viewer.load(replay);
+        viewer.setSpeed(2);
+        viewer.play();
+
+        const moveInterval = viewer.player.getEngine().moveInterval;
+        viewer.loop(1000);
+        viewer.loop(1000 + moveInterval * 2);
+
+        expect(viewer.player.getTick()).toBe(4);
+        expect(updates[updates.length - 1]).toMatchObject({ tick: 4, playing: true });
+
+        viewer.pause();
+        viewer.seek(1);
+        expect(viewer.player.getTick()).toBe(1);
+        viewer.unload();
+        expect(viewer.isLoaded()).toBe(false);
+    });
+});
@@ -0,0 +1,133 @@
+// Replay file format tests
+import fc from 'fast-check';
+import { GameEngine, ENGINE_VERSION } from '../js/gameEngine.js';
+import { ReplayPlayer } from '../js/replay.js';
+import {
+    REPLAY_FORMAT,
+    REPLAY_FORMAT_VERSION,
+    ReplayFormatError,
+    encodeDirectionStream,
+    decodeDirectionStream,
+    encodeReplay,
+    serializeReplay,
+    parseReplay
+} from '../js/replayFormat.js';
+
+const board = { gridSize: 20, canvasWidth: 400, canvasHeight: 400 };
+
+// Record a short game that turns in a square so the snake survives a while
+const recordReplay = (seed = 17) => {
+    const engine = new GameEngine(null, board.canvasWidth, board.canvasHeight, board.gridSize, { seed });
+    // Give the AI some history so the snapshot is non-trivial
+    engine.start();
+    engine.tick(50);
+
+    engine.start();
+    const turns = ['up', 'left', 'down', 'right'];
+    for (let i = 0; i < 24 && engine.isRunning(); i++) {
+        if (i % 3 === 0) {
+            engine.handleDirectionInput(turns[(i / 3) % 4]);
+        }
+        engine.step();
+    }
+    return { engine, replay: engine.getReplay() };
+};
+
+describe('Direction stream encoding', () => {
+    test('run-length encodes idle ticks and inputs', () => {
+        const inputs = [
+            { tick: 0, direction: 'up' },
+            { tick: 3, direction: 'left' },
+            { tick: 3, direction: 'left' },
+            { tick: 10, direction: 'down' }
+        ];
+
+        expect(encodeDirectionStream(inputs)).toBe('U3.2L7.D');
+        expect(decodeDirectionStream('U3.2L7.D')).toEqual(inputs);
+    });
+
+    test('Property: decoding an encoded stream returns the original inputs', () => {
+        const inputArbitrary = fc.array(
+            fc.record({
+                gap: fc.integer({ min: 0, max: 30 }),
+                direction: fc.constantFrom('up', 'down', 'left', 'right')
+            }),
+            { maxLength: 50 }
+        );
+
+        fc.assert(fc.property(inputArbitrary, (steps) => {
+            let tick = 0;
+            const inputs = steps.map(({ gap, direction }) => {
+                tick += gap;
+                return { tick, direction };
+            });
+
+            expect(decodeDirectionStream(encodeDirectionStream(inputs))).toEqual(inputs);
+        }));
+    });
+
+    test('rejects unknown symbols', () => {
+        expect(() => decodeDirectionStream('3X')).toThrow(ReplayFormatError);
+    });
+});
+
+describe('Replay files', () => {
+    test('carries format, engine version and board dimensions', () => {
+        const { replay } = recordReplay();
+        const file = encodeReplay(replay);
+
+        expect(file.format).toBe(REPLAY_FORMAT);
+        expect(file.version).toBe(REPLAY_FORMAT_VERSION);
+        expect(file.engineVersion).toBe(ENGINE_VERSION);
+        expect(file.board).toEqual(board);
+        expect(file.encoding).toBe('json');
+    });
+
+    test.each([false, true])('round-trips a replay (compact: %s) and plays it back identically', (compact) => {
+        const { engine, replay } = recordReplay();
+        const restored = parseReplay(serializeReplay(replay, { compact }), board);
+
+        expect(restored.inputs).toEqual(replay.inputs);
+        expect(restored.seed).toBe(replay.seed);
+
+        const player = new ReplayPlayer(restored);
+        player.seek(restored.totalTicks);
+        expect(player.getEngine().getSnake().getSegments()).toEqual(engine.getSnake().getSegments());
+        expect(player.getEngine().getFood().getPosition()).toEqual(engine.getFood().getPosition());
+    });
+
+    test('compact encoding is smaller than the readable form', () => {
+        const { replay } = recordReplay();
+        expect(serializeReplay(replay, { compact: true }).length)
+            .toBeLessThan(serializeReplay(replay).length);
+    });
+
+    test('rejects replays from a different engine version', () => {
+        const { replay } = recordReplay();
+        const file = encodeReplay(replay);
+        file.engineVersion = ENGINE_VERSION + 1;
+
+        expect(() => parseReplay(JSON.stringify(file), board)).toThrow(/engine version/);
+    });
+
+    test('rejects replays recorded on a different board', () => {
+        const { replay } = recordReplay();
+        const text = serializeReplay(replay);
+
+        expect(() => parseReplay(text, { ...board, canvasWidth: 600 })).toThrow(/board/);
+        expect(() => parseReplay(text)).not.toThrow();
+    });
+
+    test('rejects files that are not replays', () => {
+        expect(() => parseReplay('not json')).toThrow(ReplayFormatError);
+        expect(() => parseReplay('{"format":"something-else"}')).toThrow('Not a snake replay file');
+    });
+
+    test('rejects out-of-order or out-of-range inputs', () => {
+        const { replay } = recordReplay();
+        const file = encodeReplay(replay);
+        file.inputs = [{ tick: 5, direction: 'up' }, { tick: 2, direction: 'left' }];
+
+        expect(() => parseReplay(JSON.stringify(file))).toThrow('Replay input stream is invalid');
+    });
+});
@@ -0,0 +1,233 @@
+// AI rival snake tests
+import { GameEngine } from '../js/gameEngine.js';
+import { RivalController, getRivalProfile, RIVAL_RESPAWN_TICKS } from '../js/rival.js';
+import { ReplayPlayer } from '../js/replay.js';
+import { getModeRules } from '../js/gameModes.js';
+import { SeededRandom } from '../js/random.js';
+
+const cells = (...points) => points.map(([x, y]) => ({ x, y }));
+const board = { columns: 20, rows: 20, wrap: false };
+
+const placeSnake = (snake, points, direction) => {
+    snake.segments = points.map(([x, y]) => ({ x: x * 20, y: y * 20 }));
+    snake.direction = direction;
+    snake.nextDirection = direction;
+};
+
+// A controller that never makes careless moves or passes up a race
+const focusedRandom = () => ({ next: () => 0, nextInt: () => 0 });
+
+describe('Rival profile', () => {
+    test('skill and aggression grow with difficulty', () => {
+        const easy = getRivalProfile(1);
+        const hard = getRivalProfile(10);
+
+        expect(hard.skill).toBeGreaterThan(easy.skill);
+        expect(hard.aggression).toBeGreaterThan(easy.aggression);
+        expect(getRivalProfile(99)).toEqual(hard);
+    });
+});
+
+describe('RivalController', () => {
+    const view = (overrides) => ({
+        board,
+        snake: cells([5, 5], [4, 5], [3, 5]),
+        direction: 'right',
+        opponent: cells([15, 15], [14, 15], [13, 15]),
+        foods: [],
+        obstacles: [],
+        difficulty: 5,
+        ...overrides
+    });
+
+    test('heads along the shortest path to food it can reach first', () => {
+        const rival = new RivalController(focusedRandom());
+
+        expect(rival.chooseDirection(view({ foods: cells([5, 1]) }))).toBe('up');
+    });
+
+    test('steers around obstacles on the way', () => {
+        const rival = new RivalController(focusedRandom());
+        const direction = rival.chooseDirection(view({
+            foods: cells([8, 5]),
+            obstacles: cells([6, 5], [6, 4], [6, 6])
+        }));
+
+        expect(['up', 'down']).toContain(direction);
+    });
+
+    test('never turns into a wall or a body when a way out exists', () => {
+        const rival = new RivalController(new SeededRandom(3));
+
+        for (let i = 0; i < 50; i++) {
+            const direction = rival.chooseDirection(view({
+                snake: cells([0, 5], [0, 6], [0, 7]),
+                direction: 'up',
+                opponent: cells([1, 3], [1, 4], [1, 5], [1, 6])
+            }));
+            expect(direction).toBe('up');
+        }
+    });
+
+    test('keeps out of cells the player could move into', () => {
+        const rival = new RivalController(focusedRandom());
+        const direction = rival.chooseDirection(view({
+            foods: cells([7, 5]),
+            opponent: cells([6, 6], [6, 7], [6, 8])
+        }));
+
+        expect(direction).toBe('up');
+    });
+
+    test('keeps out of the player\'s tail when the player may eat and grow', () => {
+        const rival = new RivalController(new SeededRandom(5));
+
+        for (let i = 0; i < 50; i++) {
+            const direction = rival.chooseDirection(view({
+                opponent: cells([7, 4], [7, 5], [6, 5]),
+                foods: cells([7, 3]),
+                difficulty: 1
+            }));
+            expect(direction).not.toBe('right');
+        }
+    });
+
+    test('leaves food the player reaches first unless it is aggressive', () => {
+        const race = {
+            snake: cells([2, 10], [1, 10], [0, 10]),
+            opponent: cells([10, 4], [10, 3], [10, 2]),
+            foods: cells([10, 6])
+        };
+        const timid = new RivalController({ next: () => 0.99, nextInt: () => 0 });
+        const bold = new RivalController({ next: () => 0.5, nextInt: () => 0 });
+
+        expect(timid.chooseTarget(view(race), new Set(), { skill: 1, aggression: 0.1 })).toBeNull();
+        expect(bold.chooseTarget(view(race), new Set(), { skill: 1, aggression: 0.9 })).toEqual({ x: 10, y: 6 });
+    });
+});
+
+describe('Rival mode', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 600, 600, 20, { seed: 8, mode: 'rival' });
+        engine.start();
+    });
+
+    test('puts a computer-controlled snake on the board', () => {
+        const rival = engine.getOpponent();
+
+        expect(rival.controller).toBeInstanceOf(RivalController);
+        expect(rival.snake.getPosition()).toEqual({ x: 500, y: 380 });
+    });
+
+    test('the arrow keys steer the player, not the rival', () => {
+        engine.handleInput('ArrowUp');
+
+        expect(engine.getInputQueue()).toEqual(['up']);
+        engine.handleDirectionInput('down', 2);
+        expect(engine.getReplay().inputs).toEqual([{ tick: 0, direction: 'up' }]);
+    });
+
+    test('the rival scores the food it reaches', () => {
+        const head = engine.getOpponent().snake.getPosition();
+        engine.getOpponent().controller.random = focusedRandom();
+        engine.getFood().spawn({ x: head.x - 20, y: head.y }, [], 'normal');
+
+        engine.step();
+
+        expect(engine.getOpponent().score).toBeGreaterThan(0);
+        expect(engine.getOpponent().foodEaten).toBe(1);
+        expect(engine.getScore()).toBe(0);
+    });
+
+    test('the player\'s score multiplier does not multiply the rival\'s points', () => {
+        const head = engine.getOpponent().snake.getPosition();
+        engine.getOpponent().controller.random = focusedRandom();
+        engine.getFood().spawn({ x: head.x - 20, y: head.y }, [], 'normal');
+        engine.powerUpEffects.activate('multiplier');
+
+        engine.step();
+
+        expect(engine.getOpponent().foodEaten).toBe(1);
+        expect(engine.getOpponent().score).toBe(getModeRules('rival').scoreFood(engine, { type: 'normal' }, 2));
+    });
+
+    test('food the rival eats does not change the player\'s pace', () => {
+        const head = engine.getOpponent().snake.getPosition();
+        const moveInterval = engine.moveInterval;
+        engine.getOpponent().controller.random = focusedRandom();
+        engine.getFood().spawn({ x: head.x - 20, y: head.y }, [], 'speedUp');
+
+        engine.step();
+
+        expect(engine.getOpponent().foodEaten).toBe(1);
+        expect(engine.speedEffect).toBeNull();
+        expect(engine.moveInterval).toBe(moveInterval);
+    });
+
+    test('a crashed rival leaves the board and comes back later', () => {
+        placeSnake(engine.getOpponent().snake, [[29, 10], [28, 10], [27, 10]], 'right');
+        engine.getOpponent().controller = { chooseDirection: () => 'right' };
+
+        engine.step();
+
+        expect(engine.isGameOver()).toBe(false);
+        expect(engine.getOpponent().alive).toBe(false);
+        expect(engine.getSnakeCells()).toHaveLength(3);
+
+        engine.tick(RIVAL_RESPAWN_TICKS / 2);
+        engine.handleDirectionInput('down');
+        engine.tick(RIVAL_RESPAWN_TICKS / 2);
+        expect(engine.isGameOver()).toBe(false);
+        expect(engine.getOpponent().alive).toBe(true);
+        expect(engine.getOpponent().snake.getPosition()).toEqual({ x: 500, y: 380 });
+    });
+
+    test('running into the rival ends the game', () => {
+        const results = [];
+        engine.onGameOver = (result) => results.push(result);
+        placeSnake(engine.getSnake(), [[10, 10], [9, 10], [8, 10]], 'right');
+        placeSnake(engine.getOpponent().snake, [[11, 12], [11, 11], [11, 10], [11, 9]], 'down');
+        engine.getOpponent().controller = { chooseDirection: () => 'down' };
+
+        engine.step();
+
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.getWinner()).toBe(2);
+        expect(results[0]).toEqual(expect.objectContaining({ mode: 'rival', winner: 2 }));
+    });
+
+    test('the rival survives a long game on its own', () => {
+        // Keep the player circling in the top left corner, out of the way
+        const turns = ['down', 'left', 'up', 'right'];
+        placeSnake(engine.getSnake(), [[2, 1], [1, 1], [0, 1]], 'right');
+        for (let i = 0; i < 400 && !engine.isGameOver(); i++) {
+            engine.handleDirectionInput(turns[Math.floor(i / 2) % 4]);
+            engine.step();
+        }
+
+        expect(engine.isGameOver()).toBe(false);
+        expect(engine.getOpponent().foodEaten).toBeGreaterThan(3);
+    });
+
+    test('replays re-create the rival without recording its moves', () => {
+        engine.handleInput('ArrowDown');
+        engine.tick(30);
+
+        const replay = engine.getReplay();
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+
+        expect(replay.inputs.every(input => !input.player)).toBe(true);
+        expect(player.getEngine().getOpponent().snake.getSegments()).toEqual(engine.getOpponent().snake.getSegments());
+        expect(player.getEngine().getOpponent().score).toBe(engine.getOpponent().score);
+    });
+
+    test('the rival score does not count towards the high score', () => {
+        engine.getOpponent().score = 500;
+        engine.updateHighScore();
+
+        expect(engine.getHighScore()).toBe(0);
+    });
+});
@@ -89,6 +89,24 @@ describe('Snake Class Unit Tests', () => {
             expect(newTail.x % gridSize).toBe(0);
             expect(newTail.y % gridSize).toBe(0);
         });
+
+        test('growing after a move keeps the tail where it was', () => {
+            // A tail that turned at the edge would extend off the board
+            snake.segments = [{ x: 20, y: 20 }, { x: 20, y: 0 }, { x: 0, y: 0 }];
+            snake.direction = 'down';
+            snake.nextDirection = 'down';
+            snake.move();
+            snake.grow();
+
+            expect(snake.getSegments()).toEqual([{ x: 20, y: 40 }, { x: 20, y: 20 }, { x: 20, y: 0 }, { x: 0, y: 0 }]);
+        });
+
+        test('never grows off the board or onto the body', () => {
+            snake.segments = [{ x: 20, y: 0 }, { x: 0, y: 0 }];
+            snake.grow();
+
+            expect(snake.getSegments()[2]).toEqual({ x: 0, y: 0 });
+        });
     });
 
     describe('Collision Detection', () => {
@@ -141,4 +159,40 @@ describe('Snake Class Unit Tests', () => {
             expect(segments).not.toBe(snake.segments); // Should be a copy
         });
     });
+
+    describe('Wrap-around Boards', () => {
+        let wrapSnake;
+
+        beforeEach(() => {
+            wrapSnake = new Snake(gridSize, canvasWidth, canvasHeight, { wrap: true });
+        });
+
+        test('re-enters from the opposite edge', () => {
+            wrapSnake.segments = [{ x: 580, y: 300 }, { x: 560, y: 300 }, { x: 540, y: 300 }];
+            wrapSnake.move();
+            expect(wrapSnake.getPosition()).toEqual({ x: 0, y: 300 });
+
+            wrapSnake.segments = [{ x: 300, y: 0 }, { x: 300, y: 20 }, { x: 300, y: 40 }];
+            wrapSnake.direction = 'up';
+            wrapSnake.nextDirection = 'up';
+            wrapSnake.move();
+            expect(wrapSnake.getPosition()).toEqual({ x: 300, y: 580 });
+        });
+
+        test('edges are not collisions, but the body still is', () => {
+            wrapSnake.segments = [{ x: 0, y: 300 }, { x: 580, y: 300 }, { x: 560, y: 300 }];
+            expect(wrapSnake.checkCollision()).toBe(false);
+
+            wrapSnake.segments = [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 20 }, { x: 0, y: 20 }, { x: 0, y: 0 }];
+            expect(wrapSnake.checkCollision()).toBe(true);
+        });
+
+        test('grows behind a tail that has just wrapped', () => {
+            wrapSnake.segments = [{ x: 20, y: 300 }, { x: 0, y: 300 }, { x: 580, y: 300 }];
+            wrapSnake.grow();
+            const segments = wrapSnake.getSegments();
+            expect(segments).toHaveLength(4);
+            expect(segments[3]).toEqual({ x: 560, y: 300 });
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,158 @@
+// Solver, autopilot and hint tests
+import { solve, planMoves, buildHamiltonianCycle } from '../js/solver.js';
+import { GameEngine } from '../js/gameEngine.js';
+import { ReplayPlayer } from '../js/replay.js';
+
+const cells = (...points) => points.map(([x, y]) => ({ x, y }));
+const board = { columns: 10, rows: 10, wrap: false };
+
+const view = (overrides) => ({
+    board,
+    snake: cells([2, 2], [1, 2], [0, 2]),
+    direction: 'right',
+    opponent: [],
+    foods: [],
+    obstacles: [],
+    difficulty: 1,
+    ...overrides
+});
+
+describe('Hamiltonian cycle', () => {
+    const isCycle = (cycle, columns, rows) => {
+        const keys = new Set(cycle.map(cell => `${cell.x},${cell.y}`));
+        const adjacent = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y) === 1;
+        return cycle.length === columns * rows && keys.size === cycle.length &&
+            cycle.every((cell, i) => adjacent(cell, cycle[(i + 1) % cycle.length]));
+    };
+
+    test('visits every cell once and closes the loop', () => {
+        expect(isCycle(buildHamiltonianCycle(6, 4), 6, 4)).toBe(true);
+        expect(isCycle(buildHamiltonianCycle(4, 5), 4, 5)).toBe(true);
+    });
+
+    test('does not exist when both sides are odd', () => {
+        expect(buildHamiltonianCycle(5, 5)).toBeNull();
+        expect(buildHamiltonianCycle(1, 6)).toBeNull();
+    });
+});
+
+describe('Solver', () => {
+    test('heads straight for reachable food', () => {
+        expect(solve(view({ foods: cells([2, 6]) }))).toEqual({ direction: 'down', strategy: 'food' });
+    });
+
+    test('never turns back on itself', () => {
+        const result = solve(view({ snake: cells([5, 5]), direction: 'right', foods: cells([2, 5]) }));
+
+        expect(result.direction).not.toBe('left');
+    });
+
+    test('refuses food that would seal it off from its tail', () => {
+        // The food sits at the end of a one-cell-wide dead end
+        const obstacles = cells([4, 0], [4, 1], [4, 2], [6, 0], [6, 1], [6, 2]);
+        const result = solve(view({
+            snake: cells([5, 4], [5, 5], [5, 6], [5, 7], [5, 8]),
+            direction: 'up',
+            foods: cells([5, 0]),
+            obstacles
+        }));
+
+        expect(result.strategy).not.toBe('food');
+    });
+
+    test('follows the cycle once the board is crowded', () => {
+        const cycle = buildHamiltonianCycle(4, 4);
+        // An eight-cell snake lying along the cycle
+        const snake = cycle.slice(0, 8).reverse();
+        const result = solve(view({ board: { columns: 4, rows: 4, wrap: false }, snake, direction: 'right' }));
+
+        expect(result.strategy).toBe('cycle');
+    });
+
+    test('plans the next moves as a connected path', () => {
+        const path = planMoves(view({ foods: cells([6, 2]) }), 5);
+
+        // Four moves to reach the food, then one more past it
+        expect(path.slice(0, 4)).toEqual(cells([3, 2], [4, 2], [5, 2], [6, 2]));
+        expect(path).toHaveLength(5);
+    });
+});
+
+describe('Autopilot', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 400, 400, 20, { seed: 5 });
+        engine.setAutopilot(true);
+        engine.start();
+    });
+
+    test('plays a long game without crashing', () => {
+        engine.tick(600);
+
+        expect(engine.isGameOver()).toBe(false);
+        expect(engine.foodEaten).toBeGreaterThan(10);
+    });
+
+    // Plays until the snake fills the board; the cycle guarantees a meal within one tour
+    const playToFullBoard = (columns, seed, boardMode = 'walls') => {
+        const game = new GameEngine(null, columns * 20, columns * 20, 20, { seed, boardMode });
+        game.setAutopilot(true);
+        game.start();
+        let longestWait = 0;
+        let wait = 0;
+        let eaten = 0;
+        while (!game.isGameOver() && game.getSnake().getSegments().length < columns * columns && wait <= columns * columns) {
+            game.step();
+            wait = game.foodEaten === eaten ? wait + 1 : 0;
+            eaten = game.foodEaten;
+            longestWait = Math.max(longestWait, wait);
+        }
+        return { game, longestWait };
+    };
+
+    test.each([
+        [6, 1, 'walls'],
+        [6, 4, 'walls'],
+        [10, 2, 'walls'],
+        [10, 3, 'wrap']
+    ])('fills a square board %i cells wide without dying or stalling (seed %i, %s)', (columns, seed, boardMode) => {
+        const { game, longestWait } = playToFullBoard(columns, seed, boardMode);
+
+        expect(game.isGameOver()).toBe(false);
+        expect(game.getSnake().getSegments()).toHaveLength(columns * columns);
+        expect(longestWait).toBeLessThan(columns * columns);
+    });
+
+    test('records its moves so the replay plays back without the solver', () => {
+        engine.tick(120);
+
+        const replay = engine.getReplay();
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+
+        expect(replay.inputs.length).toBeGreaterThan(0);
+        expect(player.getEngine().getSnake().getSegments()).toEqual(engine.getSnake().getSegments());
+    });
+
+    test('autopilot games set no high score', () => {
+        const results = [];
+        engine.onGameOver = (result) => results.push(result);
+        engine.tick(200);
+        engine.gameOver();
+
+        expect(engine.getScore()).toBeGreaterThan(0);
+        expect(engine.getHighScore()).toBe(0);
+        expect(results[0]).toEqual(expect.objectContaining({ autopilot: true, isNewHighScore: false }));
+    });
+
+    test('hints show the moves the autopilot is about to make', () => {
+        engine.setAutopilot(false);
+        const hint = engine.getHint();
+        const head = engine.getSnake().getPosition();
+
+        expect(hint.length).toBeGreaterThan(0);
+        expect(Math.abs(hint[0].x * 20 - head.x) + Math.abs(hint[0].y * 20 - head.y)).toBe(20);
+        expect(engine.getHint()).toBe(hint);
+    });
+});
@@ -1,5 +1,7 @@
 // StorageManager Tests
-import { StorageManager } from '../js/storageManager.js';
+import { StorageManager, DEFAULT_KEY_PROFILE } from '../js/storageManager.js';
+import { DEFAULT_GAMEPAD_MAPPING } from '../js/gamepad.js';
+import { DEFAULT_KEY_BINDINGS } from '../js/keyBindings.js';
 
 describe('StorageManager', () => {
     let storageManager;
@@ -52,6 +54,147 @@ describe('StorageManager', () => {
         });
     });
 
+    describe('Best Replay Management', () => {
+        const replay = {
+            seed: 42,
+            config: {
+                gridSize: 20,
+                canvasWidth: 400,
+                canvasHeight: 400,
+                difficulty: 1,
+                ai: {
+                    movementHeatmap: [[0, 1], [2, 0]],
+                    movementHistory: [],
+                    performanceMetrics: { averageScore: 0, recentScores: [], difficultyProgression: [1] },
+                    adaptationSettings: { currentDifficulty: 1, foodPlacementStrategy: 'random', visualIntensityLevel: 1 }
+                }
+            },
+            inputs: [{ tick: 0, direction: 'up' }, { tick: 4, direction: 'left' }],
+            totalTicks: 12,
+            finalScore: 30
+        };
+
+        test('should save and load the best replay', () => {
+            expect(storageManager.saveBestReplay(replay)).toBe(true);
+
+            const loaded = storageManager.loadBestReplay({ gridSize: 20, canvasWidth: 400, canvasHeight: 400 });
+            expect(loaded.seed).toBe(42);
+            expect(loaded.inputs).toEqual(replay.inputs);
+            expect(loaded.config.ai.movementHeatmap).toEqual(replay.config.ai.movementHeatmap);
+        });
+
+        test('should ignore a best replay from a different board', () => {
+            storageManager.saveBestReplay(replay);
+            expect(storageManager.loadBestReplay({ gridSize: 20, canvasWidth: 600, canvasHeight: 600 })).toBe(null);
+        });
+
+        test('should keep a best replay per board size', () => {
+            const medium = { ...replay, seed: 7, config: { ...replay.config, canvasWidth: 600, canvasHeight: 600 } };
+            storageManager.saveBestReplay(replay);
+            storageManager.saveBestReplay(medium);
+
+            expect(storageManager.loadBestReplay({ gridSize: 20, canvasWidth: 400, canvasHeight: 400 }).seed).toBe(42);
+            expect(storageManager.loadBestReplay({ gridSize: 20, canvasWidth: 600, canvasHeight: 600 }).seed).toBe(7);
+            // The medium board keeps the key used before board sizes existed
+            expect(mockLocalStorage.data.aiSnakeGame_bestReplay).toBeDefined();
+        });
+
+        test('should keep best runs on other edges and food counts apart', () => {
+            const board = { gridSize: 20, canvasWidth: 400, canvasHeight: 400 };
+            const wrap = { ...replay, seed: 8, config: { ...replay.config, boardMode: 'wrap' } };
+            const twoFoods = { ...replay, seed: 9, config: { ...replay.config, foodCount: 2 } };
+            storageManager.saveBestReplay(replay);
+            storageManager.saveBestReplay(wrap);
+            storageManager.saveBestReplay(twoFoods);
+
+            expect(storageManager.loadBestReplay(board).seed).toBe(42);
+            expect(storageManager.loadBestReplay({ ...board, boardMode: 'wrap' }).seed).toBe(8);
+            expect(storageManager.loadBestReplay({ ...board, foodCount: 2 }).seed).toBe(9);
+            expect(storageManager.loadBestReplay({ ...board, foodCount: 3 })).toBe(null);
+        });
+
+        test('should reject invalid replays', () => {
+            expect(storageManager.saveBestReplay(null)).toBe(false);
+            expect(storageManager.saveBestReplay({ inputs: [] })).toBe(false);
+        });
+    });
+
+    describe('Gamepad Mapping', () => {
+        test('should save and load a remapped gamepad', () => {
+            const mapping = { ...DEFAULT_GAMEPAD_MAPPING, pause: [5] };
+
+            expect(storageManager.saveGamepadMapping(mapping)).toBe(true);
+            expect(storageManager.loadGamepadMapping()).toEqual(mapping);
+        });
+
+        test('should return null without a stored mapping and ignore a corrupt one', () => {
+            expect(storageManager.loadGamepadMapping()).toBeNull();
+
+            mockLocalStorage.data[storageManager.gamepadMappingKey] = '{not json';
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(storageManager.loadGamepadMapping()).toBeNull();
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('Board Size', () => {
+        test('should save and load presets and custom sizes', () => {
+            expect(storageManager.saveBoardSize('large')).toBe(true);
+            expect(storageManager.loadBoardSize()).toEqual({ preset: 'large', columns: 40, rows: 40 });
+
+            expect(storageManager.saveBoardSize({ preset: 'custom', columns: 32, rows: 18 })).toBe(true);
+            expect(storageManager.loadBoardSize()).toEqual({ preset: 'custom', columns: 32, rows: 18 });
+        });
+
+        test('should refuse unusable sizes and ignore a corrupt one', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(storageManager.saveBoardSize({ preset: 'custom', columns: 500, rows: 18 })).toBe(false);
+            expect(storageManager.loadBoardSize()).toBeNull();
+
+            mockLocalStorage.data[storageManager.boardSizeKey] = '{not json';
+            expect(storageManager.loadBoardSize()).toBeNull();
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('Key Binding Profiles', () => {
+        const azerty = { ...DEFAULT_KEY_BINDINGS, moveUp: ['z'], moveLeft: ['q'] };
+
+        test('should keep bindings per profile', () => {
+            expect(storageManager.saveKeyBindings(azerty, 'Camille')).toBe(true);
+            expect(storageManager.saveKeyBindings(DEFAULT_KEY_BINDINGS)).toBe(true);
+
+            expect(storageManager.loadKeyBindings('Camille').moveUp).toEqual(['z']);
+            expect(storageManager.loadKeyBindings().moveUp).toEqual(['w']);
+            expect(storageManager.loadKeyBindings('Nobody')).toBeNull();
+            expect(storageManager.loadKeyProfiles()).toEqual([DEFAULT_KEY_PROFILE, 'Camille']);
+        });
+
+        test('should remember the active profile', () => {
+            expect(storageManager.loadActiveKeyProfile()).toBe(DEFAULT_KEY_PROFILE);
+
+            storageManager.saveKeyBindings(azerty, 'Camille');
+            storageManager.saveActiveKeyProfile('Camille');
+            expect(storageManager.loadActiveKeyProfile()).toBe('Camille');
+        });
+
+        test('should delete profiles but never the default one', () => {
+            storageManager.saveKeyBindings(azerty, 'Camille');
+            storageManager.saveActiveKeyProfile('Camille');
+
+            expect(storageManager.deleteKeyBindings(DEFAULT_KEY_PROFILE)).toBe(false);
+            expect(storageManager.deleteKeyBindings('Camille')).toBe(true);
+            expect(storageManager.loadKeyBindings('Camille')).toBeNull();
+            expect(storageManager.loadActiveKeyProfile()).toBe(DEFAULT_KEY_PROFILE);
+        });
+
+        test('should reject a profile without a name', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(storageManager.saveKeyBindings(azerty, '  ')).toBe(false);
+            warnSpy.mockRestore();
+        });
+    });
+
     describe('High Score Management', () => {
         test('should save and load high score correctly', () => {
             const score = 150;
@@ -87,6 +230,67 @@ describe('StorageManager', () => {
             expect(loadedScore).toBe(100); // Should still be the higher score
         });
 
+        test('should keep a separate high score per game mode', () => {
+            storageManager.saveHighScore(100);
+            storageManager.saveHighScore(40, 'timeAttack');
+
+            expect(storageManager.loadHighScore()).toBe(100);
+            expect(storageManager.loadHighScore('timeAttack')).toBe(40);
+        });
+
+        test('should keep a separate high score and table per board size', () => {
+            const small = { gridSize: 20, canvasWidth: 400, canvasHeight: 400 };
+            const medium = { gridSize: 20, canvasWidth: 600, canvasHeight: 600 };
+            storageManager.saveHighScore(100);
+            storageManager.saveHighScore(30, 'endless', small);
+            storageManager.saveHighScoreEntry('endless', { score: 30, foodEaten: 3 }, small);
+
+            expect(storageManager.loadHighScore('endless', small)).toBe(30);
+            expect(storageManager.loadHighScore('endless', medium)).toBe(100);
+            expect(storageManager.loadHighScoreTable('endless', small)).toHaveLength(1);
+            expect(storageManager.loadHighScoreTable('endless', medium)).toEqual([]);
+
+            storageManager.clearAllData();
+            expect(storageManager.loadHighScore('endless', small)).toBe(0);
+            expect(storageManager.loadHighScoreTable('endless', small)).toEqual([]);
+        });
+
+        test('should keep high scores and tables of other board setups apart', () => {
+            const medium = { gridSize: 20, canvasWidth: 600, canvasHeight: 600, boardMode: 'walls', level: null, foodCount: 1 };
+            const wrap = { ...medium, boardMode: 'wrap' };
+            storageManager.saveHighScore(100, 'endless', medium);
+            storageManager.saveHighScore(30, 'endless', wrap);
+            storageManager.saveHighScoreEntry('endless', { score: 30, foodEaten: 3 }, wrap);
+
+            expect(storageManager.loadHighScore()).toBe(100);
+            expect(storageManager.loadHighScore('endless', wrap)).toBe(30);
+            expect(storageManager.loadHighScore('endless', { ...medium, foodCount: 2 })).toBe(0);
+            expect(storageManager.loadHighScoreTable('endless', medium)).toEqual([]);
+            expect(storageManager.loadHighScoreTable('endless', wrap)).toHaveLength(1);
+        });
+
+        test('should rank runs in a per-mode high-score table', () => {
+            expect(storageManager.saveHighScoreEntry('timeAttack', { score: 50, foodEaten: 5 })).toBe(0);
+            expect(storageManager.saveHighScoreEntry('timeAttack', { score: 80, foodEaten: 8 })).toBe(0);
+            expect(storageManager.saveHighScoreEntry('timeAttack', { score: 50, foodEaten: 4 })).toBe(2);
+            expect(storageManager.saveHighScoreEntry('timeAttack', { score: 0 })).toBe(-1);
+
+            const table = storageManager.loadHighScoreTable('timeAttack');
+            expect(table.map(entry => entry.score)).toEqual([80, 50, 50]);
+            expect(table[1].foodEaten).toBe(5);
+            expect(storageManager.loadHighScoreTable('endless')).toEqual([]);
+        });
+
+        test('should cap the high-score table', () => {
+            for (let score = 10; score <= 120; score += 10) {
+                storageManager.saveHighScoreEntry('endless', { score, foodEaten: 1 });
+            }
+            const table = storageManager.loadHighScoreTable('endless');
+            expect(table).toHaveLength(10);
+            expect(table[9].score).toBe(30);
+            expect(storageManager.saveHighScoreEntry('endless', { score: 20 })).toBe(-1);
+        });
+
         // Legacy format handling is tested implicitly through the error handling paths
     });
 
@@ -0,0 +1,114 @@
+// Touch controls tests
+import { classifyGesture, TouchControls, GESTURE_DEFAULTS } from '../js/touchControls.js';
+import { GameEngine } from '../js/gameEngine.js';
+
+const point = (x, y, time = 0) => ({ x, y, time });
+
+// A touch event as far as TouchControls reads it
+function touchEvent(type, x, y, timeStamp = 0) {
+    const event = new Event(type, { cancelable: true });
+    event.changedTouches = [{ clientX: x, clientY: y }];
+    Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+    return event;
+}
+
+describe('classifyGesture', () => {
+    test('recognises swipes in all four directions', () => {
+        expect(classifyGesture(point(100, 100), point(160, 100))).toEqual({ type: 'swipe', direction: 'right' });
+        expect(classifyGesture(point(100, 100), point(40, 100))).toEqual({ type: 'swipe', direction: 'left' });
+        expect(classifyGesture(point(100, 100), point(100, 40))).toEqual({ type: 'swipe', direction: 'up' });
+        expect(classifyGesture(point(100, 100), point(100, 160))).toEqual({ type: 'swipe', direction: 'down' });
+    });
+
+    test('a diagonal swipe follows its longer axis', () => {
+        expect(classifyGesture(point(0, 0), point(50, 20))).toEqual({ type: 'swipe', direction: 'right' });
+        expect(classifyGesture(point(0, 0), point(-20, -50))).toEqual({ type: 'swipe', direction: 'up' });
+    });
+
+    test('a short, quick touch is a tap', () => {
+        expect(classifyGesture(point(100, 100, 0), point(103, 102, 120))).toEqual({ type: 'tap' });
+    });
+
+    test('a long press or a short drag is neither', () => {
+        expect(classifyGesture(point(100, 100, 0), point(101, 100, GESTURE_DEFAULTS.tapDuration + 200))).toBeNull();
+        expect(classifyGesture(point(100, 100), point(115, 100))).toBeNull();
+    });
+
+    test('thresholds can be changed', () => {
+        expect(classifyGesture(point(0, 0), point(15, 0), { swipeDistance: 12 })).toEqual({ type: 'swipe', direction: 'right' });
+    });
+});
+
+describe('TouchControls', () => {
+    let canvas;
+    let controls;
+    let directions;
+    let taps;
+
+    beforeEach(() => {
+        canvas = document.createElement('canvas');
+        controls = new TouchControls(canvas);
+        directions = [];
+        taps = 0;
+        controls.onDirection = (direction) => directions.push(direction);
+        controls.onTap = () => taps++;
+        controls.attach();
+    });
+
+    test('reports a swipe and stops the page from scrolling', () => {
+        const start = touchEvent('touchstart', 100, 100);
+        canvas.dispatchEvent(start);
+        canvas.dispatchEvent(touchEvent('touchend', 100, 20, 150));
+
+        expect(directions).toEqual(['up']);
+        expect(start.defaultPrevented).toBe(true);
+    });
+
+    test('a long drag can turn more than once', () => {
+        canvas.dispatchEvent(touchEvent('touchstart', 100, 100));
+        canvas.dispatchEvent(touchEvent('touchmove', 140, 100, 50));
+        canvas.dispatchEvent(touchEvent('touchmove', 140, 140, 100));
+        canvas.dispatchEvent(touchEvent('touchend', 142, 141, 120));
+
+        expect(directions).toEqual(['right', 'down']);
+        expect(taps).toBe(0);
+    });
+
+    test('reports a tap', () => {
+        canvas.dispatchEvent(touchEvent('touchstart', 100, 100, 0));
+        canvas.dispatchEvent(touchEvent('touchend', 102, 101, 100));
+
+        expect(taps).toBe(1);
+        expect(directions).toEqual([]);
+    });
+
+    test('a cancelled touch reports nothing', () => {
+        canvas.dispatchEvent(touchEvent('touchstart', 100, 100));
+        canvas.dispatchEvent(touchEvent('touchcancel', 100, 100));
+        canvas.dispatchEvent(touchEvent('touchend', 100, 20));
+
+        expect(directions).toEqual([]);
+    });
+
+    test('detach stops listening', () => {
+        controls.detach();
+        canvas.dispatchEvent(touchEvent('touchstart', 100, 100));
+        canvas.dispatchEvent(touchEvent('touchend', 100, 20));
+
+        expect(directions).toEqual([]);
+    });
+
+    test('swipes steer the engine through the keyboard path and are recorded', () => {
+        const engine = new GameEngine(null, 400, 400, 20, { seed: 3 });
+        const keys = { up: 'w', down: 's', left: 'a', right: 'd' };
+        controls.onDirection = (direction) => engine.handleInput(keys[direction]);
+        engine.start();
+
+        canvas.dispatchEvent(touchEvent('touchstart', 100, 100));
+        canvas.dispatchEvent(touchEvent('touchend', 100, 20));
+        engine.step();
+
+        expect(engine.getSnake().direction).toBe('up');
+        expect(engine.getReplay().inputs.map(input => input.direction)).toEqual(['up']);
+    });
+});
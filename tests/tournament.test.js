@@ -0,0 +1,97 @@
+// Bot tournament tests
+import { runTournament, playGame, summarize, formatStandings, getControllerFactory, parseTournamentArgs } from '../js/tournament.js';
+import { GreedyController, SolverController } from '../js/controllers.js';
+import { ENGINE_VERSION } from '../js/gameEngine.js';
+
+const straight = { nextDirection: () => null };
+
+describe('Tournament', () => {
+    test('plays a seeded game to the end and reports how it ended', () => {
+        const result = playGame(straight, 4, { maxTicks: 500 });
+
+        expect(result).toEqual(expect.objectContaining({ seed: 4, score: 0, cause: 'wall' }));
+        expect(result.ticks).toBeLessThan(500);
+    });
+
+    test('a game still going at the tick limit counts as survived', () => {
+        const result = playGame(new SolverController(), 4, { maxTicks: 50 });
+
+        expect(result.cause).toBe('survived');
+        expect(result.ticks).toBe(50);
+    });
+
+    test('the same seed plays out the same way', () => {
+        expect(playGame(new GreedyController(), 9, { maxTicks: 300 })).toEqual(playGame(new GreedyController(), 9, { maxTicks: 300 }));
+    });
+
+    test('summarizes scores, survival and death causes', () => {
+        const summary = summarize('bot', [
+            { score: 10, ticks: 100, cause: 'wall' },
+            { score: 30, ticks: 300, cause: 'self' },
+            { score: 50, ticks: 200, cause: 'wall' },
+            { score: 70, ticks: 400, cause: 'survived' }
+        ]);
+
+        expect(summary).toEqual(expect.objectContaining({
+            games: 4,
+            meanScore: 40,
+            medianScore: 40,
+            bestScore: 70,
+            meanTicks: 250,
+            causes: { wall: 2, self: 1, survived: 1 }
+        }));
+    });
+
+    test('ranks controllers by mean score over the same seeds', () => {
+        const tournament = runTournament([
+            { name: 'straight', createController: () => straight },
+            { name: 'greedy', createController: () => new GreedyController() }
+        ], { games: 3, maxTicks: 200 });
+
+        expect(tournament.engineVersion).toBe(ENGINE_VERSION);
+        expect(tournament.standings.map(standing => standing.name)).toEqual(['greedy', 'straight']);
+        expect(tournament.standings[0].rank).toBe(1);
+        expect(tournament.standings[1].results.map(result => result.seed)).toEqual([1, 2, 3]);
+        expect(JSON.parse(JSON.stringify(tournament))).toEqual(tournament);
+    });
+
+    test('rejects entries that do not create controllers', () => {
+        expect(() => runTournament([{ name: 'broken', createController: () => ({}) }], { games: 1 })).toThrow(/broken/);
+    });
+
+    test('formats a ranking table', () => {
+        const table = formatStandings({
+            standings: [summarize('solver', [{ score: 120, ticks: 900, cause: 'survived' }])].map(standing => ({ ...standing, rank: 1 }))
+        });
+        const lines = table.split('\n');
+
+        expect(lines[0]).toMatch(/^#\s+Controller\s+Games\s+Mean\s+Median\s+Best\s+Ticks\s+Deaths$/);
+        expect(lines[2]).toMatch(/^1\s+solver\s+1\s+120\.0\s+120\s+120\s+900\s+survived 1$/);
+    });
+
+    test('accepts controller classes, factories and objects from modules', () => {
+        expect(getControllerFactory({ default: GreedyController })()).toBeInstanceOf(GreedyController);
+        expect(getControllerFactory({ default: () => straight })()).toBe(straight);
+        expect(getControllerFactory({ controller: straight })()).toBe(straight);
+        expect(getControllerFactory({ default: 42 })).toBeNull();
+    });
+
+    test('parses command line options', () => {
+        const args = parseTournamentArgs(['--games', '5', '--seed', '0', '--board', 'wrap', '--json', 'out.json', 'greedy', 'bots/mine.js']);
+
+        expect(args.settings).toEqual({ games: 5, seed: 0, boardMode: 'wrap' });
+        expect(args.json).toBe('out.json');
+        expect(args.controllers).toEqual(['greedy', 'bots/mine.js']);
+        expect(args.errors).toEqual([]);
+
+        expect(parseTournamentArgs(['--games', 'lots', '--mode', 'chess', '--fast']).errors).toHaveLength(3);
+    });
+
+    test('rejects modes that need a second player', () => {
+        expect(parseTournamentArgs(['--mode', 'versus', 'greedy']).errors).toEqual([
+            expect.stringMatching(/--mode must be one of/)
+        ]);
+        expect(parseTournamentArgs(['--mode', 'rival', 'greedy']).errors).toEqual([]);
+        expect(() => runTournament([], { mode: 'versus' })).toThrow(/versus/);
+    });
+});
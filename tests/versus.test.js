@@ -0,0 +1,151 @@
+// Local two-player (versus) tests
+import { GameEngine } from '../js/gameEngine.js';
+import { ReplayPlayer } from '../js/replay.js';
+import { serializeReplay, parseReplay } from '../js/replayFormat.js';
+
+const cells = (...points) => points.map(([x, y]) => ({ x: x * 20, y: y * 20 }));
+
+const placeSnake = (snake, points, direction) => {
+    snake.segments = cells(...points);
+    snake.direction = direction;
+    snake.nextDirection = direction;
+};
+
+describe('Versus mode', () => {
+    let engine;
+    let player1;
+    let player2;
+
+    beforeEach(() => {
+        engine = new GameEngine(null, 600, 600, 20, { seed: 21, mode: 'versus' });
+        engine.start();
+        engine.getFood().spawn({ x: 0, y: 0 }, [], 'normal');
+        player1 = engine.getSnake();
+        player2 = engine.getOpponent().snake;
+    });
+
+    test('starts two snakes apart, facing opposite ways', () => {
+        expect(player1.getPosition()).toEqual({ x: 80, y: 200 });
+        expect(player2.getPosition()).toEqual({ x: 500, y: 380 });
+        expect(player1.direction).toBe('right');
+        expect(player2.direction).toBe('left');
+    });
+
+    test('WASD steers player one and the arrow keys player two', () => {
+        engine.handleInput('s');
+        engine.handleInput('ArrowUp');
+
+        expect(engine.getInputQueue()).toEqual(['down']);
+        expect(engine.getOpponent().inputQueue.getTurns()).toEqual(['up']);
+    });
+
+    test('running into the other snake loses', () => {
+        const results = [];
+        engine.onGameOver = (result) => results.push(result);
+        placeSnake(player1, [[10, 10], [9, 10], [8, 10]], 'right');
+        placeSnake(player2, [[10, 12], [10, 13], [10, 14]], 'up');
+
+        engine.tick(2);
+
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.getWinner()).toBe(1);
+        expect(results[0]).toEqual(expect.objectContaining({ mode: 'versus', winner: 1 }));
+    });
+
+    test('meeting head to head is a draw', () => {
+        placeSnake(player1, [[10, 10], [9, 10], [8, 10]], 'right');
+        placeSnake(player2, [[12, 10], [13, 10], [14, 10]], 'left');
+
+        engine.step();
+
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.getWinner()).toBeNull();
+    });
+
+    test('swapping places head to head is a draw too', () => {
+        placeSnake(player1, [[10, 10], [9, 10], [8, 10]], 'right');
+        placeSnake(player2, [[11, 10], [12, 10], [13, 10]], 'left');
+
+        engine.step();
+
+        expect(engine.isGameOver()).toBe(true);
+        expect(engine.getWinner()).toBeNull();
+    });
+
+    test('each player scores their own food', () => {
+        const head = player2.getPosition();
+        engine.getFood().spawn({ x: head.x - 20, y: head.y }, [], 'normal');
+
+        engine.step();
+
+        expect(engine.getOpponent().score).toBeGreaterThan(0);
+        expect(engine.getScore()).toBe(0);
+        expect(player2.getSegments()).toHaveLength(4);
+    });
+
+    test('tracks each player in a separate AI engine', () => {
+        engine.handleInput('ArrowUp');
+        engine.tick(3);
+
+        const player2History = engine.getOpponent().aiEngine.movementHistory;
+        expect(player2History).toHaveLength(3);
+        expect(player2History[0].direction).toBe('up');
+        expect(engine.getAIEngine().movementHistory.every(record => record.direction === 'right')).toBe(true);
+    });
+
+    test('player two\'s AI engine keeps learning across games and is saved', () => {
+        engine.handleInput('ArrowUp');
+        engine.tick(3);
+        const player2Ai = engine.getOpponent().aiEngine;
+        const heatmapTotal = (ai) => ai.getRawHeatmap().flat().reduce((sum, count) => sum + count, 0);
+        const learned = heatmapTotal(player2Ai);
+
+        engine.gameOver();
+        engine.restart();
+        expect(engine.getOpponent().aiEngine).toBe(player2Ai);
+        expect(heatmapTotal(player2Ai)).toBe(learned);
+
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+        const reloaded = new GameEngine(null, 600, 600, 20, { mode: 'versus' });
+        reloaded.loadSavedData(data);
+        reloaded.start();
+        expect(heatmapTotal(reloaded.getOpponent().aiEngine)).toBe(learned);
+    });
+
+    test('the rival\'s moves are not learned as player two\'s', () => {
+        const rivalGame = new GameEngine(null, 600, 600, 20, { seed: 21, mode: 'rival' });
+        rivalGame.start();
+
+        expect(rivalGame.getOpponent().aiEngine).not.toBe(rivalGame.playerTwoAiEngine);
+        expect(rivalGame.getGameData().playerTwoBehaviorData).toBeUndefined();
+    });
+
+    test('replays reproduce both players', () => {
+        engine.handleInput('ArrowUp');
+        engine.tick(2);
+        engine.handleInput('s');
+        engine.tick(3);
+
+        const replay = parseReplay(serializeReplay(engine.getReplay(), { compact: true }));
+        expect(replay.inputs).toContainEqual({ tick: 0, direction: 'up', player: 2 });
+
+        const player = new ReplayPlayer(replay);
+        player.seek(replay.totalTicks);
+        expect(player.getEngine().getOpponent().snake.getSegments()).toEqual(player2.getSegments());
+        expect(player.getEngine().getSnake().getSegments()).toEqual(player1.getSegments());
+    });
+
+    test('save and resume keeps the second player', () => {
+        engine.handleInput('ArrowDown');
+        engine.tick(2);
+        engine.togglePause();
+        const data = JSON.parse(JSON.stringify(engine.getGameData()));
+
+        const resumed = new GameEngine(null, 600, 600, 20);
+        resumed.restoreGameData(data);
+
+        expect(resumed.getMode()).toBe('versus');
+        expect(resumed.getOpponent().snake.getSegments()).toEqual(player2.getSegments());
+        expect(resumed.getOpponent().aiEngine.movementHistory).toHaveLength(2);
+    });
+});